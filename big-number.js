@@ -0,0 +1,350 @@
+// --- ARBITRARY-MAGNITUDE NUMBERS ---
+// Clicks grow far past what a plain JS number can hold exactly (Number.MAX_SAFE_INTEGER)
+// or at all (~1.8e308). BigNumber stores a value as mantissa * 10^exponent so it can keep
+// growing, while values below EXACT_LIMIT are kept as plain numbers so everyday
+// arithmetic stays exact.
+
+// Values below this magnitude are stored as plain numbers (mantissa = value, exponent = 0)
+const EXACT_LIMIT = 1e15;
+
+// Past this many digits of difference, adding the smaller value cannot change the larger one
+const MAX_SIGNIFICANT_DIGITS = 17;
+
+// Suffixes for short notation: K, M, B, T, then aa, ab, ... zz
+const SHORT_SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+const LETTER_SUFFIX_COUNT = 26 * 26;
+
+// Number notations offered by the notation setting
+export const NUMBER_NOTATIONS = {
+    full: "Full (1,234,567)",
+    short: "Short (1.23M)",
+    scientific: "Scientific (1.23e6)",
+    engineering: "Engineering (12.3e6)"
+};
+
+// Above these exponents, full and short notation fall back to scientific
+const FULL_NOTATION_MAX_EXPONENT = 60;
+const SHORT_NOTATION_MAX_EXPONENT = (SHORT_SUFFIXES.length + LETTER_SUFFIX_COUNT) * 3 - 1;
+
+// Scientific and engineering notation start at one million; smaller values are shown in full
+const SCIENTIFIC_THRESHOLD_EXPONENT = 6;
+
+export class BigNumber {
+    /**
+     * Creates a BigNumber from a mantissa and exponent. Use BigNumber.from() for other inputs.
+     */
+    constructor(mantissa = 0, exponent = 0) {
+        const normalized = normalize(mantissa, exponent);
+        this.mantissa = normalized.mantissa;
+        this.exponent = normalized.exponent;
+    }
+
+    /**
+     * Converts a number, numeric string ("123", "1.5e400") or BigNumber to a BigNumber.
+     * Invalid input becomes zero; use BigNumber.isValid() to check input first.
+     */
+    static from(value) {
+        if (value instanceof BigNumber) return value;
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? new BigNumber(value, 0) : new BigNumber(0, 0);
+        }
+        if (typeof value === 'string') {
+            const parsed = parseNumberString(value);
+            return parsed ? new BigNumber(parsed.mantissa, parsed.exponent) : new BigNumber(0, 0);
+        }
+        return new BigNumber(0, 0);
+    }
+
+    /**
+     * Checks whether a value can be converted to a finite BigNumber.
+     */
+    static isValid(value) {
+        if (value instanceof BigNumber) return true;
+        if (typeof value === 'number') return Number.isFinite(value);
+        if (typeof value === 'string') return parseNumberString(value) !== null;
+        return false;
+    }
+
+    /**
+     * Creates a BigNumber equal to 10^log10Value.
+     */
+    static fromLog10(log10Value) {
+        if (!Number.isFinite(log10Value)) {
+            return log10Value < 0 ? new BigNumber(0, 0) : new BigNumber(1, Number.MAX_SAFE_INTEGER);
+        }
+        const exponent = Math.floor(log10Value);
+        return new BigNumber(Math.pow(10, log10Value - exponent), exponent);
+    }
+
+    /**
+     * Returns the larger of two values.
+     */
+    static max(a, b) {
+        const first = BigNumber.from(a);
+        const second = BigNumber.from(b);
+        return first.gte(second) ? first : second;
+    }
+
+    /**
+     * Returns the smaller of two values.
+     */
+    static min(a, b) {
+        const first = BigNumber.from(a);
+        const second = BigNumber.from(b);
+        return first.lte(second) ? first : second;
+    }
+
+    /**
+     * True while the value is small enough to be stored as an exact plain number.
+     */
+    isExact() {
+        return this.exponent === 0;
+    }
+
+    isZero() {
+        return this.mantissa === 0;
+    }
+
+    isNegative() {
+        return this.mantissa < 0;
+    }
+
+    add(other) {
+        const value = BigNumber.from(other);
+        if (this.isExact() && value.isExact()) {
+            return new BigNumber(this.mantissa + value.mantissa, 0);
+        }
+        if (this.isZero()) return value;
+        if (value.isZero()) return this;
+
+        const a = toScientificParts(this);
+        const b = toScientificParts(value);
+        const [larger, smaller] = a.exponent >= b.exponent ? [a, b] : [b, a];
+        const difference = larger.exponent - smaller.exponent;
+        if (difference > MAX_SIGNIFICANT_DIGITS) {
+            return new BigNumber(larger.mantissa, larger.exponent);
+        }
+        return new BigNumber(larger.mantissa + smaller.mantissa / Math.pow(10, difference), larger.exponent);
+    }
+
+    sub(other) {
+        return this.add(BigNumber.from(other).neg());
+    }
+
+    neg() {
+        return new BigNumber(-this.mantissa, this.exponent);
+    }
+
+    mul(other) {
+        const value = BigNumber.from(other);
+        if (this.isExact() && value.isExact()) {
+            const product = this.mantissa * value.mantissa;
+            if (Number.isFinite(product)) return new BigNumber(product, 0);
+        }
+        const a = toScientificParts(this);
+        const b = toScientificParts(value);
+        return new BigNumber(a.mantissa * b.mantissa, a.exponent + b.exponent);
+    }
+
+    div(other) {
+        const value = BigNumber.from(other);
+        if (value.isZero()) throw new RangeError('Division by zero.');
+        if (this.isExact() && value.isExact()) {
+            return new BigNumber(this.mantissa / value.mantissa, 0);
+        }
+        const a = toScientificParts(this);
+        const b = toScientificParts(value);
+        return new BigNumber(a.mantissa / b.mantissa, a.exponent - b.exponent);
+    }
+
+    /**
+     * Raises the value to a plain-number power. Negative bases are not supported.
+     */
+    pow(power) {
+        if (power === 0) return new BigNumber(1, 0);
+        if (this.isZero()) return new BigNumber(0, 0);
+        if (this.isExact()) {
+            const result = Math.pow(this.mantissa, power);
+            if (Number.isFinite(result) && Math.abs(result) < EXACT_LIMIT) return new BigNumber(result, 0);
+        }
+        return BigNumber.fromLog10(this.log10() * power);
+    }
+
+    /**
+     * Base-10 logarithm as a plain number (-Infinity for zero).
+     */
+    log10() {
+        if (this.isExact()) return Math.log10(this.mantissa);
+        return Math.log10(this.mantissa) + this.exponent;
+    }
+
+    /**
+     * Compares with another value: -1 if smaller, 0 if equal, 1 if larger.
+     */
+    cmp(other) {
+        const value = BigNumber.from(other);
+        if (this.isExact() && value.isExact()) {
+            return Math.sign(this.mantissa - value.mantissa);
+        }
+        if (this.isNegative() !== value.isNegative()) return this.isNegative() ? -1 : 1;
+
+        // Same sign and at least one value is past EXACT_LIMIT: compare magnitudes first
+        const a = toScientificParts(this);
+        const b = toScientificParts(value);
+        const sign = this.isNegative() ? -1 : 1;
+        if (a.exponent !== b.exponent) return a.exponent > b.exponent ? sign : -sign;
+        return Math.sign(a.mantissa - b.mantissa);
+    }
+
+    eq(other) { return this.cmp(other) === 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+
+    /**
+     * Rounds down. Values past EXACT_LIMIT have no fractional part left to remove.
+     */
+    floor() {
+        return this.isExact() ? new BigNumber(Math.floor(this.mantissa), 0) : this;
+    }
+
+    round() {
+        return this.isExact() ? new BigNumber(Math.round(this.mantissa), 0) : this;
+    }
+
+    /**
+     * Converts to a plain number (Infinity when the value is too large).
+     */
+    toNumber() {
+        if (this.isExact()) return this.mantissa;
+        return this.mantissa * Math.pow(10, this.exponent);
+    }
+
+    /**
+     * Compact, lossless string used in save files: "1234" or "1.2345e400".
+     */
+    toString() {
+        if (this.isExact()) return String(this.mantissa);
+        return `${this.mantissa}e${this.exponent}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Brings a mantissa/exponent pair into canonical form: exact plain numbers below EXACT_LIMIT,
+ * otherwise a mantissa in [1, 10) (or (-10, -1]) with an integer exponent.
+ */
+function normalize(mantissa, exponent) {
+    if (mantissa === 0 || !Number.isFinite(mantissa) || !Number.isFinite(exponent)) {
+        return { mantissa: 0, exponent: 0 };
+    }
+    if (exponent === 0 && Math.abs(mantissa) < EXACT_LIMIT) {
+        return { mantissa, exponent: 0 };
+    }
+
+    const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+    let normalizedMantissa = mantissa / Math.pow(10, shift);
+    let normalizedExponent = exponent + shift;
+
+    // Guard against log10 rounding leaving the mantissa just outside [1, 10)
+    if (Math.abs(normalizedMantissa) >= 10) {
+        normalizedMantissa /= 10;
+        normalizedExponent += 1;
+    } else if (Math.abs(normalizedMantissa) < 1) {
+        normalizedMantissa *= 10;
+        normalizedExponent -= 1;
+    }
+
+    // Small enough again: go back to an exact plain number
+    if (normalizedExponent < Math.log10(EXACT_LIMIT)) {
+        return { mantissa: normalizedMantissa * Math.pow(10, normalizedExponent), exponent: 0 };
+    }
+    return { mantissa: normalizedMantissa, exponent: normalizedExponent };
+}
+
+/**
+ * Gets a value's mantissa in [1, 10) and exponent, even when it is stored as an exact plain number.
+ */
+function toScientificParts(value) {
+    if (!value.isExact() || value.isZero()) {
+        return { mantissa: value.mantissa, exponent: value.exponent };
+    }
+    const exponent = Math.floor(Math.log10(Math.abs(value.mantissa)));
+    return { mantissa: value.mantissa / Math.pow(10, exponent), exponent };
+}
+
+/**
+ * Parses "123", "-1.5", "1.5e400" or "1.5E+400". Returns null for anything else.
+ */
+function parseNumberString(text) {
+    const match = /^\s*(-?\d+(?:\.\d+)?|-?\.\d+)(?:[eE]\+?(-?\d+))?\s*$/.exec(text);
+    if (!match) return null;
+
+    const mantissa = parseFloat(match[1]);
+    const exponent = match[2] ? parseInt(match[2], 10) : 0;
+    if (!Number.isFinite(mantissa) || !Number.isSafeInteger(exponent)) return null;
+    return { mantissa, exponent };
+}
+
+/**
+ * Gets the short notation suffix for a group of three digits (1 = K, 2 = M, ... 5 = aa).
+ */
+function getShortSuffix(groupIndex) {
+    if (groupIndex < SHORT_SUFFIXES.length) return SHORT_SUFFIXES[groupIndex];
+    const letterIndex = groupIndex - SHORT_SUFFIXES.length;
+    const first = String.fromCharCode(97 + Math.floor(letterIndex / 26));
+    const second = String.fromCharCode(97 + (letterIndex % 26));
+    return first + second;
+}
+
+/**
+ * Formats a mantissa truncated to two decimals, trimming trailing zeros (e.g. 1.5, 12.35).
+ */
+function formatMantissa(mantissa, locale) {
+    // Round away binary noise first, so 4.56 (stored as 4.5599...) is not truncated to 4.55
+    const truncated = Math.floor(Number((mantissa * 100).toPrecision(12))) / 100;
+    return truncated.toLocaleString(locale, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Formats a BigNumber (or plain number) in the given notation.
+ *   full        - every digit with separators: 1,234,567
+ *   short       - suffixes: 1.23K, 4.56M, 7.89B, 1.00T, 2.5aa
+ *   scientific  - 1.23e6
+ *   engineering - exponent is a multiple of three: 12.35e6
+ */
+export function formatBigNumber(value, notation = 'full', locale = undefined) {
+    const number = BigNumber.from(value);
+    const sign = number.isNegative() ? '-' : '';
+    const absolute = number.isNegative() ? number.neg() : number;
+    const exponent = absolute.isZero() ? 0 : Math.floor(absolute.log10());
+
+    if (notation === 'short' && exponent >= 3 && exponent <= SHORT_NOTATION_MAX_EXPONENT) {
+        const groupIndex = Math.floor(exponent / 3);
+        const scaled = absolute.div(BigNumber.fromLog10(groupIndex * 3)).toNumber();
+        return `${sign}${formatMantissa(scaled, locale)}${getShortSuffix(groupIndex)}`;
+    }
+
+    const isFullNotation = notation === 'full' || notation === 'short' ||
+        exponent < SCIENTIFIC_THRESHOLD_EXPONENT;
+    if (isFullNotation && exponent <= FULL_NOTATION_MAX_EXPONENT) {
+        if (absolute.isExact()) return sign + absolute.mantissa.toLocaleString(locale);
+
+        // Past EXACT_LIMIT only the mantissa's digits are known; the rest are zeros
+        const parts = toScientificParts(absolute);
+        const digits = BigInt(Math.round(parts.mantissa * 1e15)) * 10n ** BigInt(parts.exponent - 15);
+        return sign + digits.toLocaleString(locale);
+    }
+
+    const parts = toScientificParts(absolute);
+    if (notation === 'engineering') {
+        const engineeringExponent = Math.floor(parts.exponent / 3) * 3;
+        const mantissa = parts.mantissa * Math.pow(10, parts.exponent - engineeringExponent);
+        return `${sign}${formatMantissa(mantissa, locale)}e${engineeringExponent}`;
+    }
+    return `${sign}${formatMantissa(parts.mantissa, locale)}e${parts.exponent}`;
+}
@@ -0,0 +1,595 @@
+// --- BOTTLES GAME CORE ---
+// Bottles is a water-selling game with its own economy: water is gathered by hand and by
+// siphons, sold automatically through marketing, and knowledge bought with money pays for
+// research. Like game-core.js it has no DOM access; bottles.js is its browser UI. It shares
+// the clicker's save conventions (versioned, quarantined when invalid) and fixed-step loop.
+
+import {
+    GAME_LOOP_CONFIG,
+    QUARANTINE_KEY_SUFFIX,
+    calculateCost,
+    mergeSaveData
+} from './game-core.js';
+import { GAME_MODES } from './game-modes.js';
+import { createEventBus } from './event-bus.js';
+
+// Current Bottles save schema version. Bump it and add a step to BOTTLES_SAVE_MIGRATIONS when the save format changes.
+export const BOTTLES_SAVE_VERSION = 2;
+
+// Economy tuning. Intervals shrink by their multiplier for every siphon or marketing level bought.
+export const BOTTLES_CONFIG = {
+    startingMoney: 15,
+    baseWaterMultiplier: 1.1, // Gallons each siphon draws per batch before research
+    siphon: { baseCost: 15, costMultiplier: 1.3, baseIntervalMs: 2000, intervalMultiplier: 0.8 },
+    marketing: {
+        unlockAtWater: 50,    // Total gallons gathered before water can be sold
+        baseCost: 10,
+        costMultiplier: 1.5,
+        baseIntervalMs: 10000,
+        intervalMultiplier: 0.8,
+        gallonsPerSale: 3,
+        basePrice: 3,         // Money per sale, plus pricePerLevel for every marketing level
+        pricePerLevel: 1.1
+    },
+    advancedTechCost: 200,
+    knowledge: {
+        perSecond: 20,        // Knowledge gained per second for each level of learning speed
+        baseCapacity: 1000,
+        capacityPerLevel: 1000,
+        learningCost: 1000,
+        storageBaseCost: 300,
+        storageCostMultiplier: 1.1
+    }
+};
+
+// Knowledge research tree. A node can be researched once all of its prerequisites are, so new
+// research only needs a new node here; the Advanced Tech panel draws the tree from this list.
+//   cost     - knowledge price
+//   requires - ids of the nodes that must be researched first
+//   effect   - waterMultiplier (the highest researched one replaces the base multiplier),
+//              marketingLevels (added), sellTimeMultiplier (multiplies the sell interval),
+//              storage (added to the knowledge capacity) and money (paid out once)
+export const RESEARCH_TREE = [
+    { id: 'groundwater', name: "Tap into groundwater supply", description: "x2 water from siphons.", cost: 1000, requires: [], effect: { waterMultiplier: 2 } },
+    { id: 'aquifers', name: "Locate major aquifers", description: "x2.5 water from siphons! Wow!", cost: 10000, requires: ['groundwater'], effect: { waterMultiplier: 2.5 } },
+    { id: 'newAds', name: "Produce new ads", description: "Marketing is better: +2 marketing levels.", cost: 2000, requires: [], effect: { marketingLevels: 2 } },
+    { id: 'jingle', name: "Create catchy jingle", description: "Gallons sell faster.", cost: 7500, requires: ['newAds'], effect: { sellTimeMultiplier: 0.6 } },
+    { id: 'cheapPackaging', name: "Develop cheap packaging", description: "Gives you 500 extra money.", cost: 500, requires: [], effect: { money: 500 } },
+    { id: 'budgetIncrease', name: "Ask for minor budget increase", description: "Gives you 1,000 money.", cost: 5000, requires: ['cheapPackaging'], effect: { money: 1000 } },
+    { id: 'knowledgeArchive', name: "Build a knowledge archive", description: "Store 2,000 more knowledge.", cost: 900, requires: ['cheapPackaging'], effect: { storage: 2000 } },
+    { id: 'bottlingPlant', name: "Open a bottling plant", description: "x4 water from siphons and gallons sell faster.", cost: 25000, requires: ['aquifers', 'jingle'], effect: { waterMultiplier: 4, sellTimeMultiplier: 0.8 } }
+];
+
+/**
+ * Finds a research node by id.
+ */
+export function getResearchNode(nodeId) {
+    return RESEARCH_TREE.find(node => node.id === nodeId);
+}
+
+/**
+ * Gets a research node's depth in the tree: 0 without prerequisites, otherwise one more than
+ * its deepest prerequisite. Throws if a prerequisite is unknown or the prerequisites loop.
+ */
+export function getResearchTier(nodeId, visiting = []) {
+    const node = getResearchNode(nodeId);
+    if (!node) throw new Error(`Unknown research "${nodeId}".`);
+    if (visiting.includes(nodeId)) throw new Error(`Research "${nodeId}" requires itself.`);
+
+    return node.requires.reduce((tier, requiredId) => Math.max(tier, getResearchTier(requiredId, [...visiting, nodeId]) + 1), 0);
+}
+
+// Default state for a new Bottles game
+export const DEFAULT_BOTTLES_STATE = {
+    version: BOTTLES_SAVE_VERSION,
+    water: 0,
+    waterTotal: 0,     // Total gallons ever gathered; unlocks marketing
+    money: BOTTLES_CONFIG.startingMoney,
+    moneyTotal: 0,     // Total money ever earned from sales
+    siphons: 0,
+    marketingLevel: 0, // Levels bought with money; research adds more on top
+    isAdvancedTechUnlocked: false,
+    knowledge: 0,
+    learningSpeed: 1,
+    storageLevel: 0,
+    research: {},      // Ids of the researched nodes, mapped to true
+    siphonProgressMs: 0, // Time towards the next siphon batch and automatic sale
+    sellProgressMs: 0,
+    lastSaved: 0
+};
+
+/**
+ * Creates a fresh Bottles state.
+ */
+export function createDefaultBottlesState() {
+    return JSON.parse(JSON.stringify(DEFAULT_BOTTLES_STATE));
+}
+
+// Ordered Bottles save migration steps. Step N upgrades a version N-1 save to version N.
+export const BOTTLES_SAVE_MIGRATIONS = [
+    {
+        version: 2,
+        description: "store research as researched tree nodes",
+        migrate(data) {
+            // Version 1 counted the stages bought in three fixed research chains
+            const chains = { water: ['groundwater', 'aquifers'], marketing: ['newAds', 'jingle'], budget: ['cheapPackaging', 'budgetIncrease'] };
+            const research = {};
+            Object.entries(chains).forEach(([chainId, nodeIds]) => {
+                const stages = (data.research && data.research[chainId]) || 0;
+                nodeIds.slice(0, stages).forEach(nodeId => { research[nodeId] = true; });
+            });
+            data.research = research;
+            return data;
+        }
+    }
+];
+
+/**
+ * Runs every Bottles migration step newer than the save's version, in order.
+ */
+export function migrateBottlesSave(data, logger = console) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Save data is not an object.');
+    }
+
+    const savedVersion = Number.isInteger(data.version) ? data.version : 1;
+    if (savedVersion > BOTTLES_SAVE_VERSION) {
+        throw new Error(`Save was made by a newer version of the game (v${savedVersion}).`);
+    }
+
+    let migratedData = data;
+    BOTTLES_SAVE_MIGRATIONS.forEach(step => {
+        if (step.version <= savedVersion) return;
+        migratedData = step.migrate(migratedData);
+        migratedData.version = step.version;
+        logger.log(`[Load] Migrated Bottles save to v${step.version}: ${step.description}.`);
+    });
+    return migratedData;
+}
+
+/**
+ * Checks that a migrated Bottles save has the fields the game depends on. Throws an Error
+ * describing the first problem found.
+ */
+export function validateBottlesSave(data) {
+    ['water', 'money', 'siphons', 'marketingLevel', 'knowledge'].forEach(field => {
+        if (!Number.isFinite(data[field]) || data[field] < 0) {
+            throw new Error(`The ${field} value is missing or invalid.`);
+        }
+    });
+    if (!data.research || typeof data.research !== 'object' || Array.isArray(data.research)) {
+        throw new Error('Research progress is missing.');
+    }
+}
+
+/**
+ * Creates a Bottles game instance. Takes the same options as createGame() in game-core.js;
+ * listeners added with subscribe() are called with 'change', 'load' ({ isNewGame, saveWarning })
+ * or 'save-failed' ({ error }).
+ */
+export function createBottlesGame({ storage = globalThis.localStorage, clock = Date, logger = console, canSave = () => true } = {}) {
+    const saveKey = GAME_MODES.bottles.saveKey;
+
+    let gameState = createDefaultBottlesState();
+
+    // Fixed-step loop state: time of the last update and unsimulated time carried over
+    let lastTickTime = clock.now();
+    let tickAccumulatorMs = 0;
+
+    // Set once the stored save was replaced (e.g. by a reset), so nothing saves over it
+    let isStopped = false;
+
+    const events = createEventBus({ logger });
+    const { emit } = events;
+
+
+    // --- SAVE AND LOAD ---
+
+    /**
+     * Moves a save that cannot be loaded to its quarantine key so it is not overwritten.
+     * Returns the warning to show the player.
+     */
+    function quarantineSave(rawData, reason) {
+        const quarantineKey = `${saveKey}${QUARANTINE_KEY_SUFFIX}`;
+        try {
+            storage.setItem(quarantineKey, JSON.stringify({ quarantinedAt: clock.now(), reason, data: rawData }));
+        } catch (error) {
+            logger.error("[Load] Error quarantining invalid save:", error);
+        }
+
+        logger.error(`[Load] Bottles save is invalid and was quarantined: ${reason}`);
+        return `Your Bottles save could not be loaded: ${reason} ` +
+            `It has been kept under "${quarantineKey}" and a new game was started.`;
+    }
+
+    /**
+     * Loads the save from storage, quarantining it if it is invalid. Emits 'load'.
+     */
+    function load() {
+        let saveWarning = null;
+        const savedState = storage.getItem(saveKey);
+        gameState = createDefaultBottlesState();
+
+        if (!savedState) {
+            logger.log("[Load] No saved game found for Bottles. Starting new game.");
+        } else {
+            try {
+                let parsedData;
+                try {
+                    parsedData = JSON.parse(savedState);
+                } catch (e) {
+                    throw new Error('Save data is not valid JSON.');
+                }
+                const loadedData = migrateBottlesSave(parsedData, logger);
+                validateBottlesSave(loadedData);
+                gameState = mergeSaveData(createDefaultBottlesState(), loadedData);
+                logger.log("[Load] Game state loaded for Bottles.");
+            } catch (error) {
+                saveWarning = quarantineSave(savedState, error.message);
+            }
+        }
+
+        lastTickTime = clock.now();
+        tickAccumulatorMs = 0;
+        emit('load', { isNewGame: !savedState, saveWarning });
+    }
+
+    /**
+     * Serializes the game state for storage, stamping the save time.
+     */
+    function serialize() {
+        gameState.lastSaved = clock.now();
+        return JSON.stringify(gameState);
+    }
+
+    /**
+     * Saves the game state to storage.
+     */
+    function save() {
+        if (isStopped || !canSave()) return;
+
+        try {
+            storage.setItem(saveKey, serialize());
+        } catch (error) {
+            logger.error("[Save] Error saving game state:", error);
+            emit('save-failed', { error });
+        }
+    }
+
+    /**
+     * Stops all further saving and updates.
+     */
+    function stop() {
+        isStopped = true;
+    }
+
+
+    // --- ECONOMY ---
+
+    /**
+     * Checks whether a research node was researched.
+     */
+    function isResearched(nodeId) {
+        return gameState.research[nodeId] === true;
+    }
+
+    /**
+     * Gets a research node's status: 'researched', 'available' once all its prerequisites are
+     * researched, or 'locked'.
+     */
+    function getResearchStatus(nodeId) {
+        if (isResearched(nodeId)) return 'researched';
+        const node = getResearchNode(nodeId);
+        return node && node.requires.every(isResearched) ? 'available' : 'locked';
+    }
+
+    /**
+     * Lists the effects of every researched node.
+     */
+    function getResearchEffects() {
+        return RESEARCH_TREE.filter(node => isResearched(node.id)).map(node => node.effect);
+    }
+
+    /**
+     * Gets the gallons each siphon draws per batch: the highest researched multiplier.
+     */
+    function getWaterMultiplier() {
+        return getResearchEffects().reduce((multiplier, effect) => Math.max(multiplier, effect.waterMultiplier || 0), BOTTLES_CONFIG.baseWaterMultiplier);
+    }
+
+    /**
+     * Gets the marketing level including the levels granted by research.
+     */
+    function getMarketingLevel() {
+        return gameState.marketingLevel + getResearchEffects().reduce((levels, effect) => levels + (effect.marketingLevels || 0), 0);
+    }
+
+    /**
+     * Gets the time between two siphon batches.
+     */
+    function getSiphonIntervalMs() {
+        const { baseIntervalMs, intervalMultiplier } = BOTTLES_CONFIG.siphon;
+        return baseIntervalMs * Math.pow(intervalMultiplier, gameState.siphons);
+    }
+
+    /**
+     * Gets the time between two automatic sales. Every marketing level, bought or researched,
+     * shortens it.
+     */
+    function getSellIntervalMs() {
+        const { baseIntervalMs, intervalMultiplier } = BOTTLES_CONFIG.marketing;
+        const researchMultiplier = getResearchEffects().reduce((multiplier, effect) => multiplier * (effect.sellTimeMultiplier ?? 1), 1);
+        return baseIntervalMs * Math.pow(intervalMultiplier, getMarketingLevel()) * researchMultiplier;
+    }
+
+    /**
+     * Gets the money one automatic sale earns.
+     */
+    function getSalePrice() {
+        const { basePrice, pricePerLevel } = BOTTLES_CONFIG.marketing;
+        return basePrice + Math.floor(getMarketingLevel() * pricePerLevel);
+    }
+
+    /**
+     * Gets the gallons the siphons draw per second on average.
+     */
+    function getWaterPerSecond() {
+        if (gameState.siphons === 0) return 0;
+        return gameState.siphons * getWaterMultiplier() * 1000 / getSiphonIntervalMs();
+    }
+
+    /**
+     * Gets the most knowledge that can be stored.
+     */
+    function getKnowledgeCapacity() {
+        const { baseCapacity, capacityPerLevel } = BOTTLES_CONFIG.knowledge;
+        const researchStorage = getResearchEffects().reduce((storage, effect) => storage + (effect.storage || 0), 0);
+        return baseCapacity + gameState.storageLevel * capacityPerLevel + researchStorage;
+    }
+
+    /**
+     * Gets the knowledge gained per second once advanced tech is unlocked.
+     */
+    function getKnowledgePerSecond() {
+        return gameState.learningSpeed * BOTTLES_CONFIG.knowledge.perSecond;
+    }
+
+    /**
+     * Gets the money price of the next siphon.
+     */
+    function getSiphonCost() {
+        const { baseCost, costMultiplier } = BOTTLES_CONFIG.siphon;
+        return calculateCost(baseCost, costMultiplier, gameState.siphons).toNumber();
+    }
+
+    /**
+     * Gets the money price of the next marketing level.
+     */
+    function getMarketingCost() {
+        const { baseCost, costMultiplier } = BOTTLES_CONFIG.marketing;
+        return calculateCost(baseCost, costMultiplier, gameState.marketingLevel).toNumber();
+    }
+
+    /**
+     * Gets the money price of the next knowledge storage level.
+     */
+    function getStorageCost() {
+        const { storageBaseCost, storageCostMultiplier } = BOTTLES_CONFIG.knowledge;
+        return calculateCost(storageBaseCost, storageCostMultiplier, gameState.storageLevel).toNumber();
+    }
+
+    /**
+     * Checks whether enough water was gathered to start selling it.
+     */
+    function isMarketingUnlocked() {
+        return gameState.waterTotal >= BOTTLES_CONFIG.marketing.unlockAtWater;
+    }
+
+    /**
+     * Pays money for a purchase. Returns false, without paying, if the player cannot afford it.
+     */
+    function spendMoney(cost) {
+        if (gameState.money < cost) return false;
+        gameState.money -= cost;
+        return true;
+    }
+
+
+    // --- PLAYER ACTIONS ---
+    // Each action returns false if it could not be done (usually because of insufficient funds).
+
+    /**
+     * Gathers one gallon by hand.
+     */
+    function gatherWater() {
+        gameState.water += 1;
+        gameState.waterTotal += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Sells a single gallon by hand, to get started before marketing pays off.
+     */
+    function sellWater() {
+        if (gameState.water < 1) return false;
+        gameState.water -= 1;
+        gameState.money += 1;
+        gameState.moneyTotal += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Buys a siphon, which draws water automatically. Each one also makes all siphons draw faster.
+     */
+    function buySiphon() {
+        if (!spendMoney(getSiphonCost())) return false;
+        gameState.siphons += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Buys a marketing level, which makes automatic sales faster and more profitable.
+     */
+    function upgradeMarketing() {
+        if (!isMarketingUnlocked() || !spendMoney(getMarketingCost())) return false;
+        gameState.marketingLevel += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Unlocks the Advanced Tech panel, which starts knowledge growing.
+     */
+    function unlockAdvancedTech() {
+        if (gameState.isAdvancedTechUnlocked || !isMarketingUnlocked()) return false;
+        if (!spendMoney(BOTTLES_CONFIG.advancedTechCost)) return false;
+        gameState.isAdvancedTechUnlocked = true;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Raises the learning speed, so knowledge grows faster.
+     */
+    function increaseLearningSpeed() {
+        if (!gameState.isAdvancedTechUnlocked || !spendMoney(BOTTLES_CONFIG.knowledge.learningCost)) return false;
+        gameState.learningSpeed += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Raises how much knowledge can be stored.
+     */
+    function increaseStorage() {
+        if (!gameState.isAdvancedTechUnlocked || !spendMoney(getStorageCost())) return false;
+        gameState.storageLevel += 1;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Researches an available node with knowledge and applies its one-off effects.
+     */
+    function buyResearch(nodeId) {
+        const node = getResearchNode(nodeId);
+        if (!gameState.isAdvancedTechUnlocked || getResearchStatus(nodeId) !== 'available' || gameState.knowledge < node.cost) return false;
+
+        gameState.knowledge -= node.cost;
+        gameState.research[nodeId] = true;
+        if (node.effect.money) gameState.money += node.effect.money;
+
+        logger.log(`[Research] Completed: ${node.name}.`);
+        emit('change');
+        return true;
+    }
+
+
+    // --- GAME LOOP ---
+
+    /**
+     * Advances the game by one fixed step: siphons draw water, marketing sells it and
+     * knowledge grows. Siphon batches and sales that came due during the step are all applied.
+     */
+    function tick(deltaSeconds) {
+        const deltaMs = deltaSeconds * 1000;
+
+        if (gameState.siphons > 0) {
+            gameState.siphonProgressMs += deltaMs;
+            const batches = Math.floor(gameState.siphonProgressMs / getSiphonIntervalMs());
+            gameState.siphonProgressMs -= batches * getSiphonIntervalMs();
+
+            const gallons = Math.floor(batches * gameState.siphons * getWaterMultiplier());
+            gameState.water += gallons;
+            gameState.waterTotal += gallons;
+        }
+
+        if (isMarketingUnlocked()) {
+            gameState.sellProgressMs += deltaMs;
+            const dueSales = Math.floor(gameState.sellProgressMs / getSellIntervalMs());
+            gameState.sellProgressMs -= dueSales * getSellIntervalMs();
+
+            const { gallonsPerSale } = BOTTLES_CONFIG.marketing;
+            const sales = Math.min(dueSales, Math.floor(gameState.water / gallonsPerSale));
+            const earned = sales * getSalePrice();
+            gameState.water -= sales * gallonsPerSale;
+            gameState.money += earned;
+            gameState.moneyTotal += earned;
+        }
+
+        if (gameState.isAdvancedTechUnlocked) {
+            gameState.knowledge = Math.min(getKnowledgeCapacity(), gameState.knowledge + getKnowledgePerSecond() * deltaSeconds);
+        }
+
+        emit('change');
+    }
+
+    /**
+     * Measures the real time passed since the last update and runs that many fixed steps.
+     */
+    function update() {
+        if (isStopped) return;
+
+        const now = clock.now();
+        tickAccumulatorMs += Math.max(0, now - lastTickTime);
+        lastTickTime = now;
+
+        const steps = Math.floor(tickAccumulatorMs / GAME_LOOP_CONFIG.tickMs);
+        tickAccumulatorMs -= steps * GAME_LOOP_CONFIG.tickMs;
+
+        if (steps > GAME_LOOP_CONFIG.maxStepsPerUpdate) {
+            // Batches and sales are counted from the elapsed time, so a long backlog can be applied in one go
+            tick(steps * GAME_LOOP_CONFIG.tickMs / 1000);
+        } else {
+            for (let i = 0; i < steps; i++) {
+                tick(GAME_LOOP_CONFIG.tickMs / 1000);
+            }
+        }
+    }
+
+
+    return {
+        get state() { return gameState; },
+        subscribe: events.subscribe,
+        on: events.on,
+
+        // Save and load
+        load,
+        save,
+        serialize,
+        stop,
+
+        // Economy
+        isResearched,
+        getResearchStatus,
+        getWaterMultiplier,
+        getMarketingLevel,
+        getSiphonIntervalMs,
+        getSellIntervalMs,
+        getSalePrice,
+        getWaterPerSecond,
+        getKnowledgeCapacity,
+        getKnowledgePerSecond,
+        getSiphonCost,
+        getMarketingCost,
+        getStorageCost,
+        isMarketingUnlocked,
+
+        // Player actions
+        gatherWater,
+        sellWater,
+        buySiphon,
+        upgradeMarketing,
+        unlockAdvancedTech,
+        increaseLearningSpeed,
+        increaseStorage,
+        buyResearch,
+
+        // Game loop
+        tick,
+        update
+    };
+}
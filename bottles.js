@@ -0,0 +1,410 @@
+import { formatBigNumber } from './big-number.js';
+import { GAME_LOOP_CONFIG } from './game-core.js';
+import { createBottlesGame, BOTTLES_CONFIG, RESEARCH_TREE, getResearchNode, getResearchTier } from './bottles-core.js';
+import { createTabLock, TAB_LOCK_KEY, TAB_CHANNEL_NAME, TAB_LOCK_CONFIG } from './tab-lock.js';
+import { createNotifications } from './notifications.js';
+import { mountToasts } from './toasts.js';
+import { createSettings } from './settings.js';
+
+// --- GLOBAL CONFIGURATION ---
+// Browser UI of the Bottles mode (bottles.html). The economy and saving live in bottles-core.js;
+// this file renders its state, forwards player input and re-renders on its events, the same way
+// script.js drives the clicker.
+
+// How long a tip or error toast stays on screen (ms); tips are longer than most messages
+const MESSAGE_DURATION_MS = 6000;
+
+// Tips shown once, when the player first reaches each point
+const TIPS = {
+    welcome: "Welcome to Bottles! In this game you make and sell water. Hovering over buttons gives tips.",
+    firstSiphon: "Siphons draw water from a nearby river. As you make more siphons, more water is drawn and water is drawn faster.",
+    firstSale: "You just sold your first gallon! Selling converts water to cash. Marketing sells water automatically."
+};
+
+// Card classes for each research status
+const RESEARCH_STATUS_CLASSES = {
+    researched: ['border-emerald-400'],
+    available: ['border-sky-400', 'hover:bg-slate-600'],
+    locked: ['border-slate-600', 'opacity-50']
+};
+
+// The player's preferences, shared with the clicker; Bottles follows the number notation and autosave interval
+const settings = createSettings({ storage: localStorage });
+
+// The game instance, created by initializeBottles()
+let game = null;
+
+// Lock that keeps a second browser tab from running (and saving) the game at the same time
+let tabLock = null;
+
+// Set when the game state changed since the last frame was drawn
+let isRenderPending = false;
+
+// Toast notifications for tips and errors
+let notifications = null;
+
+
+// --- DOM Element Declarations ---
+let saveWarningDisplay = null;
+let waterDisplay = null;
+let wpsDisplay = null;
+let moneyDisplay = null;
+let siphonsDisplay = null;
+let siphonCostDisplay = null;
+let marketingSection = null;
+let marketingLevelDisplay = null;
+let sellIntervalDisplay = null;
+let salePriceDisplay = null;
+let marketingCostDisplay = null;
+let advancedTechUnlockEl = null;
+let advancedTechCostDisplay = null;
+let advancedTechPanel = null;
+let knowledgeDisplay = null;
+let knowledgeCapacityDisplay = null;
+let learningCostDisplay = null;
+let storageCostDisplay = null;
+let researchTreeEl = null;
+let researchElements = {}; // Generated research nodes, keyed by node id
+let tabLockOverlay = null;
+let tabTakeoverButton = null;
+
+// Buttons, keyed by the game action they trigger
+let actionButtons = {};
+
+
+// --- GAME EVENTS AND LOOP ---
+
+/**
+ * Reacts to events from the game core.
+ */
+function handleGameEvent(type, detail) {
+    switch (type) {
+        case 'change':
+            isRenderPending = true;
+            break;
+        case 'save-failed':
+            showMessage(`Your progress could not be saved: ${detail.error.message}`, true);
+            break;
+        case 'load':
+            showSaveWarning(detail.saveWarning);
+            if (detail.isNewGame) showMessage(TIPS.welcome);
+            renderUI();
+            break;
+    }
+}
+
+/**
+ * Draws one display frame, re-rendering only when the state changed.
+ */
+function renderFrame() {
+    if (isRenderPending) {
+        isRenderPending = false;
+        renderUI();
+    }
+    requestAnimationFrame(renderFrame);
+}
+
+/**
+ * Starts the fixed-step game loop, the display frame loop, autosaving and the tab lock heartbeat.
+ */
+function startGameLoop() {
+    setInterval(() => {
+        if (tabLock.isLeader) game.update();
+    }, GAME_LOOP_CONFIG.tickMs);
+    requestAnimationFrame(renderFrame);
+
+    setInterval(game.save, settings.get('autosaveSeconds') * 1000);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') game.save();
+    });
+    window.addEventListener('pagehide', () => {
+        game.save();
+        tabLock.release();
+    });
+
+    setInterval(tabLock.check, TAB_LOCK_CONFIG.heartbeatMs);
+    window.addEventListener('storage', (e) => {
+        if (e.key === TAB_LOCK_KEY) tabLock.check();
+    });
+}
+
+
+// --- MULTI-TAB LOCK ---
+
+/**
+ * Reacts to this tab gaining or losing the tab lock.
+ */
+function handleTabLockEvent(type) {
+    switch (type) {
+        case 'acquired':
+            game.load(); // Continue from whatever the previous active tab saved last
+            updateTabLockOverlay();
+            break;
+        case 'lost':
+            updateTabLockOverlay();
+            break;
+        case 'handover':
+            game.save();
+            break;
+    }
+}
+
+/**
+ * Shows the "game open in another tab" overlay while this tab is read-only.
+ */
+function updateTabLockOverlay() {
+    if (!tabLockOverlay) return;
+
+    tabLockOverlay.classList.toggle('hidden', tabLock.isLeader);
+    tabLockOverlay.classList.toggle('flex', !tabLock.isLeader);
+    tabTakeoverButton?.classList.toggle('hidden', !tabLock.canHandOver);
+}
+
+/**
+ * Handles the "Play in This Tab" button: asks the active tab to save and hand the game over.
+ */
+function handleTabTakeover() {
+    if (tabLock.requestTakeover() && tabTakeoverButton) {
+        tabTakeoverButton.disabled = true;
+        tabTakeoverButton.textContent = 'Taking over...';
+        setTimeout(() => {
+            tabTakeoverButton.disabled = false;
+            tabTakeoverButton.textContent = 'Play in This Tab';
+        }, TAB_LOCK_CONFIG.heartbeatMs);
+    }
+}
+
+
+// --- UI RENDERING AND UPDATE FUNCTIONS ---
+
+/**
+ * Creates an element with the given classes and optional text content.
+ */
+function createElement(tagName, className, textContent) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (textContent !== undefined) element.textContent = textContent;
+    return element;
+}
+
+/**
+ * Formats a whole amount for display in the player's number notation.
+ */
+function formatNumber(value) {
+    return formatBigNumber(Math.floor(value), settings.get('notation'));
+}
+
+/**
+ * Shows a tip or error as a toast for a few seconds.
+ */
+function showMessage(message, isError = false) {
+    notifications.notify(message, isError ? 'error' : 'info', { durationMs: MESSAGE_DURATION_MS });
+}
+
+/**
+ * Shows the warning about a quarantined save, or hides it.
+ */
+function showSaveWarning(saveWarning) {
+    if (!saveWarningDisplay) return;
+
+    saveWarningDisplay.textContent = saveWarning || '';
+    saveWarningDisplay.classList.toggle('hidden', !saveWarning);
+}
+
+/**
+ * Builds the research tree from the research registry: one column per tier, so every node
+ * sits to the right of the research it requires.
+ */
+function buildResearchTree() {
+    if (!researchTreeEl) return;
+
+    researchTreeEl.replaceChildren();
+    researchElements = {};
+
+    const columns = [];
+    RESEARCH_TREE.forEach(node => {
+        const tier = getResearchTier(node.id);
+        while (columns.length <= tier) {
+            const column = createElement('div', 'flex flex-col space-y-3 flex-1 min-w-0');
+            columns.push(column);
+            researchTreeEl.append(column);
+        }
+
+        const card = createElement('button', 'w-full text-left bg-slate-800 p-3 rounded-lg border-2 transition disabled:cursor-not-allowed');
+        card.dataset.researchId = node.id;
+        const name = createElement('p', 'font-bold text-emerald-400', node.name);
+        const cost = createElement('p', 'text-sm text-sky-400', `${formatNumber(node.cost)} Kn`);
+        const description = createElement('p', 'text-xs text-slate-400', node.description);
+        card.append(name, cost, description);
+
+        if (node.requires.length > 0) {
+            const requiredNames = node.requires.map(requiredId => getResearchNode(requiredId).name);
+            card.append(createElement('p', 'text-xs text-slate-500 mt-1', `Requires: ${requiredNames.join(', ')}`));
+        }
+
+        columns[tier].append(card);
+        researchElements[node.id] = { card, cost };
+    });
+}
+
+/**
+ * Renders the game state to the page.
+ */
+function renderUI() {
+    const state = game.state;
+
+    if (waterDisplay) waterDisplay.textContent = formatNumber(state.water);
+    if (wpsDisplay) wpsDisplay.textContent = game.getWaterPerSecond().toFixed(1);
+    if (moneyDisplay) moneyDisplay.textContent = formatNumber(state.money);
+    if (siphonsDisplay) siphonsDisplay.textContent = formatNumber(state.siphons);
+    if (siphonCostDisplay) siphonCostDisplay.textContent = formatNumber(game.getSiphonCost());
+    if (actionButtons.buySiphon) actionButtons.buySiphon.disabled = state.money < game.getSiphonCost();
+
+    // Marketing and the Advanced Tech unlock appear once enough water was gathered
+    const isMarketingUnlocked = game.isMarketingUnlocked();
+    marketingSection?.classList.toggle('hidden', !isMarketingUnlocked);
+    if (marketingLevelDisplay) marketingLevelDisplay.textContent = formatNumber(game.getMarketingLevel());
+    if (sellIntervalDisplay) sellIntervalDisplay.textContent = (game.getSellIntervalMs() / 1000).toFixed(1);
+    if (salePriceDisplay) salePriceDisplay.textContent = formatNumber(game.getSalePrice());
+    if (marketingCostDisplay) marketingCostDisplay.textContent = formatNumber(game.getMarketingCost());
+    if (actionButtons.sellWater) actionButtons.sellWater.disabled = state.water < 1;
+    if (actionButtons.upgradeMarketing) actionButtons.upgradeMarketing.disabled = state.money < game.getMarketingCost();
+
+    advancedTechUnlockEl?.classList.toggle('hidden', !isMarketingUnlocked || state.isAdvancedTechUnlocked);
+    advancedTechPanel?.classList.toggle('hidden', !state.isAdvancedTechUnlocked);
+    if (actionButtons.unlockAdvancedTech) actionButtons.unlockAdvancedTech.disabled = state.money < BOTTLES_CONFIG.advancedTechCost;
+    if (!state.isAdvancedTechUnlocked) return;
+
+    if (knowledgeDisplay) knowledgeDisplay.textContent = formatNumber(state.knowledge);
+    if (knowledgeCapacityDisplay) knowledgeCapacityDisplay.textContent = formatNumber(game.getKnowledgeCapacity());
+    if (storageCostDisplay) storageCostDisplay.textContent = formatNumber(game.getStorageCost());
+    if (actionButtons.increaseLearningSpeed) actionButtons.increaseLearningSpeed.disabled = state.money < BOTTLES_CONFIG.knowledge.learningCost;
+    if (actionButtons.increaseStorage) actionButtons.increaseStorage.disabled = state.money < game.getStorageCost();
+
+    RESEARCH_TREE.forEach(node => {
+        const elements = researchElements[node.id];
+        if (!elements) return;
+
+        const status = game.getResearchStatus(node.id);
+        Object.entries(RESEARCH_STATUS_CLASSES).forEach(([statusName, classes]) => {
+            classes.forEach(className => elements.card.classList.toggle(className, statusName === status));
+        });
+        elements.cost.textContent = status === 'researched' ? 'Researched' : `${formatNumber(node.cost)} Kn`;
+        elements.card.disabled = status !== 'available' || state.knowledge < node.cost;
+    });
+}
+
+
+// --- EVENT HANDLERS ---
+
+/**
+ * Runs a game action from a button. Shows an error if it could not be done, and tips the
+ * first time the player buys a siphon or sells a gallon.
+ */
+function handleAction(action) {
+    if (!game[action]()) {
+        showMessage('Insufficient funds', true);
+        return;
+    }
+
+    if (action === 'buySiphon' && game.state.siphons === 1) showMessage(TIPS.firstSiphon);
+    if (action === 'sellWater' && game.state.moneyTotal === 1) showMessage(TIPS.firstSale);
+    renderUI();
+    if (action !== 'gatherWater') game.save();
+}
+
+/**
+ * Handles clicks on a research node (delegated from the research tree).
+ */
+function handleBuyResearch(event) {
+    const button = event.target.closest('[data-research-id]');
+    if (!button) return;
+
+    if (!game.buyResearch(button.dataset.researchId)) {
+        showMessage('Not enough knowledge', true);
+        return;
+    }
+    renderUI();
+    game.save();
+}
+
+
+// --- INITIALIZATION ---
+
+/**
+ * Finds all DOM elements used by the UI.
+ */
+function assignDOMElements() {
+    saveWarningDisplay = document.getElementById('save-warning-display');
+    waterDisplay = document.getElementById('water-display');
+    wpsDisplay = document.getElementById('wps-display');
+    moneyDisplay = document.getElementById('money-display');
+    siphonsDisplay = document.getElementById('siphons-display');
+    siphonCostDisplay = document.getElementById('siphon-cost-display');
+    marketingSection = document.getElementById('marketing-section');
+    marketingLevelDisplay = document.getElementById('marketing-level-display');
+    sellIntervalDisplay = document.getElementById('sell-interval-display');
+    salePriceDisplay = document.getElementById('sale-price-display');
+    marketingCostDisplay = document.getElementById('marketing-cost-display');
+    advancedTechUnlockEl = document.getElementById('advanced-tech-unlock');
+    advancedTechCostDisplay = document.getElementById('advanced-tech-cost-display');
+    advancedTechPanel = document.getElementById('advanced-tech-panel');
+    knowledgeDisplay = document.getElementById('knowledge-display');
+    knowledgeCapacityDisplay = document.getElementById('knowledge-capacity-display');
+    learningCostDisplay = document.getElementById('learning-cost-display');
+    storageCostDisplay = document.getElementById('storage-cost-display');
+    researchTreeEl = document.getElementById('research-tree');
+    tabLockOverlay = document.getElementById('tab-lock-overlay');
+    tabTakeoverButton = document.getElementById('tab-takeover-button');
+
+    actionButtons = {
+        gatherWater: document.getElementById('gather-button'),
+        buySiphon: document.getElementById('buy-siphon-button'),
+        sellWater: document.getElementById('sell-water-button'),
+        upgradeMarketing: document.getElementById('upgrade-marketing-button'),
+        unlockAdvancedTech: document.getElementById('unlock-advanced-tech-button'),
+        increaseLearningSpeed: document.getElementById('learning-speed-button'),
+        increaseStorage: document.getElementById('storage-button')
+    };
+
+    // Fixed prices never change, so they are filled in once
+    if (advancedTechCostDisplay) advancedTechCostDisplay.textContent = formatNumber(BOTTLES_CONFIG.advancedTechCost);
+    if (learningCostDisplay) learningCostDisplay.textContent = formatNumber(BOTTLES_CONFIG.knowledge.learningCost);
+}
+
+/**
+ * Wires up all button listeners.
+ */
+function setupEventListeners() {
+    Object.entries(actionButtons).forEach(([action, button]) => {
+        button?.addEventListener('click', () => handleAction(action));
+    });
+    researchTreeEl?.addEventListener('click', handleBuyResearch);
+    saveWarningDisplay?.addEventListener('click', () => showSaveWarning(null));
+    tabTakeoverButton?.addEventListener('click', handleTabTakeover);
+}
+
+/**
+ * Sets up and starts the Bottles game.
+ */
+export function initializeBottles() {
+    assignDOMElements();
+    notifications = createNotifications();
+    mountToasts(document.getElementById('toast-stack'), notifications);
+
+    // Same tab lock as the clicker, so Bottles and the clicker never run in two tabs at once
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_CHANNEL_NAME) : null;
+    tabLock = createTabLock({ storage: localStorage, clock: Date, channel });
+    tabLock.check();
+    game = createBottlesGame({ storage: localStorage, clock: Date, canSave: tabLock.holdsLock });
+
+    buildResearchTree();
+    setupEventListeners();
+
+    game.subscribe(handleGameEvent);
+    game.load();
+    tabLock.subscribe(handleTabLockEvent);
+    updateTabLockOverlay();
+
+    startGameLoop();
+}
@@ -0,0 +1,347 @@
+// --- CLOUD SAVE SYNC ---
+// Optionally keeps every mode's save in sync with a small REST endpoint, so progress can follow
+// the player to another browser. The endpoint (see server/cloud-save-server.js) stores one save
+// bundle per player:
+//   GET /saves/<playerId> - 200 with the stored bundle, or 404 if there is none
+//   PUT /saves/<playerId> - body { baseSavedAt, bundle }; 409 if the stored bundle is not the
+//                           one with savedAt === baseSavedAt (another device pushed since)
+// The game pushes shortly after it saves and pulls when it loads. Each device remembers the last
+// bundle it agreed on with the server, so it can tell which side changed since (see resolveSync).
+
+import { BigNumber } from './big-number.js';
+import { GAME_MODES } from './game-modes.js';
+import { validateSaveBundle, calculateChecksum } from './game-core.js';
+import { createCodedError } from './i18n.js';
+
+// Storage key of the stable player id, kept across sessions and shared by every mode
+export const PLAYER_ID_KEY = 'clickerPlayerId';
+
+// Storage key of the sync settings: { endpoint, lastSync: { savedAt, fingerprint } }
+export const CLOUD_SYNC_KEY = 'clickerCloudSync';
+
+export const CLOUD_SYNC_CONFIG = {
+    pushDelayMs: 30000,    // Saves are pushed at most this often
+    requestTimeoutMs: 8000, // Give up on a request to the endpoint after this long
+    maxPushRetries: 3       // Times a sync compares again after another device pushed first, before giving up
+};
+
+// Save fields that change without any progress (timestamps, play time, UI choices), left out of the
+// fingerprint so a tab that was only left open does not count as changed
+const UNTRACKED_SAVE_FIELDS = ['lastSaved', 'timePlayed', 'history', 'activeTab', 'buyQuantity'];
+
+/**
+ * Gets this browser's player id, creating and storing one on first use.
+ */
+export function getPlayerId(storage) {
+    let playerId = storage.getItem(PLAYER_ID_KEY);
+    if (!playerId) {
+        playerId = crypto.randomUUID();
+        storage.setItem(PLAYER_ID_KEY, playerId);
+    }
+    return playerId;
+}
+
+/**
+ * Trims an endpoint URL and its trailing slashes. An empty URL stays empty (the feature is off).
+ * Throws a coded Error (see createCodedError()) for anything but an http(s) URL.
+ */
+export function normalizeEndpoint(url) {
+    const endpoint = url.trim().replace(/\/+$/, '');
+    if (!endpoint) return endpoint;
+
+    let protocol = null;
+    try {
+        protocol = new URL(endpoint).protocol;
+    } catch (e) {
+        // Reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw createCodedError('errors.endpointNotHttp');
+    }
+    return endpoint;
+}
+
+/**
+ * Calculates a fingerprint of a bundle's saves that changes with any progress in any mode:
+ * clicks, upgrades, prestige, Bottles and so on. Object keys are sorted first, so the same
+ * saves give the same fingerprint however they were written.
+ */
+export function fingerprintSaves(saves) {
+    const json = JSON.stringify(saves, (key, value) => {
+        if (UNTRACKED_SAVE_FIELDS.includes(key)) return undefined;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+        return Object.fromEntries(Object.keys(value).sort().map(field => [field, value[field]]));
+    });
+    return calculateChecksum(json);
+}
+
+/**
+ * Summarizes a save bundle for conflict checks: { savedAt, mode, totalClicksEarned, fingerprint },
+ * where totalClicksEarned is the sum over every clicker mode (a BigNumber string) and fingerprint
+ * comes from fingerprintSaves().
+ */
+export function summarizeSaveBundle(bundle) {
+    let totalClicksEarned = BigNumber.from(0);
+    Object.values(GAME_MODES).forEach(({ id, page }) => {
+        const save = bundle.saves[id];
+        // Modes with their own page have their own economy without clicks
+        if (page || !save || !BigNumber.isValid(save.totalClicksEarned)) return;
+        totalClicksEarned = totalClicksEarned.add(save.totalClicksEarned);
+    });
+    return { savedAt: bundle.savedAt, mode: bundle.mode, totalClicksEarned: totalClicksEarned.toString(), fingerprint: fingerprintSaves(bundle.saves) };
+}
+
+/**
+ * Decides what a sync should do from the local and remote summaries and the last summary
+ * both sides agreed on (null before the first sync). The remote side changed if its timestamp
+ * moved on; this device changed if its saves' fingerprint did. Returns:
+ *   'push'     - only this device changed (or there is no remote save yet)
+ *   'pull'     - only the remote save changed, or this device has no progress at all
+ *   'none'     - neither side changed
+ *   'conflict' - both sides changed since the last sync; the player has to choose
+ */
+export function resolveSync(local, remote, lastSync) {
+    if (!remote) return 'push';
+
+    const remoteChanged = !lastSync || remote.savedAt !== lastSync.savedAt;
+    const localChanged = !lastSync || local.fingerprint !== lastSync.fingerprint;
+
+    if (!remoteChanged) return localChanged ? 'push' : 'none';
+    if (!localChanged || BigNumber.from(local.totalClicksEarned).isZero()) return 'pull';
+    return 'conflict';
+}
+
+/**
+ * Creates the cloud sync for a game instance.
+ *   storage - localStorage-like object holding the player id and sync settings
+ *   game    - game instance from createGame()
+ *   fetch   - fetch-like function used to reach the endpoint
+ *   canSync - called before every sync; return false to keep this instance from syncing
+ *             (e.g. while another browser tab owns the game)
+ * Listeners added with subscribe() are called as listener(type, detail) with 'status'
+ * ({ state: 'syncing' | 'synced' | 'error', error }, where error is the thrown Error of an
+ * 'error' status), 'conflict' ({ local, remote } summaries)
+ * or 'pulled' (the remote saves replaced the local ones; the game has stopped and should restart).
+ */
+export function createCloudSync({ storage, game, fetch = (...args) => globalThis.fetch(...args), logger = console, canSync = () => true }) {
+    const playerId = getPlayerId(storage);
+    const listeners = new Set();
+
+    let pushTimer = null;
+    let conflict = null; // { local, remote } bundles while the player has not chosen between them
+
+    /**
+     * Calls every subscribed listener with an event.
+     */
+    function emit(type, detail = {}) {
+        listeners.forEach(listener => listener(type, detail));
+    }
+
+    /**
+     * Adds a listener for sync events. Returns a function that removes it again.
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Reads the sync settings, treating unreadable data as sync being off.
+     */
+    function readSettings() {
+        try {
+            const settings = JSON.parse(storage.getItem(CLOUD_SYNC_KEY));
+            return settings && typeof settings.endpoint === 'string' ? settings : { endpoint: '', lastSync: null };
+        } catch (e) {
+            return { endpoint: '', lastSync: null };
+        }
+    }
+
+    /**
+     * Writes the sync settings.
+     */
+    function writeSettings(settings) {
+        storage.setItem(CLOUD_SYNC_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Remembers the bundle both sides now agree on.
+     */
+    function recordSync(bundle) {
+        const { savedAt, fingerprint } = summarizeSaveBundle(bundle);
+        writeSettings({ ...readSettings(), lastSync: { savedAt, fingerprint } });
+    }
+
+    /**
+     * Sets the endpoint URL. An empty URL turns sync off. Throws an Error for anything but an http(s) URL.
+     */
+    function setEndpoint(url) {
+        const endpoint = normalizeEndpoint(url);
+
+        // A different server knows nothing about the last sync with the old one
+        writeSettings({ endpoint, lastSync: null });
+        conflict = null;
+        logger.log(endpoint ? `[CloudSync] Syncing with ${endpoint}.` : "[CloudSync] Sync turned off.");
+    }
+
+    /**
+     * Sends a request for this player's save to the endpoint.
+     */
+    async function request(method, body) {
+        const { endpoint } = readSettings();
+        return fetch(`${endpoint}/saves/${encodeURIComponent(playerId)}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(CLOUD_SYNC_CONFIG.requestTimeoutMs)
+        });
+    }
+
+    /**
+     * Fetches the remote bundle, or null if the endpoint has none. Throws an Error if it cannot be used.
+     */
+    async function fetchRemote() {
+        const response = await request('GET');
+        if (response.status === 404) return null;
+        if (!response.ok) throw createCodedError('errors.syncServerStatus', { status: response.status });
+
+        const bundle = await response.json();
+        if (!bundle || !Number.isFinite(bundle.savedAt)) throw createCodedError('errors.cloudSaveNoTimestamp');
+        return validateSaveBundle(bundle, logger);
+    }
+
+    /**
+     * Uploads a bundle over the one with savedAt === baseSavedAt. Returns false if another device pushed first.
+     */
+    async function upload(bundle, baseSavedAt) {
+        const response = await request('PUT', { baseSavedAt, bundle });
+        if (response.status === 409) return false;
+        if (!response.ok) throw createCodedError('errors.syncServerStatus', { status: response.status });
+
+        recordSync(bundle);
+        return true;
+    }
+
+    /**
+     * Replaces the local saves with a remote bundle. The game stops, so the caller should restart it.
+     */
+    function applyRemote(bundle) {
+        if (!game.applySaveImport(bundle)) throw createCodedError('tabLock.readOnly');
+        recordSync(bundle);
+        logger.log("[CloudSync] Pulled the cloud save.");
+        emit('pulled');
+    }
+
+    /**
+     * Compares the local and remote saves and pushes, pulls or reports a conflict.
+     * Returns the action taken ('push', 'pull', 'none' or 'conflict'), 'off' if sync is off,
+     * or 'error' if the endpoint could not be used.
+     */
+    async function sync() {
+        return runSync(CLOUD_SYNC_CONFIG.maxPushRetries);
+    }
+
+    /**
+     * Runs a sync, comparing again at most retriesLeft more times if another device pushes first.
+     */
+    async function runSync(retriesLeft) {
+        if (!readSettings().endpoint || !canSync()) return 'off';
+
+        emit('status', { state: 'syncing' });
+        try {
+            const remote = await fetchRemote();
+            const local = game.createSyncBundle();
+            const action = resolveSync(summarizeSaveBundle(local), remote && summarizeSaveBundle(remote), readSettings().lastSync);
+
+            if (action === 'push' && !(await upload(local, remote ? remote.savedAt : null))) {
+                // Another device pushed in between; compare against its save instead
+                if (retriesLeft > 0) return runSync(retriesLeft - 1);
+                throw createCodedError('errors.cloudSaveKeptChanging');
+            }
+            if (action === 'pull') applyRemote(remote);
+            if (action === 'conflict') {
+                conflict = { local, remote };
+                emit('conflict', { local: summarizeSaveBundle(local), remote: summarizeSaveBundle(remote) });
+                return action;
+            }
+
+            emit('status', { state: 'synced' });
+            return action;
+        } catch (error) {
+            logger.error("[CloudSync] Sync failed:", error);
+            emit('status', { state: 'error', error });
+            return 'error';
+        }
+    }
+
+    /**
+     * Pushes the local saves soon, at most once per CLOUD_SYNC_CONFIG.pushDelayMs. Called after every save.
+     */
+    function requestPush() {
+        if (pushTimer || conflict || !readSettings().endpoint) return;
+        pushTimer = setTimeout(() => {
+            pushTimer = null;
+            push();
+        }, CLOUD_SYNC_CONFIG.pushDelayMs);
+    }
+
+    /**
+     * Pushes the local saves over the last synced remote save. If another device pushed since,
+     * falls back to a full sync so the two saves are compared first.
+     */
+    async function push() {
+        if (conflict || !readSettings().endpoint || !canSync()) return false;
+
+        try {
+            const lastSync = readSettings().lastSync;
+            if (await upload(game.createSyncBundle(), lastSync ? lastSync.savedAt : null)) {
+                emit('status', { state: 'synced' });
+                return true;
+            }
+        } catch (error) {
+            logger.error("[CloudSync] Push failed:", error);
+            emit('status', { state: 'error', error });
+            return false;
+        }
+
+        await sync();
+        return false;
+    }
+
+    /**
+     * Settles a conflict with the player's choice: 'local' keeps this device's saves and
+     * overwrites the cloud save, 'cloud' replaces this device's saves with the cloud save.
+     */
+    async function resolveConflict(choice) {
+        if (!conflict) return false;
+        const { local, remote } = conflict;
+        conflict = null;
+
+        try {
+            if (choice === 'cloud') {
+                applyRemote(remote);
+            } else if (!(await upload(game.createSyncBundle(), remote.savedAt))) {
+                return (await sync()) !== 'error'; // The cloud save changed again while the player was choosing
+            }
+            emit('status', { state: 'synced' });
+            return true;
+        } catch (error) {
+            conflict = { local, remote };
+            logger.error("[CloudSync] Could not settle the conflict:", error);
+            emit('status', { state: 'error', error });
+            return false;
+        }
+    }
+
+    return {
+        get playerId() { return playerId; },
+        get endpoint() { return readSettings().endpoint; },
+        get hasConflict() { return conflict !== null; },
+        subscribe,
+        setEndpoint,
+        sync,
+        requestPush,
+        push,
+        resolveConflict
+    };
+}
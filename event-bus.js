@@ -0,0 +1,44 @@
+// --- EVENT BUS ---
+// A small publish/subscribe hub shared by the game cores. Every event has a type and a detail
+// object; listeners either receive every event (subscribe) or only one type (on). A listener
+// that throws is logged and skipped, so one broken view cannot stop the others from updating.
+
+/**
+ * Creates an event bus.
+ *   logger - console-like object for listener errors
+ */
+export function createEventBus({ logger = console } = {}) {
+    const listeners = new Set();
+
+    /**
+     * Calls every subscribed listener with an event.
+     */
+    function emit(type, detail = {}) {
+        listeners.forEach(listener => {
+            try {
+                listener(type, detail);
+            } catch (error) {
+                logger.error(`[EventBus] A '${type}' listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Adds a listener for every event, called as listener(type, detail). Returns a function that removes it again.
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Adds a listener for one event type, called as listener(detail). Returns a function that removes it again.
+     */
+    function on(type, listener) {
+        return subscribe((eventType, detail) => {
+            if (eventType === type) listener(detail);
+        });
+    }
+
+    return { emit, subscribe, on };
+}
@@ -0,0 +1,2440 @@
+// --- HEADLESS GAME CORE ---
+// Game state, economy and save logic with no DOM access. Storage and time are injected
+// through createGame(), so the same core runs in the browser and in plain Node tests.
+// The UI (script.js) drives it through the returned API and re-renders on its events.
+
+import { BigNumber, formatBigNumber, NUMBER_NOTATIONS } from './big-number.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from './game-modes.js';
+import { createRandom } from './random.js';
+import { createEventBus } from './event-bus.js';
+import { normalizeCode, hashCode, checkCodeAvailability, sha256Hex } from './redeem-codes.js';
+import { createTranslator, createCodedError } from './i18n.js';
+
+// --- GLOBAL CONFIGURATION AND SAVE KEYS ---
+
+// Keys of the mode tracker and of the list of modes unlocked by code. Each mode's own save
+// key is part of its registration (see game-modes.js).
+export const GAME_MODE_KEY = 'clickerGameMode';
+export const UNLOCKED_MODES_KEY = 'clickerUnlockedModes';
+
+// Current save schema version. Bump it and add a step to SAVE_MIGRATIONS when the save format changes.
+export const SAVE_VERSION = 6;
+
+// Suffix of the key an unreadable save is moved to, e.g. 'cryptoClickerSaveQuarantine'
+export const QUARANTINE_KEY_SUFFIX = 'Quarantine';
+
+// Game loop timing. State advances in fixed steps of real elapsed time; the screen is
+// redrawn separately on every display frame. The pages autosave on a real timer, as often as
+// the player's autosaveSeconds setting asks (see settings.js).
+export const GAME_LOOP_CONFIG = {
+    tickMs: 100,          // Length of one fixed simulation step
+    maxStepsPerUpdate: 50 // Larger backlogs (e.g. a throttled background tab) are applied as one step
+};
+
+// Stats history: key stats are sampled on a timer into a bounded time series stored with the save
+export const STATS_HISTORY_CONFIG = {
+    sampleIntervalSeconds: 30, // Game time between two samples
+    maxSamples: 480            // When full, every other sample in the older half is dropped
+};
+
+// Stats recorded in every history sample (all BigNumbers, stored as strings)
+export const STATS_HISTORY_FIELDS = ['clicks', 'cps', 'totalClicksEarned', 'totalClicksSpent'];
+
+// Time windows the stats history can be viewed in: this session, the last 24 hours or all time
+export const STATS_HISTORY_WINDOWS = {
+    session: "Session",
+    day: "24h",
+    all: "All Time"
+};
+
+// Header and format version of exported save strings ("CCSAVE1:<data>:<checksum>")
+export const SAVE_EXPORT_PREFIX = 'CCSAVE1';
+
+// Offline progress: how much of the normal CPS is earned while the game is closed
+export const OFFLINE_PROGRESS_CONFIG = {
+    maxSeconds: 8 * 60 * 60, // Cap offline earnings at 8 hours away
+    efficiency: 0.5,         // Earn 50% of the normal CPS while away
+    minSeconds: 10           // Ignore short gaps such as a page refresh
+};
+
+// Key of the named admin state snapshots, shared by all modes: { [name]: { mode, savedAt, data } }
+export const ADMIN_SNAPSHOTS_KEY = 'clickerAdminSnapshots';
+
+// Admin tools: undo history, time-skip and snapshot limits
+export const ADMIN_CONFIG = {
+    historyLimit: 100,                    // Undoable admin changes kept (this session only)
+    maxTimeSkipSeconds: 7 * 24 * 60 * 60, // Longest time-skip: one week
+    timeSkipStepSeconds: 30,              // A time-skip runs in steps this long, so buffs expire and stats are sampled on time
+    maxSnapshots: 20,
+    maxSnapshotNameLength: 40,
+    maxLogValueLength: 120,               // Longer old/new values are shortened in the audit log
+    // hashAdminPassphrase() of the passphrase that unlocks the admin panel. Set it before deploying;
+    // while it is null the panel cannot be unlocked at all.
+    passphraseHash: null
+};
+
+// Prefix hashed together with the admin passphrase, so the hash cannot be looked up in tables of plain SHA-256 hashes
+const ADMIN_PASSPHRASE_HASH_PREFIX = 'clicker-admin:';
+
+// --- GAME STATE STRUCTURES ---
+
+
+// Achievement definitions. Each achievement compares one tracked stat against a target.
+//   stat   - 'totalClicksEarned', 'totalUpgrades', 'highestUpgradeLevel', 'cps',
+//            'codesRedeemed', 'modeSwitches' or 'timePlayed' (seconds)
+//   bonus  - optional permanent bonus once unlocked, in percent: { cpcPercent, cpsPercent }
+export const ACHIEVEMENTS = [
+    { id: 'firstClick', name: "Hello World", description: "Earn your first click.", stat: 'totalClicksEarned', target: 1 },
+    { id: 'clicks1k', name: "Getting Started", description: "Earn 1,000 total clicks.", stat: 'totalClicksEarned', target: 1000, bonus: { cpcPercent: 1 } },
+    { id: 'clicks100k', name: "Six Figures", description: "Earn 100,000 total clicks.", stat: 'totalClicksEarned', target: 100000, bonus: { cpsPercent: 2 } },
+    { id: 'clicks10m', name: "Click Tycoon", description: "Earn 10,000,000 total clicks.", stat: 'totalClicksEarned', target: 10000000, bonus: { cpcPercent: 5, cpsPercent: 5 } },
+    { id: 'firstUpgrade', name: "Upgraded", description: "Buy your first upgrade.", stat: 'totalUpgrades', target: 1 },
+    { id: 'upgrades50', name: "Collector", description: "Own 50 upgrade levels in total.", stat: 'totalUpgrades', target: 50, bonus: { cpsPercent: 2 } },
+    { id: 'upgradeLevel25', name: "Specialist", description: "Reach level 25 on any single upgrade.", stat: 'highestUpgradeLevel', target: 25, bonus: { cpcPercent: 2 } },
+    { id: 'cps100', name: "Autopilot", description: "Reach 100 clicks per second (CPS).", stat: 'cps', target: 100, bonus: { cpsPercent: 1 } },
+    { id: 'cps1000', name: "Click Factory", description: "Reach 1,000 clicks per second (CPS).", stat: 'cps', target: 1000, bonus: { cpsPercent: 3 } },
+    { id: 'firstCode', name: "Insider", description: "Redeem a secret code.", stat: 'codesRedeemed', target: 1 },
+    { id: 'modeSwitch', name: "Change of Scenery", description: "Switch game modes.", stat: 'modeSwitches', target: 1 },
+    { id: 'play10m', name: "Warming Up", description: "Play for 10 minutes.", stat: 'timePlayed', target: 10 * 60 },
+    { id: 'play1h', name: "Dedicated", description: "Play for 1 hour.", stat: 'timePlayed', target: 60 * 60, bonus: { cpcPercent: 2, cpsPercent: 2 } }
+];
+
+// Quantities offered by the upgrade panel's buy selector. 'max' buys as many levels as the player can afford.
+export const BUY_QUANTITIES = ['1', '10', '100', 'max'];
+
+// Prestige: resetting a mode's progress awards prestige points based on lifetime clicks earned.
+// The total points a save can have earned is floor(sqrt(totalClicksEarned / clicksPerPoint)).
+export const PRESTIGE_CONFIG = {
+    clicksPerPoint: 1000000,
+    minPointsToPrestige: 1
+};
+
+// Permanent prestige upgrades, bought with prestige points. Shared by every mode.
+//   cpcPercent / cpsPercent - bonus per level, in percent
+//   discountPercent         - upgrade cost reduction per level, in percent
+//   maxLevel                - optional level cap
+export const PRESTIGE_UPGRADES = [
+    {
+        id: 'clickMastery',
+        name: "Click Mastery",
+        description: "+10% Click Power (CP) per level.",
+        baseCost: 1,
+        costMultiplier: 2,
+        cpcPercent: 10
+    },
+    {
+        id: 'deepAutomation',
+        name: "Deep Automation",
+        description: "+10% Clicks Per Second (CPS) per level.",
+        baseCost: 1,
+        costMultiplier: 2,
+        cpsPercent: 10
+    },
+    {
+        id: 'bulkDeals',
+        name: "Bulk Deals",
+        description: "Upgrades cost 5% less per level (max 10 levels).",
+        baseCost: 2,
+        costMultiplier: 2.5,
+        discountPercent: 5,
+        maxLevel: 10
+    }
+];
+
+// Random events: bonus targets appear over the clicker at random intervals (in game time)
+// and disappear again if they are not clicked in time
+export const RANDOM_EVENT_CONFIG = {
+    minDelaySeconds: 60,  // Shortest time between two targets
+    maxDelaySeconds: 180, // Longest time between two targets
+    lifetimeSeconds: 12   // How long a target stays clickable
+};
+
+// Random event definitions. Clicking a target picks one, with chances proportional to its weight.
+//   reward.type 'clicks' - instant lump sum: the larger of cpsSeconds of CPS and cpcClicks clicks' worth of CP
+//   reward.type 'buff'   - multiplies a stat ('cpc'/'cps') for durationSeconds of real time
+// Buff stacking: different buffs multiply together (and with every other bonus); getting a buff
+// that is already active restarts its timer at the full duration instead of stacking it twice.
+export const RANDOM_EVENTS = [
+    {
+        id: 'luckyFind',
+        name: "Lucky Find",
+        description: "Instantly earn 5 minutes of CPS (at least 50 clicks' worth of CP).",
+        weight: 5,
+        reward: { type: 'clicks', cpsSeconds: 300, cpcClicks: 50 }
+    },
+    {
+        id: 'overdrive',
+        name: "Overdrive",
+        description: "x7 CPS for 60 seconds.",
+        weight: 3,
+        reward: { type: 'buff', stat: 'cps', multiplier: 7, durationSeconds: 60 }
+    },
+    {
+        id: 'clickFrenzy',
+        name: "Click Frenzy",
+        description: "x10 CP for 15 seconds.",
+        weight: 2,
+        reward: { type: 'buff', stat: 'cpc', multiplier: 10, durationSeconds: 15 }
+    }
+];
+
+
+// --- STAT MODIFIERS ---
+
+// Click Power (CP) and Clicks Per Second (CPS) are calculated by running a base value through
+// a pipeline of modifiers. Each modifier is an object with:
+//   id        - unique id; adding a modifier with an id that is in use replaces it
+//   stat      - 'cpc' or 'cps' (see MODIFIED_STATS)
+//   type      - 'add' (adds the value), 'multiply' (multiplies by the value) or 'set' (replaces the result)
+//   value     - number, BigNumber or numeric string
+//   order     - modifiers run from the lowest order to the highest (see MODIFIER_ORDER)
+//   source    - label shown in the CP/CPS breakdown
+//   expiresAt - optional clock time (ms) at which the modifier is removed
+export const MODIFIER_TYPES = ['add', 'multiply', 'set'];
+
+// Stats calculated by the modifier pipeline, with the value the pipeline starts from
+export const MODIFIED_STATS = {
+    cpc: { name: "Click Power (CP)", base: 1 },
+    cps: { name: "Clicks Per Second (CPS)", base: 0 }
+};
+
+// Order of the built-in modifier sources. Other systems pick an order between them.
+export const MODIFIER_ORDER = {
+    upgrades: 0,
+    achievements: 100,
+    prestige: 200,
+    buffs: 300,
+    admin: 1000 // Admin overrides run last, so they replace everything before them
+};
+
+/**
+ * Checks a modifier and fills in its defaults. Throws an Error describing the first problem.
+ */
+export function normalizeModifier(modifier) {
+    if (!modifier || typeof modifier.id !== 'string' || !modifier.id) throw new Error('A modifier needs an id.');
+    if (!MODIFIED_STATS[modifier.stat]) throw new Error(`Modifier "${modifier.id}" has an unknown stat: ${modifier.stat}.`);
+    if (!MODIFIER_TYPES.includes(modifier.type)) throw new Error(`Modifier "${modifier.id}" has an unknown type: ${modifier.type}.`);
+    if (!BigNumber.isValid(modifier.value)) throw new Error(`Modifier "${modifier.id}" has an invalid value.`);
+    if (modifier.expiresAt !== undefined && modifier.expiresAt !== null && !Number.isFinite(modifier.expiresAt)) {
+        throw new Error(`Modifier "${modifier.id}" has an invalid expiry time.`);
+    }
+
+    return {
+        order: 0,
+        source: modifier.id,
+        ...modifier,
+        value: BigNumber.from(modifier.value),
+        expiresAt: modifier.expiresAt ?? null
+    };
+}
+
+/**
+ * Runs a base value through a list of modifiers in order. Returns the final value and one
+ * step per modifier with the running result after it: { value, steps: [{ modifier, result }] }.
+ */
+export function applyModifiers(base, modifiers) {
+    const ordered = [...modifiers].sort((a, b) => a.order - b.order); // Stable: same-order modifiers keep their insertion order
+    let value = BigNumber.from(base);
+    const steps = ordered.map(modifier => {
+        if (modifier.type === 'add') value = value.add(modifier.value);
+        if (modifier.type === 'multiply') value = value.mul(modifier.value);
+        if (modifier.type === 'set') value = modifier.value;
+        return { modifier, result: value };
+    });
+    return { value, steps };
+}
+
+
+// Game state fields that hold BigNumbers. They are saved as strings and converted back on load.
+export const BIG_NUMBER_FIELDS = ['clicks', 'totalClicksEarned', 'totalClicksSpent', 'cpc', 'cps', 'peakCps'];
+
+// Default Game State structure. Upgrade levels are filled in per mode by createDefaultGameState().
+export const DEFAULT_GAME_STATE = {
+    clicks: 0,
+    totalClicksEarned: 0,
+    totalClicksSpent: 0, // Clicks spent on upgrades
+    cpc: 1,
+    cps: 0,
+    peakCps: 0, // Highest CPS reached in this mode
+    version: SAVE_VERSION,
+    upgrades: {},
+    buyQuantity: '1', // Selected entry of BUY_QUANTITIES
+    activeTab: 'upgrades',
+    hasAdminAccess: false,  // The admin code was redeemed, so the Admin tab is shown
+    isAdminUnlocked: false, // The admin passphrase was entered and the panel was not locked again
+    adminLog: [],           // Append-only audit log of admin actions: { at, action, field, oldValue, newValue }
+    adminOverrides: {}, // Stat ('cpc'/'cps') mapped to the value an admin set it to, as a BigNumber string
+    buffs: {},          // Active buff ids (see RANDOM_EVENTS) mapped to { expiresAt } (clock time in ms)
+    codeRedemptions: [], // Redeemed codes, oldest first: { id, redeemedAt } (id from the code registry, time in ms)
+    stats: {
+        codesRedeemed: 0,
+        modeSwitches: 0,
+        timePlayed: 0 // Seconds with the game open in this mode
+    },
+    achievements: {}, // Unlocked achievement ids mapped to their unlock timestamp
+    history: [],      // Stats samples: { t, clicks, cps, totalClicksEarned, totalClicksSpent }
+    prestige: {
+        points: 0,            // Unspent prestige points
+        totalPointsEarned: 0, // Every point ever awarded, used to work out the next award
+        resets: 0,
+        upgrades: {}          // Prestige upgrade ids mapped to their level
+    },
+    lastSaved: 0 // Timestamp (ms) of the last save, used for offline progress
+};
+
+/**
+ * Creates a fresh game state with a level entry for every upgrade in the given mode.
+ */
+export function createDefaultGameState(mode) {
+    const state = JSON.parse(JSON.stringify(DEFAULT_GAME_STATE));
+    BIG_NUMBER_FIELDS.forEach(field => {
+        state[field] = BigNumber.from(state[field]);
+    });
+    GAME_MODES[mode].upgrades.forEach(upgrade => {
+        state.upgrades[upgrade.id] = { level: 0 };
+    });
+    return state;
+}
+
+// Ordered save migration steps. Step N upgrades a version N-1 save to version N.
+// Saves written before versioning was added are version 0.
+export const SAVE_MIGRATIONS = [
+    {
+        version: 1,
+        description: "key upgrade levels by registry id",
+        migrate(data, mode) {
+            // Version 0 saves used the crypto upgrade keys in every mode and stored cost data per save
+            const savedUpgrades = data.upgrades || {};
+            const upgrades = {};
+            Object.entries(savedUpgrades).forEach(([key, upgrade]) => {
+                const config = GAME_MODES[mode].upgrades.find(item => item.id === key || item.legacyKey === key);
+                upgrades[config ? config.id : key] = { level: (upgrade && upgrade.level) || 0 };
+            });
+            data.upgrades = upgrades;
+            return data;
+        }
+    },
+    {
+        version: 2,
+        description: "add stats and achievements, drop derived totals",
+        migrate(data) {
+            data.stats = data.stats || {};
+            data.achievements = data.achievements || {};
+            delete data.totalUpgrades; // Recalculated by updateCPS()
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: "add prestige data",
+        migrate(data) {
+            data.prestige = data.prestige || { points: 0, totalPointsEarned: 0, resets: 0, upgrades: {} };
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: "store click counts as BigNumber strings",
+        migrate(data) {
+            BIG_NUMBER_FIELDS.forEach(field => {
+                if (typeof data[field] === 'number') data[field] = BigNumber.from(data[field]).toString();
+            });
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: "move admin CP/CPS overrides into the modifier pipeline",
+        migrate(data) {
+            data.adminOverrides = {};
+            if (data.isCpcOverridden) data.adminOverrides.cpc = data.cpc;
+            if (data.isCpsOverridden) data.adminOverrides.cps = data.cps;
+            delete data.isCpcOverridden;
+            delete data.isCpsOverridden;
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: "gate the admin panel behind a passphrase and add the audit log",
+        migrate(data) {
+            // The admin code used to unlock the panel for good; now it only shows the tab
+            data.hasAdminAccess = data.isAdminUnlocked === true;
+            data.isAdminUnlocked = false;
+            data.adminLog = [];
+            if (data.hasAdminAccess) {
+                // Keep saves that used the panel before the log existed marked as modified
+                data.adminLog.push({ at: data.lastSaved || 0, action: "Used the admin panel before admin actions were logged", field: null, oldValue: null, newValue: null });
+            }
+            return data;
+        }
+    }
+];
+
+
+// --- SAVE DATA HELPERS ---
+
+/**
+ * Runs every migration step newer than the save's version, in order.
+ * Saves written before versioning was added are treated as version 0.
+ */
+export function migrateSaveData(data, mode, logger = console) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw createCodedError('errors.saveNotObject');
+    }
+
+    const savedVersion = Number.isInteger(data.version) ? data.version : 0;
+    if (savedVersion > SAVE_VERSION) {
+        throw createCodedError('errors.saveTooNew', { version: savedVersion });
+    }
+
+    let migratedData = data;
+    SAVE_MIGRATIONS.forEach(step => {
+        if (step.version <= savedVersion) return;
+        migratedData = step.migrate(migratedData, mode);
+        migratedData.version = step.version;
+        logger.log(`[Load] Migrated ${mode} save to v${step.version}: ${step.description}.`);
+    });
+    return migratedData;
+}
+
+/**
+ * Checks that a migrated save has the fields the game depends on. Throws an Error describing the first problem.
+ */
+export function validateSaveData(data) {
+    const isCount = value => BigNumber.isValid(value) && !BigNumber.from(value).isNegative();
+
+    if (!isCount(data.clicks)) throw createCodedError('errors.clicksInvalid');
+    if (data.totalClicksEarned !== undefined && !isCount(data.totalClicksEarned)) {
+        throw createCodedError('errors.totalClicksEarnedInvalid');
+    }
+    if (data.totalClicksSpent !== undefined && !isCount(data.totalClicksSpent)) {
+        throw createCodedError('errors.totalClicksSpentInvalid');
+    }
+    if (!data.upgrades || typeof data.upgrades !== 'object') throw createCodedError('errors.upgradesMissing');
+
+    Object.entries(data.upgrades).forEach(([upgradeId, upgrade]) => {
+        if (!upgrade || !Number.isInteger(upgrade.level) || upgrade.level < 0) {
+            throw createCodedError('errors.upgradeLevelInvalid', { upgrade: upgradeId });
+        }
+    });
+}
+
+/**
+ * Checks that a stats history sample has a timestamp and a valid value for every field.
+ */
+function isStatsSample(sample) {
+    return !!sample && Number.isFinite(sample.t) && STATS_HISTORY_FIELDS.every(field => BigNumber.isValid(sample[field]));
+}
+
+/**
+ * Checks that an audit log entry has a timestamp and an action.
+ */
+function isAdminLogEntry(entry) {
+    return !!entry && Number.isFinite(entry.at) && typeof entry.action === 'string';
+}
+
+/**
+ * Checks that a code redemption record has a code id and a timestamp.
+ */
+function isCodeRedemption(redemption) {
+    return !!redemption && typeof redemption.id === 'string' && Number.isFinite(redemption.redeemedAt);
+}
+
+/**
+ * Deep-merges loaded save data over a default state. Fields with the wrong type keep their
+ * default value, and fields this version does not know about are kept so they survive a re-save.
+ */
+export function mergeSaveData(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        const defaultValue = target[key];
+        const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+
+        if (defaultValue instanceof BigNumber) {
+            // Saved as a string (or a plain number in older saves)
+            if (BigNumber.isValid(value)) target[key] = BigNumber.from(value);
+        } else if (isObject(defaultValue) && isObject(value)) {
+            mergeSaveData(defaultValue, value);
+        } else if (defaultValue === undefined || typeof defaultValue === typeof value) {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+
+// --- ADMIN STATE EDITING ---
+
+/**
+ * Checks game state edited by hand in the admin editor: a current-version save whose fields
+ * have the types of the default state and whose upgrades belong to the given mode.
+ * Throws an Error naming the first problem.
+ */
+export function validateStateEdit(data, mode) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw createCodedError('errors.stateNotObject');
+    if (data.version !== SAVE_VERSION) throw createCodedError('errors.stateVersionChanged', { version: SAVE_VERSION });
+    validateSaveData(data);
+    checkStateFieldTypes(data, DEFAULT_GAME_STATE, '');
+
+    const unknownUpgrade = Object.keys(data.upgrades).find(upgradeId => !GAME_MODES[mode].upgrades.some(upgrade => upgrade.id === upgradeId));
+    if (unknownUpgrade) throw createCodedError('errors.stateUnknownUpgrade', { upgrade: unknownUpgrade, mode: GAME_MODES[mode].name });
+}
+
+/**
+ * Checks that every field of edited state that the default state also has is of the same type.
+ */
+function checkStateFieldTypes(data, defaults, path) {
+    Object.entries(defaults).forEach(([key, defaultValue]) => {
+        if (data[key] === undefined) return; // Missing fields get their default value
+        const value = data[key];
+        const name = path + key;
+
+        if (!path && BIG_NUMBER_FIELDS.includes(key)) {
+            if (!BigNumber.isValid(value)) throw createCodedError('errors.stateFieldNotNumber', { field: name });
+        } else if (Array.isArray(defaultValue)) {
+            if (!Array.isArray(value)) throw createCodedError('errors.stateFieldNotList', { field: name });
+        } else if (defaultValue !== null && typeof defaultValue === 'object') {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) throw createCodedError('errors.stateFieldNotObject', { field: name });
+            checkStateFieldTypes(value, defaultValue, `${name}.`);
+        } else if (typeof value !== typeof defaultValue) {
+            throw createCodedError('errors.stateFieldWrongType', { field: name, type: typeof defaultValue });
+        }
+    });
+}
+
+/**
+ * Lists the differences between two plain state objects as [{ path, before, after }], where
+ * path is the list of keys down to the changed value. Lists are compared as a whole.
+ */
+export function diffStates(before, after, path = []) {
+    const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].flatMap(key => diffStates(before[key], after[key], [...path, key]));
+    }
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path, before, after }];
+}
+
+/**
+ * Turns an old or new value into what the audit log stores: lists by their length and other
+ * values as JSON, shortened to ADMIN_CONFIG.maxLogValueLength characters.
+ */
+function toLogValue(value) {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) return `[${value.length} entries]`;
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > ADMIN_CONFIG.maxLogValueLength ? `${text.slice(0, ADMIN_CONFIG.maxLogValueLength - 1)}…` : text;
+}
+
+/**
+ * Calculates the hash of an admin passphrase, as configured in ADMIN_CONFIG.passphraseHash.
+ */
+export function hashAdminPassphrase(passphrase) {
+    return sha256Hex(ADMIN_PASSPHRASE_HASH_PREFIX + passphrase);
+}
+
+/**
+ * Sets the value at a path of keys in a plain object, creating missing parents.
+ * An undefined value removes the key.
+ */
+function setStatePath(data, path, value) {
+    const parent = path.slice(0, -1).reduce((item, key) => {
+        if (item[key] === null || typeof item[key] !== 'object') item[key] = {};
+        return item[key];
+    }, data);
+    const key = path[path.length - 1];
+    if (value === undefined) {
+        delete parent[key];
+    } else {
+        parent[key] = value;
+    }
+}
+
+
+// --- SAVE EXPORT ENCODING ---
+
+/**
+ * Calculates a 32-bit FNV-1a checksum of a string, as 8 hex characters.
+ */
+export function calculateChecksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Encodes a string as base64, keeping non-ASCII characters intact.
+ */
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string created by encodeBase64().
+ */
+function decodeBase64(encoded) {
+    const binary = atob(encoded);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encodes saves into a portable, checksummed save string.
+ */
+export function encodeSaveExport(data) {
+    const payload = encodeBase64(JSON.stringify(data));
+    return `${SAVE_EXPORT_PREFIX}:${payload}:${calculateChecksum(payload)}`;
+}
+
+/**
+ * Validates and decodes a save string. Throws an Error describing the problem if it is invalid.
+ */
+export function parseSaveExport(text, logger = console) {
+    const parts = text.trim().split(':');
+    if (parts.length !== 3 || parts[0] !== SAVE_EXPORT_PREFIX) {
+        throw createCodedError('errors.notSaveString');
+    }
+
+    const [, payload, checksum] = parts;
+    if (calculateChecksum(payload) !== checksum) {
+        throw createCodedError('errors.saveChecksumMismatch');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(decodeBase64(payload));
+    } catch (e) {
+        throw createCodedError('errors.saveNotDecodable');
+    }
+
+    return validateSaveBundle(data, logger);
+}
+
+/**
+ * Checks a bundle of every mode's save ({ mode, saves }, as in save exports and cloud saves) and
+ * brings each save up to the current schema. Throws an Error describing the first problem.
+ */
+export function validateSaveBundle(data, logger = console) {
+    if (!data || !GAME_MODES[data.mode] || GAME_MODES[data.mode].page || !data.saves) {
+        throw createCodedError('errors.bundleIncomplete');
+    }
+
+    const modes = Object.keys(GAME_MODES).filter(mode => data.saves[mode]);
+    if (modes.length === 0) {
+        throw createCodedError('errors.bundleEmpty');
+    }
+    modes.forEach(mode => {
+        // Modes with their own page check their saves when that page loads them
+        if (GAME_MODES[mode].page) {
+            if (typeof data.saves[mode] !== 'object') throw createCodedError('errors.bundleSaveInvalid', { mode });
+            return;
+        }
+
+        // Bring each save up to the current schema so the preview and import see the same data loadGame() will
+        try {
+            data.saves[mode] = migrateSaveData(data.saves[mode], mode, logger);
+            validateSaveData(data.saves[mode]);
+        } catch (error) {
+            throw createCodedError('errors.bundleSaveInvalidReason', { mode, reason: error });
+        }
+    });
+
+    return data;
+}
+
+
+// --- REGISTRY TEXTS ---
+// The display texts of the registries (game modes, upgrades, achievements, ...) keep their English
+// text in the registry. Catalogs of other locales translate them under keys built from the
+// registry and the entry id, e.g. 'achievements.firstClick.name' (see i18n.js).
+
+/**
+ * Translates a display text of a registry entry, falling back to the English text in the registry.
+ *   prefix - registry key: 'modes', 'modes.<mode id>.upgrades', 'achievements', 'prestigeUpgrades'
+ *            or 'randomEvents'
+ */
+export function translateEntry(translator, prefix, entry, field) {
+    return translator.t(`${prefix}.${entry.id}.${field}`, {}, entry[field]);
+}
+
+/**
+ * Lists every registry text by its catalog key, with its English text. The id-to-label maps
+ * (MODIFIED_STATS, STATS_HISTORY_WINDOWS and NUMBER_NOTATIONS) use 'stats.<id>.name',
+ * 'statsWindows.<id>' and 'notations.<id>'.
+ */
+export function getRegistryTexts() {
+    const texts = {};
+    const addEntries = (prefix, entries, fields) => entries.forEach(entry => fields.forEach(field => {
+        if (typeof entry[field] === 'string') texts[`${prefix}.${entry.id}.${field}`] = entry[field];
+    }));
+
+    Object.values(GAME_MODES).forEach(mode => {
+        addEntries('modes', [mode], mode.page ? ['name', 'title'] : ['name', 'title', 'clickButtonText']);
+        addEntries(`modes.${mode.id}.upgrades`, mode.upgrades, ['name', 'description']);
+    });
+    addEntries('achievements', ACHIEVEMENTS, ['name', 'description']);
+    addEntries('prestigeUpgrades', PRESTIGE_UPGRADES, ['name', 'description']);
+    addEntries('randomEvents', RANDOM_EVENTS, ['name', 'description']);
+    Object.entries(MODIFIED_STATS).forEach(([stat, { name }]) => { texts[`stats.${stat}.name`] = name; });
+    Object.entries(STATS_HISTORY_WINDOWS).forEach(([window, label]) => { texts[`statsWindows.${window}`] = label; });
+    Object.entries(NUMBER_NOTATIONS).forEach(([notation, label]) => { texts[`notations.${notation}`] = label; });
+    return texts;
+}
+
+
+// --- COST FORMULAS ---
+
+/**
+ * Calculates the cost of the next upgrade level, as a BigNumber.
+ */
+export function calculateCost(baseCost, multiplier, currentLevel) {
+    return BigNumber.from(multiplier).pow(currentLevel).mul(baseCost).floor();
+}
+
+/**
+ * Calculates the floored total cost of the first `levels` levels, the geometric series
+ *   baseCost * (multiplier^levels - 1) / (multiplier - 1)
+ */
+function calculateTotalCost(baseCost, multiplier, levels) {
+    const series = BigNumber.from(multiplier).pow(levels).sub(1).mul(baseCost).div(multiplier - 1);
+    return series.floor();
+}
+
+/**
+ * Calculates the total cost of buying `quantity` levels starting at `currentLevel`, in closed form
+ * as the difference of two totals from calculateTotalCost(). Flooring the running total rather
+ * than each level keeps the rounding from adding up, and a bulk buy costs exactly as much as
+ * buying the same levels one at a time. Once the totals are too large to have a fractional part
+ * (see BigNumber), the levels are summed directly so the difference of two huge totals does not
+ * lose precision.
+ */
+export function calculateBulkCost(baseCost, multiplier, currentLevel, quantity) {
+    if (quantity <= 0) return BigNumber.from(0);
+    if (multiplier === 1) return calculateCost(baseCost, multiplier, currentLevel).mul(quantity);
+
+    const total = calculateTotalCost(baseCost, multiplier, currentLevel + quantity);
+    if (!total.isExact()) {
+        const firstCost = BigNumber.from(multiplier).pow(currentLevel).mul(baseCost);
+        return firstCost.mul(BigNumber.from(multiplier).pow(quantity).sub(1)).div(multiplier - 1);
+    }
+    return total.sub(calculateTotalCost(baseCost, multiplier, currentLevel));
+}
+
+/**
+ * Calculates how many levels starting at `currentLevel` can be bought with `budget` clicks,
+ * by solving the geometric series sum for the quantity.
+ */
+export function calculateMaxAffordable(baseCost, multiplier, currentLevel, budget) {
+    const available = BigNumber.from(budget);
+    if (multiplier === 1) {
+        return Math.max(0, Math.floor(available.div(calculateCost(baseCost, multiplier, currentLevel)).toNumber()));
+    }
+
+    // Every level up to the one whose running total is still within what is owned plus the budget
+    const target = calculateTotalCost(baseCost, multiplier, currentLevel).add(available);
+    const ratio = target.mul(multiplier - 1).div(baseCost).add(1);
+    let quantity = Math.floor(ratio.log10() / Math.log10(multiplier)) - currentLevel;
+
+    // Flooring and floating-point rounding can put the solution one level off at the boundary
+    if (quantity > 0 && calculateBulkCost(baseCost, multiplier, currentLevel, quantity).gt(available)) {
+        quantity -= 1;
+    } else if (calculateBulkCost(baseCost, multiplier, currentLevel, quantity + 1).lte(available)) {
+        quantity += 1;
+    }
+    return Math.max(0, quantity);
+}
+
+
+// --- GAME INSTANCE ---
+
+/**
+ * Creates a game instance.
+ *   storage - localStorage-like object with getItem/setItem/removeItem
+ *   clock   - object whose now() returns the current time in ms
+ *   logger  - console-like object for the [Tag] log lines
+ *   canSave - called before every write; return false to keep this instance from saving
+ *             (e.g. while another browser tab owns the game)
+ *   random  - random number generator from createRandom(); pass a seeded one for reproducible events
+ *   codes   - code registry entries from parseCodeRegistry() (see redeem-codes.js); until they are
+ *             given here or with setCodes(), redeemCode() reports that codes are unavailable
+ *   translator - translator from createTranslator() for the player-facing messages (see i18n.js);
+ *                English by default. Switching its locale also switches the core's messages.
+ *   adminPassphraseHash - hashAdminPassphrase() of the passphrase that unlocks the admin panel;
+ *                         null keeps the panel locked
+ * The instance owns the game state and announces what happens on its event bus (see
+ * event-bus.js): listeners added with subscribe() are called as listener(type, detail), and
+ * on(type, listener) listens for a single type. The events are:
+ *   'change'          - the state changed and should be redrawn
+ *   'load'            - { offlineReport, saveWarning }
+ *   'save'            - the state was written to storage
+ *   'save-failed'     - { error } writing to storage threw (e.g. the storage is full)
+ *   'click'           - { clicksGained } from a manual click
+ *   'purchase'        - { kind: 'upgrade' | 'prestige', id, name, quantity, cost }
+ *   'purchase-failed' - { kind, id, name, reason }
+ *   'code-redeemed'   - { status, message, code, reward }, the result of redeemCode()
+ *   'mode-switched'   - { mode, previousMode }
+ *   'reset'           - { isHard } after resetProgress() or hardReset()
+ *   'achievement'     - { achievement }
+ *   'randomEvent'     - { target }
+ *   'admin-history'   - the admin undo/redo history or the audit log changed (see getAdminHistory() and getAdminLog())
+ */
+export function createGame({ storage = globalThis.localStorage, clock = Date, logger = console, canSave = () => true, random = createRandom(), codes = null, translator = createTranslator(), adminPassphraseHash = ADMIN_CONFIG.passphraseHash } = {}) {
+    // Id of the active mode (see GAME_MODES). Defaults to DEFAULT_GAME_MODE.
+    let gameMode = readSavedMode();
+
+    // Current active game state object
+    let gameState = createDefaultGameState(gameMode);
+
+    // Fixed-step loop state: time of the last update and unsimulated time carried over
+    let lastTickTime = clock.now();
+    let tickAccumulatorMs = 0;
+
+    // Set once the stored saves were replaced (reset or import), so nothing saves over the new data
+    let isStopped = false;
+
+    // Game time since the last stats history sample
+    let historyElapsedSeconds = 0;
+
+    // CP/CPS modifiers by id (see STAT MODIFIERS). The built-in sources (upgrades, achievements,
+    // prestige and admin overrides) are rebuilt by updateCPS(); others stay until removed or expired.
+    const modifiers = new Map();
+
+    // Random events: game time until the next target appears, and the target currently on
+    // screen ({ id, eventId, x, y, remainingSeconds }, x/y as fractions of the clicker area) or null
+    let nextEventSeconds = random.between(RANDOM_EVENT_CONFIG.minDelaySeconds, RANDOM_EVENT_CONFIG.maxDelaySeconds);
+    let eventTarget = null;
+    let eventTargetCount = 0;
+
+    // Undoable admin changes of the loaded state, oldest first: { label, changes } with changes
+    // from diffStates(). Undone changes move to the redo list until a new change is made.
+    let adminUndo = [];
+    let adminRedo = [];
+
+    // Session metrics since this instance was created (not saved). Upgrade entries hold the
+    // clicks spent this session and the session time each new level was reached.
+    const session = {
+        startedAt: clock.now(),
+        playTime: 0,
+        manualClicks: 0,
+        peakClicksPerSecond: 0,
+        recentClickTimes: [], // Manual clicks in the last second
+        upgrades: {}          // Upgrade id -> { spent, levels: [{ level, seconds }] }
+    };
+
+    // Code registry entries (see redeem-codes.js), or null while they are not loaded
+    let codeRegistry = codes;
+
+    const events = createEventBus({ logger });
+    const { emit } = events;
+    const { t } = translator;
+
+
+    // --- SAVE AND LOAD ---
+
+    /**
+     * Reads the active clicker mode from storage, falling back to the default mode.
+     */
+    function readSavedMode() {
+        const savedMode = storage.getItem(GAME_MODE_KEY);
+        return GAME_MODES[savedMode] && !GAME_MODES[savedMode].page ? savedMode : DEFAULT_GAME_MODE;
+    }
+
+    /**
+     * Gets the storage key of the current game mode's save.
+     */
+    function getCurrentSaveKey() {
+        return GAME_MODES[gameMode].saveKey;
+    }
+
+    /**
+     * Moves a save that cannot be loaded to its quarantine key so it is not overwritten, recording
+     * the error that made it unloadable. Returns the warning to show the player.
+     */
+    function quarantineSave(saveKey, rawData, error) {
+        const quarantineKey = `${saveKey}${QUARANTINE_KEY_SUFFIX}`;
+        const reason = error.message; // English, like the logs
+        try {
+            storage.setItem(quarantineKey, JSON.stringify({
+                quarantinedAt: clock.now(),
+                reason,
+                data: rawData
+            }));
+        } catch (writeError) {
+            logger.error("[Load] Error quarantining invalid save:", writeError);
+        }
+
+        logger.error(`[Load] Save for ${gameMode} mode is invalid and was quarantined: ${reason}`);
+        return t('load.quarantined', { title: translateEntry(translator, 'modes', GAME_MODES[gameMode], 'title'), reason: translator.translateError(error), key: quarantineKey });
+    }
+
+    /**
+     * Loads the active mode's save from storage. Older saves are migrated to the current
+     * version; invalid saves are quarantined. Emits 'load' with the offline report and any warning.
+     */
+    function load() {
+        gameMode = readSavedMode(); // Another tab may have switched modes since this one last loaded
+        const saveKey = getCurrentSaveKey();
+        let offlineReport = null;
+        let saveWarning = null;
+
+        const savedState = storage.getItem(saveKey);
+        if (!savedState) {
+            // If no save found, start from a fresh default state for this mode.
+            gameState = createDefaultGameState(gameMode);
+            logger.log(`[Load] No saved game found for mode: ${gameMode}. Starting new game.`);
+        } else {
+            let loadedData = null;
+            try {
+                let parsedData;
+                try {
+                    parsedData = JSON.parse(savedState);
+                } catch (e) {
+                    throw createCodedError('errors.saveNotJson');
+                }
+                loadedData = migrateSaveData(parsedData, gameMode, logger);
+                validateSaveData(loadedData);
+            } catch (error) {
+                saveWarning = quarantineSave(saveKey, savedState, error);
+                gameState = createDefaultGameState(gameMode);
+                loadedData = null;
+            }
+
+            if (loadedData) {
+                restoreState(loadedData);
+                logger.log(`[Load] Game state loaded for mode: ${gameMode}.`);
+
+                // Credit the clicks earned while this save was not being played
+                offlineReport = applyOfflineProgress(loadedData.lastSaved);
+            }
+        }
+
+        // Time before the load is covered by offline progress, not by the game loop
+        lastTickTime = clock.now();
+        tickAccumulatorMs = 0;
+        eventTarget = null; // Targets belong to the screen they appeared on
+
+        // Admin changes of the previous state cannot be undone on this one
+        adminUndo = [];
+        adminRedo = [];
+
+        updateCPS();
+        checkAchievements(); // Catch up on anything the loaded save already qualifies for
+        emit('load', { offlineReport, saveWarning });
+    }
+
+    /**
+     * Replaces the game state with checked save data, merged over a fresh default state.
+     * Damaged entries are dropped rather than the whole save.
+     */
+    function restoreState(data) {
+        gameState = mergeSaveData(createDefaultGameState(gameMode), data);
+        gameState.history = Array.isArray(gameState.history) ? gameState.history.filter(isStatsSample) : [];
+        gameState.codeRedemptions = Array.isArray(gameState.codeRedemptions) ? gameState.codeRedemptions.filter(isCodeRedemption) : [];
+        gameState.adminLog = Array.isArray(gameState.adminLog) ? gameState.adminLog.filter(isAdminLogEntry) : [];
+
+        // Drop damaged overrides; CPC/CPS themselves are recalculated by updateCPS()
+        Object.keys(gameState.adminOverrides).forEach(stat => {
+            if (!MODIFIED_STATS[stat] || !BigNumber.isValid(gameState.adminOverrides[stat])) delete gameState.adminOverrides[stat];
+        });
+        // Drop buffs this version does not know; expired ones are dropped by updateCPS()
+        Object.entries(gameState.buffs).forEach(([buffId, buff]) => {
+            if (!getBuffEvent(buffId) || !Number.isFinite(buff?.expiresAt)) delete gameState.buffs[buffId];
+        });
+    }
+
+    /**
+     * Credits CPS earnings for the time passed since the save was written.
+     * Earnings are scaled by the offline efficiency and capped at the maximum offline time.
+     * Returns a report of what was credited, or null.
+     */
+    function applyOfflineProgress(lastSaved) {
+        if (!lastSaved) return null; // Older saves have no timestamp
+
+        const elapsedSeconds = (clock.now() - lastSaved) / 1000;
+        if (elapsedSeconds < OFFLINE_PROGRESS_CONFIG.minSeconds) return null;
+
+        // Make sure CPS reflects the loaded upgrade levels before crediting
+        updateCPS();
+        if (!gameState.cps.gt(0)) return null;
+
+        const creditedSeconds = Math.min(elapsedSeconds, OFFLINE_PROGRESS_CONFIG.maxSeconds);
+        const clicksEarned = gameState.cps.mul(creditedSeconds * OFFLINE_PROGRESS_CONFIG.efficiency).floor();
+        if (!clicksEarned.gt(0)) return null;
+
+        gameState.clicks = gameState.clicks.add(clicksEarned);
+        gameState.totalClicksEarned = gameState.totalClicksEarned.add(clicksEarned);
+
+        logger.log(`[Offline] Credited ${clicksEarned.toString()} clicks for ${Math.floor(creditedSeconds)}s away in ${gameMode} mode.`);
+        return {
+            elapsedSeconds,
+            clicksEarned,
+            isCapped: elapsedSeconds > OFFLINE_PROGRESS_CONFIG.maxSeconds
+        };
+    }
+
+    /**
+     * Serializes the current game state, stamping it with the time it was written.
+     */
+    function serialize() {
+        gameState.lastSaved = clock.now();
+        const { totalUpgrades, ...saveData } = gameState; // Derived total is recalculated on load
+        return JSON.stringify(saveData);
+    }
+
+    /**
+     * Saves the current game state to storage using the current mode's key.
+     */
+    function save() {
+        if (isStopped || !canSave()) return;
+
+        try {
+            storage.setItem(getCurrentSaveKey(), serialize());
+        } catch (error) {
+            logger.error("[Save] Error saving game state:", error);
+            emit('save-failed', { error });
+            return;
+        }
+        emit('save');
+    }
+
+    /**
+     * Stops all further saving and updates, e.g. while the page reloads after the saves were replaced.
+     */
+    function stop() {
+        isStopped = true;
+    }
+
+    /**
+     * Reads the ids of the modes unlocked by code, treating unreadable data as none.
+     */
+    function readUnlockedModes() {
+        try {
+            const unlocked = JSON.parse(storage.getItem(UNLOCKED_MODES_KEY));
+            return Array.isArray(unlocked) ? unlocked : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Checks whether a mode can be played. Modes that are not locked always can; the others
+     * once a code unlocked them or, for players from before unlocks were stored, once they have a save.
+     */
+    function isModeUnlocked(modeId) {
+        const mode = GAME_MODES[modeId];
+        if (!mode) return false;
+        return !mode.isLocked || readUnlockedModes().includes(modeId) || storage.getItem(mode.saveKey) !== null;
+    }
+
+    /**
+     * Lists the definitions of all playable modes, in registration order.
+     */
+    function getUnlockedModes() {
+        return Object.values(GAME_MODES).filter(mode => isModeUnlocked(mode.id));
+    }
+
+    /**
+     * Stores a mode as unlocked. Returns false if this instance may not write to storage.
+     */
+    function unlockMode(modeId) {
+        if (isStopped || !canSave()) return false;
+        if (!isModeUnlocked(modeId)) {
+            storage.setItem(UNLOCKED_MODES_KEY, JSON.stringify([...readUnlockedModes(), modeId]));
+            logger.log(`[ModeSwitch] Unlocked ${modeId} mode.`);
+        }
+        return true;
+    }
+
+    /**
+     * Switches the entire game to another unlocked mode, saving the old mode first.
+     * Modes with their own page cannot be run here; the UI navigates to them instead.
+     */
+    function switchMode(newMode) {
+        if (gameMode === newMode || !isModeUnlocked(newMode) || GAME_MODES[newMode].page) return false;
+        if (isStopped || !canSave()) return false; // The mode tracker is shared, so switching writes to storage
+
+        const oldMode = gameMode;
+
+        // 1. Save the previous game state (critical step!). The timestamp lets this mode
+        // earn offline progress while it is inactive.
+        save();
+        logger.log(`[ModeSwitch] Saved old state for ${oldMode}.`);
+
+        // 2. Remember the new mode and load its state
+        gameMode = newMode;
+        storage.setItem(GAME_MODE_KEY, gameMode);
+        load();
+
+        gameState.stats.modeSwitches += 1;
+        checkAchievements();
+
+        logger.log(`[ModeSwitch] Successfully switched to ${gameMode} mode.`);
+        emit('mode-switched', { mode: gameMode, previousMode: oldMode });
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Encodes every mode's save and the active mode into a portable, checksummed save string.
+     */
+    function createSaveExport() {
+        return encodeSaveExport({
+            exportedAt: clock.now(),
+            mode: gameMode,
+            saves: collectSaves()
+        });
+    }
+
+    /**
+     * Collects every mode's stored save, keyed by mode id (null for modes without one).
+     */
+    function collectSaves() {
+        save(); // Make sure the active mode's save is up to date
+
+        const saves = {};
+        Object.values(GAME_MODES).forEach(({ id, saveKey }) => {
+            const savedState = storage.getItem(saveKey);
+            saves[id] = savedState ? JSON.parse(savedState) : null;
+        });
+        return saves;
+    }
+
+    /**
+     * Bundles every mode's save for cloud sync: { savedAt, mode, saves }. Applied with applySaveImport().
+     */
+    function createSyncBundle() {
+        const saves = collectSaves();
+        return { savedAt: clock.now(), mode: gameMode, saves };
+    }
+
+    /**
+     * Replaces the stored saves with a parsed save export or cloud save. The game stops saving afterwards,
+     * so the caller should restart it. Returns false if this instance may not write to storage.
+     */
+    function applySaveImport(data) {
+        if (isStopped || !canSave()) return false;
+
+        Object.values(GAME_MODES).forEach(({ id, saveKey }) => {
+            const save = data.saves[id];
+            if (save) {
+                // Stamp the import time so the time since export does not count as offline progress
+                save.lastSaved = clock.now();
+                storage.setItem(saveKey, JSON.stringify(save));
+            } else {
+                storage.removeItem(saveKey);
+            }
+        });
+        storage.setItem(GAME_MODE_KEY, data.mode);
+        stop();
+
+        logger.log(`[Import] Save imported. Active mode: ${data.mode}.`);
+        return true;
+    }
+
+    /**
+     * Resets the progress of every mode but keeps each mode's prestige data, its redeemed codes
+     * (so one-time codes stay used), its admin access and audit log, and the unlocked modes.
+     * The game stops saving afterwards, so the caller should restart it. Returns false if this
+     * instance may not write to storage.
+     */
+    function resetProgress() {
+        if (isStopped || !canSave()) return false;
+        save(); // Make sure the active mode's prestige data is stored
+
+        Object.values(GAME_MODES).forEach(({ saveKey }) => {
+            let savedState = null;
+            try {
+                savedState = JSON.parse(storage.getItem(saveKey));
+            } catch (e) {
+                // An unreadable save has no prestige data worth keeping
+            }
+
+            if (savedState && savedState.prestige) {
+                const { prestige, codeRedemptions = [], hasAdminAccess = false, adminLog = [] } = savedState;
+                storage.setItem(saveKey, JSON.stringify({ version: SAVE_VERSION, clicks: 0, upgrades: {}, prestige, codeRedemptions, hasAdminAccess, adminLog }));
+            } else {
+                storage.removeItem(saveKey);
+            }
+        });
+        storage.removeItem(GAME_MODE_KEY); // Also remove the mode tracker
+        stop();
+
+        logger.warn("[Reset] Game progress cleared (prestige kept).");
+        emit('reset', { isHard: false });
+        return true;
+    }
+
+    /**
+     * Hard reset: clears the entire game state of every mode, including prestige and unlocked modes.
+     * The game stops saving afterwards, so the caller should restart it. Returns false if this
+     * instance may not write to storage.
+     */
+    function hardReset() {
+        if (isStopped || !canSave()) return false;
+
+        Object.values(GAME_MODES).forEach(({ saveKey }) => storage.removeItem(saveKey));
+        storage.removeItem(GAME_MODE_KEY); // Also remove the mode tracker
+        storage.removeItem(UNLOCKED_MODES_KEY);
+        stop();
+
+        logger.warn("[Reset] All game data cleared.");
+        emit('reset', { isHard: true });
+        return true;
+    }
+
+
+    // --- CORE GAME MECHANICS ---
+
+    /**
+     * Finds an upgrade definition in the current mode's registry.
+     */
+    function getUpgradeConfig(upgradeId) {
+        return GAME_MODES[gameMode].upgrades.find(upgrade => upgrade.id === upgradeId);
+    }
+
+    /**
+     * Gets the current level of an upgrade, treating missing entries as level 0.
+     */
+    function getUpgradeLevel(upgradeId) {
+        const upgradeState = gameState.upgrades[upgradeId];
+        return upgradeState ? upgradeState.level : 0;
+    }
+
+    /**
+     * Checks whether an upgrade should be shown (threshold reached or already owned).
+     */
+    function isUpgradeUnlocked(upgrade) {
+        return gameState.totalClicksEarned.gte(upgrade.unlockAt || 0) || getUpgradeLevel(upgrade.id) > 0;
+    }
+
+    /**
+     * Calculates the cost of an upgrade's next level, including any prestige discount.
+     */
+    function getUpgradeCost(upgrade, level) {
+        return getUpgradeBulkCost(upgrade, level, 1);
+    }
+
+    /**
+     * Calculates the total cost of several levels of an upgrade, including any prestige discount.
+     */
+    function getUpgradeBulkCost(upgrade, level, quantity) {
+        const cost = calculateBulkCost(upgrade.baseCost, upgrade.costMultiplier, level, quantity);
+        return cost.mul(getPrestigeCostMultiplier()).floor();
+    }
+
+    /**
+     * Works out how many levels of an upgrade the selected buy quantity means right now, and what they cost.
+     * 'max' resolves to the most levels the player can afford (at least 1, so the button can show a price).
+     */
+    function getUpgradePurchase(upgrade) {
+        const level = getUpgradeLevel(upgrade.id);
+        let quantity = parseInt(gameState.buyQuantity, 10);
+
+        if (gameState.buyQuantity === 'max') {
+            const costMultiplier = getPrestigeCostMultiplier();
+            // A 100% discount makes everything free; cap the budget instead of dividing by zero
+            const budget = costMultiplier > 0 ? gameState.clicks.div(costMultiplier) : BigNumber.fromLog10(300);
+            quantity = calculateMaxAffordable(upgrade.baseCost, upgrade.costMultiplier, level, budget);
+            // Discount rounding can make the last level slightly too expensive
+            if (quantity > 1 && getUpgradeBulkCost(upgrade, level, quantity).gt(gameState.clicks)) {
+                quantity -= 1;
+            }
+            quantity = Math.max(1, Math.min(quantity, Number.MAX_SAFE_INTEGER));
+        }
+
+        return { quantity, cost: getUpgradeBulkCost(upgrade, level, quantity) };
+    }
+
+    /**
+     * Sums the levels of every upgrade in the current mode.
+     */
+    function getTotalUpgrades() {
+        return Object.values(gameState.upgrades).reduce((sum, upgrade) => sum + upgrade.level, 0);
+    }
+
+    /**
+     * Calculates and updates the total Clicks Per Second (CPS) and total Clicks Per Click (CPC)
+     * by running every modifier through the pipeline.
+     */
+    function updateCPS() {
+        refreshBuiltInModifiers();
+        Object.keys(MODIFIED_STATS).forEach(stat => {
+            gameState[stat] = applyModifiers(MODIFIED_STATS[stat].base, getModifiers(stat)).value;
+        });
+        gameState.peakCps = BigNumber.max(gameState.peakCps, gameState.cps);
+
+        // Store total upgrades temporarily for UI render
+        gameState.totalUpgrades = getTotalUpgrades();
+    }
+
+    /**
+     * Handles a manual click: earns the current Click Power.
+     */
+    function click() {
+        const clicksGained = gameState.cpc;
+        gameState.clicks = gameState.clicks.add(clicksGained);
+        gameState.totalClicksEarned = gameState.totalClicksEarned.add(clicksGained);
+        recordManualClick();
+        checkAchievements();
+        emit('click', { clicksGained });
+        emit('change');
+        return clicksGained;
+    }
+
+    /**
+     * Buys the selected quantity of an upgrade. Returns false if it is unknown or unaffordable.
+     */
+    function buyUpgrade(upgradeId) {
+        const upgrade = getUpgradeConfig(upgradeId);
+
+        if (!upgrade || !gameState.upgrades[upgradeId]) {
+            logger.error("Invalid upgrade id:", upgradeId);
+            return false;
+        }
+
+        const upgradeState = gameState.upgrades[upgradeId];
+        const { quantity, cost } = getUpgradePurchase(upgrade);
+
+        if (!gameState.clicks.gte(cost)) {
+            logger.warn(`[Upgrade] FAILED. Not enough clicks.`);
+            emit('purchase-failed', { kind: 'upgrade', id: upgradeId, name: translateEntry(translator, `modes.${gameMode}.upgrades`, upgrade, 'name'), reason: t('purchase.notEnoughClicks') });
+            return false;
+        }
+
+        gameState.clicks = gameState.clicks.sub(cost);
+        gameState.totalClicksSpent = gameState.totalClicksSpent.add(cost);
+        upgradeState.level += quantity;
+        recordUpgradePurchase(upgradeId, cost, upgradeState.level);
+
+        // Disable admin override when buying an upgrade that affects the overridden stat
+        clearAdminOverrides(upgrade);
+
+        updateCPS();
+        checkAchievements();
+
+        logger.log(`[Upgrade] SUCCESS! Bought ${quantity}x ${upgrade.name}. New level: ${upgradeState.level}.`);
+        emit('purchase', { kind: 'upgrade', id: upgradeId, name: translateEntry(translator, `modes.${gameMode}.upgrades`, upgrade, 'name'), quantity, cost });
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Selects the buy quantity (one of BUY_QUANTITIES).
+     */
+    function setBuyQuantity(quantity) {
+        if (!BUY_QUANTITIES.includes(quantity)) return false;
+
+        gameState.buyQuantity = quantity;
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Remembers the active panel tab in the save.
+     */
+    function setActiveTab(tabId) {
+        gameState.activeTab = tabId;
+    }
+
+    /**
+     * Redeems a secret code and emits 'code-redeemed' with the result. Returns { status, message, code, reward }
+     * where status is 'success', 'error' or 'warning', code is the normalized code and reward is the
+     * reward type of a redeemed code (see CODE_REWARD_TYPES), otherwise null.
+     */
+    function redeemCode(rawCode) {
+        const result = { reward: null, ...applyCode(normalizeCode(rawCode)) };
+        emit('code-redeemed', result);
+        return result;
+    }
+
+    /**
+     * Looks up a normalized code in the registry, checks that this save may redeem it now and
+     * applies its reward. Returns the redeemCode() result.
+     */
+    function applyCode(code) {
+        if (!code) return { status: 'warning', message: t('codes.empty'), code };
+        if (!codeRegistry) return { status: 'error', message: t('codes.unavailable'), code };
+
+        const hash = hashCode(code);
+        const entry = codeRegistry.find(item => item.hash === hash);
+        if (!entry) return { status: 'error', message: t('codes.invalid'), code };
+
+        const timesRedeemed = gameState.codeRedemptions.filter(redemption => redemption.id === entry.id).length;
+        const unavailableReason = checkCodeAvailability(entry, { now: clock.now(), mode: gameMode, timesRedeemed, translator });
+        if (unavailableReason) return { status: 'error', message: unavailableReason, code };
+
+        const { reward } = entry;
+        let message;
+        if (reward.type === 'mode') {
+            // Codes that unlock a game mode also switch to it, so the redemption is stored in the new mode's save
+            const mode = GAME_MODES[reward.mode];
+            const modeName = translateEntry(translator, 'modes', mode, 'name');
+            if (gameMode === mode.id) {
+                return { status: 'error', message: t('codes.modeActive', { mode: modeName }), code };
+            }
+            if (!unlockMode(mode.id) || (!mode.page && !switchMode(mode.id))) {
+                return { status: 'error', message: t('modeSwitch.failed'), code };
+            }
+            message = mode.page
+                ? t('codes.modeUnlocked', { mode: modeName })
+                : t('codes.modeWelcome', { title: translateEntry(translator, 'modes', mode, 'title') });
+        } else if (reward.type === 'admin') {
+            if (gameState.hasAdminAccess) {
+                return { status: 'error', message: t('codes.adminAlreadyUnlocked'), code };
+            }
+            gameState.hasAdminAccess = true;
+            message = t('codes.adminUnlocked');
+        } else if (reward.type === 'buff') {
+            startBuff(reward.buff);
+            message = t('codes.buff', { name: translateEntry(translator, 'randomEvents', getBuffEvent(reward.buff), 'name') });
+        } else {
+            const amount = BigNumber.from(reward.amount);
+            gameState.clicks = gameState.clicks.add(amount);
+            gameState.totalClicksEarned = gameState.totalClicksEarned.add(amount);
+            message = t('codes.clicks', { count: amount });
+        }
+
+        gameState.codeRedemptions.push({ id: entry.id, redeemedAt: clock.now() });
+        gameState.stats.codesRedeemed += 1;
+        logger.log(`[Codes] Redeemed code ${entry.id}.`);
+        checkAchievements();
+        emit('change');
+        return { status: 'success', message, code, reward: reward.type };
+    }
+
+    /**
+     * Replaces the code registry entries, e.g. once they have been loaded (see loadCodeRegistry()).
+     */
+    function setCodes(entries) {
+        codeRegistry = entries;
+    }
+
+    /**
+     * Lists the codes this save redeemed, newest first: [{ id, label, redeemedAt }]. Codes that
+     * are no longer in the registry are listed by their id.
+     */
+    function getCodeRedemptions() {
+        return gameState.codeRedemptions
+            .map(redemption => ({
+                ...redemption,
+                label: codeRegistry?.find(entry => entry.id === redemption.id)?.label || redemption.id
+            }))
+            .reverse();
+    }
+
+
+    // --- GAME LOOP ---
+
+    /**
+     * Advances the game state by a slice of time. CPS earnings keep their fractional part,
+     * so a CPS of 0.4 still earns a click every 2.5 seconds.
+     */
+    function tick(deltaSeconds) {
+        gameState.stats.timePlayed += deltaSeconds;
+        session.playTime += deltaSeconds;
+
+        if (gameState.cps.gt(0)) {
+            const clicksGained = gameState.cps.mul(deltaSeconds);
+            gameState.clicks = gameState.clicks.add(clicksGained);
+            gameState.totalClicksEarned = gameState.totalClicksEarned.add(clicksGained);
+        }
+
+        if (removeExpiredModifiers()) updateCPS();
+        updateRandomEvents(deltaSeconds);
+
+        historyElapsedSeconds += deltaSeconds;
+        if (historyElapsedSeconds >= STATS_HISTORY_CONFIG.sampleIntervalSeconds) {
+            historyElapsedSeconds = 0;
+            recordStatsSample();
+        }
+
+        // Time played and CPS milestones are checked every tick
+        checkAchievements();
+        emit('change');
+    }
+
+    /**
+     * Measures the real time passed since the last update and runs that many fixed steps,
+     * so timer throttling in background tabs does not lose time.
+     */
+    function update() {
+        if (isStopped) return;
+
+        const now = clock.now();
+        const elapsedMs = Math.min(now - lastTickTime, OFFLINE_PROGRESS_CONFIG.maxSeconds * 1000);
+        lastTickTime = now;
+        tickAccumulatorMs += Math.max(0, elapsedMs);
+
+        const steps = Math.floor(tickAccumulatorMs / GAME_LOOP_CONFIG.tickMs);
+        tickAccumulatorMs -= steps * GAME_LOOP_CONFIG.tickMs;
+
+        if (steps > GAME_LOOP_CONFIG.maxStepsPerUpdate) {
+            // CPS is constant between player actions and expiring timers, so a long backlog can be
+            // applied in a few large steps. The backlog ends now, so the timers are set back to where
+            // they were at its start and run out again on the way.
+            const backlogSeconds = steps * GAME_LOOP_CONFIG.tickMs / 1000;
+            shiftTimers(backlogSeconds * 1000);
+            runTimeline(backlogSeconds);
+        } else {
+            for (let i = 0; i < steps; i++) {
+                tick(GAME_LOOP_CONFIG.tickMs / 1000);
+            }
+        }
+    }
+
+    /**
+     * Moves the expiry times of every buff and timed modifier by the given ms.
+     */
+    function shiftTimers(ms) {
+        Object.values(gameState.buffs).forEach(buff => { buff.expiresAt += ms; });
+        modifiers.forEach(modifier => {
+            if (modifier.expiresAt !== null) modifier.expiresAt += ms;
+        });
+    }
+
+    /**
+     * Runs a stretch of time while the clock stands still, bringing the timers closer instead.
+     * Steps end where a timer runs out, so a buff pays for its own duration and no longer, and are
+     * at most maxStepSeconds long.
+     */
+    function runTimeline(seconds, maxStepSeconds = Infinity) {
+        for (let remainingMs = seconds * 1000; remainingMs > 0;) {
+            const now = clock.now();
+            const nextExpiryMs = Math.min(...[...modifiers.values()]
+                .filter(modifier => modifier.expiresAt !== null && modifier.expiresAt > now)
+                .map(modifier => modifier.expiresAt - now));
+            const stepMs = Math.min(remainingMs, maxStepSeconds * 1000, nextExpiryMs);
+
+            shiftTimers(-stepMs);
+            tick(stepMs / 1000);
+            remainingMs -= stepMs;
+        }
+    }
+
+    /**
+     * Gets the clicks the player would have right now, including the CPS earned since the last fixed step.
+     * Used to count the display up smoothly between steps.
+     */
+    function getInterpolatedClicks() {
+        if (!gameState.cps.gt(0)) return gameState.clicks;
+        const pendingSeconds = (tickAccumulatorMs + clock.now() - lastTickTime) / 1000;
+        return gameState.clicks.add(gameState.cps.mul(pendingSeconds));
+    }
+
+
+    // --- STAT MODIFIERS ---
+
+    /**
+     * Adds a CP/CPS modifier (see STAT MODIFIERS) and recalculates both stats. A modifier with the
+     * same id is replaced. Throws an Error if the modifier is invalid.
+     */
+    function addModifier(modifier) {
+        const normalized = normalizeModifier(modifier);
+        modifiers.set(normalized.id, normalized);
+        updateCPS();
+        emit('change');
+        return normalized;
+    }
+
+    /**
+     * Removes a modifier by id and recalculates both stats. Returns false if there was none.
+     */
+    function removeModifier(id) {
+        if (!modifiers.delete(id)) return false;
+        updateCPS();
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Gets the modifiers of a stat in the order the pipeline runs them.
+     */
+    function getModifiers(stat) {
+        return [...modifiers.values()]
+            .filter(modifier => modifier.stat === stat)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Gets every step of a stat's calculation for the breakdown view: { base, value, steps }.
+     */
+    function getStatBreakdown(stat) {
+        const base = BigNumber.from(MODIFIED_STATS[stat].base);
+        return { base, ...applyModifiers(base, getModifiers(stat)) };
+    }
+
+    /**
+     * Rebuilds the modifiers of the built-in sources from the current state.
+     */
+    function refreshBuiltInModifiers() {
+        modifiers.forEach((modifier, id) => {
+            if (modifier.builtIn) modifiers.delete(id);
+        });
+        const addBuiltIn = modifier => modifiers.set(modifier.id, { ...normalizeModifier(modifier), builtIn: true });
+
+        GAME_MODES[gameMode].upgrades.forEach(upgrade => {
+            const level = getUpgradeLevel(upgrade.id);
+            if (level <= 0) return;
+            const source = t('modifiers.upgrade', { name: translateEntry(translator, `modes.${gameMode}.upgrades`, upgrade, 'name'), level });
+            if (upgrade.cpcBonus > 0) {
+                addBuiltIn({ id: `upgrade:${upgrade.id}:cpc`, stat: 'cpc', type: 'add', value: level * upgrade.cpcBonus, order: MODIFIER_ORDER.upgrades, source });
+            }
+            if (upgrade.cpsBonus > 0) {
+                addBuiltIn({ id: `upgrade:${upgrade.id}:cps`, stat: 'cps', type: 'add', value: level * upgrade.cpsBonus, order: MODIFIER_ORDER.upgrades, source });
+            }
+        });
+
+        // Permanent percentage bonuses from unlocked achievements and prestige upgrades
+        const percentBonuses = [
+            { id: 'achievements', bonus: getAchievementBonus(), source: t('modifiers.achievements') },
+            { id: 'prestige', bonus: getPrestigeBonus(), source: t('modifiers.prestige') }
+        ];
+        percentBonuses.forEach(({ id, bonus, source }) => {
+            if (bonus.cpcPercent > 0) {
+                addBuiltIn({ id: `${id}:cpc`, stat: 'cpc', type: 'multiply', value: 1 + bonus.cpcPercent / 100, order: MODIFIER_ORDER[id], source });
+            }
+            if (bonus.cpsPercent > 0) {
+                addBuiltIn({ id: `${id}:cps`, stat: 'cps', type: 'multiply', value: 1 + bonus.cpsPercent / 100, order: MODIFIER_ORDER[id], source });
+            }
+        });
+
+        // Active buffs from random events; expired ones are dropped from the save here
+        Object.entries(gameState.buffs).forEach(([buffId, buff]) => {
+            if (buff.expiresAt <= clock.now()) {
+                delete gameState.buffs[buffId];
+                return;
+            }
+            const event = getBuffEvent(buffId);
+            addBuiltIn({
+                id: `buff:${buffId}`,
+                stat: event.reward.stat,
+                type: 'multiply',
+                value: event.reward.multiplier,
+                order: MODIFIER_ORDER.buffs,
+                source: translateEntry(translator, 'randomEvents', event, 'name'),
+                expiresAt: buff.expiresAt
+            });
+        });
+
+        Object.entries(gameState.adminOverrides).forEach(([stat, value]) => {
+            addBuiltIn({ id: `admin:${stat}`, stat, type: 'set', value, order: MODIFIER_ORDER.admin, source: t('modifiers.admin') });
+        });
+    }
+
+    /**
+     * Removes the modifiers whose expiry time has passed. Returns true if any were removed.
+     */
+    function removeExpiredModifiers() {
+        const now = clock.now();
+        let removedAny = false;
+        modifiers.forEach((modifier, id) => {
+            if (modifier.expiresAt !== null && modifier.expiresAt <= now) {
+                modifiers.delete(id);
+                removedAny = true;
+            }
+        });
+        return removedAny;
+    }
+
+
+    // --- RANDOM EVENTS AND BUFFS ---
+
+    /**
+     * Gets the random event that grants a buff with the given id, or undefined.
+     */
+    function getBuffEvent(buffId) {
+        return RANDOM_EVENTS.find(event => event.id === buffId && event.reward.type === 'buff');
+    }
+
+    /**
+     * Starts the buff of a random event. A buff that is already active restarts its timer at the
+     * full duration rather than stacking (see RANDOM_EVENTS).
+     */
+    function startBuff(buffId) {
+        gameState.buffs[buffId] = { expiresAt: clock.now() + getBuffEvent(buffId).reward.durationSeconds * 1000 };
+        updateCPS();
+    }
+
+    /**
+     * Counts down the target on screen and the time until the next one, spawning it when due.
+     */
+    function updateRandomEvents(deltaSeconds) {
+        if (eventTarget) {
+            eventTarget.remainingSeconds -= deltaSeconds;
+            if (eventTarget.remainingSeconds <= 0) eventTarget = null;
+            return; // The next delay starts once the target is gone
+        }
+
+        nextEventSeconds -= deltaSeconds;
+        if (nextEventSeconds > 0) return;
+
+        const event = random.pickWeighted(RANDOM_EVENTS);
+        eventTargetCount += 1;
+        eventTarget = {
+            id: eventTargetCount,
+            eventId: event.id,
+            x: random.between(0.1, 0.9),
+            y: random.between(0.1, 0.9),
+            remainingSeconds: RANDOM_EVENT_CONFIG.lifetimeSeconds
+        };
+        nextEventSeconds = random.between(RANDOM_EVENT_CONFIG.minDelaySeconds, RANDOM_EVENT_CONFIG.maxDelaySeconds);
+
+        logger.log(`[Event] A random event target appeared: ${event.name}.`);
+        emit('randomEvent', { target: eventTarget });
+    }
+
+    /**
+     * Gets the random event target currently on screen, or null.
+     */
+    function getRandomEventTarget() {
+        return eventTarget;
+    }
+
+    /**
+     * Claims the target on screen and applies its reward. Returns { event, clicksGained }
+     * (clicksGained only for lump sums), or null if that target is no longer there.
+     */
+    function claimRandomEvent(targetId) {
+        if (!eventTarget || eventTarget.id !== targetId) return null;
+
+        const event = RANDOM_EVENTS.find(item => item.id === eventTarget.eventId);
+        eventTarget = null;
+        const result = { event };
+
+        if (event.reward.type === 'clicks') {
+            const clicksGained = BigNumber.max(
+                gameState.cps.mul(event.reward.cpsSeconds),
+                gameState.cpc.mul(event.reward.cpcClicks)
+            ).floor();
+            gameState.clicks = gameState.clicks.add(clicksGained);
+            gameState.totalClicksEarned = gameState.totalClicksEarned.add(clicksGained);
+            result.clicksGained = clicksGained;
+        } else {
+            startBuff(event.id);
+        }
+
+        logger.log(`[Event] Claimed ${event.name}.`);
+        checkAchievements();
+        emit('change');
+        return result;
+    }
+
+    /**
+     * Gets the active buffs with their remaining time, soonest to expire first:
+     * [{ id, name, stat, multiplier, remainingSeconds }].
+     */
+    function getActiveBuffs() {
+        const now = clock.now();
+        return Object.entries(gameState.buffs)
+            .filter(([, buff]) => buff.expiresAt > now)
+            .map(([buffId, buff]) => {
+                const event = getBuffEvent(buffId);
+                return {
+                    id: buffId,
+                    name: translateEntry(translator, 'randomEvents', event, 'name'),
+                    stat: event.reward.stat,
+                    multiplier: event.reward.multiplier,
+                    remainingSeconds: (buff.expiresAt - now) / 1000
+                };
+            })
+            .sort((a, b) => a.remainingSeconds - b.remainingSeconds);
+    }
+
+
+    // --- STATS HISTORY AND SESSION METRICS ---
+
+    /**
+     * Creates a stats history sample of the current state.
+     */
+    function createStatsSample() {
+        const sample = { t: clock.now() };
+        STATS_HISTORY_FIELDS.forEach(field => {
+            sample[field] = gameState[field].toString();
+        });
+        return sample;
+    }
+
+    /**
+     * Adds a sample to the stats history. Once the history is full, every other sample in its
+     * older half is dropped, so recent history stays detailed and old history gets coarser.
+     */
+    function recordStatsSample() {
+        gameState.history.push(createStatsSample());
+
+        if (gameState.history.length > STATS_HISTORY_CONFIG.maxSamples) {
+            const half = Math.floor(gameState.history.length / 2);
+            gameState.history = gameState.history.slice(0, half).filter((sample, index) => index % 2 === 0)
+                .concat(gameState.history.slice(half));
+        }
+    }
+
+    /**
+     * Gets the stats history within a window of STATS_HISTORY_WINDOWS, ending with a sample of the current state.
+     */
+    function getStatsHistory(window = 'all') {
+        const now = clock.now();
+        let since = -Infinity;
+        if (window === 'session') since = session.startedAt;
+        if (window === 'day') since = now - 24 * 60 * 60 * 1000;
+
+        return [...gameState.history.filter(sample => sample.t >= since), createStatsSample()];
+    }
+
+    /**
+     * Counts a manual click towards the session metrics, including the best clicks in any one second.
+     */
+    function recordManualClick() {
+        const now = clock.now();
+        session.manualClicks += 1;
+        session.recentClickTimes = session.recentClickTimes.filter(time => now - time < 1000);
+        session.recentClickTimes.push(now);
+        session.peakClicksPerSecond = Math.max(session.peakClicksPerSecond, session.recentClickTimes.length);
+    }
+
+    /**
+     * Records what an upgrade purchase cost and when its new level was reached in this session.
+     */
+    function recordUpgradePurchase(upgradeId, cost, level) {
+        if (!session.upgrades[upgradeId]) {
+            session.upgrades[upgradeId] = { spent: BigNumber.from(0), levels: [] };
+        }
+        const entry = session.upgrades[upgradeId];
+        entry.spent = entry.spent.add(cost);
+        entry.levels.push({ level, seconds: session.playTime });
+    }
+
+    /**
+     * Gets the stats this mode submits to the leaderboard. Counts are BigNumber strings.
+     */
+    function getLeaderboardStats() {
+        return {
+            mode: gameMode,
+            totalClicksEarned: gameState.totalClicksEarned.floor().toString(),
+            peakCps: gameState.peakCps.toString(),
+            prestigeResets: gameState.prestige.resets,
+            prestigePoints: gameState.prestige.totalPointsEarned,
+            isModified: isModified()
+        };
+    }
+
+    /**
+     * Gets the session metrics: { startedAt, playTime, manualClicks, peakClicksPerSecond, upgrades }.
+     */
+    function getSessionStats() {
+        const { recentClickTimes, ...stats } = session;
+        return stats;
+    }
+
+
+    // --- ACHIEVEMENTS ---
+
+    /**
+     * Gets the current value of the stat an achievement tracks.
+     */
+    function getAchievementStat(stat) {
+        switch (stat) {
+            case 'totalClicksEarned':
+                return gameState.totalClicksEarned.toNumber();
+            case 'totalUpgrades':
+                return getTotalUpgrades();
+            case 'highestUpgradeLevel':
+                return Math.max(0, ...Object.values(gameState.upgrades).map(upgrade => upgrade.level));
+            case 'cps':
+                return gameState.cps.toNumber();
+            default:
+                return gameState.stats[stat] || 0;
+        }
+    }
+
+    /**
+     * Gets an achievement's progress towards its target as a fraction between 0 and 1.
+     */
+    function getAchievementProgress(achievement) {
+        if (gameState.achievements[achievement.id]) return 1;
+        return Math.min(1, getAchievementStat(achievement.stat) / achievement.target);
+    }
+
+    /**
+     * Sums the permanent bonuses (in percent) of every unlocked achievement.
+     */
+    function getAchievementBonus() {
+        const total = { cpcPercent: 0, cpsPercent: 0 };
+        ACHIEVEMENTS.forEach(achievement => {
+            if (gameState.achievements[achievement.id] && achievement.bonus) {
+                total.cpcPercent += achievement.bonus.cpcPercent || 0;
+                total.cpsPercent += achievement.bonus.cpsPercent || 0;
+            }
+        });
+        return total;
+    }
+
+    /**
+     * Unlocks every achievement whose condition is now met. Called after game events.
+     */
+    function checkAchievements() {
+        let hasNewBonus = false;
+
+        ACHIEVEMENTS.forEach(achievement => {
+            if (gameState.achievements[achievement.id]) return;
+            if (getAchievementStat(achievement.stat) < achievement.target) return;
+
+            gameState.achievements[achievement.id] = clock.now();
+            if (achievement.bonus) hasNewBonus = true;
+
+            logger.log(`[Achievement] Unlocked: ${achievement.name}.`);
+            emit('achievement', { achievement });
+        });
+
+        if (hasNewBonus) {
+            updateCPS(); // Apply the new permanent bonus
+            emit('change');
+        }
+    }
+
+
+    // --- PRESTIGE ---
+
+    /**
+     * Gets the level of a prestige upgrade, treating missing entries as level 0.
+     */
+    function getPrestigeUpgradeLevel(upgradeId) {
+        return gameState.prestige.upgrades[upgradeId] || 0;
+    }
+
+    /**
+     * Sums the CP/CPS bonuses (in percent) of every prestige upgrade.
+     */
+    function getPrestigeBonus() {
+        const total = { cpcPercent: 0, cpsPercent: 0 };
+        PRESTIGE_UPGRADES.forEach(upgrade => {
+            const level = getPrestigeUpgradeLevel(upgrade.id);
+            total.cpcPercent += level * (upgrade.cpcPercent || 0);
+            total.cpsPercent += level * (upgrade.cpsPercent || 0);
+        });
+        return total;
+    }
+
+    /**
+     * Gets the multiplier applied to upgrade costs by prestige discounts (e.g. 0.9 for 10% off).
+     */
+    function getPrestigeCostMultiplier() {
+        const discountPercent = PRESTIGE_UPGRADES.reduce((sum, upgrade) => {
+            return sum + getPrestigeUpgradeLevel(upgrade.id) * (upgrade.discountPercent || 0);
+        }, 0);
+        return Math.max(0, 1 - discountPercent / 100);
+    }
+
+    /**
+     * Calculates how many prestige points a prestige would award right now.
+     */
+    function getPrestigePointsAvailable() {
+        // sqrt(x / c) worked out in log space so lifetime clicks past 1e308 still count
+        const log10Points = (gameState.totalClicksEarned.log10() - Math.log10(PRESTIGE_CONFIG.clicksPerPoint)) / 2;
+        const pointsForLifetime = Math.floor(Math.min(Math.pow(10, log10Points), Number.MAX_SAFE_INTEGER));
+        return Math.max(0, pointsForLifetime - gameState.prestige.totalPointsEarned);
+    }
+
+    /**
+     * Calculates the prestige point cost of a prestige upgrade's next level.
+     */
+    function getPrestigeUpgradeCost(upgrade) {
+        return calculateCost(upgrade.baseCost, upgrade.costMultiplier, getPrestigeUpgradeLevel(upgrade.id));
+    }
+
+    /**
+     * Resets clicks and upgrade levels in the current mode and awards prestige points.
+     * Lifetime stats, achievements and prestige data are kept. Returns the points gained.
+     */
+    function performPrestige() {
+        const pointsGained = getPrestigePointsAvailable();
+        if (pointsGained < PRESTIGE_CONFIG.minPointsToPrestige) return 0;
+
+        gameState.prestige.points += pointsGained;
+        gameState.prestige.totalPointsEarned += pointsGained;
+        gameState.prestige.resets += 1;
+
+        gameState.clicks = BigNumber.from(0);
+        Object.values(gameState.upgrades).forEach(upgrade => {
+            upgrade.level = 0;
+        });
+
+        updateCPS();
+        logger.log(`[Prestige] Prestiged in ${gameMode} mode for ${pointsGained} points.`);
+        emit('change');
+        return pointsGained;
+    }
+
+    /**
+     * Buys one level of a prestige upgrade with prestige points.
+     */
+    function buyPrestigeUpgrade(upgradeId) {
+        const upgrade = PRESTIGE_UPGRADES.find(item => item.id === upgradeId);
+        if (!upgrade) {
+            logger.error("Invalid prestige upgrade id:", upgradeId);
+            return false;
+        }
+
+        const level = getPrestigeUpgradeLevel(upgradeId);
+        const cost = getPrestigeUpgradeCost(upgrade);
+        if (upgrade.maxLevel && level >= upgrade.maxLevel) {
+            emit('purchase-failed', { kind: 'prestige', id: upgradeId, name: translateEntry(translator, 'prestigeUpgrades', upgrade, 'name'), reason: t('purchase.maxLevel') });
+            return false;
+        }
+        if (cost.gt(gameState.prestige.points)) {
+            emit('purchase-failed', { kind: 'prestige', id: upgradeId, name: translateEntry(translator, 'prestigeUpgrades', upgrade, 'name'), reason: t('purchase.notEnoughPoints') });
+            return false;
+        }
+
+        gameState.prestige.points -= cost.toNumber();
+        gameState.prestige.upgrades[upgradeId] = level + 1;
+        updateCPS();
+
+        logger.log(`[Prestige] Bought ${upgrade.name}. New level: ${level + 1}.`);
+        emit('purchase', { kind: 'prestige', id: upgradeId, name: translateEntry(translator, 'prestigeUpgrades', upgrade, 'name'), quantity: 1, cost });
+        emit('change');
+        return true;
+    }
+
+
+    // --- ADMIN ---
+    // The admin changes below throw while the panel is locked (see unlockAdmin()).
+
+    /**
+     * Gets a plain copy of the game state as the admin editor shows it: the save data without
+     * derived totals, the save timestamp and the audit log (which admin tools cannot change).
+     */
+    function getAdminState() {
+        const { totalUpgrades, lastSaved, adminLog, ...data } = gameState;
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Replaces the game state with admin-edited data, keeping the audit log and the panel unlocked.
+     */
+    function restoreAdminState(data) {
+        const { adminLog, isAdminUnlocked } = gameState;
+        restoreState(data);
+        gameState.adminLog = adminLog;
+        gameState.isAdminUnlocked = isAdminUnlocked;
+        updateCPS();
+    }
+
+    /**
+     * Throws an Error unless the admin panel is unlocked. Every admin change checks this first.
+     */
+    function requireAdminUnlocked() {
+        if (!gameState.isAdminUnlocked) throw createCodedError('admin.unlockFirst');
+    }
+
+    /**
+     * Appends an admin action to the audit log: one entry per changed field (see diffStates()),
+     * or a single entry without a field for actions that change no game state.
+     */
+    function logAdminAction(action, changes = []) {
+        const at = clock.now();
+        const entries = changes.length > 0
+            ? changes.map(change => ({ at, action, field: change.path.join('.'), oldValue: toLogValue(change.before), newValue: toLogValue(change.after) }))
+            : [{ at, action, field: null, oldValue: null, newValue: null }];
+        gameState.adminLog.push(...entries);
+        emit('admin-history');
+    }
+
+    /**
+     * Runs an admin change, records what it changed as an undoable history entry and logs it.
+     * Returns whatever the change returns.
+     */
+    function recordAdminChange(label, applyChange) {
+        const before = getAdminState();
+        const result = applyChange();
+        const changes = diffStates(before, getAdminState());
+        if (changes.length > 0) {
+            adminUndo.push({ label, changes });
+            if (adminUndo.length > ADMIN_CONFIG.historyLimit) adminUndo.shift();
+            adminRedo = [];
+            logAdminAction(label, changes);
+        }
+        return result;
+    }
+
+    /**
+     * Applies one side ('before' or 'after') of recorded admin changes to the current state and logs it.
+     */
+    function applyAdminChanges(action, changes, side) {
+        const data = getAdminState();
+        changes.forEach(change => setStatePath(data, change.path, change[side]));
+        restoreAdminState(data);
+
+        const otherSide = side === 'before' ? 'after' : 'before';
+        logAdminAction(action, changes.map(change => ({ path: change.path, before: change[otherSide], after: change[side] })));
+        emit('change');
+    }
+
+    /**
+     * Undoes the latest admin change. Returns its label, or null if there is nothing to undo.
+     */
+    function undoAdminChange() {
+        requireAdminUnlocked();
+        const entry = adminUndo.pop();
+        if (!entry) return null;
+
+        adminRedo.push(entry);
+        applyAdminChanges(`Undid: ${entry.label}`, entry.changes, 'before');
+        logger.log(`[Admin] Undid: ${entry.label}.`);
+        return entry.label;
+    }
+
+    /**
+     * Redoes the latest undone admin change. Returns its label, or null if there is nothing to redo.
+     */
+    function redoAdminChange() {
+        requireAdminUnlocked();
+        const entry = adminRedo.pop();
+        if (!entry) return null;
+
+        adminUndo.push(entry);
+        applyAdminChanges(`Redid: ${entry.label}`, entry.changes, 'after');
+        logger.log(`[Admin] Redid: ${entry.label}.`);
+        return entry.label;
+    }
+
+    /**
+     * Lists the audit log, newest first.
+     */
+    function getAdminLog() {
+        return gameState.adminLog.slice().reverse();
+    }
+
+    /**
+     * Checks whether an admin passphrase is configured, without which the panel stays locked.
+     */
+    function hasAdminPassphrase() {
+        return typeof adminPassphraseHash === 'string' && adminPassphraseHash !== '';
+    }
+
+    /**
+     * Unlocks the admin panel with the passphrase. Returns false if the passphrase is wrong
+     * or none is configured.
+     */
+    function unlockAdmin(passphrase) {
+        if (gameState.isAdminUnlocked) return true;
+        if (!hasAdminPassphrase() || typeof passphrase !== 'string' || hashAdminPassphrase(passphrase) !== adminPassphraseHash) {
+            logger.warn("[Admin] Wrong admin passphrase.");
+            return false;
+        }
+
+        gameState.isAdminUnlocked = true;
+        logAdminAction("Unlocked the admin panel", [{ path: ['isAdminUnlocked'], before: false, after: true }]);
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Locks the admin panel again, so the passphrase is needed to use it.
+     */
+    function lockAdmin() {
+        if (!gameState.isAdminUnlocked) return;
+
+        gameState.isAdminUnlocked = false;
+        logAdminAction("Locked the admin panel", [{ path: ['isAdminUnlocked'], before: true, after: false }]);
+        emit('change');
+    }
+
+    /**
+     * Lists the labels of the undoable and redoable admin changes, newest first: { undo, redo }.
+     */
+    function getAdminHistory() {
+        return {
+            undo: adminUndo.map(entry => entry.label).reverse(),
+            redo: adminRedo.map(entry => entry.label).reverse()
+        };
+    }
+
+    /**
+     * Replaces the whole game state with hand-edited data (see getAdminState()).
+     * Throws an Error if the data is invalid (see validateStateEdit()).
+     */
+    function setAdminState(data) {
+        requireAdminUnlocked();
+        validateStateEdit(data, gameMode);
+        recordAdminChange("Edited the game state", () => restoreAdminState(JSON.parse(JSON.stringify(data))));
+        emit('change');
+    }
+
+    /**
+     * Sets the click count. An increase also counts towards total clicks earned.
+     */
+    function setClicks(value) {
+        requireAdminUnlocked();
+        const clicks = BigNumber.from(value);
+        recordAdminChange(`Set clicks to ${formatBigNumber(clicks)}`, () => {
+            const diff = clicks.sub(gameState.clicks); // Calculate difference
+            gameState.clicks = clicks;
+            // Only add the difference to totalClicksEarned if it's positive
+            if (diff.gt(0)) {
+                gameState.totalClicksEarned = gameState.totalClicksEarned.add(diff);
+            }
+        });
+        emit('change');
+    }
+
+    /**
+     * Checks whether this mode's save was touched by admin tools: the audit log has an entry
+     * or a stat is overridden. Such saves are kept off the leaderboard.
+     */
+    function isModified() {
+        return gameState.adminLog.length > 0 || Object.keys(gameState.adminOverrides).length > 0;
+    }
+
+    /**
+     * Ends the admin override of each stat the given upgrade affects.
+     */
+    function clearAdminOverrides(upgrade) {
+        if (upgrade.cpcBonus > 0) delete gameState.adminOverrides.cpc;
+        if (upgrade.cpsBonus > 0) delete gameState.adminOverrides.cps;
+    }
+
+    /**
+     * Overrides Click Power (CP) until an upgrade that affects it is bought.
+     */
+    function setCpc(value) {
+        requireAdminUnlocked();
+        recordAdminChange(`Set CP to ${formatBigNumber(value)}`, () => {
+            gameState.adminOverrides.cpc = BigNumber.from(value).toString(); // Activate override
+            updateCPS();
+        });
+        emit('change');
+    }
+
+    /**
+     * Overrides Clicks Per Second (CPS) until an upgrade that affects it is bought.
+     */
+    function setCps(value) {
+        requireAdminUnlocked();
+        recordAdminChange(`Set CPS to ${formatBigNumber(value)}`, () => {
+            gameState.adminOverrides.cps = BigNumber.from(value).toString(); // Activate override
+            updateCPS();
+        });
+        emit('change');
+    }
+
+    /**
+     * Sets an upgrade's level directly and recalculates CP/CPS.
+     */
+    function setUpgradeLevel(upgradeId, level) {
+        requireAdminUnlocked();
+        const upgrade = getUpgradeConfig(upgradeId);
+        if (!upgrade) return false;
+
+        recordAdminChange(`Set ${upgrade.name} to level ${level}`, () => {
+            gameState.upgrades[upgradeId] = { level };
+            // Deactivate the override of whichever stat this upgrade affects
+            clearAdminOverrides(upgrade);
+            updateCPS(); // Recalculate stats
+        });
+        emit('change');
+        return true;
+    }
+
+    /**
+     * Runs the economy forward as if the given number of seconds had passed with the game open:
+     * CPS is earned, buffs and timed modifiers run out, stats are sampled and achievements checked.
+     * Returns { seconds, clicksEarned }. Throws an Error if the time is out of range.
+     */
+    function simulateTime(seconds) {
+        requireAdminUnlocked();
+        if (!Number.isFinite(seconds) || seconds <= 0 || seconds > ADMIN_CONFIG.maxTimeSkipSeconds) {
+            throw createCodedError('admin.timeSkipRange', { count: ADMIN_CONFIG.maxTimeSkipSeconds / 3600 });
+        }
+
+        const earnedBefore = gameState.totalClicksEarned;
+        recordAdminChange(`Skipped ${formatBigNumber(seconds / 60)} minutes`, () => {
+            runTimeline(seconds, ADMIN_CONFIG.timeSkipStepSeconds);
+        });
+
+        const clicksEarned = gameState.totalClicksEarned.sub(earnedBefore);
+        logger.log(`[Admin] Simulated ${seconds}s: earned ${clicksEarned.toString()} clicks.`);
+        return { seconds, clicksEarned };
+    }
+
+    /**
+     * Reads the stored admin snapshots, treating unreadable data as none.
+     */
+    function readSnapshots() {
+        try {
+            const snapshots = JSON.parse(storage.getItem(ADMIN_SNAPSHOTS_KEY));
+            return snapshots && typeof snapshots === 'object' && !Array.isArray(snapshots) ? snapshots : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Lists the stored admin snapshots by name: [{ name, mode, savedAt }].
+     */
+    function getSnapshots() {
+        return Object.entries(readSnapshots())
+            .map(([name, snapshot]) => ({ name, mode: snapshot.mode, savedAt: snapshot.savedAt }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Stores the current state under a name, replacing a snapshot with the same name.
+     * Throws an Error if the panel is locked, the name is invalid, the snapshot limit is reached
+     * or storage cannot be written.
+     */
+    function saveSnapshot(rawName) {
+        requireAdminUnlocked();
+        const name = String(rawName).trim();
+        if (!name || name.length > ADMIN_CONFIG.maxSnapshotNameLength) {
+            throw createCodedError('admin.snapshotNameLength', { max: ADMIN_CONFIG.maxSnapshotNameLength });
+        }
+        if (isStopped || !canSave()) throw createCodedError('admin.snapshotsNotSaved');
+
+        const snapshots = readSnapshots();
+        if (!snapshots[name] && Object.keys(snapshots).length >= ADMIN_CONFIG.maxSnapshots) {
+            throw createCodedError('admin.tooManySnapshots', { count: ADMIN_CONFIG.maxSnapshots });
+        }
+        snapshots[name] = { mode: gameMode, savedAt: clock.now(), data: getAdminState() };
+        storage.setItem(ADMIN_SNAPSHOTS_KEY, JSON.stringify(snapshots));
+        logAdminAction(`Saved snapshot "${name}"`);
+        logger.log(`[Admin] Saved snapshot "${name}".`);
+    }
+
+    /**
+     * Replaces the current state with a stored snapshot of this mode, as an undoable admin change.
+     * Throws an Error if there is no such snapshot or it belongs to another mode.
+     */
+    function loadSnapshot(name) {
+        requireAdminUnlocked();
+        const snapshot = readSnapshots()[name];
+        if (!snapshot) throw createCodedError('admin.noSnapshot', { name });
+        if (snapshot.mode !== gameMode) {
+            throw createCodedError('admin.wrongSnapshotMode', { name, mode: GAME_MODES[snapshot.mode]?.name ?? snapshot.mode });
+        }
+
+        validateStateEdit(snapshot.data, gameMode);
+        recordAdminChange(`Loaded snapshot "${name}"`, () => restoreAdminState(snapshot.data));
+        logger.log(`[Admin] Loaded snapshot "${name}".`);
+        emit('change');
+    }
+
+    /**
+     * Deletes a stored snapshot. Returns false if there is no such snapshot or storage cannot be written;
+     * throws an Error if the panel is locked.
+     */
+    function deleteSnapshot(name) {
+        requireAdminUnlocked();
+        const snapshots = readSnapshots();
+        if (!snapshots[name] || isStopped || !canSave()) return false;
+
+        delete snapshots[name];
+        storage.setItem(ADMIN_SNAPSHOTS_KEY, JSON.stringify(snapshots));
+        logAdminAction(`Deleted snapshot "${name}"`);
+        return true;
+    }
+
+
+    return {
+        get state() { return gameState; },
+        get mode() { return gameMode; },
+        get config() { return GAME_MODES[gameMode]; },
+        subscribe: events.subscribe,
+        on: events.on,
+
+        // Save and load
+        load,
+        save,
+        serialize,
+        stop,
+        switchMode,
+        isModeUnlocked,
+        getUnlockedModes,
+        createSaveExport,
+        createSyncBundle,
+        applySaveImport,
+        resetProgress,
+        hardReset,
+
+        // Economy
+        getUpgradeConfig,
+        getUpgradeLevel,
+        isUpgradeUnlocked,
+        getUpgradeCost,
+        getUpgradeBulkCost,
+        getUpgradePurchase,
+        getTotalUpgrades,
+        updateCPS,
+        click,
+        buyUpgrade,
+        setBuyQuantity,
+        setActiveTab,
+        redeemCode,
+        setCodes,
+        getCodeRedemptions,
+
+        // Game loop
+        tick,
+        update,
+        getInterpolatedClicks,
+
+        // Stats history and session metrics
+        getStatsHistory,
+        getSessionStats,
+        getLeaderboardStats,
+
+        // Random events and buffs
+        getRandomEventTarget,
+        claimRandomEvent,
+        getActiveBuffs,
+
+        // CP/CPS modifiers
+        addModifier,
+        removeModifier,
+        getModifiers,
+        getStatBreakdown,
+
+        // Achievements
+        getAchievementStat,
+        getAchievementProgress,
+        getAchievementBonus,
+        checkAchievements,
+
+        // Prestige
+        getPrestigeUpgradeLevel,
+        getPrestigeBonus,
+        getPrestigeCostMultiplier,
+        getPrestigePointsAvailable,
+        getPrestigeUpgradeCost,
+        performPrestige,
+        buyPrestigeUpgrade,
+
+        // Admin
+        isModified,
+        setClicks,
+        setCpc,
+        setCps,
+        setUpgradeLevel,
+        getAdminState,
+        setAdminState,
+        simulateTime,
+        undoAdminChange,
+        redoAdminChange,
+        getAdminHistory,
+        getAdminLog,
+        hasAdminPassphrase,
+        unlockAdmin,
+        lockAdmin,
+        getSnapshots,
+        saveSnapshot,
+        loadSnapshot,
+        deleteSnapshot
+    };
+}
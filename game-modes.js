@@ -0,0 +1,145 @@
+// --- GAME MODE REGISTRY ---
+// Each game mode is a separate game with its own title, theme, upgrades and save. Modes are
+// added with registerGameMode(); the core, the Options mode picker, save export and reset all
+// read this registry, so a new mode (e.g. a seasonal one) only needs one registration call.
+
+// Mode the game starts in when no other mode was chosen
+export const DEFAULT_GAME_MODE = 'crypto';
+
+// Registered modes keyed by id, in registration order
+export const GAME_MODES = {};
+
+/**
+ * Registers a game mode and returns its definition.
+ *   id              - internal key, stored in the mode tracker and save exports
+ *   name            - display name used in the mode picker and messages
+ *   title           - header title while the mode is active
+ *   clickButtonText - text on the clicker button (hidden when the mode has a clickerImage)
+ *   saveKey         - storage key of the mode's save
+ *   theme           - { className, accentClasses, clickerShape }: class added to <body>, classes of
+ *                     the active tab button and the clicker button shape class
+ *   clickerImage    - optional image shown on the clicker button instead of the text
+ *   isLocked        - true if the mode stays hidden until a code unlocks it (a 'mode' reward in the
+ *                     code registry, see redeem-codes.js); other modes are always available
+ *   page            - optional page that runs the mode with its own engine instead of the clicker
+ *                     core (e.g. Bottles); the mode picker navigates there
+ *   upgrades        - clicker upgrade registry (not needed for modes with a page); the upgrades panel, stats, admin level editors and save
+ *                     data are all generated from this list:
+ *     id             - internal key used in the save file
+ *     legacyKey      - key used by older saves, before upgrades had their own ids
+ *     cpcBonus       - clicks per manual click (CP) added per level
+ *     cpsBonus       - clicks per second (CPS) added per level
+ *     unlockAt       - total clicks earned before the upgrade is shown
+ */
+export function registerGameMode(definition) {
+    const { id, saveKey, upgrades, page } = definition || {};
+    if (!id || !saveKey || (!page && !Array.isArray(upgrades))) {
+        throw new Error('A game mode needs an id, a save key and a list of upgrades.');
+    }
+    if (GAME_MODES[id]) {
+        throw new Error(`The game mode "${id}" is already registered.`);
+    }
+    if (Object.values(GAME_MODES).some(mode => mode.saveKey === saveKey)) {
+        throw new Error(`The save key "${saveKey}" is already used by another game mode.`);
+    }
+
+    GAME_MODES[id] = {
+        name: id,
+        title: id.toUpperCase(),
+        clickButtonText: "Click!",
+        clickerImage: null,
+        isLocked: false,
+        page: null,
+        upgrades: [],
+        ...definition,
+        theme: { className: null, accentClasses: ['text-sky-400', 'border-sky-400'], clickerShape: 'clicker-button-round', ...definition.theme }
+    };
+    return GAME_MODES[id];
+}
+
+
+// --- BUILT-IN MODES ---
+
+registerGameMode({
+    id: 'crypto',
+    name: "Crypto Clicker",
+    title: "CRYPTO CLICKER",
+    clickButtonText: "Mine!",
+    saveKey: 'cryptoClickerSave',
+    theme: {
+        accentClasses: ['text-sky-400', 'border-sky-400'],
+        clickerShape: 'clicker-button-round'
+    },
+    upgrades: [
+        {
+            id: 'cpuOverclock',
+            name: "CPU Overclock",
+            description: "Increases clicks per manual click (CP) by 1.",
+            baseCost: 10,
+            costMultiplier: 1.5,
+            cpcBonus: 1,
+            cpsBonus: 0,
+            unlockAt: 0
+        },
+        {
+            id: 'gpuMiner',
+            name: "GPU Miner",
+            description: "Adds 5 clicks per second (CPS).",
+            baseCost: 100,
+            costMultiplier: 1.6,
+            cpcBonus: 0,
+            cpsBonus: 5,
+            unlockAt: 0
+        }
+    ]
+});
+
+registerGameMode({
+    id: 'pencil',
+    name: "Titus Clicker",
+    title: "TITUS CLICKER",
+    clickButtonText: "GOON!",
+    saveKey: 'pencilClickerSave',
+    theme: {
+        className: 'pencil-mode',
+        accentClasses: ['text-yellow-500', 'border-yellow-500'],
+        clickerShape: 'clicker-button-rounded'
+    },
+    clickerImage: './images/placeholder_600x400.jpg',
+    isLocked: true,
+    upgrades: [
+        {
+            id: 'sharpenDih',
+            legacyKey: 'cpuOverclock',
+            name: "Sharpen Dih",
+            description: "Increases clicks per manual click (CP) by 1 (sharper point!).",
+            baseCost: 10,
+            costMultiplier: 1.5,
+            cpcBonus: 1,
+            cpsBonus: 0,
+            unlockAt: 0
+        },
+        {
+            id: 'autoSharpener',
+            legacyKey: 'gpuMiner',
+            name: "Auto-Sharpener",
+            description: "Adds 5 clicks per second (CPS) automatically.",
+            baseCost: 100,
+            costMultiplier: 1.6,
+            cpcBonus: 0,
+            cpsBonus: 5,
+            unlockAt: 0
+        }
+    ]
+});
+
+registerGameMode({
+    id: 'bottles',
+    name: "Bottles",
+    title: "BOTTLES",
+    saveKey: 'bottlesSave',
+    page: './bottles.html',
+    theme: {
+        accentClasses: ['text-cyan-400', 'border-cyan-400']
+    }
+});
@@ -0,0 +1,217 @@
+// --- INTERNATIONALIZATION ---
+// Player-facing text is looked up by key in the catalog of the chosen locale. A catalog is a
+// flat object of key -> message (locales/en.js is the reference catalog). Messages can contain
+// {name} placeholders, filled from the parameters; numbers and BigNumbers are formatted in the
+// locale and the chosen number notation. A message with plural forms is an object keyed by
+// Intl.PluralRules category (zero, one, two, few, many, other), picked by the 'count' parameter.
+// Texts that live in registries (modes, upgrades, achievements, ...) keep their English text in
+// the registry and are passed as the default text, so only other locales list them. A key the
+// locale is missing falls back to English; createTranslator() can report every fallback.
+// Modules without a translator throw coded errors (see createCodedError()), which the UI
+// translates with translateError(). Like the game core this module has no DOM access.
+
+import { BigNumber, formatBigNumber } from './big-number.js';
+import { EN_MESSAGES } from './locales/en.js';
+import { DE_MESSAGES } from './locales/de.js';
+
+// Locale whose catalog every other locale falls back to
+export const DEFAULT_LOCALE = 'en';
+
+// Registered locales keyed by id (a BCP 47 language tag), in registration order
+export const LOCALES = {};
+
+/**
+ * Registers a locale and returns its definition.
+ *   id       - language tag, also used for Intl number, date and plural rules (e.g. 'de')
+ *   name     - name of the language in that language, shown in the language picker
+ *   messages - translation catalog (see above)
+ */
+export function registerLocale({ id, name, messages } = {}) {
+    if (!id || !name || !messages || typeof messages !== 'object') {
+        throw new Error('A locale needs an id, a name and a catalog of messages.');
+    }
+    if (LOCALES[id]) {
+        throw new Error(`The locale "${id}" is already registered.`);
+    }
+
+    LOCALES[id] = { id, name, messages };
+    return LOCALES[id];
+}
+
+registerLocale({ id: 'en', name: "English", messages: EN_MESSAGES });
+registerLocale({ id: 'de', name: "Deutsch", messages: DE_MESSAGES });
+
+// English translator behind the messages of coded errors (see createCodedError())
+const englishTranslator = createTranslator();
+
+/**
+ * Picks the first registered locale matching the preferred languages (e.g. navigator.languages).
+ * 'de-AT' matches 'de'. Falls back to DEFAULT_LOCALE.
+ */
+export function matchLocale(languages = []) {
+    for (const language of languages) {
+        if (LOCALES[language]) return language;
+        const base = String(language).split('-')[0];
+        if (LOCALES[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Lists the keys a locale has no translation for: those of the English catalog, plus the
+ * registry texts (key -> English text) that are only passed as default texts.
+ */
+export function findMissingMessages(localeId, registryTexts = {}) {
+    const { messages } = LOCALES[localeId];
+    return [...Object.keys(LOCALES[DEFAULT_LOCALE].messages), ...Object.keys(registryTexts)]
+        .filter(key => messages[key] === undefined);
+}
+
+/**
+ * Creates an Error for a catalog message: its code is the message key and its params the
+ * parameters, so translateError() can show it in any locale. The message is the English text,
+ * for logs and callers that do not translate. A param that is itself an Error is translated too.
+ */
+export function createCodedError(code, params = {}) {
+    return Object.assign(new Error(englishTranslator.translateError({ code, params })), { code, params });
+}
+
+/**
+ * Creates a translator.
+ *   locale    - id of a registered locale; unknown ids fall back to DEFAULT_LOCALE
+ *   notation  - number notation for formatted numbers (see NUMBER_NOTATIONS)
+ *   onMissing - called as onMissing(key, locale) the first time a key falls back to English
+ *               (or has no text at all); used to report missing translations in dev mode
+ */
+export function createTranslator({ locale = DEFAULT_LOCALE, notation = 'full', onMissing = null } = {}) {
+    let currentLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+    let currentNotation = notation;
+    let pluralRules = new Intl.PluralRules(currentLocale);
+    const reportedKeys = new Set(); // "locale:key" of the fallbacks reported so far
+
+    /**
+     * Switches to another registered locale. Returns false for an unknown locale.
+     */
+    function setLocale(localeId) {
+        if (!LOCALES[localeId]) return false;
+        currentLocale = localeId;
+        pluralRules = new Intl.PluralRules(localeId);
+        return true;
+    }
+
+    /**
+     * Switches the number notation used by formatNumber() and the message parameters.
+     */
+    function setNotation(notationId) {
+        currentNotation = notationId;
+    }
+
+    /**
+     * Reports a key that fell back to English, once per locale.
+     */
+    function reportMissing(key) {
+        const reportKey = `${currentLocale}:${key}`;
+        if (!onMissing || reportedKeys.has(reportKey)) return;
+        reportedKeys.add(reportKey);
+        onMissing(key, currentLocale);
+    }
+
+    /**
+     * Finds the message of a key: the locale's, else the English one, else the default text.
+     */
+    function findMessage(key, defaultText) {
+        const message = LOCALES[currentLocale].messages[key];
+        if (message !== undefined) return message;
+
+        const english = LOCALES[DEFAULT_LOCALE].messages[key] ?? defaultText;
+        if (currentLocale !== DEFAULT_LOCALE || english === undefined) reportMissing(key);
+        return english ?? key;
+    }
+
+    /**
+     * Gets an error's message in the locale. Coded errors (see createCodedError()) are looked up
+     * in the catalogs; any other error keeps its own message.
+     */
+    function translateError(error) {
+        if (!error || typeof error.code !== 'string' || LOCALES[DEFAULT_LOCALE].messages[error.code] === undefined) {
+            return error?.message ?? String(error);
+        }
+        const params = Object.fromEntries(Object.entries(error.params || {})
+            .map(([name, value]) => [name, value instanceof Error ? translateError(value) : value]));
+        return t(error.code, params);
+    }
+
+    /**
+     * Formats a BigNumber or plain number in the locale and the chosen notation.
+     */
+    function formatNumber(value) {
+        return formatBigNumber(value, currentNotation, currentLocale);
+    }
+
+    /**
+     * Translates a key, filling in the parameters. A plural message picks its form by params.count.
+     * defaultText is the English text of a registry entry without a catalog key (see above).
+     * Placeholders without a parameter are left in place.
+     */
+    function t(key, params = {}, defaultText = undefined) {
+        let message = findMessage(key, defaultText);
+        if (typeof message === 'object') {
+            const count = params.count instanceof BigNumber ? params.count.toNumber() : Number(params.count);
+            message = message[pluralRules.select(Number.isFinite(count) ? count : 0)] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) return placeholder;
+            return typeof value === 'number' || value instanceof BigNumber ? formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Formats a number of seconds as a short duration (e.g. "2h 15m").
+     */
+    function formatDuration(totalSeconds) {
+        const seconds = Math.floor(totalSeconds);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        if (hours > 0) return t('duration.hoursMinutes', { hours, minutes });
+        if (minutes > 0) return t('duration.minutesSeconds', { minutes, seconds: seconds % 60 });
+        return t('duration.seconds', { seconds });
+    }
+
+    /**
+     * Formats a time in ms as a date and time of day.
+     */
+    function formatDate(time) {
+        return new Date(time).toLocaleString(currentLocale);
+    }
+
+    /**
+     * Formats a time in ms as a time of day.
+     */
+    function formatTime(time) {
+        return new Date(time).toLocaleTimeString(currentLocale);
+    }
+
+    /**
+     * Joins a list of texts with "or" (e.g. "A, B, or C").
+     */
+    function formatOrList(items) {
+        return new Intl.ListFormat(currentLocale, { type: 'disjunction' }).format(items);
+    }
+
+    return {
+        get locale() { return currentLocale; },
+        get notation() { return currentNotation; },
+        setLocale,
+        setNotation,
+        t,
+        translateError,
+        formatNumber,
+        formatDuration,
+        formatDate,
+        formatTime,
+        formatOrList
+    };
+}
@@ -0,0 +1,126 @@
+// --- LEADERBOARD ---
+// Optionally submits this mode's score to a leaderboard endpoint and reads the rankings back.
+// The endpoint (see server/leaderboard-server.js) keeps one entry per player and mode:
+//   POST /leaderboard/<mode> - body { playerId, name, ...game.getLeaderboardStats() }
+//   GET  /leaderboard/<mode>?top=<n>&playerId=<id> - { entries, player, playerCount }
+// Saves changed with the admin tools are still submitted, flagged with isModified, and the
+// server keeps them out of the rankings.
+
+import { getPlayerId, normalizeEndpoint } from './cloud-sync.js';
+import { createCodedError } from './i18n.js';
+
+// Storage key of the leaderboard settings: { endpoint, playerName }
+export const LEADERBOARD_KEY = 'clickerLeaderboard';
+
+export const LEADERBOARD_CONFIG = {
+    topCount: 10,            // Entries shown on the board
+    submitIntervalMs: 60000, // Scores are submitted at most this often while playing
+    requestTimeoutMs: 8000,  // Give up on a request to the endpoint after this long
+    maxNameLength: 24
+};
+
+/**
+ * Creates the leaderboard client for a game instance.
+ *   storage   - localStorage-like object holding the player id and leaderboard settings
+ *   game      - game instance from createGame()
+ *   fetch     - fetch-like function used to reach the endpoint
+ *   canSubmit - called before every submission; return false to keep this instance from
+ *               submitting (e.g. while another browser tab owns the game)
+ */
+export function createLeaderboard({ storage, game, fetch = (...args) => globalThis.fetch(...args), logger = console, canSubmit = () => true }) {
+    const playerId = getPlayerId(storage);
+    let lastSubmitAt = 0;
+
+    /**
+     * Reads the leaderboard settings, treating unreadable data as the feature being off.
+     */
+    function readSettings() {
+        try {
+            const settings = JSON.parse(storage.getItem(LEADERBOARD_KEY));
+            return settings && typeof settings.endpoint === 'string' ? settings : { endpoint: '', playerName: '' };
+        } catch (e) {
+            return { endpoint: '', playerName: '' };
+        }
+    }
+
+    /**
+     * Checks whether scores can be submitted: an endpoint and a name are both set.
+     */
+    function isConfigured() {
+        const { endpoint, playerName } = readSettings();
+        return Boolean(endpoint && playerName);
+    }
+
+    /**
+     * Sets the endpoint URL and the name shown on the board. An empty URL turns the leaderboard off.
+     * Throws a coded Error (see createCodedError()) for anything but an http(s) URL or a name that is too long.
+     */
+    function setSettings({ endpoint, playerName }) {
+        const name = playerName.trim();
+        if (name.length > LEADERBOARD_CONFIG.maxNameLength) {
+            throw createCodedError('errors.leaderboardNameTooLong', { max: LEADERBOARD_CONFIG.maxNameLength });
+        }
+        storage.setItem(LEADERBOARD_KEY, JSON.stringify({ endpoint: normalizeEndpoint(endpoint), playerName: name }));
+        lastSubmitAt = 0;
+    }
+
+    /**
+     * Sends a request to the current mode's board.
+     */
+    async function request(method, query, body) {
+        const { endpoint } = readSettings();
+        const url = `${endpoint}/leaderboard/${encodeURIComponent(game.mode)}${query ? `?${query}` : ''}`;
+        const response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(LEADERBOARD_CONFIG.requestTimeoutMs)
+        });
+        if (!response.ok) {
+            // The server's own explanation is English, so it only goes to the log
+            const { error } = await response.json().catch(() => ({}));
+            if (error) logger.warn(`[Leaderboard] The server refused the request: ${error}`);
+            throw createCodedError('errors.leaderboardServerStatus', { status: response.status });
+        }
+        return response.json();
+    }
+
+    /**
+     * Submits this mode's score. Returns false if the leaderboard is not set up or this
+     * instance may not submit. Throws an Error if the endpoint could not be used.
+     */
+    async function submit() {
+        if (!isConfigured() || !canSubmit()) return false;
+
+        lastSubmitAt = Date.now();
+        await request('POST', '', { playerId, name: readSettings().playerName, ...game.getLeaderboardStats() });
+        return true;
+    }
+
+    /**
+     * Submits the score in the background, at most once per LEADERBOARD_CONFIG.submitIntervalMs. Called after every save.
+     */
+    function requestSubmit() {
+        if (Date.now() - lastSubmitAt < LEADERBOARD_CONFIG.submitIntervalMs) return;
+        submit().catch(error => logger.error("[Leaderboard] Submission failed:", error));
+    }
+
+    /**
+     * Fetches the current mode's board: { entries, player, playerCount }, where player is this
+     * player's own entry (rank null if the save is admin-modified) or null if they are not on it.
+     */
+    async function fetchBoard() {
+        const query = new URLSearchParams({ top: String(LEADERBOARD_CONFIG.topCount), playerId });
+        return request('GET', query.toString());
+    }
+
+    return {
+        get endpoint() { return readSettings().endpoint; },
+        get playerName() { return readSettings().playerName; },
+        isConfigured,
+        setSettings,
+        submit,
+        requestSubmit,
+        fetchBoard
+    };
+}
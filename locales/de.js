@@ -0,0 +1,449 @@
+// --- GERMAN CATALOG ---
+// Translates every key of the English catalog (locales/en.js) and every registry text
+// (see getRegistryTexts() in game-core.js).
+
+export const DE_MESSAGES = {
+    // Shared
+    'common.save': "Speichern",
+    'common.cancel': "Abbrechen",
+    'common.refresh': "Aktualisieren",
+    'common.dismiss': "Zum Schließen klicken",
+    'common.error': "Fehler: {message}",
+    'duration.hoursMinutes': "{hours} Std. {minutes} Min.",
+    'duration.minutesSeconds': "{minutes} Min. {seconds} Sek.",
+    'duration.seconds': "{seconds} Sek.",
+
+    // Header tabs
+    'tabs.upgrades': "Upgrades",
+    'tabs.stats': "Statistik",
+    'tabs.achievements': "Erfolge",
+    'tabs.prestige': "Prestige",
+    'tabs.leaderboard': "Rangliste",
+    'tabs.options': "Optionen",
+    'tabs.admin': "Admin",
+
+    // Clicker area
+    'clicker.clicks': "Klicks",
+    'clicker.imageAlt': "Klick mich",
+    'clicker.stats': "Klickkraft (KK): {cpc} {cps}",
+    'clicker.perSecond': "+{cps}/s",
+    'clicker.catchIt': "Fang es!",
+    'clicker.buff': "{name}: x{multiplier} {stat} ({time})",
+    'clicker.offlineEarnings': {
+        one: "Während du weg warst ({duration}), hast du {count} Klick verdient!",
+        other: "Während du weg warst ({duration}), hast du {count} Klicks verdient!"
+    },
+    'clicker.offlineEarningsCapped': {
+        one: "Während du weg warst ({duration}), hast du {count} Klick verdient! (Begrenzt auf {cap}.)",
+        other: "Während du weg warst ({duration}), hast du {count} Klicks verdient! (Begrenzt auf {cap}.)"
+    },
+    'clicker.eventClicks': {
+        one: "{name}! +{count} Klick.",
+        other: "{name}! +{count} Klicks."
+    },
+    'clicker.eventBuff': "{name}! {description}",
+    'stats.cpc.short': "KK",
+    'stats.cps.short': "KPS",
+
+    // CP/CPS breakdown tooltip
+    'breakdown.base': "Basis: {value}",
+    'breakdown.total': "Gesamt: {value}",
+    'modifiers.upgrade': "{name} (St. {level})",
+    'modifiers.achievements': "Erfolge",
+    'modifiers.prestige': "Prestige-Upgrades",
+    'modifiers.admin': "Admin-Vorgabe",
+
+    // Upgrades panel
+    'upgradesPanel.heading': "Verfügbare Upgrades",
+    'upgradesPanel.buy': "Kaufen:",
+    'upgradesPanel.max': "Max",
+    'upgradesPanel.level': "Stufe: {level}",
+    'upgradesPanel.buyButton': "{quantity} kaufen ({cost})",
+    'purchase.notEnoughClicks': "Nicht genug Klicks.",
+    'purchase.notEnoughPoints': "Nicht genug Prestigepunkte.",
+    'purchase.maxLevel': "Schon auf der höchsten Stufe.",
+    'purchase.failed': "{name} kann nicht gekauft werden: {reason}",
+    'purchase.confirm': "Zum Kaufen erneut klicken",
+
+    // Stats panel
+    'statsPanel.heading': "Detaillierte Statistik",
+    'statsPanel.modified': "VERÄNDERT",
+    'statsPanel.modifiedTitle': "Dieser Spielstand wurde mit den Admin-Werkzeugen verändert (siehe Protokoll).",
+    'statsPanel.totalClicksEarned': "Insgesamt verdiente Klicks: {value}",
+    'statsPanel.clickPower': "Klickkraft (KK): {value}",
+    'statsPanel.clicksPerSecond': "Klicks pro Sekunde (KPS): {value}",
+    'statsPanel.totalUpgrades': "Gekaufte Upgrades: {value}",
+    'statsPanel.upgradeLevel': "{name}, Stufe: {level}",
+    'statsPanel.session': "Diese Sitzung",
+    'statsPanel.playTime': "Spielzeit: {value}",
+    'statsPanel.manualClicks': "Manuelle Klicks: {value}",
+    'statsPanel.peakClicks': "Höchstwert Klicks pro Sekunde: {value}",
+    'statsPanel.sessionUpgrade': "{name}: {spent} Klicks ausgegeben - {levels}",
+    'statsPanel.levelReached': "St. {level} nach {time}",
+    'statsPanel.history': "Verlauf",
+    'statsPanel.show': "Zeitraum:",
+    'statsPanel.notEnoughData': "Noch nicht genug Daten.",
+    'statsPanel.chartRange': "Jetzt {now} · Höchstwert {peak} · über {duration}",
+    'statsPanel.chart.clicks': "Klicks",
+    'statsPanel.chart.cps': "Klicks pro Sekunde (KPS)",
+    'statsPanel.chart.totalClicksEarned': "Insgesamt verdiente Klicks",
+    'statsPanel.chart.totalClicksSpent': "Für Upgrades ausgegebene Klicks",
+    'statsPanel.playerId': "Spieler-ID: {id}",
+
+    // Achievements panel
+    'achievementsPanel.heading': "Erfolge",
+    'achievementsPanel.none': "Noch keine Erfolge freigeschaltet. Los, klicken!",
+    'achievementsPanel.summary': "{unlocked} von {total} Erfolgen freigeschaltet.",
+    'achievementsPanel.bonus': "Bonus: {bonus}",
+    'achievementsPanel.unlocked': "Freigeschaltet!",
+    'achievementsPanel.progress': "{current} / {target}",
+    'achievementsPanel.toast': "Erfolg freigeschaltet: {name}!",
+    'achievementsPanel.toastWithBonus': "Erfolg freigeschaltet: {name}! ({bonus})",
+    'bonus.cpc': "+{percent} % KK",
+    'bonus.cps': "+{percent} % KPS",
+
+    // Prestige panel
+    'prestigePanel.heading': "Prestige",
+    'prestigePanel.points': "Prestigepunkte (PP): {points}",
+    'prestigePanel.totals': "Insgesamt verdiente PP: {total} · Prestiges: {resets}",
+    'prestigePanel.permanentBonus': "Dauerhafter Bonus: {bonus}",
+    'prestigePanel.bonus': "+{cpc} % KK, +{cps} % KPS, -{discount} % Upgrade-Kosten",
+    'prestigePanel.explanation': "Prestige setzt deine Klicks und Upgrade-Stufen in diesem Modus zurück. Du erhältst {gain} PP.",
+    'prestigePanel.prestige': "Prestige",
+    'prestigePanel.confirm': "Zum Bestätigen erneut klicken",
+    'prestigePanel.upgradesHeading': "Prestige-Upgrades",
+    'prestigePanel.levelOfMax': "{level} / {max}",
+    'prestigePanel.maxed': "Maximal",
+    'prestigePanel.buy': "Kaufen ({cost} PP)",
+    'prestigePanel.gained': {
+        one: "Prestige! Du hast {count} Prestigepunkt erhalten.",
+        other: "Prestige! Du hast {count} Prestigepunkte erhalten."
+    },
+    'prestigePanel.notEnough': "Du hast noch nicht genug Klicks für ein Prestige verdient.",
+
+    // Leaderboard panel
+    'leaderboard.heading': "Rangliste",
+    'leaderboard.server': "Ranglisten-Server",
+    'leaderboard.description': "Vergleiche deinen Fortschritt auf einem Ranglisten-Server mit anderen. Lass die URL leer, um keine Punkte mehr zu senden.",
+    'leaderboard.namePlaceholder': "Dein Name",
+    'leaderboard.topPlayers': "Bestenliste: {mode}",
+    'leaderboard.cps': "{cps} KPS",
+    'leaderboard.prestiges': "{count}P",
+    'leaderboard.empty': "Noch keine Einträge. Sei der Erste!",
+    'leaderboard.notListed': "Du stehst noch nicht auf dieser Liste.",
+    'leaderboard.notRanked': "Dein Spielstand wurde mit den Admin-Werkzeugen verändert und wird nicht gewertet.",
+    'leaderboard.ownRank': "Dein Rang: #{rank} von {players}, mit insgesamt {clicks} verdienten Klicks.",
+    'leaderboard.notConfigured': "Gib deinen Namen und einen Ranglisten-Server ein, um mitzumachen.",
+    'leaderboard.loading': "Rangliste wird geladen...",
+    'leaderboard.modified': "Dein Spielstand wurde mit den Admin-Werkzeugen verändert und bleibt aus der Rangliste.",
+    'leaderboard.unreachable': "Die Rangliste ist nicht erreichbar: {error}",
+
+    // Options panel
+    'options.heading': "Optionen",
+    'options.gameMode': "Spielmodus",
+    'options.currentMode': "Du spielst gerade {mode}. Jeder Modus hat seinen eigenen Fortschritt.",
+    'modeSwitch.done': "Zu {mode} gewechselt!",
+    'modeSwitch.failed': "Das Spiel kann den Modus gerade nicht wechseln.",
+    'options.redeemHeading': "Code einlösen",
+    'options.redeemDescription': "Gib hier einen geheimen Code ein, um einen Bonus freizuschalten.",
+    'options.codePlaceholder': "Code hier eingeben...",
+    'options.redeem': "Einlösen",
+    'options.redeemedCodes': "Eingelöste Codes",
+    'options.noCodes': "Noch keine Codes eingelöst.",
+    'options.languageHeading': "Sprache",
+    'options.languageDescription': "Wähle die Sprache des Spiels. Zahlen, Daten und Zeitangaben werden so angezeigt, wie sie in dieser Sprache geschrieben werden.",
+    'options.notationHeading': "Zahlenformat",
+    'options.notationDescription': "Wähle, wie große Zahlen im ganzen Spiel angezeigt werden.",
+    'options.languageAuto': "Automatisch ({language})",
+
+    // Settings
+    'settings.heading': "Einstellungen",
+    'settings.description': "Deine Einstellungen gelten für alle Spielmodi und bleiben erhalten, wenn du den Modus wechselst oder deinen Fortschritt zurücksetzt.",
+    'settings.autosave': "Automatisch speichern alle",
+    'settings.seconds': { one: "{count} Sekunde", other: "{count} Sekunden" },
+    'settings.minutes': { one: "{count} Minute", other: "{count} Minuten" },
+    'settings.theme': "Design",
+    'settings.themeMode': "Eigenes Design jedes Modus",
+    'settings.soundVolume': "Lautstärke",
+    'settings.volumePercent': "{volume} %",
+    'settings.reducedMotion': "Bewegung reduzieren (keine Animationen)",
+    'settings.clickEffects': "Klick-Effekte anzeigen",
+    'settings.confirmPurchases': "Jeden Kauf mit einem zweiten Klick bestätigen",
+    'settings.export': "Einstellungen exportieren",
+    'settings.import': "Einstellungen importieren",
+    'settings.restoreDefaults': "Standard wiederherstellen",
+    'settings.exported': "Einstellungsdatei heruntergeladen!",
+    'settings.imported': "Einstellungen importiert!",
+    'settings.importFailed': "Import fehlgeschlagen: {error}",
+    'settings.restored': "Alle Einstellungen sind wieder auf dem Standard.",
+
+    // Redeem codes
+    'codes.empty': "Bitte gib einen Code ein.",
+    'codes.unavailable': "Codes sind gerade nicht verfügbar. Versuch es später noch einmal.",
+    'codes.invalid': "Ungültiger Code. Versuch es noch einmal!",
+    'codes.notActive': "Dieser Code ist noch nicht aktiv.",
+    'codes.expired': "Dieser Code ist abgelaufen.",
+    'codes.wrongMode': "Dieser Code funktioniert nur in {modes}.",
+    'codes.alreadyRedeemed': "Du hast diesen Code bereits eingelöst.",
+    'codes.limitReached': "Du hast diesen Code so oft eingelöst, wie er erlaubt.",
+    'codes.modeActive': "{mode} ist bereits aktiv!",
+    'codes.modeUnlocked': "GEHEIMCODE akzeptiert! {mode} ist jetzt in der Modusauswahl unter Optionen freigeschaltet!",
+    'codes.modeWelcome': "GEHEIMCODE akzeptiert! Willkommen bei {title}!",
+    'codes.adminAlreadyUnlocked': "Der Admin-Tab ist bereits freigeschaltet!",
+    'codes.adminUnlocked': "ADMIN-Tab FREIGESCHALTET! Gib dort die Admin-Passphrase ein.",
+    'codes.buff': "Code EINGELÖST! {name} ist aktiv!",
+    'codes.clicks': {
+        one: "Code EINGELÖST! Du hast {count} Klick erhalten!",
+        other: "Code EINGELÖST! Du hast {count} Klicks erhalten!"
+    },
+
+    // Save export / import
+    'transfer.heading': "Spielstand exportieren / importieren",
+    'transfer.description': "Sichere alle Spielmodi als Spielstand-Text oder übertrage deinen Fortschritt in einen anderen Browser.",
+    'transfer.placeholder': "Hier erscheint der exportierte Spielstand. Füge einen Spielstand-Text ein, um ihn zu importieren.",
+    'transfer.export': "Exportieren",
+    'transfer.download': "Datei herunterladen",
+    'transfer.import': "Importieren",
+    'transfer.importFile': "Datei importieren",
+    'transfer.preview': "Import-Vorschau",
+    'transfer.replace': "Meine Spielstände ersetzen",
+    'transfer.exported': "Spielstand exportiert! Kopiere den Text oben oder lade ihn als Datei herunter.",
+    'transfer.exportFailed': "Export fehlgeschlagen. Details stehen in der Konsole.",
+    'transfer.downloaded': "Spielstand-Datei heruntergeladen!",
+    'transfer.empty': "Füge zuerst einen Spielstand-Text ein oder wähle eine Spielstand-Datei.",
+    'transfer.importFailed': "Import fehlgeschlagen: {error}",
+    'transfer.activeMode': "Aktiver Modus: {mode}",
+    'transfer.noSave': "{mode}: kein Spielstand (wird gelöscht)",
+    'transfer.saveIncluded': "{mode}: Spielstand enthalten",
+    'transfer.saveSummary': "{mode}: {clicks} Klicks ({earned} verdient) - Stufen: {levels}",
+    'transfer.upgradeLevel': "{name} {level}",
+    'transfer.valid': "Der Spielstand ist gültig. Prüfe die Vorschau und bestätige, um deine aktuellen Spielstände zu ersetzen.",
+    'transfer.imported': "Spielstand importiert! Neustart...",
+    'transfer.cancelled': "Import abgebrochen. Deine aktuellen Spielstände wurden nicht verändert.",
+
+    // Cloud sync
+    'cloud.heading': "Cloud-Synchronisierung",
+    'cloud.description': "Halte alle Spielmodi mit einem Spielstand-Server synchron, um in einem anderen Browser weiterzuspielen. Lass die URL leer, um die Synchronisierung abzuschalten. Deine Spieler-ID: {id}",
+    'cloud.syncNow': "Jetzt synchronisieren",
+    'cloud.conflictHeading': "Deine Spielstände sind auseinandergelaufen",
+    'cloud.conflictDescription': "Dieser Browser und der Server haben beide Fortschritt, den der andere nicht hat. Wähle, welche Spielstände du behalten willst; die anderen werden überschrieben.",
+    'cloud.keepLocal': "Spielstände dieses Browsers behalten",
+    'cloud.useCloud': "Cloud-Spielstände verwenden",
+    'cloud.thisBrowser': "Dieser Browser",
+    'cloud.cloud': "Cloud",
+    'cloud.summary': "{label}: gespeichert am {date}, insgesamt {clicks} verdiente Klicks",
+    'cloud.paused': "Synchronisierung pausiert, bis du dich entscheidest.",
+    'cloud.pulled': "Deine Cloud-Spielstände wurden geladen! Neustart...",
+    'cloud.off': "Die Cloud-Synchronisierung ist aus.",
+    'cloud.syncing': "Synchronisiere...",
+    'cloud.synced': "Synchronisiert.",
+    'cloud.failed': "Synchronisierung fehlgeschlagen: {error}",
+
+    // Game data reset
+    'reset.heading': "Spieldaten",
+    'reset.description': "Wenn sich das Spiel seltsam verhält, kannst du deinen Fortschritt in allen Modi zurücksetzen. Prestigepunkte und -upgrades bleiben erhalten. Ein harter Reset löscht alle Spielstände in diesem Browser, auch das Prestige; deine Einstellungen bleiben erhalten. Mit aktiver Cloud-Synchronisierung werden Resets auch auf dem Server übernommen.",
+    'reset.progress': "Fortschritt zurücksetzen",
+    'reset.hard': "Alle Daten hart zurücksetzen",
+    'reset.progressDone': "Fortschritt gelöscht! Prestige bleibt erhalten. Neustart...",
+    'reset.hardDone': "Alle Spieldaten gelöscht! Neustart...",
+
+    // Notifications
+    'notifications.heading': "Benachrichtigungen",
+    'notifications.clear': "Leeren",
+    'notifications.description': "Die letzten Meldungen dieser Sitzung, neueste zuerst.",
+    'notifications.empty': "Noch keine Benachrichtigungen.",
+    'notifications.repeated': "{message} (x{count})",
+    'load.quarantined': "Dein Spielstand für {title} konnte nicht geladen werden: {reason} Er wurde unter \"{key}\" aufbewahrt und ein neues Spiel wurde gestartet.",
+    'load.saveFailed': "Dein Fortschritt konnte nicht gespeichert werden: {error}",
+
+    // Admin panel
+    'admin.heading': "ADMIN-WERKZEUGE",
+    'admin.welcome': "Willkommen, Administrator. Hier lassen sich Spielwerte direkt ändern. (Es muss eine Zahl sein, mindestens 0.)",
+    'admin.lockedHeading': "Admin-Panel gesperrt",
+    'admin.notConfigured': "Für dieses Spiel ist keine Admin-Passphrase eingerichtet, daher kann das Admin-Panel nicht entsperrt werden.",
+    'admin.lockedDescription': "Gib die Admin-Passphrase ein. Admin-Aktionen werden im Spielstand protokolliert und markieren ihn als verändert.",
+    'admin.passphrasePlaceholder': "Admin-Passphrase...",
+    'admin.unlock': "Entsperren",
+    'admin.setClicksHeading': "Klicks festlegen (Aktuell: {current})",
+    'admin.clicksPlaceholder': "Neue Anzahl Klicks eingeben (z. B. 1500 oder 1.5e400)...",
+    'admin.setClicks': "Klicks festlegen",
+    'admin.overrideNote': "(Überschreibt die Upgrade-Berechnung!)",
+    'admin.setCpcHeading': "Klickkraft (KK) festlegen {note} (Aktuell: {current})",
+    'admin.cpcPlaceholder': "Neuen KK-Wert eingeben...",
+    'admin.setCpc': "KK festlegen",
+    'admin.setCpsHeading': "Klicks pro Sekunde (KPS) festlegen {note} (Aktuell: {current})",
+    'admin.cpsPlaceholder': "Neuen KPS-Wert eingeben...",
+    'admin.setCps': "KPS festlegen",
+    'admin.setLevelHeading': "Stufe von {name} festlegen (Aktuell: {current})",
+    'admin.levelPlaceholder': "Neue Stufe von {name} eingeben...",
+    'admin.setLevel': "Stufe festlegen",
+    'admin.historyHeading': "Änderungsverlauf",
+    'admin.undo': "Rückgängig",
+    'admin.redo': "Wiederholen",
+    'admin.historyDescription': "Admin-Änderungen, seit dieser Modus geladen wurde, neueste zuerst.",
+    'admin.noHistory': "Noch keine Admin-Änderungen.",
+    'admin.timeSkipHeading': "Zeit simulieren",
+    'admin.timeSkipPlaceholder': "Zu überspringende Zeit...",
+    'admin.minutes': "Minuten",
+    'admin.hours': "Stunden",
+    'admin.simulate': "Simulieren",
+    'admin.snapshotsHeading': "Schnappschüsse",
+    'admin.snapshotPlaceholder': "Name des Schnappschusses...",
+    'admin.saveSnapshot': "Schnappschuss speichern",
+    'admin.noSnapshots': "Noch keine Schnappschüsse gespeichert.",
+    'admin.snapshotInfo': "{mode}, {date}",
+    'admin.load': "Laden",
+    'admin.delete': "Löschen",
+    'admin.stateHeading': "Spielstand-Editor",
+    'admin.apply': "Übernehmen",
+    'admin.stateDescription': "Der ganze Spielstand dieses Modus als JSON. Änderungen werden beim Tippen geprüft und als eine rückgängig machbare Änderung übernommen.",
+    'admin.accessHeading': "Zugang",
+    'admin.lock': "Admin-Panel sperren",
+    'admin.auditHeading': "Protokoll",
+    'admin.auditDescription': "Jede Admin-Aktion an diesem Spielstand, neueste zuerst. Das Protokoll kann weder bearbeitet noch rückgängig gemacht werden.",
+    'admin.noLog': "Noch keine Admin-Aktionen.",
+    'admin.invalidNumber': "Die Eingabe muss eine gültige Zahl sein (z. B. 1500 oder 1.5e400).",
+    'admin.tooSmall': "Der Wert muss mindestens {min} sein.",
+    'admin.notWholeNumber': "Die Stufe muss eine ganze Zahl sein (z. B. 1, 2, 3).",
+    'admin.enterNumber': "Bitte gib eine Zahl ein.",
+    'admin.clicksSet': "Klicks auf {value} gesetzt.",
+    'admin.cpcSet': "Klickkraft (KK) auf {value} gesetzt.",
+    'admin.cpsSet': "Klicks pro Sekunde (KPS) auf {value} gesetzt.",
+    'admin.levelSet': "Stufe von {name} auf {level} gesetzt. Werte werden neu berechnet...",
+    'admin.wrongPassphrase': "Falsche Passphrase.",
+    'admin.unlockFirst': "Entsperre zuerst das Admin-Panel.",
+    'admin.unlocked': "Admin-Panel entsperrt.",
+    'admin.locked': "Admin-Panel gesperrt.",
+    'admin.undid': "Rückgängig gemacht: {label}.",
+    'admin.redid': "Wiederholt: {label}.",
+    'admin.simulated': {
+        one: "{duration} simuliert: {count} Klick verdient.",
+        other: "{duration} simuliert: {count} Klicks verdient."
+    },
+    'admin.timeSkipRange': {
+        one: "Die übersprungene Zeit muss größer als 0 und höchstens {count} Stunde sein.",
+        other: "Die übersprungene Zeit muss größer als 0 und höchstens {count} Stunden sein."
+    },
+    'admin.snapshotNameLength': "Der Name eines Schnappschusses braucht 1 bis {max} Zeichen.",
+    'admin.snapshotsNotSaved': "Schnappschüsse können gerade nicht gespeichert werden.",
+    'admin.tooManySnapshots': "Es gibt bereits {count} Schnappschüsse. Lösche zuerst einen.",
+    'admin.noSnapshot': "Es gibt keinen Schnappschuss namens \"{name}\".",
+    'admin.wrongSnapshotMode': "\"{name}\" ist ein Schnappschuss von {mode}. Wechsle in diesen Modus, um ihn zu laden.",
+    'admin.snapshotSaved': "Schnappschuss \"{name}\" gespeichert.",
+    'admin.snapshotDeleted': "Schnappschuss \"{name}\" gelöscht.",
+    'admin.snapshotLoaded': "Schnappschuss \"{name}\" geladen.",
+    'admin.invalidJson': "Der Spielstand ist kein gültiges JSON ({error}).",
+    'admin.stateValid': "Der Spielstand ist gültig.",
+    'admin.stateUpdated': "Spielstand aktualisiert.",
+
+    // Multi-tab lock
+    'tabLock.heading': "Spiel in einem anderen Tab geöffnet",
+    'tabLock.description': "Dieser Tab ist schreibgeschützt, damit sich die beiden Tabs nicht gegenseitig den Fortschritt überschreiben. Schließe den anderen Tab oder hol das Spiel hierher.",
+    'tabLock.takeover': "In diesem Tab spielen",
+    'tabLock.takingOver': "Wird übernommen...",
+    'tabLock.readOnly': "Das Spiel ist in einem anderen Tab geöffnet; dieser Tab kann die Spielstände nicht ändern.",
+
+    // Game modes
+    'modes.crypto.name': "Crypto Clicker",
+    'modes.crypto.title': "CRYPTO CLICKER",
+    'modes.crypto.clickButtonText': "Minen!",
+    'modes.crypto.upgrades.cpuOverclock.name': "CPU übertakten",
+    'modes.crypto.upgrades.cpuOverclock.description': "Erhöht die Klicks pro manuellem Klick (KK) um 1.",
+    'modes.crypto.upgrades.gpuMiner.name': "GPU-Miner",
+    'modes.crypto.upgrades.gpuMiner.description': "Bringt 5 Klicks pro Sekunde (KPS).",
+    'modes.pencil.name': "Titus Clicker",
+    'modes.pencil.title': "TITUS CLICKER",
+    'modes.pencil.clickButtonText': "GOON!",
+    'modes.pencil.upgrades.sharpenDih.name': "Dih spitzen",
+    'modes.pencil.upgrades.sharpenDih.description': "Erhöht die Klicks pro manuellem Klick (KK) um 1 (schärfere Spitze!).",
+    'modes.pencil.upgrades.autoSharpener.name': "Auto-Spitzer",
+    'modes.pencil.upgrades.autoSharpener.description': "Bringt automatisch 5 Klicks pro Sekunde (KPS).",
+    'modes.bottles.name': "Flaschen",
+    'modes.bottles.title': "FLASCHEN",
+
+    // Achievements
+    'achievements.firstClick.name': "Hallo Welt",
+    'achievements.firstClick.description': "Verdiene deinen ersten Klick.",
+    'achievements.clicks1k.name': "Der Anfang",
+    'achievements.clicks1k.description': "Verdiene insgesamt 1.000 Klicks.",
+    'achievements.clicks100k.name': "Sechsstellig",
+    'achievements.clicks100k.description': "Verdiene insgesamt 100.000 Klicks.",
+    'achievements.clicks10m.name': "Klick-Tycoon",
+    'achievements.clicks10m.description': "Verdiene insgesamt 10.000.000 Klicks.",
+    'achievements.firstUpgrade.name': "Aufgerüstet",
+    'achievements.firstUpgrade.description': "Kaufe dein erstes Upgrade.",
+    'achievements.upgrades50.name': "Sammler",
+    'achievements.upgrades50.description': "Besitze insgesamt 50 Upgrade-Stufen.",
+    'achievements.upgradeLevel25.name': "Spezialist",
+    'achievements.upgradeLevel25.description': "Erreiche Stufe 25 bei einem einzelnen Upgrade.",
+    'achievements.cps100.name': "Autopilot",
+    'achievements.cps100.description': "Erreiche 100 Klicks pro Sekunde (KPS).",
+    'achievements.cps1000.name': "Klickfabrik",
+    'achievements.cps1000.description': "Erreiche 1.000 Klicks pro Sekunde (KPS).",
+    'achievements.firstCode.name': "Insider",
+    'achievements.firstCode.description': "Löse einen geheimen Code ein.",
+    'achievements.modeSwitch.name': "Tapetenwechsel",
+    'achievements.modeSwitch.description': "Wechsle den Spielmodus.",
+    'achievements.play10m.name': "Aufgewärmt",
+    'achievements.play10m.description': "Spiele 10 Minuten lang.",
+    'achievements.play1h.name': "Hingabe",
+    'achievements.play1h.description': "Spiele 1 Stunde lang.",
+
+    // Prestige upgrades
+    'prestigeUpgrades.clickMastery.name': "Klickmeisterschaft",
+    'prestigeUpgrades.clickMastery.description': "+10 % Klickkraft (KK) pro Stufe.",
+    'prestigeUpgrades.deepAutomation.name': "Tiefe Automatisierung",
+    'prestigeUpgrades.deepAutomation.description': "+10 % Klicks pro Sekunde (KPS) pro Stufe.",
+    'prestigeUpgrades.bulkDeals.name': "Mengenrabatt",
+    'prestigeUpgrades.bulkDeals.description': "Upgrades kosten pro Stufe 5 % weniger (höchstens 10 Stufen).",
+
+    // Random events
+    'randomEvents.luckyFind.name': "Glücksfund",
+    'randomEvents.luckyFind.description': "Verdiene sofort 5 Minuten KPS (mindestens 50 Klicks KK).",
+    'randomEvents.overdrive.name': "Overdrive",
+    'randomEvents.overdrive.description': "x7 KPS für 60 Sekunden.",
+    'randomEvents.clickFrenzy.name': "Klickrausch",
+    'randomEvents.clickFrenzy.description': "x10 KK für 15 Sekunden.",
+
+    // Stat, stats window and notation names
+    'stats.cpc.name': "Klickkraft (KK)",
+    'stats.cps.name': "Klicks pro Sekunde (KPS)",
+    'statsWindows.session': "Sitzung",
+    'statsWindows.day': "24 Std.",
+    'statsWindows.all': "Gesamt",
+    'notations.full': "Voll (1.234.567)",
+    'notations.short': "Kurz (1,23M)",
+    'notations.scientific': "Wissenschaftlich (1,23e6)",
+    'notations.engineering': "Technisch (12,3e6)",
+
+    // Errors thrown by the save checks, cloud sync, leaderboard and settings import (see createCodedError() in i18n.js)
+    'errors.saveNotObject': "Die Spielstandsdaten sind kein Objekt.",
+    'errors.saveNotJson': "Die Spielstandsdaten sind kein gültiges JSON.",
+    'errors.saveTooNew': "Der Spielstand stammt aus einer neueren Version des Spiels (v{version}).",
+    'errors.clicksInvalid': "Die Klicks fehlen oder sind ungültig.",
+    'errors.totalClicksEarnedInvalid': "Die insgesamt verdienten Klicks sind ungültig.",
+    'errors.totalClicksSpentInvalid': "Die insgesamt ausgegebenen Klicks sind ungültig.",
+    'errors.upgradesMissing': "Die Upgrade-Stufen fehlen.",
+    'errors.upgradeLevelInvalid': "Die Stufe von \"{upgrade}\" ist ungültig.",
+    'errors.stateNotObject': "Der Zustand muss ein JSON-Objekt sein.",
+    'errors.stateVersionChanged': "\"version\" muss {version} bleiben.",
+    'errors.stateUnknownUpgrade': "\"{upgrade}\" ist kein Upgrade von {mode}.",
+    'errors.stateFieldNotNumber': "\"{field}\" muss eine Zahl sein.",
+    'errors.stateFieldNotList': "\"{field}\" muss eine Liste sein.",
+    'errors.stateFieldNotObject': "\"{field}\" muss ein Objekt sein.",
+    'errors.stateFieldWrongType': "\"{field}\" muss vom Typ {type} sein.",
+    'errors.notSaveString': "Das ist kein Clicker-Spielstand-Text.",
+    'errors.saveChecksumMismatch': "Prüfsumme stimmt nicht: Der Spielstand-Text ist beschädigt oder unvollständig.",
+    'errors.saveNotDecodable': "Die Spielstandsdaten konnten nicht dekodiert werden.",
+    'errors.bundleIncomplete': "Den Spielstandsdaten fehlen der Spielmodus oder die Spielstände.",
+    'errors.bundleEmpty': "Der Spielstand-Text enthält keine Spielstände.",
+    'errors.bundleSaveInvalid': "Der Spielstand von {mode} ist ungültig.",
+    'errors.bundleSaveInvalidReason': "Der Spielstand von {mode} ist ungültig: {reason}",
+    'errors.endpointNotHttp': "Die Server-URL muss mit http:// oder https:// beginnen.",
+    'errors.syncServerStatus': "Der Sync-Server antwortete mit {status}.",
+    'errors.cloudSaveNoTimestamp': "Der Cloud-Spielstand hat keinen Zeitstempel.",
+    'errors.cloudSaveKeptChanging': "Der Cloud-Spielstand hat sich während der Synchronisierung immer wieder geändert.",
+    'errors.leaderboardNameTooLong': "Namen dürfen höchstens {max} Zeichen lang sein.",
+    'errors.leaderboardServerStatus': "Der Ranglisten-Server antwortete mit {status}.",
+    'errors.notSettingsFile': "Das ist keine Einstellungsdatei."
+};
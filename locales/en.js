@@ -0,0 +1,379 @@
+// --- ENGLISH CATALOG ---
+// Reference catalog: every other locale translates these keys and falls back to this text for
+// the keys it does not have. The texts of registry entries (modes, upgrades, achievements, ...)
+// are not listed here; their English text is in the registry (see getRegistryTexts() in game-core.js).
+// Keys used in index.html are set on the elements with data-i18n attributes; a {name} placeholder
+// there is filled with the element's data-i18n-slot="name" child.
+
+export const EN_MESSAGES = {
+    // Shared
+    'common.save': "Save",
+    'common.cancel': "Cancel",
+    'common.refresh': "Refresh",
+    'common.dismiss': "Click to dismiss",
+    'common.error': "Error: {message}",
+    'duration.hoursMinutes': "{hours}h {minutes}m",
+    'duration.minutesSeconds': "{minutes}m {seconds}s",
+    'duration.seconds': "{seconds}s",
+
+    // Header tabs
+    'tabs.upgrades': "Upgrades",
+    'tabs.stats': "Stats",
+    'tabs.achievements': "Achievements",
+    'tabs.prestige': "Prestige",
+    'tabs.leaderboard': "Leaderboard",
+    'tabs.options': "Options",
+    'tabs.admin': "Admin",
+
+    // Clicker area
+    'clicker.clicks': "Clicks",
+    'clicker.imageAlt': "Click Me",
+    'clicker.stats': "Click Power (CP): {cpc} {cps}",
+    'clicker.perSecond': "+{cps}/s",
+    'clicker.catchIt': "Catch it!",
+    'clicker.buff': "{name}: x{multiplier} {stat} ({time})",
+    'clicker.offlineEarnings': {
+        one: "While you were away ({duration}) you earned {count} click!",
+        other: "While you were away ({duration}) you earned {count} clicks!"
+    },
+    'clicker.offlineEarningsCapped': {
+        one: "While you were away ({duration}) you earned {count} click! (Capped at {cap}.)",
+        other: "While you were away ({duration}) you earned {count} clicks! (Capped at {cap}.)"
+    },
+    'clicker.eventClicks': {
+        one: "{name}! +{count} click.",
+        other: "{name}! +{count} clicks."
+    },
+    'clicker.eventBuff': "{name}! {description}",
+    'stats.cpc.short': "CP",
+    'stats.cps.short': "CPS",
+
+    // CP/CPS breakdown tooltip
+    'breakdown.base': "Base: {value}",
+    'breakdown.total': "Total: {value}",
+    'modifiers.upgrade': "{name} (Lv {level})",
+    'modifiers.achievements': "Achievements",
+    'modifiers.prestige': "Prestige Upgrades",
+    'modifiers.admin': "Admin Override",
+
+    // Upgrades panel
+    'upgradesPanel.heading': "Available Upgrades",
+    'upgradesPanel.buy': "Buy:",
+    'upgradesPanel.max': "Max",
+    'upgradesPanel.level': "Level: {level}",
+    'upgradesPanel.buyButton': "Buy {quantity} ({cost})",
+    'purchase.notEnoughClicks': "Not enough clicks.",
+    'purchase.notEnoughPoints': "Not enough prestige points.",
+    'purchase.maxLevel': "Already at the highest level.",
+    'purchase.failed': "Cannot buy {name}: {reason}",
+    'purchase.confirm': "Click again to buy",
+
+    // Stats panel
+    'statsPanel.heading': "Detailed Statistics",
+    'statsPanel.modified': "MODIFIED",
+    'statsPanel.modifiedTitle': "This save was changed with the admin tools (see the audit log).",
+    'statsPanel.totalClicksEarned': "Total Clicks Earned: {value}",
+    'statsPanel.clickPower': "Click Power (CP): {value}",
+    'statsPanel.clicksPerSecond': "Clicks Per Second (CPS): {value}",
+    'statsPanel.totalUpgrades': "Total Upgrades Bought: {value}",
+    'statsPanel.upgradeLevel': "{name} Level: {level}",
+    'statsPanel.session': "This Session",
+    'statsPanel.playTime': "Play Time: {value}",
+    'statsPanel.manualClicks': "Manual Clicks: {value}",
+    'statsPanel.peakClicks': "Peak Clicks per Second: {value}",
+    'statsPanel.sessionUpgrade': "{name}: {spent} clicks spent - {levels}",
+    'statsPanel.levelReached': "Lv {level} at {time}",
+    'statsPanel.history': "History",
+    'statsPanel.show': "Show:",
+    'statsPanel.notEnoughData': "Not enough data yet.",
+    'statsPanel.chartRange': "Now {now} · Peak {peak} · over {duration}",
+    'statsPanel.chart.clicks': "Clicks",
+    'statsPanel.chart.cps': "Clicks Per Second (CPS)",
+    'statsPanel.chart.totalClicksEarned': "Total Clicks Earned",
+    'statsPanel.chart.totalClicksSpent': "Clicks Spent on Upgrades",
+    'statsPanel.playerId': "Player ID: {id}",
+
+    // Achievements panel
+    'achievementsPanel.heading': "Achievements",
+    'achievementsPanel.none': "No achievements unlocked yet. Get clicking!",
+    'achievementsPanel.summary': "{unlocked} of {total} achievements unlocked.",
+    'achievementsPanel.bonus': "Bonus: {bonus}",
+    'achievementsPanel.unlocked': "Unlocked!",
+    'achievementsPanel.progress': "{current} / {target}",
+    'achievementsPanel.toast': "Achievement Unlocked: {name}!",
+    'achievementsPanel.toastWithBonus': "Achievement Unlocked: {name}! ({bonus})",
+    'bonus.cpc': "+{percent}% CP",
+    'bonus.cps': "+{percent}% CPS",
+
+    // Prestige panel
+    'prestigePanel.heading': "Prestige",
+    'prestigePanel.points': "Prestige Points (PP): {points}",
+    'prestigePanel.totals': "Total PP Earned: {total} · Prestiges: {resets}",
+    'prestigePanel.permanentBonus': "Permanent Bonus: {bonus}",
+    'prestigePanel.bonus': "+{cpc}% CP, +{cps}% CPS, -{discount}% upgrade costs",
+    'prestigePanel.explanation': "Prestiging resets your clicks and upgrade levels in this mode. You will gain {gain} PP.",
+    'prestigePanel.prestige': "Prestige",
+    'prestigePanel.confirm': "Click again to confirm",
+    'prestigePanel.upgradesHeading': "Prestige Upgrades",
+    'prestigePanel.levelOfMax': "{level} / {max}",
+    'prestigePanel.maxed': "Maxed",
+    'prestigePanel.buy': "Buy ({cost} PP)",
+    'prestigePanel.gained': {
+        one: "Prestiged! You gained {count} prestige point.",
+        other: "Prestiged! You gained {count} prestige points."
+    },
+    'prestigePanel.notEnough': "Not enough clicks earned to prestige yet.",
+
+    // Leaderboard panel
+    'leaderboard.heading': "Leaderboard",
+    'leaderboard.server': "Leaderboard Server",
+    'leaderboard.description': "Compare your progress with other players on a leaderboard server. Leave the URL empty to stop submitting scores.",
+    'leaderboard.namePlaceholder': "Your name",
+    'leaderboard.topPlayers': "Top Players: {mode}",
+    'leaderboard.cps': "{cps} CPS",
+    'leaderboard.prestiges': "{count}P",
+    'leaderboard.empty': "No scores yet. Be the first!",
+    'leaderboard.notListed': "You are not on this board yet.",
+    'leaderboard.notRanked': "Your save was changed with the admin tools, so it is not ranked.",
+    'leaderboard.ownRank': "Your rank: #{rank} of {players}, with {clicks} total clicks earned.",
+    'leaderboard.notConfigured': "Enter your name and a leaderboard server to take part.",
+    'leaderboard.loading': "Loading the leaderboard...",
+    'leaderboard.modified': "Your save was changed with the admin tools and is kept off the board.",
+    'leaderboard.unreachable': "Could not reach the leaderboard: {error}",
+
+    // Options panel
+    'options.heading': "Options",
+    'options.gameMode': "Game Mode",
+    'options.currentMode': "You are currently playing {mode}. Each mode keeps its own progress.",
+    'modeSwitch.done': "Switched to {mode}!",
+    'modeSwitch.failed': "The game cannot switch modes right now.",
+    'options.redeemHeading': "Redeem Code",
+    'options.redeemDescription': "Insert a special secret code here to unlock a bonus.",
+    'options.codePlaceholder': "Enter code here...",
+    'options.redeem': "Redeem",
+    'options.redeemedCodes': "Redeemed Codes",
+    'options.noCodes': "No codes redeemed yet.",
+    'options.languageHeading': "Language",
+    'options.languageDescription': "Choose the language of the game. Numbers, dates and durations are shown the way this language writes them.",
+    'options.notationHeading': "Number Notation",
+    'options.notationDescription': "Choose how large numbers are shown everywhere in the game.",
+    'options.languageAuto': "Automatic ({language})",
+
+    // Settings
+    'settings.heading': "Settings",
+    'settings.description': "Your preferences apply to every game mode and are kept when you switch modes or reset your progress.",
+    'settings.autosave': "Autosave every",
+    'settings.seconds': { one: "{count} second", other: "{count} seconds" },
+    'settings.minutes': { one: "{count} minute", other: "{count} minutes" },
+    'settings.theme': "Theme",
+    'settings.themeMode': "Each mode's own theme",
+    'settings.soundVolume': "Sound volume",
+    'settings.volumePercent': "{volume}%",
+    'settings.reducedMotion': "Reduce motion (no animations)",
+    'settings.clickEffects': "Show click effects",
+    'settings.confirmPurchases': "Confirm every purchase with a second click",
+    'settings.export': "Export Settings",
+    'settings.import': "Import Settings",
+    'settings.restoreDefaults': "Restore Defaults",
+    'settings.exported': "Settings file downloaded!",
+    'settings.imported': "Settings imported!",
+    'settings.importFailed': "Import failed: {error}",
+    'settings.restored': "All settings are back to their defaults.",
+
+    // Redeem codes
+    'codes.empty': "Please enter a code.",
+    'codes.unavailable': "Codes are not available right now. Try again later.",
+    'codes.invalid': "Invalid code. Try again!",
+    'codes.notActive': "This code is not active yet.",
+    'codes.expired': "This code has expired.",
+    'codes.wrongMode': "This code only works in {modes}.",
+    'codes.alreadyRedeemed': "You have already redeemed this code.",
+    'codes.limitReached': "You have redeemed this code as often as it allows.",
+    'codes.modeActive': "{mode} is already active!",
+    'codes.modeUnlocked': "SECRET CODE accepted! {mode} is unlocked in the Options mode picker!",
+    'codes.modeWelcome': "SECRET CODE accepted! Welcome to {title}!",
+    'codes.adminAlreadyUnlocked': "The Admin tab is already unlocked!",
+    'codes.adminUnlocked': "ADMIN tab UNLOCKED! Enter the admin passphrase there.",
+    'codes.buff': "Code REDEEMED! {name} is active!",
+    'codes.clicks': {
+        one: "Code REDEEMED! You gained {count} click!",
+        other: "Code REDEEMED! You gained {count} clicks!"
+    },
+
+    // Save export / import
+    'transfer.heading': "Export / Import Save",
+    'transfer.description': "Back up all game modes as a save string, or move your progress to another browser.",
+    'transfer.placeholder': "Exported save string appears here. Paste a save string to import it.",
+    'transfer.export': "Export",
+    'transfer.download': "Download File",
+    'transfer.import': "Import",
+    'transfer.importFile': "Import File",
+    'transfer.preview': "Import Preview",
+    'transfer.replace': "Replace My Saves",
+    'transfer.exported': "Save exported! Copy the text above or download it as a file.",
+    'transfer.exportFailed': "Export failed. See the console for details.",
+    'transfer.downloaded': "Save file downloaded!",
+    'transfer.empty': "Paste a save string or choose a save file first.",
+    'transfer.importFailed': "Import failed: {error}",
+    'transfer.activeMode': "Active mode: {mode}",
+    'transfer.noSave': "{mode}: no save (will be cleared)",
+    'transfer.saveIncluded': "{mode}: save included",
+    'transfer.saveSummary': "{mode}: {clicks} clicks ({earned} earned) - Levels: {levels}",
+    'transfer.upgradeLevel': "{name} {level}",
+    'transfer.valid': "Save is valid. Check the preview and confirm to replace your current saves.",
+    'transfer.imported': "Save imported! Restarting...",
+    'transfer.cancelled': "Import cancelled. Your current saves were not changed.",
+
+    // Cloud sync
+    'cloud.heading': "Cloud Sync",
+    'cloud.description': "Keep all game modes in sync with a save server, so you can continue in another browser. Leave the URL empty to turn sync off. Your player ID: {id}",
+    'cloud.syncNow': "Sync Now",
+    'cloud.conflictHeading': "Your saves have diverged",
+    'cloud.conflictDescription': "This browser and the server both have progress the other does not. Choose which saves to keep; the other ones are overwritten.",
+    'cloud.keepLocal': "Keep This Browser's Saves",
+    'cloud.useCloud': "Use the Cloud Saves",
+    'cloud.thisBrowser': "This browser",
+    'cloud.cloud': "Cloud",
+    'cloud.summary': "{label}: saved {date}, {clicks} total clicks earned",
+    'cloud.paused': "Sync paused until you choose.",
+    'cloud.pulled': "Loaded your cloud saves! Restarting...",
+    'cloud.off': "Cloud sync is off.",
+    'cloud.syncing': "Syncing...",
+    'cloud.synced': "Synced.",
+    'cloud.failed': "Sync failed: {error}",
+
+    // Game data reset
+    'reset.heading': "Game Data",
+    'reset.description': "If the game is acting strangely, you can reset your progress in every mode. Prestige points and upgrades are kept. A hard reset wipes every save stored in this browser, including prestige; your settings are kept. With cloud sync on, resets are synced to the server too.",
+    'reset.progress': "Reset Progress",
+    'reset.hard': "Hard Reset All Data",
+    'reset.progressDone': "Progress cleared! Prestige kept. Restarting...",
+    'reset.hardDone': "All game data cleared! Restarting...",
+
+    // Notifications
+    'notifications.heading': "Notifications",
+    'notifications.clear': "Clear",
+    'notifications.description': "Recent messages from this session, newest first.",
+    'notifications.empty': "No notifications yet.",
+    'notifications.repeated': "{message} (x{count})",
+    'load.quarantined': "Your {title} save could not be loaded: {reason} It has been kept under \"{key}\" and a new game was started.",
+    'load.saveFailed': "Your progress could not be saved: {error}",
+
+    // Admin panel
+    'admin.heading': "ADMIN TOOLS",
+    'admin.welcome': "Welcome, Administrator. Directly manipulate game variables here. (Must enter a number, minimum 0.)",
+    'admin.lockedHeading': "Admin Panel Locked",
+    'admin.notConfigured': "No admin passphrase is configured for this game, so the admin panel cannot be unlocked.",
+    'admin.lockedDescription': "Enter the admin passphrase. Admin actions are logged in the save and mark it as modified.",
+    'admin.passphrasePlaceholder': "Admin passphrase...",
+    'admin.unlock': "Unlock",
+    'admin.setClicksHeading': "Set Clicks (Current: {current})",
+    'admin.clicksPlaceholder': "Enter new click amount (e.g. 1500 or 1.5e400)...",
+    'admin.setClicks': "Set Clicks",
+    'admin.overrideNote': "(Overrides upgrade calculation!)",
+    'admin.setCpcHeading': "Set Click Power (CP) {note} (Current: {current})",
+    'admin.cpcPlaceholder': "Enter new CP value...",
+    'admin.setCpc': "Set CP",
+    'admin.setCpsHeading': "Set Clicks Per Second (CPS) {note} (Current: {current})",
+    'admin.cpsPlaceholder': "Enter new CPS value...",
+    'admin.setCps': "Set CPS",
+    'admin.setLevelHeading': "Set {name} Level (Current: {current})",
+    'admin.levelPlaceholder': "Enter new {name} level...",
+    'admin.setLevel': "Set Level",
+    'admin.historyHeading': "Change History",
+    'admin.undo': "Undo",
+    'admin.redo': "Redo",
+    'admin.historyDescription': "Admin changes made since this mode was loaded, newest first.",
+    'admin.noHistory': "No admin changes yet.",
+    'admin.timeSkipHeading': "Simulate Time",
+    'admin.timeSkipPlaceholder': "Amount of time to skip...",
+    'admin.minutes': "Minutes",
+    'admin.hours': "Hours",
+    'admin.simulate': "Simulate",
+    'admin.snapshotsHeading': "Snapshots",
+    'admin.snapshotPlaceholder': "Snapshot name...",
+    'admin.saveSnapshot': "Save Snapshot",
+    'admin.noSnapshots': "No snapshots saved yet.",
+    'admin.snapshotInfo': "{mode}, {date}",
+    'admin.load': "Load",
+    'admin.delete': "Delete",
+    'admin.stateHeading': "Game State Editor",
+    'admin.apply': "Apply",
+    'admin.stateDescription': "The whole save of this mode as JSON. Edits are checked as you type and applied as one undoable change.",
+    'admin.accessHeading': "Access",
+    'admin.lock': "Lock Admin Panel",
+    'admin.auditHeading': "Audit Log",
+    'admin.auditDescription': "Every admin action on this save, newest first. The log cannot be edited or undone.",
+    'admin.noLog': "No admin actions yet.",
+    'admin.invalidNumber': "Input must be a valid number (e.g., 1500 or 1.5e400).",
+    'admin.tooSmall': "Value must be at least {min}.",
+    'admin.notWholeNumber': "Level must be a whole number (e.g., 1, 2, 3).",
+    'admin.enterNumber': "Please enter a number.",
+    'admin.clicksSet': "Clicks set to {value}.",
+    'admin.cpcSet': "Click Power (CP) set to {value}.",
+    'admin.cpsSet': "Clicks Per Second (CPS) set to {value}.",
+    'admin.levelSet': "{name} Level set to {level}. Recalculating stats...",
+    'admin.wrongPassphrase': "Wrong passphrase.",
+    'admin.unlockFirst': "Unlock the admin panel first.",
+    'admin.unlocked': "Admin panel unlocked.",
+    'admin.locked': "Admin panel locked.",
+    'admin.undid': "Undid: {label}.",
+    'admin.redid': "Redid: {label}.",
+    'admin.simulated': {
+        one: "Simulated {duration}: earned {count} click.",
+        other: "Simulated {duration}: earned {count} clicks."
+    },
+    'admin.timeSkipRange': {
+        one: "The time to skip must be more than 0 and at most {count} hour.",
+        other: "The time to skip must be more than 0 and at most {count} hours."
+    },
+    'admin.snapshotNameLength': "A snapshot name needs 1 to {max} characters.",
+    'admin.snapshotsNotSaved': "Snapshots cannot be saved right now.",
+    'admin.tooManySnapshots': "There are already {count} snapshots. Delete one first.",
+    'admin.noSnapshot': "There is no snapshot named \"{name}\".",
+    'admin.wrongSnapshotMode': "\"{name}\" is a {mode} snapshot. Switch to that mode to load it.",
+    'admin.snapshotSaved': "Snapshot \"{name}\" saved.",
+    'admin.snapshotDeleted': "Snapshot \"{name}\" deleted.",
+    'admin.snapshotLoaded': "Snapshot \"{name}\" loaded.",
+    'admin.invalidJson': "The state is not valid JSON ({error}).",
+    'admin.stateValid': "The state is valid.",
+    'admin.stateUpdated': "Game state updated.",
+
+    // Multi-tab lock
+    'tabLock.heading': "Game open in another tab",
+    'tabLock.description': "This tab is read-only so the two tabs cannot overwrite each other's progress. Close the other tab, or move the game here.",
+    'tabLock.takeover': "Play in This Tab",
+    'tabLock.takingOver': "Taking over...",
+    'tabLock.readOnly': "The game is open in another tab; this tab cannot change the saves.",
+
+    // Errors thrown by the save checks, cloud sync, leaderboard and settings import (see createCodedError() in i18n.js)
+    'errors.saveNotObject': "Save data is not an object.",
+    'errors.saveNotJson': "Save data is not valid JSON.",
+    'errors.saveTooNew': "Save was made by a newer version of the game (v{version}).",
+    'errors.clicksInvalid': "Clicks are missing or invalid.",
+    'errors.totalClicksEarnedInvalid': "Total clicks earned is invalid.",
+    'errors.totalClicksSpentInvalid': "Total clicks spent is invalid.",
+    'errors.upgradesMissing': "Upgrade levels are missing.",
+    'errors.upgradeLevelInvalid': "Upgrade level for \"{upgrade}\" is invalid.",
+    'errors.stateNotObject': "The state must be a JSON object.",
+    'errors.stateVersionChanged': "\"version\" must stay {version}.",
+    'errors.stateUnknownUpgrade': "\"{upgrade}\" is not an upgrade of {mode}.",
+    'errors.stateFieldNotNumber': "\"{field}\" must be a number.",
+    'errors.stateFieldNotList': "\"{field}\" must be a list.",
+    'errors.stateFieldNotObject': "\"{field}\" must be an object.",
+    'errors.stateFieldWrongType': "\"{field}\" must be a {type}.",
+    'errors.notSaveString': "This is not a Clicker save string.",
+    'errors.saveChecksumMismatch': "Checksum mismatch: the save string is damaged or incomplete.",
+    'errors.saveNotDecodable': "The save data could not be decoded.",
+    'errors.bundleIncomplete': "The save data is missing its game mode or saves.",
+    'errors.bundleEmpty': "The save string does not contain any saves.",
+    'errors.bundleSaveInvalid': "The {mode} save is invalid.",
+    'errors.bundleSaveInvalidReason': "The {mode} save is invalid: {reason}",
+    'errors.endpointNotHttp': "The server URL must start with http:// or https://.",
+    'errors.syncServerStatus': "The sync server answered {status}.",
+    'errors.cloudSaveNoTimestamp': "The cloud save has no timestamp.",
+    'errors.cloudSaveKeptChanging': "The cloud save kept changing during the sync.",
+    'errors.leaderboardNameTooLong': "Names can be at most {max} characters.",
+    'errors.leaderboardServerStatus': "The leaderboard server answered {status}.",
+    'errors.notSettingsFile': "This is not a settings file."
+};
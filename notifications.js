@@ -0,0 +1,131 @@
+// --- NOTIFICATIONS ---
+// The queue behind the toast messages: feedback from anywhere in the game goes through notify()
+// with a severity level. A few toasts are visible at once and dismiss themselves after their
+// level's duration; the rest wait their turn. A repeat of a message that is still showing or
+// waiting bumps its count instead of stacking a copy. Every message is also kept in a short
+// history for the Options panel. Like the game cores it has no DOM access (see toasts.js).
+
+import { createEventBus } from './event-bus.js';
+
+// Severity levels and how long their toasts stay visible (0 = until dismissed)
+export const NOTIFICATION_LEVELS = {
+    info: { durationMs: 4000 },
+    success: { durationMs: 4000 },
+    warning: { durationMs: 6000 },
+    error: { durationMs: 8000 }
+};
+
+export const NOTIFICATION_CONFIG = {
+    maxVisible: 4,   // Further toasts wait until one is dismissed
+    historyLimit: 50 // Oldest history entries are dropped beyond this
+};
+
+/**
+ * Creates a notification queue.
+ *   clock  - object whose now() returns the current time in ms
+ *   timers - object with setTimeout/clearTimeout, used for auto-dismissal
+ * Listeners added with subscribe() are called with 'change' whenever the visible toasts or the history change.
+ */
+export function createNotifications({
+    clock = Date,
+    timers = { setTimeout: (...args) => globalThis.setTimeout(...args), clearTimeout: id => globalThis.clearTimeout(id) },
+    logger = console
+} = {}) {
+    const events = createEventBus({ logger });
+
+    let nextId = 1;
+    let visible = [];   // Toasts on screen, oldest first
+    let waiting = [];   // Toasts queued behind them
+    let history = [];   // Every notification, oldest first
+    const dismissTimers = new Map(); // Toast id -> auto-dismiss timer
+
+    /**
+     * Starts (or restarts) a visible toast's auto-dismiss timer.
+     */
+    function startTimer(toast) {
+        timers.clearTimeout(dismissTimers.get(toast.id));
+        dismissTimers.delete(toast.id);
+        if (toast.durationMs > 0) {
+            dismissTimers.set(toast.id, timers.setTimeout(() => dismiss(toast.id), toast.durationMs));
+        }
+    }
+
+    /**
+     * Moves waiting toasts on screen while there is room.
+     */
+    function showWaiting() {
+        while (visible.length < NOTIFICATION_CONFIG.maxVisible && waiting.length > 0) {
+            const toast = waiting.shift();
+            visible.push(toast);
+            startTimer(toast);
+        }
+    }
+
+    /**
+     * Shows a message as a toast and records it in the history. Returns the toast:
+     * { id, message, level, count, createdAt, durationMs }.
+     *   level      - one of NOTIFICATION_LEVELS; unknown levels are shown as 'info'
+     *   durationMs - overrides the level's display time (0 keeps it until dismissed)
+     */
+    function notify(message, level = 'info', { durationMs } = {}) {
+        const levelName = NOTIFICATION_LEVELS[level] ? level : 'info';
+
+        const repeated = [...visible, ...waiting].find(toast => toast.message === message && toast.level === levelName);
+        if (repeated) {
+            repeated.count += 1;
+            repeated.createdAt = clock.now();
+            if (visible.includes(repeated)) startTimer(repeated);
+            events.emit('change');
+            return repeated;
+        }
+
+        const toast = {
+            id: nextId++,
+            message,
+            level: levelName,
+            count: 1,
+            createdAt: clock.now(),
+            durationMs: durationMs ?? NOTIFICATION_LEVELS[levelName].durationMs
+        };
+        history = [...history, toast].slice(-NOTIFICATION_CONFIG.historyLimit);
+        waiting.push(toast);
+        showWaiting();
+        events.emit('change');
+        return toast;
+    }
+
+    /**
+     * Removes a toast from the screen (or the queue) and shows the next waiting one.
+     */
+    function dismiss(toastId) {
+        timers.clearTimeout(dismissTimers.get(toastId));
+        dismissTimers.delete(toastId);
+
+        const count = visible.length + waiting.length;
+        visible = visible.filter(toast => toast.id !== toastId);
+        waiting = waiting.filter(toast => toast.id !== toastId);
+        if (visible.length + waiting.length === count) return false;
+
+        showWaiting();
+        events.emit('change');
+        return true;
+    }
+
+    /**
+     * Empties the history. Toasts still on screen stay until they are dismissed.
+     */
+    function clearHistory() {
+        history = [];
+        events.emit('change');
+    }
+
+    return {
+        get visible() { return [...visible]; },
+        get waitingCount() { return waiting.length; },
+        get history() { return [...history].reverse(); }, // Newest first
+        subscribe: events.subscribe,
+        notify,
+        dismiss,
+        clearHistory
+    };
+}
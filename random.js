@@ -0,0 +1,51 @@
+// --- SEEDABLE RANDOM NUMBERS ---
+// Math.random() cannot be replayed, so anything random in the game (such as random events)
+// draws from a generator created here instead. The same seed always produces the same
+// sequence, which keeps tests and bug reports reproducible.
+
+/**
+ * Creates a random number generator (mulberry32) from a 32-bit integer seed.
+ * Without a seed, one is taken from the current time.
+ */
+export function createRandom(seed = Date.now()) {
+    const initialSeed = seed >>> 0;
+    let state = initialSeed;
+
+    /**
+     * Returns the next number in the sequence, between 0 (inclusive) and 1 (exclusive).
+     */
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a number between min (inclusive) and max (exclusive).
+     */
+    function between(min, max) {
+        return min + next() * (max - min);
+    }
+
+    /**
+     * Picks one item from a list, with chances proportional to each item's weight.
+     */
+    function pickWeighted(items, getWeight = item => item.weight) {
+        const totalWeight = items.reduce((sum, item) => sum + getWeight(item), 0);
+        let roll = next() * totalWeight;
+        for (const item of items) {
+            roll -= getWeight(item);
+            if (roll < 0) return item;
+        }
+        return items[items.length - 1];
+    }
+
+    return {
+        get seed() { return initialSeed; },
+        next,
+        between,
+        pickWeighted
+    };
+}
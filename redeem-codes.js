@@ -0,0 +1,201 @@
+// --- REDEEM CODE REGISTRY ---
+// Secret codes are kept out of the source: the registry (codes.json, or any endpoint serving
+// the same JSON) only lists a SHA-256 hash of each code, and a typed code is hashed the same way
+// to look it up. Each registry entry is an object with:
+//   id             - stable key, stored in the save's redemption history
+//   label          - what the code gives, shown in the redemption history
+//   hash           - hashCode() of the code (64 hex characters)
+//   reward         - { type: 'clicks', amount }            adds clicks (a BigNumber string)
+//                    { type: 'buff', buff }                 starts a buff from RANDOM_EVENTS
+//                    { type: 'mode', mode }                 unlocks a game mode and switches to it
+//                    { type: 'admin' }                      unlocks the admin panel
+//   maxRedemptions - how often one save may redeem the code; null for no limit (default 1)
+//   startsAt       - optional date (ISO string) before which the code is not active yet
+//   expiresAt      - optional date (ISO string) after which the code no longer works
+//   modes          - optional list of mode ids the code can be redeemed in
+// Hashing only keeps the codes from being read off the source; anyone who guesses a code
+// can still redeem it. Like the game core this module has no DOM access.
+
+import { BigNumber } from './big-number.js';
+import { GAME_MODES } from './game-modes.js';
+import { createTranslator } from './i18n.js';
+
+// Code registry loaded at startup. Point it at an endpoint to manage codes on a server.
+export const CODE_REGISTRY_CONFIG = {
+    url: './codes.json',
+    requestTimeoutMs: 8000
+};
+
+// Reward types a registry entry can grant (see above)
+export const CODE_REWARD_TYPES = ['clicks', 'buff', 'mode', 'admin'];
+
+// Prefix hashed together with every code, so the hashes cannot be looked up in tables of plain SHA-256 hashes
+const CODE_HASH_PREFIX = 'clicker-code:';
+
+// SHA-256 round constants: the first 32 bits of the fractional parts of the cube roots of the first 64 primes
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Calculates the SHA-256 hash of a string (UTF-8), as 64 hex characters. Synchronous, unlike
+ * crypto.subtle, and available on plain-http LAN addresses where crypto.subtle is not.
+ */
+export function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(paddedLength);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000)); // Bit length, high word
+    view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);              // Bit length, low word
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const words = new Uint32Array(64);
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const sum1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + sum1 + choice + SHA256_K[i] + words[i]) | 0;
+            const sum0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (sum0 + majority) | 0;
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + temp1) | 0, c, b, a, (temp1 + temp2) | 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Normalizes a typed code: codes are not case-sensitive and surrounding spaces are ignored.
+ */
+export function normalizeCode(rawCode) {
+    return rawCode.trim().toUpperCase();
+}
+
+/**
+ * Calculates the registry hash of a code.
+ */
+export function hashCode(rawCode) {
+    return sha256Hex(CODE_HASH_PREFIX + normalizeCode(rawCode));
+}
+
+/**
+ * Parses an optional registry date. Returns the time in ms, null if there is none, or NaN if it is invalid.
+ */
+function parseRegistryDate(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+/**
+ * Checks one registry entry and fills in its defaults. Throws an Error describing the first problem.
+ */
+function normalizeCodeEntry(entry, knownBuffs) {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) throw new Error('A code needs an id.');
+    if (typeof entry.hash !== 'string' || !/^[0-9a-f]{64}$/.test(entry.hash)) throw new Error(`Code "${entry.id}" has an invalid hash.`);
+
+    const { reward } = entry;
+    if (!reward || !CODE_REWARD_TYPES.includes(reward.type)) throw new Error(`Code "${entry.id}" has an unknown reward type.`);
+    if (reward.type === 'clicks' && !(BigNumber.isValid(reward.amount) && BigNumber.from(reward.amount).gt(0))) {
+        throw new Error(`Code "${entry.id}" has an invalid click amount.`);
+    }
+    if (reward.type === 'buff' && !knownBuffs.includes(reward.buff)) throw new Error(`Code "${entry.id}" has an unknown buff.`);
+    if (reward.type === 'mode' && !GAME_MODES[reward.mode]) throw new Error(`Code "${entry.id}" unlocks an unknown mode.`);
+
+    const maxRedemptions = entry.maxRedemptions === undefined ? 1 : entry.maxRedemptions;
+    if (maxRedemptions !== null && !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)) {
+        throw new Error(`Code "${entry.id}" has an invalid redemption limit.`);
+    }
+    const startsAt = parseRegistryDate(entry.startsAt);
+    const expiresAt = parseRegistryDate(entry.expiresAt);
+    if (Number.isNaN(startsAt) || Number.isNaN(expiresAt)) throw new Error(`Code "${entry.id}" has an invalid date.`);
+    if (entry.modes !== undefined && entry.modes !== null &&
+        !(Array.isArray(entry.modes) && entry.modes.every(mode => GAME_MODES[mode]))) {
+        throw new Error(`Code "${entry.id}" is restricted to an unknown mode.`);
+    }
+
+    return {
+        id: entry.id,
+        label: typeof entry.label === 'string' && entry.label ? entry.label : entry.id,
+        hash: entry.hash,
+        reward,
+        maxRedemptions,
+        startsAt,
+        expiresAt,
+        modes: entry.modes || null
+    };
+}
+
+/**
+ * Checks a code registry ({ codes: [...] }) and returns its entries with defaults filled in.
+ * Invalid entries are logged and left out, so one mistake does not disable every code.
+ *   knownBuffs - ids of the buffs a 'buff' reward may start
+ * Throws an Error if the data is not a registry at all.
+ */
+export function parseCodeRegistry(data, { knownBuffs = [], logger = console } = {}) {
+    if (!data || !Array.isArray(data.codes)) throw new Error('The code registry has no list of codes.');
+
+    const entries = [];
+    data.codes.forEach(entry => {
+        try {
+            const normalized = normalizeCodeEntry(entry, knownBuffs);
+            if (entries.some(item => item.id === normalized.id)) throw new Error(`The code id "${normalized.id}" is used twice.`);
+            entries.push(normalized);
+        } catch (error) {
+            logger.warn(`[Codes] Skipped a registry entry: ${error.message}`);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Downloads and parses the code registry. Throws an Error if it cannot be loaded.
+ */
+export async function loadCodeRegistry({ url = CODE_REGISTRY_CONFIG.url, fetch = (...args) => globalThis.fetch(...args), knownBuffs, logger = console } = {}) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(CODE_REGISTRY_CONFIG.requestTimeoutMs) });
+    if (!response.ok) throw new Error(`The code registry answered ${response.status}.`);
+    return parseCodeRegistry(await response.json(), { knownBuffs, logger });
+}
+
+/**
+ * Checks whether a registry entry can be redeemed right now. Returns null if it can,
+ * otherwise the message explaining why not.
+ *   now            - current time in ms
+ *   mode           - id of the active mode
+ *   timesRedeemed  - how often this save already redeemed the code
+ *   translator     - translator for the message (see i18n.js); English by default
+ */
+export function checkCodeAvailability(entry, { now, mode, timesRedeemed, translator = createTranslator() }) {
+    const { t } = translator;
+    if (entry.startsAt !== null && now < entry.startsAt) return t('codes.notActive');
+    if (entry.expiresAt !== null && now >= entry.expiresAt) return t('codes.expired');
+    if (entry.modes && !entry.modes.includes(mode)) {
+        const modeNames = entry.modes.map(id => t(`modes.${id}.name`, {}, GAME_MODES[id].name));
+        return t('codes.wrongMode', { modes: translator.formatOrList(modeNames) });
+    }
+    if (entry.maxRedemptions !== null && timesRedeemed >= entry.maxRedemptions) {
+        return entry.maxRedemptions === 1 ? t('codes.alreadyRedeemed') : t('codes.limitReached');
+    }
+    return null;
+}
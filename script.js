@@ -1,79 +1,108 @@
-// --- GLOBAL CONFIGURATION AND SAVE KEYS ---
-let userId = crypto.randomUUID(); // Generate a random ID for display only
-
-// Keys for the two distinct save files and the mode tracker
-const CRYPTO_KEY = 'cryptoClickerSave';
-const PENCIL_KEY = 'pencilClickerSave';
-const GAME_MODE_KEY = 'clickerGameMode';
-
-// Current active mode ('crypto' or 'pencil'). Defaults to 'crypto'.
-let gameMode = localStorage.getItem(GAME_MODE_KEY) || 'crypto';
-
-// --- GAME STATE STRUCTURES ---
-
-// Define the upgrade text and bonus configuration for both modes
-const UPGRADE_CONFIGS = {
-    crypto: {
-        title: "CRYPTO CLICKER",
-        clickButtonText: "Mine!",
-        upgrade1: { 
-            name: "CPU Overclock", 
-            description: "Increases clicks per manual click (CP) by 1.", 
-            cpcBonus: 1, 
-            cpsBonus: 0 
-        },
-        upgrade2: { 
-            name: "GPU Miner", 
-            description: "Adds 5 clicks per second (CPS).", 
-            cpcBonus: 0, 
-            cpsBonus: 5 
-        }
-    },
-    pencil: {
-        title: "TITUS CLICKER",
-        clickButtonText: "GOON!",
-        upgrade1: { 
-            name: "Sharpen Dih", 
-            description: "Increases clicks per manual click (CP) by 1 (sharper point!).", 
-            cpcBonus: 1, 
-            cpsBonus: 0 
-        },
-        upgrade2: { 
-            name: "Auto-Sharpener", 
-            description: "Adds 5 clicks per second (CPS) automatically.", 
-            cpcBonus: 0, 
-            cpsBonus: 5 
-        }
-    }
+import { BigNumber, NUMBER_NOTATIONS } from './big-number.js';
+import {
+    createGame,
+    translateEntry,
+    getRegistryTexts,
+    parseSaveExport,
+    ACHIEVEMENTS,
+    PRESTIGE_CONFIG,
+    PRESTIGE_UPGRADES,
+    GAME_LOOP_CONFIG,
+    OFFLINE_PROGRESS_CONFIG,
+    STATS_HISTORY_FIELDS,
+    STATS_HISTORY_WINDOWS,
+    MODIFIED_STATS,
+    RANDOM_EVENTS,
+    validateStateEdit
+} from './game-core.js';
+import { GAME_MODES } from './game-modes.js';
+import { loadCodeRegistry } from './redeem-codes.js';
+import { createTabLock, TAB_LOCK_KEY, TAB_CHANNEL_NAME, TAB_LOCK_CONFIG } from './tab-lock.js';
+import { createCloudSync } from './cloud-sync.js';
+import { createLeaderboard } from './leaderboard.js';
+import { createNotifications } from './notifications.js';
+import { mountToasts, TOAST_STYLES } from './toasts.js';
+import { createTranslator, findMissingMessages, matchLocale, LOCALES, DEFAULT_LOCALE } from './i18n.js';
+import { createSettings, SETTINGS } from './settings.js';
+import { createSoundPlayer } from './sounds.js';
+
+// --- GLOBAL CONFIGURATION ---
+// Game state, economy and saving live in game-core.js. This file is the browser UI:
+// it renders the core's state, forwards player input to it and re-renders on its events.
+
+// The player's preferences (see settings.js). Shared by all modes, not part of any save.
+const settings = createSettings({ storage: localStorage });
+
+// Dev mode (?dev in the URL) reports every text that is missing from the chosen language
+const isDevMode = new URLSearchParams(window.location.search).has('dev');
+
+// Translator for every player-facing text, number and duration. Without a language chosen in
+// the settings, the browser's preferred languages decide.
+const i18n = createTranslator({
+    locale: settings.get('locale') || matchLocale(navigator.languages),
+    notation: settings.get('notation'),
+    onMissing: isDevMode ? (key, locale) => console.warn(`[I18n] Missing "${locale}" text for "${key}", using English.`) : null
+});
+const { t, translateError } = i18n;
+
+// Sound effects, played at the volume chosen in the settings
+const sounds = createSoundPlayer({ getVolume: () => settings.get('soundVolume') / 100 });
+
+// The game instance, created by initializeGame()
+let game = null;
+
+// Lock that keeps a second browser tab from running (and saving) the game at the same time
+let tabLock = null;
+
+// Optional sync of every mode's save with a save server; also owns the stable player id
+let cloudSync = null;
+let leaderboard = null;
+
+// Toast notifications and their history; every player-facing message goes through it
+let notifications = null;
+
+// Set when the game state changed since the last frame was drawn
+let isRenderPending = false;
+
+// Line colors of the stats history charts, keyed by STATS_HISTORY_FIELDS entry.
+// Chart titles are the 'statsPanel.chart.<field>' texts.
+const STATS_CHART_STYLES = {
+    clicks: { color: '#4ade80' },            // green-400
+    cps: { color: '#fbbf24' },               // amber-400
+    totalClicksEarned: { color: '#38bdf8' }, // sky-400
+    totalClicksSpent: { color: '#818cf8' }   // indigo-400
 };
 
+// Size of the chart drawing area (SVG viewBox units)
+const STATS_CHART_WIDTH = 300;
+const STATS_CHART_HEIGHT = 80;
 
-// Default Game State structure
-const DEFAULT_GAME_STATE = {
-    clicks: 0,
-    totalClicksEarned: 0,
-    cpc: 1, 
-    cps: 0, 
-    upgrades: {
-        cpuOverclock: { // Note: Internal keys remain the same for simplicity
-            level: 0,
-            baseCost: 10,
-            costMultiplier: 1.5,
-        },
-        gpuMiner: {
-            level: 0,
-            baseCost: 100,
-            costMultiplier: 1.6,
-        }
-    },
-    activeTab: 'upgrades',
-    isAdminUnlocked: false, 
-    isCpcOverridden: false, 
-    isCpsOverridden: false  
-};
+// Window of STATS_HISTORY_WINDOWS the history charts show
+let statsHistoryWindow = 'session';
+
+// Stat ('cpc'/'cps') whose breakdown tooltip is open, or null
+let breakdownStat = null;
+
+// How each modifier type is shown in the breakdown tooltip
+const MODIFIER_TYPE_SYMBOLS = { add: '+', multiply: 'x', set: '=' };
+
+// Audit log entries listed in the admin panel (the save keeps all of them)
+const ADMIN_LOG_DISPLAY_LIMIT = 200;
 
-// Current active game state object
-let gameState = JSON.parse(JSON.stringify(DEFAULT_GAME_STATE)); 
+// Prestige asks for a second click to confirm; this is the timer that disarms it again
+let prestigeConfirmTimer = null;
+
+// With the confirmPurchases setting on, a buy button asks for a second click as well. This is
+// the armed button ({ kind: 'upgrade'/'prestige', upgradeId }) and the timer that disarms it.
+let armedPurchase = null;
+let armedPurchaseTimer = null;
+const PURCHASE_CONFIRM_MS = 3000;
+
+// Interval that autosaves the game, restarted when the autosave setting changes
+let autosaveTimer = null;
+
+// Validated save export waiting for the player to confirm the import
+let pendingImport = null;
 
 
 // --- DOM Element Declarations ---
@@ -81,235 +110,334 @@ let gameState = JSON.parse(JSON.stringify(DEFAULT_GAME_STATE));
 let gameTitleEl = null; // New element reference
 let clicksDisplay = null;
 let cpcDisplay = null;
+let cpsDisplay = null;
+let statBreakdownTooltip = null;
+let randomEventTarget = null;
+let activeBuffsEl = null;
+let offlineEarningsDisplay = null;
+let saveWarningDisplay = null;
+let clickerArea = null;
 let clickerButton = null;
 let clickerButtonText = null; // NEW: Reference to the text span
 let clickerButtonImage = null; // NEW: Reference to the image element
 let modeSwitchArea = null; // New element reference
 let currentModeDisplay = null; // New element reference
-let switchToCryptoButton = null; // New element reference
+let modeSelect = null;
 
 // Upgrade panel references
-let upgrade1DetailsEl = null;
-let upgrade2DetailsEl = null;
-let upgradeLevel1El = null;
-let upgradeLevel2El = null;
-let upgradeCost1El = null;
-let upgradeCost2El = null;
-let buyUpgrade1Button = null;
-let buyUpgrade2Button = null;
+let upgradeListEl = null;
+let upgradeElements = {}; // Generated per-upgrade elements, keyed by upgrade id
+let buyQuantityButtons = [];
 
 // Panel references
 let statsTotalClicks = null;
+let statsModifiedBadge = null;
 let statsCpc = null;
 let statsCps = null;
 let statsTotalUpgrades = null;
+let statsUpgradeLevels = null;
+let statsSessionTime = null;
+let statsSessionClicks = null;
+let statsSessionPeak = null;
+let statsSessionUpgrades = null;
+let statsHistoryWindowsEl = null;
+let statsHistoryChartsEl = null;
+let statsChartElements = {}; // Generated history charts, keyed by stats field
+let achievementSummaryEl = null;
+let achievementGridEl = null;
+let achievementElements = {}; // Generated achievement badges, keyed by achievement id
+let prestigePointsEl = null;
+let prestigeTotalEl = null;
+let prestigeResetsEl = null;
+let prestigeBonusEl = null;
+let prestigeGainEl = null;
+let prestigeButton = null;
+let prestigeUpgradeListEl = null;
+let prestigeUpgradeElements = {}; // Generated prestige upgrade cards, keyed by prestige upgrade id
 let userIdDisplay = null;
 let codeInput = null;
 let redeemCodeButton = null;
-let codeMessageDisplay = null;
-let resetMessageDisplay = null;
+let notificationHistoryEl = null;
+let codeHistoryEl = null;
+let notationSelect = null;
+let languageSelect = null;
+let autosaveSelect = null;
+let themeSelect = null;
+let soundVolumeValue = null;
+let settingsFileInput = null;
+let settingsMessage = null;
+let saveTransferText = null;
+let saveTransferFileInput = null;
+let saveTransferMessage = null;
+let cloudPlayerIdEl = null;
+let cloudEndpointInput = null;
+let cloudSyncButton = null;
+let cloudConflictEl = null;
+let cloudConflictDetails = null;
+let cloudSyncMessage = null;
+let leaderboardNameInput = null;
+let leaderboardEndpointInput = null;
+let leaderboardMessage = null;
+let leaderboardModeEl = null;
+let leaderboardRefreshButton = null;
+let leaderboardRowsEl = null;
+let leaderboardOwnRankEl = null;
+let importPreviewEl = null;
+let importPreviewDetails = null;
+let tabLockOverlay = null;
+let tabTakeoverButton = null;
 
 // Admin Panel Display Elements
 let adminCurrentClicks = null;
 let adminCurrentCpc = null;
 let adminCurrentCps = null;
-let adminCurrentCpuLevel = null;
-let adminCurrentGpuLevel = null;
 let adminInputClicks = null;
 let adminInputCpc = null;
 let adminInputCps = null;
-let adminInputCpuLevel = null;
-let adminInputGpuLevel = null;
 let adminMsgClicks = null;
 let adminMsgCpc = null;
 let adminMsgCps = null;
-let adminMsgCpuLevel = null;
-let adminMsgGpuLevel = null;
-
-// --- GAME MODE LOGIC ---
+let adminLevelEditorsEl = null;
+let adminLevelElements = {}; // Generated per-upgrade admin level editors, keyed by upgrade id
+let adminHistoryEl = null;
+let adminUndoButton = null;
+let adminRedoButton = null;
+let adminInputTimeSkip = null;
+let adminTimeSkipUnit = null;
+let adminMsgTimeSkip = null;
+let adminInputSnapshotName = null;
+let adminMsgSnapshot = null;
+let adminSnapshotListEl = null;
+let adminStateEditor = null;
+let adminApplyStateButton = null;
+let adminMsgState = null;
+let adminLockEl = null;
+let adminToolsEl = null;
+let adminPassphraseMissingEl = null;
+let adminPassphraseUnlockEl = null;
+let adminMsgLock = null;
+let adminAuditLogEl = null;
+
+
+// --- GAME EVENTS AND LOOP ---
 
 /**
- * Gets the correct localStorage key based on the current game mode.
+ * Reacts to events from the game core. State changes are drawn on the next display frame.
  */
-function getCurrentSaveKey() {
-    return gameMode === 'pencil' ? PENCIL_KEY : CRYPTO_KEY;
+function handleGameEvent(type, detail) {
+    switch (type) {
+        case 'change':
+            isRenderPending = true;
+            break;
+        case 'save':
+            cloudSync.requestPush();
+            leaderboard.requestSubmit();
+            break;
+        case 'load':
+            handleGameLoaded(detail);
+            break;
+        case 'purchase':
+            sounds.play('purchase');
+            break;
+        case 'achievement': {
+            const { achievement } = detail;
+            sounds.play('achievement');
+            const name = translateEntry(i18n, 'achievements', achievement, 'name');
+            notifications.notify(achievement.bonus
+                ? t('achievementsPanel.toastWithBonus', { name, bonus: formatAchievementBonus(achievement.bonus) })
+                : t('achievementsPanel.toast', { name }), 'success');
+            break;
+        }
+        case 'code-redeemed':
+            // Code results use the notification level names as their status
+            notifications.notify(detail.message, detail.status);
+            if (detail.status === 'success' && game.state.activeTab === 'options') renderCodeHistory();
+            break;
+        case 'mode-switched':
+            notifications.notify(t('modeSwitch.done', { mode: translateEntry(i18n, 'modes', GAME_MODES[detail.mode], 'name') }), 'success');
+            break;
+        case 'purchase-failed':
+            notifications.notify(t('purchase.failed', { name: detail.name, reason: detail.reason }), 'warning');
+            break;
+        case 'reset':
+            notifications.notify(t(detail.isHard ? 'reset.hardDone' : 'reset.progressDone'), 'warning');
+            break;
+        case 'save-failed':
+            notifications.notify(t('load.saveFailed', { error: translateError(detail.error) }), 'error');
+            break;
+        case 'admin-history':
+            if (game.state.activeTab === 'admin') {
+                renderAdminHistory();
+                renderAdminLog();
+                if (document.activeElement !== adminStateEditor) refreshStateEditor();
+            }
+            break;
+    }
 }
 
 /**
- * Loads the game state from the browser's localStorage based on the current mode.
+ * Rebuilds the mode-specific parts of the UI after a save was loaded (on start and on mode switch).
  */
-function loadGame() {
-    const saveKey = getCurrentSaveKey();
-    try {
-        const savedState = localStorage.getItem(saveKey);
-        if (savedState) {
-            const loadedData = JSON.parse(savedState);
-            
-            // Start with a fresh default state copy
-            gameState = JSON.parse(JSON.stringify(DEFAULT_GAME_STATE)); 
-            
-            // Merge loaded data into the structure
-            gameState.clicks = loadedData.clicks || 0;
-            gameState.totalClicksEarned = loadedData.totalClicksEarned || 0; 
-            // Note: CPC/CPS are CALCULATED, but we load override flags if they exist
-            gameState.cpc = loadedData.cpc || 1;
-            gameState.cps = loadedData.cps || 0; 
-
-            gameState.activeTab = loadedData.activeTab || 'upgrades'; 
-            gameState.isAdminUnlocked = loadedData.isAdminUnlocked || false; 
-            gameState.isCpcOverridden = loadedData.isCpcOverridden || false; 
-            gameState.isCpsOverridden = loadedData.isCpsOverridden || false; 
-            
-            // Load upgrade levels
-            Object.keys(gameState.upgrades).forEach(key => {
-                if (loadedData.upgrades && loadedData.upgrades[key]) {
-                    gameState.upgrades[key].level = loadedData.upgrades[key].level || 0;
-                }
-            });
-            
-            console.log(`[Load] Game state loaded for mode: ${gameMode}.`);
-        } else {
-            // If no save found, gameState is already DEFAULT_GAME_STATE.
-            console.log(`[Load] No saved game found for mode: ${gameMode}. Starting new game.`);
-        }
-    } catch (e) {
-        console.error(`[Load] Error loading game state for ${gameMode} mode:`, e);
-        // Fallback to default state
-        gameState = JSON.parse(JSON.stringify(DEFAULT_GAME_STATE)); 
-    }
+function handleGameLoaded({ offlineReport, saveWarning }) {
+    applyTheme();
+    buildModeOptions(); // A mode may have been unlocked or switched to
+    buildSettingsOptions(); // Unlocked modes are offered as themes
+    checkAdminStatus(); // Check if admin panel is unlocked in the loaded save
+    updateUpgradeDisplay(); // Update upgrade names/descriptions
+    switchTab(game.state.activeTab); // Re-activate the last saved tab
+    renderUI();
+    showOfflineSummary(offlineReport); // Show what this mode earned while inactive
+    showSaveWarning(saveWarning);
 }
 
-
 /**
- * Saves the current game state to the browser's localStorage using the current mode's key.
+ * Draws one display frame. The full UI is only re-rendered when the state changed; the click
+ * counter is extrapolated from CPS so it counts up smoothly between fixed steps. Read-only tabs
+ * never step the game, so they show the stored clicks as they are.
  */
-function saveGame() {
-    const saveKey = getCurrentSaveKey();
-    try {
-        const dataToSave = JSON.stringify(gameState);
-        localStorage.setItem(saveKey, dataToSave);
-    } catch (error) {
-        console.error("[Save] Error saving game state:", error);
+function renderFrame() {
+    if (isRenderPending) {
+        isRenderPending = false;
+        renderUI();
+    }
+
+    if (clicksDisplay && game.state.cps.gt(0)) {
+        const clicks = tabLock.isLeader ? game.getInterpolatedClicks() : game.state.clicks;
+        clicksDisplay.textContent = formatNumber(clicks.floor());
     }
+
+    requestAnimationFrame(renderFrame);
 }
 
 /**
- * Applies the correct theme class to the <body> element based on the current gameMode.
+ * Starts the fixed-step game loop, the display frame loop, autosaving and the tab lock heartbeat.
+ * Only the tab holding the tab lock advances the game; other tabs stay frozen until they get it.
  */
-function applyTheme() {
-    if (gameMode === 'pencil') {
-        document.body.classList.add('pencil-mode');
-        // Change button shape to rounded rectangle
-        if (clickerButton) {
-            clickerButton.classList.remove('clicker-button-round');
-            clickerButton.classList.add('clicker-button-rounded');
-        }
-    } else {
-        document.body.classList.remove('pencil-mode');
-        // Change button shape back to circle
-        if (clickerButton) {
-            clickerButton.classList.remove('clicker-button-rounded');
-            clickerButton.classList.add('clicker-button-round');
-        }
-    }
+function startGameLoop() {
+    setInterval(() => {
+        if (tabLock.isLeader) game.update();
+    }, GAME_LOOP_CONFIG.tickMs);
+    requestAnimationFrame(renderFrame);
+
+    // Autosave on a real timer (as often as the settings ask), and whenever the page is hidden or closed
+    restartAutosave();
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') game.save();
+    });
+    window.addEventListener('pagehide', () => {
+        game.save();
+        tabLock.release(); // Let another open tab take over straight away
+    });
+
+    // Keep the tab lock fresh, and react at once when another tab takes or frees it
+    setInterval(tabLock.check, TAB_LOCK_CONFIG.heartbeatMs);
+    window.addEventListener('storage', (e) => {
+        if (e.key === TAB_LOCK_KEY) tabLock.check();
+    });
 }
 
 /**
- * Switches the entire game environment between Crypto and Pencil mode.
+ * (Re)starts the autosave timer with the interval from the settings.
  */
-function switchGameMode(newMode) {
-    if (gameMode === newMode) return; // Already in this mode
+function restartAutosave() {
+    clearInterval(autosaveTimer);
+    autosaveTimer = setInterval(game.save, settings.get('autosaveSeconds') * 1000);
+}
 
-    const oldMode = gameMode;
-    gameMode = newMode;
-    
-    // 1. Save the new mode globally
-    localStorage.setItem(GAME_MODE_KEY, gameMode);
 
-    // 2. Save the previous game state (critical step!)
-    if (oldMode === 'crypto' || oldMode === 'pencil') {
-        // Use the old save key to store the current state before switching
-        localStorage.setItem(oldMode === 'crypto' ? CRYPTO_KEY : PENCIL_KEY, JSON.stringify(gameState));
-        console.log(`[ModeSwitch] Saved old state for ${oldMode}.`);
+// --- MULTI-TAB LOCK ---
+
+/**
+ * Reacts to this tab gaining or losing the tab lock.
+ */
+function handleTabLockEvent(type) {
+    switch (type) {
+        case 'acquired':
+            // Continue from whatever the previous active tab saved last
+            game.load();
+            updateTabLockOverlay();
+            cloudSync.sync();
+            break;
+        case 'lost':
+            updateTabLockOverlay();
+            break;
+        case 'handover':
+            game.save();
+            break;
     }
+}
 
-    // 3. Load the new game state
-    loadGame(); 
-    
-    // 4. Update the game title and button text
-    const config = UPGRADE_CONFIGS[gameMode];
-    if (gameTitleEl) gameTitleEl.textContent = config.title;
-    if (clickerButtonText) clickerButtonText.textContent = config.clickButtonText;
+/**
+ * Shows the "game open in another tab" overlay while this tab is read-only.
+ */
+function updateTabLockOverlay() {
+    if (!tabLockOverlay) return;
 
-    // 5. Update UI and logic
-    applyTheme();
-    checkAdminStatus(); // Check if admin panel is unlocked in the new mode
-    updateUpgradeDisplay(); // Update upgrade names/descriptions
-    updateCPS(); // Recalculate stats based on new mode's loaded levels
-    renderUI(); // Render all new values
-    switchTab(gameState.activeTab); // Re-activate the last saved tab
+    tabLockOverlay.classList.toggle('hidden', tabLock.isLeader);
+    tabLockOverlay.classList.toggle('flex', !tabLock.isLeader);
+    // Without a BroadcastChannel the other tab cannot be asked to hand over
+    tabTakeoverButton?.classList.toggle('hidden', !tabLock.canHandOver);
+}
 
-    console.log(`[ModeSwitch] Successfully switched to ${gameMode} mode.`);
+/**
+ * Handles the "Play in This Tab" button: asks the active tab to save and hand the game over.
+ */
+function handleTabTakeover() {
+    if (tabLock.requestTakeover() && tabTakeoverButton) {
+        tabTakeoverButton.disabled = true;
+        tabTakeoverButton.textContent = t('tabLock.takingOver');
+        setTimeout(() => {
+            tabTakeoverButton.disabled = false;
+            tabTakeoverButton.textContent = t('tabLock.takeover');
+        }, TAB_LOCK_CONFIG.heartbeatMs);
+    }
 }
 
 
-// --- CORE GAME MECHANICS ---
+// --- UI RENDERING AND UPDATE FUNCTIONS ---
 
 /**
- * Calculates the cost of the next upgrade level.
+ * Returns the theme in use: the one chosen in the settings, or else the current mode's own.
  */
-function calculateCost(baseCost, multiplier, currentLevel) {
-    return Math.floor(baseCost * Math.pow(multiplier, currentLevel));
+function getActiveTheme() {
+    return GAME_MODES[settings.get('theme')]?.theme || game.config.theme;
 }
 
 /**
- * Calculates and updates the total Clicks Per Second (CPS) and total Clicks Per Click (CPC).
+ * Applies the active theme (its <body> class and clicker button shape), the current mode's
+ * clicker image and the reduced motion setting.
  */
-function updateCPS() {
-    const config = UPGRADE_CONFIGS[gameMode];
-
-    let totalUpgrades = 0;
-    
-    const upgrade1 = gameState.upgrades.cpuOverclock; // CPC upgrade
-    const upgrade2 = gameState.upgrades.gpuMiner; // CPS upgrade
+function applyTheme() {
+    const theme = getActiveTheme();
+    const { clickerImage } = game.config;
 
-    // 1. Calculate CPC based on levels, UNLESS it's overridden
-    if (!gameState.isCpcOverridden) {
-        // Use the mode-specific bonus value
-        gameState.cpc = 1 + (upgrade1.level * config.upgrade1.cpcBonus);
-    } 
-    totalUpgrades += upgrade1.level;
+    // Remove every registered mode's theme before adding the current one
+    Object.values(GAME_MODES).forEach(mode => {
+        if (mode.theme.className) document.body.classList.remove(mode.theme.className);
+        clickerButton?.classList.remove(mode.theme.clickerShape);
+    });
+    if (theme.className) document.body.classList.add(theme.className);
 
-    // 2. Calculate CPS based on levels, UNLESS it's overridden
-    if (!gameState.isCpsOverridden) {
-        // Use the mode-specific bonus value
-        gameState.cps = upgrade2.level * config.upgrade2.cpsBonus;
-    } 
-    totalUpgrades += upgrade2.level;
+    if (clickerButton) {
+        clickerButton.classList.add(theme.clickerShape);
+        // Modes with a clicker image show it instead of the button text
+        clickerButton.classList.toggle('show-clicker-image', !!clickerImage);
+    }
+    if (clickerButtonImage && clickerImage) clickerButtonImage.src = clickerImage;
 
-    // Store total upgrades temporarily for UI render
-    gameState.totalUpgrades = totalUpgrades; 
+    document.body.classList.toggle('reduce-motion', settings.get('reducedMotion'));
 }
 
 /**
- * The main game loop that runs every second (1000ms).
+ * Formats an achievement's bonus for display (e.g. "+2% CP, +2% CPS").
  */
-function gameLoop() {
-    if (gameState.cps > 0) {
-        // Use Math.round for accurate interval accumulation
-        const clicksGained = Math.round(gameState.cps); 
-        gameState.clicks += clicksGained;
-        gameState.totalClicksEarned += clicksGained; 
-        
-        // Save game state periodically (e.g., every 5 cycles)
-        if (Math.floor(gameState.clicks) % 5 === 0) { 
-            saveGame();
-        }
-        renderUI();
-    }
+function formatAchievementBonus(bonus) {
+    const parts = [];
+    if (bonus.cpcPercent) parts.push(t('bonus.cpc', { percent: bonus.cpcPercent }));
+    if (bonus.cpsPercent) parts.push(t('bonus.cps', { percent: bonus.cpsPercent }));
+    return parts.join(', ');
 }
 
-
 /**
  * FIXED: Switches the active tab in the Right Half of the screen.
  */
@@ -322,7 +450,8 @@ function switchTab(tabId) {
 
     document.querySelectorAll('.tab-button').forEach(button => {
         // Remove all possible theme/active colors
-        button.classList.remove('bg-slate-800', 'text-sky-400', 'border-sky-400', 'text-yellow-500', 'border-yellow-500', 'text-red-400', 'border-red-400');
+        button.classList.remove('bg-slate-800', 'text-red-400', 'border-red-400');
+        Object.values(GAME_MODES).forEach(mode => button.classList.remove(...mode.theme.accentClasses));
         button.classList.add('text-slate-400', 'border-transparent');
     });
 
@@ -341,445 +470,1908 @@ function switchTab(tabId) {
             button.classList.add('bg-slate-800', 'text-red-400', 'border-red-400');
         } else {
             // Apply theme-specific color
-            if (gameMode === 'pencil') {
-                button.classList.add('bg-slate-800', 'text-yellow-500', 'border-yellow-500');
-            } else {
-                button.classList.add('bg-slate-800', 'text-sky-400', 'border-sky-400');
-            }
+            button.classList.add('bg-slate-800', ...getActiveTheme().accentClasses);
         }
         
         // Update game state
-        gameState.activeTab = tabId;
-        saveGame();
-    }
-}
-
-
-// --- UI RENDERING AND UPDATE FUNCTIONS ---
-
-/**
- * Updates the names and descriptions of the upgrades based on the current game mode.
- */
-function updateUpgradeDisplay() {
-    const config = UPGRADE_CONFIGS[gameMode];
-    
-    // Update Upgrade 1 (CPC)
-    if (upgrade1DetailsEl) {
-        // Find the title element and update it
-        const titleEl = upgrade1DetailsEl.querySelector('.text-lg');
-        if (titleEl) {
-            titleEl.textContent = config.upgrade1.name;
-        }
-        // Find the description element and update it
-        const descEl = upgrade1DetailsEl.querySelector('.text-sm');
-        if (descEl) {
-            descEl.textContent = config.upgrade1.description;
-        }
-        // Find the level element (this is safer than rewriting innerHTML)
-        upgradeLevel1El = document.getElementById('upgrade-level-1');
-        if(upgradeLevel1El) {
-             upgradeLevel1El.textContent = gameState.upgrades.cpuOverclock.level;
-        }
-    }
-
-    // Update Upgrade 2 (CPS)
-    if (upgrade2DetailsEl) {
-        const titleEl = upgrade2DetailsEl.querySelector('.text-lg');
-        if (titleEl) {
-            titleEl.textContent = config.upgrade2.name;
+        game.setActiveTab(tabId);
+        if (tabId === 'achievements') renderAchievements();
+        if (tabId === 'prestige') renderPrestige();
+        if (tabId === 'stats') {
+            renderSessionStats();
+            renderStatsHistory();
         }
-        const descEl = upgrade2DetailsEl.querySelector('.text-sm');
-        if (descEl) {
-            descEl.textContent = config.upgrade2.description;
+        if (tabId === 'leaderboard') refreshLeaderboard();
+        if (tabId === 'admin') {
+            renderAdminAccess();
+            renderAdminHistory();
+            renderAdminLog();
+            renderSnapshots();
+            refreshStateEditor();
         }
-        upgradeLevel2El = document.getElementById('upgrade-level-2');
-        if(upgradeLevel2El) {
-            upgradeLevel2El.textContent = gameState.upgrades.gpuMiner.level;
+        if (tabId === 'options') {
+            renderNotificationHistory();
+            renderCodeHistory();
         }
+        game.save();
     }
 }
 
 /**
- * Renders the game state variables (clicks, stats, and upgrade status) to the UI.
+ * Creates an element with the given classes and optional text content.
  */
-function renderUI() {
-    
-    const clicksValue = Math.floor(gameState.clicks);
-    const config = UPGRADE_CONFIGS[gameMode];
-
-    // --- 0. Update Mode-Specific UI ---
-    if (gameTitleEl) gameTitleEl.textContent = config.title;
-    if (clickerButtonText) clickerButtonText.textContent = config.clickButtonText;
+function createElement(tagName, className, textContent) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (textContent !== undefined) element.textContent = textContent;
+    return element;
+}
 
-    // Show/Hide the mode switch button based on mode
-    if (modeSwitchArea) {
-        if (gameMode === 'pencil') {
-            modeSwitchArea.classList.remove('hidden');
-            if (currentModeDisplay) currentModeDisplay.textContent = 'Pencil Clicker';
-            if (switchToCryptoButton) switchToCryptoButton.textContent = 'Switch to Crypto Clicker';
+/**
+ * Fills an element with a translated message whose {name} placeholders are replaced by the
+ * given slot nodes (e.g. a span that is updated later), keeping the word order of the language.
+ */
+function fillMessage(element, message, slots) {
+    element.replaceChildren(...message.split(/\{(\w+)\}/).map((part, i) => {
+        // Odd parts are the placeholder names captured by the split
+        if (i % 2 === 0) return part;
+        return slots[part] ?? `{${part}}`;
+    }));
+    return element;
+}
 
-        } else {
-            modeSwitchArea.classList.add('hidden');
-            if (currentModeDisplay) currentModeDisplay.textContent = 'Crypto Clicker';
-            if (switchToCryptoButton) switchToCryptoButton.textContent = 'Switch to Pencil Clicker';
-        }
+/**
+ * Rebuilds the upgrades panel, stats levels and admin level editors from the current mode's registry.
+ */
+function updateUpgradeDisplay() {
+    const config = game.config;
+
+    // 1. Upgrades panel: one card per registered upgrade
+    if (upgradeListEl) {
+        upgradeListEl.replaceChildren();
+        upgradeElements = {};
+
+        config.upgrades.forEach(upgrade => {
+            const panel = createElement('div', 'upgrade-item bg-slate-700 p-4 rounded-xl shadow-lg flex justify-between items-center mb-4 border border-slate-600');
+            panel.id = `upgrade-panel-${upgrade.id}`;
+
+            // CPC upgrades use the emerald title, CPS upgrades the yellow one
+            const titleColor = upgrade.cpcBonus > 0 ? 'text-emerald-400' : 'text-yellow-400';
+            const details = createElement('div', 'flex-grow');
+            details.append(
+                createElement('p', `text-lg font-bold ${titleColor}`, translateUpgrade(upgrade, 'name')),
+                createElement('p', 'text-sm text-slate-400', translateUpgrade(upgrade, 'description'))
+            );
+            const level = createElement('span', '', '0');
+            details.append(fillMessage(createElement('p', 'text-xs text-slate-400 mt-1'), t('upgradesPanel.level'), { level }));
+
+            const button = createElement('button', 'buy-upgrade-button ml-4 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-full text-sm whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed');
+            button.dataset.upgradeId = upgrade.id;
+            const quantity = createElement('span', '', 'x1');
+            const cost = createElement('span', '', '0');
+            const label = fillMessage(createElement('span'), t('upgradesPanel.buyButton'), { quantity, cost });
+            const confirmLabel = createElement('span', 'hidden', t('purchase.confirm')); // Shown while the button is armed
+            button.append(label, confirmLabel);
+
+            panel.append(details, button);
+            upgradeListEl.append(panel);
+            upgradeElements[upgrade.id] = { panel, level, quantity, cost, label, confirmLabel, button };
+        });
     }
 
-    // --- 1. Update Clicker Area and Main Stat Bar (CPC/CPS) ---
-    if (clicksDisplay) clicksDisplay.textContent = clicksValue.toLocaleString(); 
-    if (cpcDisplay) cpcDisplay.textContent = gameState.cpc.toLocaleString();
-
-    // --- 2. Update Stats Panel ---
-    if (statsTotalClicks) statsTotalClicks.textContent = Math.floor(gameState.totalClicksEarned).toLocaleString();
-    if (statsCpc) statsCpc.textContent = gameState.cpc.toLocaleString();
-    if (statsCps) statsCps.textContent = gameState.cps.toLocaleString();
-    if (statsTotalUpgrades) statsTotalUpgrades.textContent = gameState.totalUpgrades.toLocaleString();
-    if (userIdDisplay) userIdDisplay.textContent = userId; 
+    // 2. Stats panel: level of each upgrade
+    if (statsUpgradeLevels) {
+        statsUpgradeLevels.replaceChildren();
+        config.upgrades.forEach(upgrade => {
+            const value = createElement('span', 'font-mono text-indigo-400', '0');
+            value.dataset.upgradeId = upgrade.id;
+            statsUpgradeLevels.append(fillMessage(createElement('p', 'text-base text-slate-400'),
+                t('statsPanel.upgradeLevel', { name: translateUpgrade(upgrade, 'name') }), { level: value }));
+        });
+    }
 
-    // --- 3. Update Upgrades Panel ---
-    const upgrade1 = gameState.upgrades.cpuOverclock;
-    const nextCost1 = calculateCost(upgrade1.baseCost, upgrade1.costMultiplier, upgrade1.level);
-    if (upgradeCost1El) upgradeCost1El.textContent = nextCost1.toLocaleString();
-    if (upgradeLevel1El) upgradeLevel1El.textContent = upgrade1.level.toLocaleString();
-
-    const upgrade2 = gameState.upgrades.gpuMiner;
-    const nextCost2 = calculateCost(upgrade2.baseCost, upgrade2.costMultiplier, upgrade2.level);
-    if (upgradeCost2El) upgradeCost2El.textContent = nextCost2.toLocaleString();
-    if (upgradeLevel2El) upgradeLevel2El.textContent = upgrade2.level.toLocaleString();
-    
-    // Check and set disability for both buttons
-    [
-        { button: buyUpgrade1Button, cost: nextCost1 },
-        { button: buyUpgrade2Button, cost: nextCost2 }
-    ].forEach(({ button, cost }) => {
-        if (button) {
-            const isAffordable = clicksValue >= cost;
-            button.disabled = !isAffordable;
-            
-            // Manage affordable/unaffordable classes (excluding pencil mode classes)
-            if (isAffordable) {
-                if (!document.body.classList.contains('pencil-mode')) {
-                    button.classList.remove('bg-emerald-600', 'hover:bg-emerald-700');
-                    button.classList.add('bg-green-600', 'hover:bg-green-700');
-                }
-            } else {
-                 if (!document.body.classList.contains('pencil-mode')) {
-                    button.classList.remove('bg-green-600', 'hover:bg-green-700');
-                    button.classList.add('bg-emerald-600', 'hover:bg-emerald-700');
-                 }
-            }
-        }
-    });
-    
-    // --- 4. Update Admin Panel Display and Input Values ---
-    if (gameState.isAdminUnlocked && gameState.activeTab === 'admin') {
-        if (adminCurrentClicks) adminCurrentClicks.textContent = clicksValue.toLocaleString();
-        if (adminCurrentCpc) adminCurrentCpc.textContent = gameState.cpc.toLocaleString();
-        if (adminCurrentCps) adminCurrentCps.textContent = gameState.cps.toLocaleString();
-        if (adminCurrentCpuLevel) adminCurrentCpuLevel.textContent = upgrade1.level.toLocaleString();
-        if (adminCurrentGpuLevel) adminCurrentGpuLevel.textContent = upgrade2.level.toLocaleString();
-        
-        // Update input fields
-        if (adminInputClicks) adminInputClicks.value = clicksValue;
-        if (adminInputCpc) adminInputCpc.value = gameState.cpc;
-        if (adminInputCps) adminInputCps.value = gameState.cps;
-        if (adminInputCpuLevel) adminInputCpuLevel.value = upgrade1.level;
-        if (adminInputGpuLevel) adminInputGpuLevel.value = upgrade2.level;
+    // 3. Admin panel: one level editor per upgrade
+    if (adminLevelEditorsEl) {
+        adminLevelEditorsEl.replaceChildren();
+        adminLevelElements = {};
+
+        config.upgrades.forEach(upgrade => {
+            const group = createElement('div', 'bg-slate-700 p-6 rounded-xl shadow-lg border border-slate-600');
+
+            const name = translateUpgrade(upgrade, 'name');
+            const current = createElement('span', '', '0');
+            const heading = fillMessage(createElement('p', 'text-xl font-bold text-red-300 mb-3'), t('admin.setLevelHeading', { name }), { current });
+
+            const row = createElement('div', 'flex space-x-3');
+            const input = createElement('input', 'flex-grow p-2 rounded bg-slate-800 text-white border border-slate-600 focus:outline-none focus:ring-2 focus:ring-red-500');
+            input.type = 'number';
+            input.min = '0';
+            input.id = `admin-input-level-${upgrade.id}`; // 'level' in the id marks it as a whole-number input
+            input.placeholder = t('admin.levelPlaceholder', { name });
+            input.value = '0';
+            const button = createElement('button', 'admin-set-level-button bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition', t('admin.setLevel'));
+            button.dataset.upgradeId = upgrade.id;
+            row.append(input, button);
+
+            const message = createElement('p', 'mt-3 text-sm italic text-slate-400');
+
+            group.append(heading, row, message);
+            adminLevelEditorsEl.append(group);
+            adminLevelElements[upgrade.id] = { current, input, message };
+        });
     }
 }
 
+/**
+ * Translates a display text of one of the current mode's upgrades.
+ */
+function translateUpgrade(upgrade, field) {
+    return translateEntry(i18n, `modes.${game.config.id}.upgrades`, upgrade, field);
+}
 
-// --- EVENT HANDLERS ---
+/**
+ * Formats a BigNumber or plain number in the player's language and chosen notation.
+ */
+function formatNumber(value) {
+    return i18n.formatNumber(value);
+}
 
 /**
- * Handles the main click action on the button.
+ * Formats a number of seconds as a short human-readable duration (e.g. "2h 15m").
  */
-function handleGameClick() { 
-    const clicksGained = gameState.cpc;
-    gameState.clicks += clicksGained;
-    gameState.totalClicksEarned += clicksGained; 
-    renderUI();
-    saveGame(); 
+function formatDuration(totalSeconds) {
+    return i18n.formatDuration(totalSeconds);
 }
 
 /**
- * Handles the purchase of an upgrade.
+ * Shows the "While you were away" summary on the clicker screen, if anything was earned.
  */
-function handleBuyUpgrade(upgradeId) {
-    // Determine the internal key
-    const upgradeKey = upgradeId === '1' ? 'cpuOverclock' : 'gpuMiner';
-    const upgrade = gameState.upgrades[upgradeKey];
-    
-    if (!upgrade) {
-        console.error("Invalid upgrade key:", upgradeKey);
+function showOfflineSummary(offlineReport) {
+    if (!offlineEarningsDisplay) return;
+
+    if (!offlineReport) {
+        offlineEarningsDisplay.classList.add('hidden');
         return;
     }
-    
-    const cost = calculateCost(upgrade.baseCost, upgrade.costMultiplier, upgrade.level);
-
-    if (gameState.clicks >= cost) {
-        gameState.clicks -= cost;
-        upgrade.level += 1;
-        
-        // Disable admin override when buying an upgrade
-        if (upgradeKey === 'cpuOverclock') gameState.isCpcOverridden = false;
-        if (upgradeKey === 'gpuMiner') gameState.isCpsOverridden = false;
-        
-        updateCPS(); 
 
-        console.log(`[Upgrade] SUCCESS! Bought upgrade. New level: ${upgrade.level}.`); 
-        
-        renderUI();
-        saveGame();
-    } else {
-        console.warn(`[Upgrade] FAILED. Not enough clicks.`);
-    }
+    const { elapsedSeconds, clicksEarned, isCapped } = offlineReport;
+    const duration = formatDuration(elapsedSeconds);
+    offlineEarningsDisplay.textContent = isCapped
+        ? t('clicker.offlineEarningsCapped', { duration, count: clicksEarned, cap: formatDuration(OFFLINE_PROGRESS_CONFIG.maxSeconds) })
+        : t('clicker.offlineEarnings', { duration, count: clicksEarned });
+    offlineEarningsDisplay.classList.remove('hidden');
 }
 
 /**
- * Checks the game state and shows/hides the Admin tab accordingly.
+ * Shows the warning about a quarantined save on the clicker screen, if the last load produced one.
  */
-function checkAdminStatus() {
-    const adminTab = document.getElementById('tab-admin');
-    if (adminTab) {
-        if (gameState.isAdminUnlocked) {
-            adminTab.classList.remove('hidden');
-        } else {
-            adminTab.classList.add('hidden');
-        }
+function showSaveWarning(saveWarning) {
+    if (!saveWarningDisplay) return;
+
+    if (!saveWarning) {
+        saveWarningDisplay.classList.add('hidden');
+        return;
     }
+
+    saveWarningDisplay.textContent = saveWarning;
+    saveWarningDisplay.classList.remove('hidden');
 }
 
 /**
- * Handles the code redemption logic.
+ * Builds the achievement grid: one badge with a progress bar per achievement.
  */
-function handleRedeemCode() {
-    if (!codeInput) return;
+function buildAchievementGrid() {
+    if (!achievementGridEl) return;
 
-    const code = codeInput.value.trim().toUpperCase();
-    
-    if (codeMessageDisplay) {
-        codeMessageDisplay.classList.remove('text-green-400', 'text-red-400', 'text-yellow-500');
-    }
-    
-    if (code === 'KAITLYNCLARK') {
-        if (gameMode === 'pencil') {
-            if (codeMessageDisplay) {
-                codeMessageDisplay.textContent = 'Titus Clicker is already active!';
-                codeMessageDisplay.classList.add('text-red-400');
-            }
-        } else {
-            // CRITICAL: Switch to the secret mode
-            switchGameMode('pencil');
-            if (codeMessageDisplay) {
-                codeMessageDisplay.textContent = 'SECRET CODE accepted! Welcome to TITUS CLICKER!';
-                codeMessageDisplay.classList.add('text-green-400');
-            }
-            codeInput.value = '';
-        }
-    } else if (code === 'ADMIN') { // Existing Admin Unlock Logic
-        if (gameState.isAdminUnlocked) {
-             if (codeMessageDisplay) {
-                codeMessageDisplay.textContent = 'Admin panel is already unlocked!';
-                codeMessageDisplay.classList.add('text-red-400');
-            }
-        } else {
-            gameState.isAdminUnlocked = true;
-            if (codeMessageDisplay) {
-                codeMessageDisplay.textContent = 'ADMIN panel UNLOCKED! Check the new tab!';
-                codeMessageDisplay.classList.add('text-green-400');
-            }
-            codeInput.value = '';
-            
-            checkAdminStatus();
-            switchTab('admin'); // Automatically switch to the admin tab
+    achievementGridEl.replaceChildren();
+    achievementElements = {};
 
-            renderUI();
-            saveGame();
-        }
-    } else if (code === 'BORNTOCODE') {
-        gameState.clicks += 5000;
-        gameState.totalClicksEarned += 5000;
-        if (codeMessageDisplay) {
-            codeMessageDisplay.textContent = 'Code REDEEMED! You gained 5,000 clicks!';
-            codeMessageDisplay.classList.add('text-green-400');
-        }
-        codeInput.value = '';
-        renderUI();
-        saveGame();
-    } else if (code) {
-        if (codeMessageDisplay) {
-            codeMessageDisplay.textContent = 'Invalid code. Try again!';
-            codeMessageDisplay.classList.add('text-red-400');
-        }
-    } else {
-        if (codeMessageDisplay) {
-            codeMessageDisplay.textContent = 'Please enter a code.';
-            codeMessageDisplay.classList.add('text-yellow-500'); // Use yellow for a warning
+    ACHIEVEMENTS.forEach(achievement => {
+        const badge = createElement('div', 'achievement-badge bg-slate-700 p-4 rounded-xl shadow-lg border border-slate-600');
+        const name = createElement('p', 'text-lg font-bold text-slate-300', translateEntry(i18n, 'achievements', achievement, 'name'));
+        const description = createElement('p', 'text-sm text-slate-400', translateEntry(i18n, 'achievements', achievement, 'description'));
+        badge.append(name, description);
+
+        if (achievement.bonus) {
+            badge.append(createElement('p', 'text-xs text-amber-400 mt-1', t('achievementsPanel.bonus', { bonus: formatAchievementBonus(achievement.bonus) })));
         }
-    }
+
+        const progressTrack = createElement('div', 'w-full h-2 bg-slate-800 rounded-full mt-3 overflow-hidden');
+        const progressBar = createElement('div', 'achievement-progress h-full bg-sky-400 rounded-full');
+        progressTrack.append(progressBar);
+        const progressText = createElement('p', 'text-xs text-slate-500 mt-1');
+        badge.append(progressTrack, progressText);
+
+        achievementGridEl.append(badge);
+        achievementElements[achievement.id] = { badge, name, progressBar, progressText };
+    });
 }
 
 /**
- * Handles the special switch back from Pencil Clicker to Crypto Clicker.
+ * Shows the random event target at its spot over the clicker area, or hides it.
  */
-function handleSwitchToCrypto() {
-    // This function will just toggle the mode
-    const newMode = gameMode === 'crypto' ? 'pencil' : 'crypto';
-    switchGameMode(newMode);
+function renderRandomEvent() {
+    if (!randomEventTarget) return;
+    const target = game.getRandomEventTarget();
+    randomEventTarget.classList.toggle('hidden', !target);
+    if (!target) return;
+
+    randomEventTarget.dataset.targetId = target.id;
+    randomEventTarget.style.left = `${target.x * 100}%`;
+    randomEventTarget.style.top = `${target.y * 100}%`;
+}
 
-    if (codeMessageDisplay) {
-        codeMessageDisplay.classList.remove('text-red-400', 'text-green-400');
-        if (newMode === 'crypto') {
-            codeMessageDisplay.textContent = 'Welcome back to Crypto Clicker!';
-            codeMessageDisplay.classList.add('text-green-400');
-        } else {
-            codeMessageDisplay.textContent = 'Switched to Titus Clicker!';
-            codeMessageDisplay.classList.add('text-green-400');
-        }
-    }
+/**
+ * Lists the active buffs with the time each one has left.
+ */
+function renderActiveBuffs() {
+    if (!activeBuffsEl) return;
+    activeBuffsEl.replaceChildren(...game.getActiveBuffs().map(buff => createElement('span',
+        'px-3 py-1 rounded-full bg-slate-700 border border-yellow-400 text-yellow-300 text-sm font-bold',
+        t('clicker.buff', {
+            name: buff.name,
+            multiplier: buff.multiplier,
+            stat: t(`stats.${buff.stat}.short`),
+            time: formatDuration(Math.ceil(buff.remainingSeconds))
+        }))));
 }
 
 /**
- * Resets the entire game state (both Crypto and Pencil) by clearing localStorage.
+ * Handles a click on the random event target: claims its reward and says what it was.
  */
-function handleResetGame() {
-    localStorage.removeItem(CRYPTO_KEY);
-    localStorage.removeItem(PENCIL_KEY);
-    localStorage.removeItem(GAME_MODE_KEY); // Also remove the mode tracker
-    
-    if (resetMessageDisplay) {
-        resetMessageDisplay.classList.remove('text-red-400');
-        resetMessageDisplay.classList.add('text-yellow-400');
-        resetMessageDisplay.textContent = 'All game data cleared! Restarting...';
-    }
+function handleClaimRandomEvent() {
+    const result = game.claimRandomEvent(Number(randomEventTarget.dataset.targetId));
+    if (!result) return; // The target ran out just before the click
 
-    console.warn("[Reset] All game data cleared. Restarting game in 2 seconds.");
+    const name = translateEntry(i18n, 'randomEvents', result.event, 'name');
+    const message = result.clicksGained
+        ? t('clicker.eventClicks', { name, count: result.clicksGained })
+        : t('clicker.eventBuff', { name, description: translateEntry(i18n, 'randomEvents', result.event, 'description') });
+    notifications.notify(message, 'success');
 
-    // Force a full reload to clear all state
-    setTimeout(() => {
-        window.location.reload();
-    }, 2000);
+    renderUI();
+    game.save();
 }
 
+/**
+ * Opens the breakdown tooltip of a CP/CPS display, just below it.
+ */
+function showStatBreakdown(display) {
+    if (!statBreakdownTooltip) return;
+    breakdownStat = display.dataset.breakdownStat;
+    renderStatBreakdown();
+
+    const rect = display.getBoundingClientRect();
+    statBreakdownTooltip.style.left = `${rect.left}px`;
+    statBreakdownTooltip.style.top = `${rect.bottom + 8}px`;
+    statBreakdownTooltip.classList.remove('hidden');
+}
 
-// --- ADMIN HANDLER FUNCTIONS (Unchanged from previous version) ---
-function validateAdminInput(inputEl, msgEl) {
-    if (!inputEl || !msgEl) return null;
-    msgEl.textContent = ''; 
-    msgEl.classList.remove('text-red-400', 'text-green-400');
-    
-    // Use parseFloat to allow non-integers for clicks/cpc/cps
-    const value = parseFloat(inputEl.value);
-    const minValue = parseFloat(inputEl.getAttribute('min'));
-    const isLevel = inputEl.id.includes('level'); // Check if it's a level input
-
-    // Check for NaN
-    if (isNaN(value)) {
-        msgEl.textContent = 'Error: Input must be a valid number.';
-        msgEl.classList.add('text-red-400');
-        return null;
-    }
+/**
+ * Closes the CP/CPS breakdown tooltip.
+ */
+function hideStatBreakdown() {
+    breakdownStat = null;
+    statBreakdownTooltip?.classList.add('hidden');
+}
 
-    // Check for minimum value
-    if (value < minValue) {
-        msgEl.textContent = `Error: Value must be at least ${minValue}.`;
-        msgEl.classList.add('text-red-400');
-        return null;
-    }
+/**
+ * Lists every step of the open stat's calculation: the base value, each modifier with
+ * the running total after it, and the final value.
+ */
+function renderStatBreakdown() {
+    if (!statBreakdownTooltip || !breakdownStat) return;
+    const breakdown = game.getStatBreakdown(breakdownStat);
+
+    const rows = [createElement('p', 'font-bold text-sky-400 mb-2', t(`stats.${breakdownStat}.name`, {}, MODIFIED_STATS[breakdownStat].name))];
+    rows.push(createElement('p', 'text-slate-400', t('breakdown.base', { value: breakdown.base })));
+    breakdown.steps.forEach(({ modifier, result }) => {
+        const row = createElement('p', 'flex justify-between space-x-4');
+        row.append(
+            createElement('span', '', `${MODIFIER_TYPE_SYMBOLS[modifier.type]}${formatNumber(modifier.value)} ${modifier.source}`),
+            createElement('span', 'text-slate-500', formatNumber(result))
+        );
+        rows.push(row);
+    });
+    rows.push(createElement('p', 'mt-2 pt-2 border-t border-slate-700 font-bold text-amber-400', t('breakdown.total', { value: breakdown.value })));
+    statBreakdownTooltip.replaceChildren(...rows);
+}
 
-    // If it's a level input, it must be an integer
-    if (isLevel && !Number.isInteger(value)) {
-        msgEl.textContent = 'Error: Level must be a whole number (e.g., 1, 2, 3).';
-        msgEl.classList.add('text-red-400');
-        return null;
+/**
+ * Builds the stats history window buttons and one line chart per recorded stat.
+ */
+function buildStatsHistory() {
+    if (statsHistoryWindowsEl) {
+        statsHistoryWindowsEl.replaceChildren(createElement('span', 'text-sm text-slate-400 mr-2', t('statsPanel.show')));
+        Object.entries(STATS_HISTORY_WINDOWS).forEach(([window, label]) => {
+            const button = createElement('button', 'stats-window-button bg-slate-600 text-white font-bold py-1 px-3 rounded text-sm transition', t(`statsWindows.${window}`, {}, label));
+            button.dataset.historyWindow = window;
+            statsHistoryWindowsEl.append(button);
+        });
     }
 
-    return value; // Return the validated number
+    if (!statsHistoryChartsEl) return;
+    statsHistoryChartsEl.replaceChildren();
+    statsChartElements = {};
+
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    STATS_HISTORY_FIELDS.forEach(field => {
+        const style = STATS_CHART_STYLES[field];
+        const card = createElement('div', 'bg-slate-700 p-4 rounded-xl shadow-lg border border-slate-600');
+        const title = createElement('p', 'text-sm font-bold text-slate-300', t(`statsPanel.chart.${field}`));
+        const range = createElement('p', 'text-xs text-slate-500 mb-2');
+
+        const chart = document.createElementNS(svgNamespace, 'svg');
+        chart.setAttribute('viewBox', `0 0 ${STATS_CHART_WIDTH} ${STATS_CHART_HEIGHT}`);
+        chart.setAttribute('preserveAspectRatio', 'none');
+        chart.setAttribute('class', 'w-full h-20 bg-slate-800 rounded');
+        const line = document.createElementNS(svgNamespace, 'polyline');
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', style.color);
+        line.setAttribute('stroke-width', '2');
+        line.setAttribute('vector-effect', 'non-scaling-stroke');
+        chart.append(line);
+
+        card.append(title, range, chart);
+        statsHistoryChartsEl.append(card);
+        statsChartElements[field] = { range, line };
+    });
 }
 
+/**
+ * Draws the stats history charts for the selected window. Each chart is scaled to its own
+ * highest value, so stats of any magnitude fill the chart.
+ */
+function renderStatsHistory() {
+    statsHistoryWindowsEl?.querySelectorAll('[data-history-window]').forEach(button => {
+        const isSelected = button.dataset.historyWindow === statsHistoryWindow;
+        button.classList.toggle('bg-sky-600', isSelected);
+        button.classList.toggle('bg-slate-600', !isSelected);
+    });
 
-function showAdminSuccess(msgEl, message) {
-    if (msgEl) {
-        msgEl.classList.remove('text-red-400');
-        msgEl.classList.add('text-green-400');
-        msgEl.textContent = message;
-        // Clear message after 3 seconds
-        setTimeout(() => {
-             if(msgEl) msgEl.textContent = '';
-        }, 3000);
-    }
+    const history = game.getStatsHistory(statsHistoryWindow);
+    const startTime = history[0].t;
+    const duration = Math.max(1, history[history.length - 1].t - startTime);
+
+    STATS_HISTORY_FIELDS.forEach(field => {
+        const elements = statsChartElements[field];
+        if (!elements) return;
+
+        const values = history.map(sample => BigNumber.from(sample[field]));
+        const highest = values.reduce((max, value) => BigNumber.max(max, value), BigNumber.from(0));
+        const points = history.length < 2 ? '' : history.map((sample, index) => {
+            const x = (sample.t - startTime) / duration * STATS_CHART_WIDTH;
+            const share = highest.isZero() ? 0 : values[index].div(highest).toNumber();
+            return `${x.toFixed(1)},${(STATS_CHART_HEIGHT - share * STATS_CHART_HEIGHT).toFixed(1)}`;
+        }).join(' ');
+
+        elements.line.setAttribute('points', points);
+        elements.range.textContent = history.length < 2
+            ? t('statsPanel.notEnoughData')
+            : t('statsPanel.chartRange', { now: values[values.length - 1].floor(), peak: highest.floor(), duration: formatDuration(duration / 1000) });
+    });
 }
 
-function handleAdminSetClicks() {
-    const value = validateAdminInput(adminInputClicks, adminMsgClicks);
-    if (value !== null) {
-        const diff = value - gameState.clicks; // Calculate difference
-        gameState.clicks = value;
-        // Only add the difference to totalClicksEarned if it's positive
-        if (diff > 0) {
-            gameState.totalClicksEarned += diff; 
-        }
-        showAdminSuccess(adminMsgClicks, `Clicks set to ${value.toLocaleString()}.`);
-        renderUI();
-        saveGame();
-    }
+/**
+ * Renders the session metrics, including the clicks spent on each upgrade and when each level was reached.
+ */
+function renderSessionStats() {
+    const sessionStats = game.getSessionStats();
+    if (statsSessionTime) statsSessionTime.textContent = formatDuration(sessionStats.playTime);
+    if (statsSessionClicks) statsSessionClicks.textContent = formatNumber(sessionStats.manualClicks);
+    if (statsSessionPeak) statsSessionPeak.textContent = formatNumber(sessionStats.peakClicksPerSecond);
+
+    if (!statsSessionUpgrades) return;
+    statsSessionUpgrades.replaceChildren();
+    game.config.upgrades.forEach(upgrade => {
+        const entry = sessionStats.upgrades[upgrade.id];
+        if (!entry) return;
+
+        // Only the latest levels, so a long session stays readable
+        const levelTimes = entry.levels.slice(-5).map(({ level, seconds }) => t('statsPanel.levelReached', { level, time: formatDuration(seconds) }));
+        statsSessionUpgrades.append(createElement('p', '', t('statsPanel.sessionUpgrade', {
+            name: translateUpgrade(upgrade, 'name'),
+            spent: entry.spent.floor(),
+            levels: levelTimes.join(', ')
+        })));
+    });
 }
 
-function handleAdminSetCPC() {
-    const value = validateAdminInput(adminInputCpc, adminMsgCpc);
-    if (value !== null) {
-        gameState.cpc = value;
-        gameState.isCpcOverridden = true; // Activate override
-        showAdminSuccess(adminMsgCpc, `Click Power (CP) set to ${value.toLocaleString()}.`);
-        renderUI();
-        saveGame();
-    }
+/**
+ * Handles the stats history window buttons.
+ */
+function handleSelectHistoryWindow(event) {
+    const button = event.target.closest('[data-history-window]');
+    if (!button || !STATS_HISTORY_WINDOWS[button.dataset.historyWindow]) return;
+
+    statsHistoryWindow = button.dataset.historyWindow;
+    renderStatsHistory();
 }
 
-function handleAdminSetCPS() {
-    const value = validateAdminInput(adminInputCps, adminMsgCps);
-    if (value !== null) {
-        gameState.cps = value;
-        gameState.isCpsOverridden = true; // Activate override
-        showAdminSuccess(adminMsgCps, `Clicks Per Second (CPS) set to ${value.toLocaleString()}.`);
-        renderUI();
-        saveGame();
+/**
+ * Updates the locked/unlocked state and progress of every achievement badge.
+ */
+function renderAchievements() {
+    let unlockedCount = 0;
+
+    ACHIEVEMENTS.forEach(achievement => {
+        const elements = achievementElements[achievement.id];
+        if (!elements) return;
+
+        const isUnlocked = !!game.state.achievements[achievement.id];
+        const progress = game.getAchievementProgress(achievement);
+        if (isUnlocked) unlockedCount += 1;
+
+        elements.badge.classList.toggle('opacity-50', !isUnlocked);
+        elements.badge.classList.toggle('border-amber-400', isUnlocked);
+        elements.badge.classList.toggle('border-slate-600', !isUnlocked);
+        elements.name.classList.toggle('text-amber-400', isUnlocked);
+        elements.name.classList.toggle('text-slate-300', !isUnlocked);
+        elements.progressBar.style.width = `${Math.floor(progress * 100)}%`;
+
+        if (isUnlocked) {
+            elements.progressText.textContent = t('achievementsPanel.unlocked');
+        } else {
+            const current = Math.floor(game.getAchievementStat(achievement.stat));
+            elements.progressText.textContent = t('achievementsPanel.progress', { current, target: achievement.target });
+        }
+    });
+
+    if (achievementSummaryEl) {
+        achievementSummaryEl.textContent = unlockedCount > 0
+            ? t('achievementsPanel.summary', { unlocked: unlockedCount, total: ACHIEVEMENTS.length })
+            : t('achievementsPanel.none');
     }
 }
 
-function handleAdminSetCpuLevel() {
-    const value = validateAdminInput(adminInputCpuLevel, adminMsgCpuLevel);
-    if (value !== null) {
-        gameState.upgrades.cpuOverclock.level = value;
-        gameState.isCpcOverridden = false; // Deactivate override
-        showAdminSuccess(adminMsgCpuLevel, `CP Level set to ${value}. Recalculating CP...`);
-        updateCPS(); // Recalculate stats
-        renderUI();
-        saveGame();
-    }
+/**
+ * Fills the game mode picker with the unlocked modes. The picker is only shown once there is a choice.
+ */
+function buildModeOptions() {
+    if (!modeSelect) return;
+
+    const modes = game.getUnlockedModes();
+    modeSelect.replaceChildren();
+    modes.forEach(mode => {
+        const option = createElement('option', '', translateEntry(i18n, 'modes', mode, 'name'));
+        option.value = mode.id;
+        modeSelect.append(option);
+    });
+    modeSelect.value = game.mode;
+    modeSwitchArea?.classList.toggle('hidden', modes.length < 2);
 }
 
-function handleAdminSetGpuLevel() {
-    const value = validateAdminInput(adminInputGpuLevel, adminMsgGpuLevel);
-    if (value !== null) {
-        gameState.upgrades.gpuMiner.level = value;
-        gameState.isCpsOverridden = false; // Deactivate override
-        showAdminSuccess(adminMsgGpuLevel, `CPS Level set to ${value}. Recalculating CPS...`);
-        updateCPS(); // Recalculate stats
-        renderUI();
-        saveGame();
-    }
+/**
+ * Fills the number notation picker from NUMBER_NOTATIONS and selects the current notation.
+ */
+function buildNotationOptions() {
+    if (!notationSelect) return;
+
+    notationSelect.replaceChildren();
+    Object.entries(NUMBER_NOTATIONS).forEach(([notation, label]) => {
+        const option = createElement('option', '', t(`notations.${notation}`, {}, label));
+        option.value = notation;
+        notationSelect.append(option);
+    });
+    notationSelect.value = settings.get('notation');
 }
-// --- INITIALIZATION ---
 
 /**
- * Assigns DOM elements to global variables.
+ * Fills the language picker from the registered locales and selects the chosen language.
+ * The first choice follows the browser's language.
+ */
+function buildLanguageOptions() {
+    if (!languageSelect) return;
+
+    const browserLocale = LOCALES[matchLocale(navigator.languages)];
+    languageSelect.replaceChildren(createElement('option', '', t('options.languageAuto', { language: browserLocale.name })));
+    languageSelect.options[0].value = '';
+    Object.values(LOCALES).forEach(locale => {
+        const option = createElement('option', '', locale.name);
+        option.value = locale.id;
+        option.lang = locale.id;
+        languageSelect.append(option);
+    });
+    languageSelect.value = settings.get('locale');
+}
+
+/**
+ * Fills the autosave interval and theme pickers of the settings and shows the current settings.
+ * Only unlocked modes are offered as themes (and the chosen one, should it be locked).
+ */
+function buildSettingsOptions() {
+    if (autosaveSelect) {
+        autosaveSelect.replaceChildren(...SETTINGS.autosaveSeconds.options.map(seconds => {
+            const label = seconds < 60 ? t('settings.seconds', { count: seconds }) : t('settings.minutes', { count: seconds / 60 });
+            const option = createElement('option', '', label);
+            option.value = String(seconds);
+            return option;
+        }));
+    }
+
+    if (themeSelect) {
+        const modes = game.getUnlockedModes();
+        const chosenMode = GAME_MODES[settings.get('theme')];
+        if (chosenMode && !modes.includes(chosenMode)) modes.push(chosenMode);
+
+        themeSelect.replaceChildren(createElement('option', '', t('settings.themeMode')));
+        themeSelect.options[0].value = '';
+        modes.forEach(mode => {
+            const option = createElement('option', '', translateEntry(i18n, 'modes', mode, 'name'));
+            option.value = mode.id;
+            themeSelect.append(option);
+        });
+    }
+
+    renderSettings();
+}
+
+/**
+ * Shows the current settings in every data-setting control of the Options panel.
+ */
+function renderSettings() {
+    document.querySelectorAll('[data-setting]').forEach(control => {
+        const value = settings.get(control.dataset.setting);
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = String(value);
+        }
+    });
+    if (soundVolumeValue) soundVolumeValue.textContent = t('settings.volumePercent', { volume: settings.get('soundVolume') });
+}
+
+/**
+ * Translates the static texts of the page: the data-i18n elements and the data-i18n-placeholder,
+ * data-i18n-title and data-i18n-alt attributes. The data-i18n-slot children of an element (the
+ * values the game fills in) are kept and moved to their {name} placeholder in the message.
+ */
+function translatePage() {
+    document.documentElement.lang = i18n.locale;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const slots = {};
+        element.querySelectorAll(':scope > [data-i18n-slot]').forEach(slot => { slots[slot.dataset.i18nSlot] = slot; });
+        fillMessage(element, t(element.dataset.i18n), slots);
+    });
+    ['placeholder', 'title', 'alt'].forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * In dev mode, lists every text the current language has no translation for.
+ */
+function reportMissingTranslations() {
+    if (!isDevMode || i18n.locale === DEFAULT_LOCALE) return;
+
+    const missingKeys = findMissingMessages(i18n.locale, getRegistryTexts());
+    if (missingKeys.length > 0) {
+        console.warn(`[I18n] ${missingKeys.length} texts are missing from "${i18n.locale}":`, missingKeys);
+    }
+}
+
+/**
+ * Builds the prestige upgrade cards from the prestige upgrade registry.
+ */
+function buildPrestigePanel() {
+    if (!prestigeUpgradeListEl) return;
+
+    prestigeUpgradeListEl.replaceChildren();
+    prestigeUpgradeElements = {};
+
+    PRESTIGE_UPGRADES.forEach(upgrade => {
+        const panel = createElement('div', 'bg-slate-700 p-4 rounded-xl shadow-lg flex justify-between items-center mb-4 border border-slate-600');
+
+        const details = createElement('div', 'flex-grow');
+        details.append(
+            createElement('p', 'text-lg font-bold text-purple-400', translateEntry(i18n, 'prestigeUpgrades', upgrade, 'name')),
+            createElement('p', 'text-sm text-slate-400', translateEntry(i18n, 'prestigeUpgrades', upgrade, 'description'))
+        );
+        const level = createElement('span', '', '0');
+        details.append(fillMessage(createElement('p', 'text-xs text-slate-400 mt-1'), t('upgradesPanel.level'), { level }));
+
+        const button = createElement('button', 'buy-prestige-button ml-4 bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-full text-sm disabled:opacity-50 disabled:cursor-not-allowed');
+        button.dataset.upgradeId = upgrade.id;
+
+        panel.append(details, button);
+        prestigeUpgradeListEl.append(panel);
+        prestigeUpgradeElements[upgrade.id] = { level, button };
+    });
+}
+
+/**
+ * Updates the prestige summary, prestige button and prestige upgrade cards.
+ */
+function renderPrestige() {
+    const prestige = game.state.prestige;
+    const pointsAvailable = game.getPrestigePointsAvailable();
+    const bonus = game.getPrestigeBonus();
+    const discountPercent = Math.round((1 - game.getPrestigeCostMultiplier()) * 100);
+
+    if (prestigePointsEl) prestigePointsEl.textContent = formatNumber(prestige.points);
+    if (prestigeTotalEl) prestigeTotalEl.textContent = formatNumber(prestige.totalPointsEarned);
+    if (prestigeResetsEl) prestigeResetsEl.textContent = formatNumber(prestige.resets);
+    if (prestigeBonusEl) {
+        prestigeBonusEl.textContent = t('prestigePanel.bonus', { cpc: bonus.cpcPercent, cps: bonus.cpsPercent, discount: discountPercent });
+    }
+    if (prestigeGainEl) prestigeGainEl.textContent = formatNumber(pointsAvailable);
+    if (prestigeButton) prestigeButton.disabled = pointsAvailable < PRESTIGE_CONFIG.minPointsToPrestige;
+
+    PRESTIGE_UPGRADES.forEach(upgrade => {
+        const elements = prestigeUpgradeElements[upgrade.id];
+        if (!elements) return;
+
+        const level = game.getPrestigeUpgradeLevel(upgrade.id);
+        const isMaxed = upgrade.maxLevel && level >= upgrade.maxLevel;
+        const cost = game.getPrestigeUpgradeCost(upgrade);
+
+        elements.level.textContent = upgrade.maxLevel ? t('prestigePanel.levelOfMax', { level, max: upgrade.maxLevel }) : formatNumber(level);
+        if (isMaxed) {
+            elements.button.textContent = t('prestigePanel.maxed');
+        } else {
+            elements.button.textContent = isPurchaseArmed('prestige', upgrade.id) ? t('purchase.confirm') : t('prestigePanel.buy', { cost });
+        }
+        elements.button.disabled = isMaxed || cost.gt(prestige.points);
+    });
+}
+
+/**
+ * Renders the game state variables (clicks, stats, and upgrade status) to the UI.
+ */
+function renderUI() {
+    
+    const clicksValue = game.state.clicks.floor();
+    const config = game.config;
+
+    // --- 0. Update Mode-Specific UI ---
+    if (gameTitleEl) gameTitleEl.textContent = translateEntry(i18n, 'modes', config, 'title');
+    if (clickerButtonText) clickerButtonText.textContent = translateEntry(i18n, 'modes', config, 'clickButtonText');
+
+    if (currentModeDisplay) currentModeDisplay.textContent = translateEntry(i18n, 'modes', config, 'name');
+
+    // --- 1. Update Clicker Area and Main Stat Bar (CPC/CPS) ---
+    if (clicksDisplay) clicksDisplay.textContent = formatNumber(clicksValue); 
+    if (cpcDisplay) cpcDisplay.textContent = formatNumber(game.state.cpc);
+    if (cpsDisplay) cpsDisplay.textContent = t('clicker.perSecond', { cps: game.state.cps });
+    if (breakdownStat) renderStatBreakdown(); // Buffs can expire while the tooltip is open
+    renderRandomEvent();
+    renderActiveBuffs();
+
+    // --- 2. Update Stats Panel ---
+    if (statsTotalClicks) statsTotalClicks.textContent = formatNumber(game.state.totalClicksEarned.floor());
+    statsModifiedBadge?.classList.toggle('hidden', !game.isModified());
+    if (statsCpc) statsCpc.textContent = formatNumber(game.state.cpc);
+    if (statsCps) statsCps.textContent = formatNumber(game.state.cps);
+    if (statsTotalUpgrades) statsTotalUpgrades.textContent = formatNumber(game.state.totalUpgrades);
+    if (userIdDisplay) userIdDisplay.textContent = cloudSync.playerId;
+
+    if (statsUpgradeLevels) {
+        statsUpgradeLevels.querySelectorAll('[data-upgrade-id]').forEach(valueEl => {
+            valueEl.textContent = formatNumber(game.getUpgradeLevel(valueEl.dataset.upgradeId));
+        });
+    }
+
+    // --- 3. Update Upgrades Panel ---
+    buyQuantityButtons.forEach(button => {
+        const isSelected = button.dataset.quantity === game.state.buyQuantity;
+        button.classList.toggle('bg-sky-600', isSelected);
+        button.classList.toggle('bg-slate-600', !isSelected);
+    });
+
+    config.upgrades.forEach(upgrade => {
+        const elements = upgradeElements[upgrade.id];
+        if (!elements) return;
+
+        const level = game.getUpgradeLevel(upgrade.id);
+        const { quantity, cost: nextCost } = game.getUpgradePurchase(upgrade);
+        elements.quantity.textContent = `x${formatNumber(quantity)}`;
+        elements.cost.textContent = formatNumber(nextCost);
+        elements.level.textContent = formatNumber(level);
+
+        // Hide upgrades until their unlock threshold is reached
+        elements.panel.classList.toggle('hidden', !game.isUpgradeUnlocked(upgrade));
+
+        // Check and set disability for the buy button
+        const button = elements.button;
+        const isAffordable = clicksValue.gte(nextCost);
+        button.disabled = !isAffordable;
+
+        const isArmed = isPurchaseArmed('upgrade', upgrade.id);
+        elements.label.classList.toggle('hidden', isArmed);
+        elements.confirmLabel.classList.toggle('hidden', !isArmed);
+
+        // Manage affordable/unaffordable classes (mode themes override these colors in style.css)
+        button.classList.toggle('bg-green-600', isAffordable);
+        button.classList.toggle('hover:bg-green-700', isAffordable);
+        button.classList.toggle('bg-emerald-600', !isAffordable);
+        button.classList.toggle('hover:bg-emerald-700', !isAffordable);
+    });
+    
+    // --- 4. Update Stats, Achievements and Prestige Panels (only while they are visible) ---
+    if (game.state.activeTab === 'stats') {
+        renderSessionStats();
+        renderStatsHistory();
+    }
+    if (game.state.activeTab === 'achievements') {
+        renderAchievements();
+    }
+    if (game.state.activeTab === 'prestige') {
+        renderPrestige();
+    }
+
+    // --- 5. Update Admin Panel Display and Input Values ---
+    if (game.state.isAdminUnlocked && game.state.activeTab === 'admin') {
+        if (adminCurrentClicks) adminCurrentClicks.textContent = formatNumber(clicksValue);
+        if (adminCurrentCpc) adminCurrentCpc.textContent = formatNumber(game.state.cpc);
+        if (adminCurrentCps) adminCurrentCps.textContent = formatNumber(game.state.cps);
+        
+        // Update input fields, except the one being typed in
+        const isEditing = inputEl => document.activeElement === inputEl;
+        if (adminInputClicks && !isEditing(adminInputClicks)) adminInputClicks.value = clicksValue.toString();
+        if (adminInputCpc && !isEditing(adminInputCpc)) adminInputCpc.value = game.state.cpc.toString();
+        if (adminInputCps && !isEditing(adminInputCps)) adminInputCps.value = game.state.cps.toString();
+
+        Object.entries(adminLevelElements).forEach(([upgradeId, elements]) => {
+            const level = game.getUpgradeLevel(upgradeId);
+            elements.current.textContent = formatNumber(level);
+            if (!isEditing(elements.input)) elements.input.value = level;
+        });
+    }
+}
+
+
+// --- EVENT HANDLERS ---
+
+/**
+ * Handles the main click action on the button.
+ */
+function handleGameClick(e) { 
+    const clicksGained = game.click();
+    sounds.play('click');
+    showClickEffect(e, clicksGained);
+    renderUI();
+    game.save(); 
+}
+
+/**
+ * Floats the clicks a manual click earned up from where it landed, unless the settings turn
+ * click effects off or reduce motion.
+ */
+function showClickEffect(e, clicksGained) {
+    if (!clickerArea || !clickerButton || !settings.get('clickEffects') || settings.get('reducedMotion')) return;
+
+    // Keyboard clicks have no pointer position (detail 0); they start from the button's center
+    const areaRect = clickerArea.getBoundingClientRect();
+    const buttonRect = clickerButton.getBoundingClientRect();
+    const x = e.detail > 0 ? e.clientX : buttonRect.left + buttonRect.width / 2;
+    const y = e.detail > 0 ? e.clientY : buttonRect.top + buttonRect.height / 2;
+
+    const effect = createElement('span', 'click-effect text-2xl font-bold text-green-400', `+${formatNumber(clicksGained)}`);
+    effect.style.left = `${x - areaRect.left + clickerArea.scrollLeft}px`;
+    effect.style.top = `${y - areaRect.top + clickerArea.scrollTop}px`;
+    effect.addEventListener('animationend', () => effect.remove());
+    clickerArea.append(effect);
+}
+
+/**
+ * Checks whether a buy button may go ahead. With the confirmPurchases setting on, the first
+ * click only arms the button and a second click within PURCHASE_CONFIRM_MS buys.
+ */
+function confirmPurchase(kind, upgradeId) {
+    if (!settings.get('confirmPurchases') || isPurchaseArmed(kind, upgradeId)) {
+        disarmPurchase();
+        return true;
+    }
+
+    clearTimeout(armedPurchaseTimer);
+    armedPurchase = { kind, upgradeId };
+    armedPurchaseTimer = setTimeout(disarmPurchase, PURCHASE_CONFIRM_MS);
+    renderUI();
+    renderPrestige();
+    return false;
+}
+
+/**
+ * Checks whether a buy button is armed, waiting for its confirming click.
+ */
+function isPurchaseArmed(kind, upgradeId) {
+    return armedPurchase?.kind === kind && armedPurchase.upgradeId === upgradeId;
+}
+
+/**
+ * Disarms the armed buy button, if there is one, and restores its text.
+ */
+function disarmPurchase() {
+    clearTimeout(armedPurchaseTimer);
+    if (!armedPurchase) return;
+
+    armedPurchase = null;
+    renderUI();
+    renderPrestige();
+}
+
+/**
+ * Handles the purchase of an upgrade.
+ */
+function handleBuyUpgrade(upgradeId) {
+    if (!confirmPurchase('upgrade', upgradeId)) return;
+
+    if (game.buyUpgrade(upgradeId)) {
+        renderUI();
+        game.save();
+    }
+}
+
+/**
+ * Keeps the notification history up to date while the Options panel is open.
+ */
+function handleNotificationsChange() {
+    if (game && game.state.activeTab === 'options') renderNotificationHistory();
+}
+
+/**
+ * Lists the notification history in the Options panel, newest first.
+ */
+function renderNotificationHistory() {
+    if (!notificationHistoryEl) return;
+
+    const { history } = notifications;
+    if (history.length === 0) {
+        notificationHistoryEl.replaceChildren(createElement('p', 'text-sm text-slate-500 italic', t('notifications.empty')));
+        return;
+    }
+
+    notificationHistoryEl.replaceChildren(...history.map(entry => {
+        const row = createElement('p', `text-sm border-l-4 pl-2 ${TOAST_STYLES[entry.level]}`);
+        const time = createElement('span', 'font-mono text-xs text-slate-500 mr-2', i18n.formatTime(entry.createdAt));
+        row.append(time, entry.count > 1 ? t('notifications.repeated', { message: entry.message, count: entry.count }) : entry.message);
+        return row;
+    }));
+}
+
+/**
+ * Lists the codes redeemed in this mode's save in the Options panel, newest first.
+ */
+function renderCodeHistory() {
+    if (!codeHistoryEl) return;
+
+    const redemptions = game.getCodeRedemptions();
+    if (redemptions.length === 0) {
+        codeHistoryEl.replaceChildren(createElement('p', 'text-sm text-slate-500 italic', t('options.noCodes')));
+        return;
+    }
+
+    codeHistoryEl.replaceChildren(...redemptions.map(redemption => {
+        const row = createElement('p', 'text-sm text-slate-300');
+        const time = createElement('span', 'font-mono text-xs text-slate-500 mr-2', i18n.formatDate(redemption.redeemedAt));
+        row.append(time, redemption.label);
+        return row;
+    }));
+}
+
+/**
+ * Handles a change to any data-setting control in the Options panel (language and number
+ * notation included). The new value takes effect through handleSettingsChange().
+ */
+function handleSettingControlChange(e) {
+    const control = e.target.closest('[data-setting]');
+    if (!control) return;
+
+    const id = control.dataset.setting;
+    let value;
+    if (control.type === 'checkbox') {
+        value = control.checked;
+    } else if (SETTINGS[id].type === 'number') {
+        value = Number(control.value);
+    } else {
+        value = SETTINGS[id].options.find(option => String(option) === control.value);
+    }
+
+    try {
+        settings.set(id, value);
+    } catch (error) {
+        console.warn("[Settings]", error.message);
+        renderSettings(); // Show the value that is still in effect
+    }
+    if (id === 'soundVolume') sounds.play('click'); // Lets the player hear the new volume
+}
+
+/**
+ * Applies settings as they change, whether from the Options panel, an imported settings file
+ * or restoring the defaults.
+ */
+function handleSettingsChange(changedIds) {
+    const isChanged = id => changedIds.includes(id);
+
+    if (isChanged('notation')) i18n.setNotation(settings.get('notation'));
+    if (isChanged('autosaveSeconds')) restartAutosave();
+    if (isChanged('confirmPurchases')) disarmPurchase();
+    if (isChanged('theme') || isChanged('reducedMotion')) applyTheme();
+
+    if (isChanged('locale')) {
+        applyLanguage(); // Rebuilds and re-renders everything, in the new notation too
+        return;
+    }
+    if (isChanged('theme')) switchTab(game.state.activeTab); // Recolors the active tab
+    if (isChanged('notation')) {
+        renderUI();
+        renderAchievements();
+        renderPrestige();
+    }
+    renderSettings();
+}
+
+/**
+ * Switches to the language chosen in the settings. Every text built from the registries is
+ * rebuilt in the new language.
+ */
+function applyLanguage() {
+    i18n.setLocale(settings.get('locale') || matchLocale(navigator.languages));
+    reportMissingTranslations();
+    translatePage();
+    game.updateCPS(); // Rebuilds the modifier source labels of the CP/CPS breakdown
+    updateUpgradeDisplay();
+    buildAchievementGrid();
+    buildPrestigePanel();
+    buildStatsHistory();
+    buildModeOptions();
+    buildNotationOptions();
+    buildLanguageOptions();
+    buildSettingsOptions();
+    renderUI();
+    renderAchievements();
+    renderPrestige();
+    switchTab(game.state.activeTab); // Re-renders the lists of the open panel
+}
+
+/**
+ * Shows a message in the settings area of the Options panel.
+ */
+function showSettingsMessage(message, colorClass) {
+    if (!settingsMessage) return;
+    settingsMessage.classList.remove('text-green-400', 'text-red-400');
+    settingsMessage.classList.add(colorClass);
+    settingsMessage.textContent = message;
+}
+
+/**
+ * Handles the Export Settings button: downloads the settings as a JSON file.
+ */
+function handleExportSettings() {
+    const blob = new Blob([settings.createExport()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `clicker-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showSettingsMessage(t('settings.exported'), 'text-green-400');
+}
+
+/**
+ * Handles a settings file being chosen: applies the settings it contains.
+ */
+function handleImportSettingsFile() {
+    const file = settingsFileInput?.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(contents => {
+            settings.applyExport(contents);
+            showSettingsMessage(t('settings.imported'), 'text-green-400');
+        })
+        .catch(error => {
+            console.error("[Settings] Could not import the settings file:", error);
+            showSettingsMessage(t('settings.importFailed', { error: translateError(error) }), 'text-red-400');
+        });
+    settingsFileInput.value = ''; // Allow the same file to be chosen again
+}
+
+/**
+ * Handles the Restore Defaults button of the settings.
+ */
+function handleRestoreSettings() {
+    settings.reset();
+    showSettingsMessage(t('settings.restored'), 'text-green-400');
+}
+
+/**
+ * Handles the buy quantity selector (x1 / x10 / x100 / Max).
+ */
+function handleSelectBuyQuantity(quantity) {
+    if (game.setBuyQuantity(quantity)) {
+        renderUI();
+        game.save();
+    }
+}
+
+/**
+ * Checks the game state and shows/hides the Admin tab accordingly. The tab is shown once the
+ * admin code was redeemed; its tools are only shown while the panel is unlocked.
+ */
+function checkAdminStatus() {
+    renderAdminAccess();
+    const adminTab = document.getElementById('tab-admin');
+    if (adminTab) {
+        if (game.state.hasAdminAccess || game.state.isAdminUnlocked) {
+            adminTab.classList.remove('hidden');
+        } else {
+            adminTab.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Handles the code redemption logic.
+ */
+function handleRedeemCode() {
+    if (!codeInput) return;
+
+    const result = game.redeemCode(codeInput.value); // The result is shown through the 'code-redeemed' event
+    if (result.status !== 'success') return;
+
+    codeInput.value = '';
+    if (result.reward === 'admin') {
+        checkAdminStatus();
+        switchTab('admin'); // Automatically switch to the admin tab
+    }
+
+    renderUI();
+    game.save();
+}
+
+/**
+ * Handles a choice in the game mode picker.
+ */
+function handleSelectMode() {
+    if (!modeSelect) return;
+
+    const mode = GAME_MODES[modeSelect.value];
+    if (mode && mode.page) {
+        // Modes with their own engine run on their own page
+        game.save();
+        window.location.assign(mode.page);
+        return;
+    }
+
+    const isSwitched = !!mode && game.switchMode(mode.id); // A switch is announced by the 'mode-switched' event
+    modeSelect.value = game.mode; // Undo the choice if the switch was refused
+    if (!isSwitched) notifications.notify(t('modeSwitch.failed'), 'error');
+}
+
+/**
+ * Handles the Prestige button. The first click arms it; a second click within 5 seconds prestiges.
+ */
+function handlePrestige() {
+    if (!prestigeButton) return;
+
+    if (!prestigeConfirmTimer) {
+        prestigeButton.textContent = t('prestigePanel.confirm');
+        prestigeConfirmTimer = setTimeout(resetPrestigeButton, 5000);
+        return;
+    }
+
+    resetPrestigeButton();
+    const pointsGained = game.performPrestige();
+    if (pointsGained > 0) {
+        notifications.notify(t('prestigePanel.gained', { count: pointsGained }), 'success');
+    } else {
+        notifications.notify(t('prestigePanel.notEnough'), 'error');
+    }
+
+    renderUI();
+    renderPrestige();
+    game.save();
+}
+
+/**
+ * Disarms the prestige confirmation and restores the button text.
+ */
+function resetPrestigeButton() {
+    clearTimeout(prestigeConfirmTimer);
+    prestigeConfirmTimer = null;
+    if (prestigeButton) prestigeButton.textContent = t('prestigePanel.prestige');
+}
+
+/**
+ * Handles the purchase of a prestige upgrade.
+ */
+function handleBuyPrestigeUpgrade(upgradeId) {
+    if (!confirmPurchase('prestige', upgradeId)) return;
+
+    if (game.buyPrestigeUpgrade(upgradeId)) {
+        renderUI();
+        renderPrestige();
+        game.save();
+    }
+}
+
+/**
+ * Reloads the page after 2 seconds, leaving time to read the reset notification.
+ */
+function restartAfterReset() {
+    // Force a full reload to clear all state
+    setTimeout(() => {
+        window.location.reload();
+    }, 2000);
+}
+
+/**
+ * Resets the progress of every game mode but keeps each mode's prestige data.
+ */
+function handleResetGame() {
+    if (!game.resetProgress()) {
+        notifications.notify(t('tabLock.readOnly'), 'error');
+        return;
+    }
+
+    console.warn("[Reset] Restarting game in 2 seconds.");
+    restartAfterReset();
+}
+
+/**
+ * Hard reset: clears the entire game state of every game mode, including prestige, from localStorage.
+ */
+function handleHardReset() {
+    if (!game.hardReset()) {
+        notifications.notify(t('tabLock.readOnly'), 'error');
+        return;
+    }
+
+    console.warn("[Reset] Restarting game in 2 seconds.");
+    restartAfterReset();
+}
+
+
+/**
+ * Shows a message in the save transfer area of the Options panel.
+ */
+function showSaveTransferMessage(message, colorClass) {
+    if (!saveTransferMessage) return;
+    saveTransferMessage.classList.remove('text-green-400', 'text-red-400', 'text-yellow-500');
+    saveTransferMessage.classList.add(colorClass);
+    saveTransferMessage.textContent = message;
+}
+
+/**
+ * Handles the Export button: writes the save string into the transfer box.
+ */
+function handleExportSave() {
+    if (!saveTransferText) return;
+
+    try {
+        saveTransferText.value = game.createSaveExport();
+        saveTransferText.select();
+        showSaveTransferMessage(t('transfer.exported'), 'text-green-400');
+    } catch (error) {
+        console.error("[Export] Error exporting save:", error);
+        showSaveTransferMessage(t('transfer.exportFailed'), 'text-red-400');
+    }
+}
+
+/**
+ * Handles the Download button: saves the export string as a text file.
+ */
+function handleDownloadSave() {
+    const saveString = game.createSaveExport();
+    if (saveTransferText) saveTransferText.value = saveString;
+
+    const blob = new Blob([saveString], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `clicker-save-${new Date().toISOString().slice(0, 10)}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showSaveTransferMessage(t('transfer.downloaded'), 'text-green-400');
+}
+
+/**
+ * Handles a save file being chosen: loads its contents into the transfer box and previews it.
+ */
+function handleImportFile() {
+    const file = saveTransferFileInput?.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(contents => {
+            if (saveTransferText) saveTransferText.value = contents.trim();
+            handlePreviewImport();
+        })
+        .catch(error => {
+            console.error("[Import] Could not read the save file:", error);
+            showSaveTransferMessage(t('transfer.importFailed', { error: translateError(error) }), 'text-red-400');
+        });
+    saveTransferFileInput.value = ''; // Allow the same file to be chosen again
+}
+
+/**
+ * Handles the Import button: validates the save string and shows a preview for confirmation.
+ */
+function handlePreviewImport() {
+    if (!saveTransferText) return;
+    hideImportPreview();
+
+    const text = saveTransferText.value.trim();
+    if (!text) {
+        showSaveTransferMessage(t('transfer.empty'), 'text-yellow-500');
+        return;
+    }
+
+    try {
+        pendingImport = parseSaveExport(text);
+    } catch (error) {
+        showSaveTransferMessage(t('transfer.importFailed', { error: translateError(error) }), 'text-red-400');
+        return;
+    }
+
+    // Summarize each mode's save so the player knows what they are about to load
+    if (importPreviewDetails) {
+        importPreviewDetails.replaceChildren();
+        const activeMode = translateEntry(i18n, 'modes', GAME_MODES[pendingImport.mode], 'title');
+        importPreviewDetails.append(createElement('p', 'text-sm text-slate-300', t('transfer.activeMode', { mode: activeMode })));
+
+        Object.values(GAME_MODES).forEach(config => {
+            const mode = translateEntry(i18n, 'modes', config, 'title');
+            const save = pendingImport.saves[config.id];
+            if (!save) {
+                importPreviewDetails.append(createElement('p', 'text-sm text-slate-400', t('transfer.noSave', { mode })));
+                return;
+            }
+            if (config.page) {
+                importPreviewDetails.append(createElement('p', 'text-sm text-slate-300', t('transfer.saveIncluded', { mode })));
+                return;
+            }
+
+            const levels = config.upgrades.map(upgrade => {
+                const savedUpgrade = save.upgrades[upgrade.id];
+                return t('transfer.upgradeLevel', {
+                    name: translateEntry(i18n, `modes.${config.id}.upgrades`, upgrade, 'name'),
+                    level: savedUpgrade ? savedUpgrade.level : 0
+                });
+            });
+            importPreviewDetails.append(createElement('p', 'text-sm text-slate-300', t('transfer.saveSummary', {
+                mode,
+                clicks: BigNumber.from(save.clicks).floor(),
+                earned: BigNumber.from(save.totalClicksEarned || 0).floor(),
+                levels: levels.join(', ')
+            })));
+        });
+    }
+    importPreviewEl?.classList.remove('hidden');
+    showSaveTransferMessage(t('transfer.valid'), 'text-yellow-500');
+}
+
+/**
+ * Hides the import preview and forgets the pending import.
+ */
+function hideImportPreview() {
+    pendingImport = null;
+    importPreviewEl?.classList.add('hidden');
+}
+
+/**
+ * Handles the Confirm Import button: replaces every mode's save and restarts the game.
+ */
+function handleConfirmImport() {
+    if (!pendingImport) return;
+
+    // Also stops the game from saving over the imported data
+    if (!game.applySaveImport(pendingImport)) {
+        showSaveTransferMessage(t('tabLock.readOnly'), 'text-red-400');
+        return;
+    }
+    hideImportPreview();
+    showSaveTransferMessage(t('transfer.imported'), 'text-green-400');
+
+    // Reload so every part of the game starts from the imported saves
+    setTimeout(() => {
+        window.location.reload();
+    }, 1000);
+}
+
+/**
+ * Handles the Cancel button of the import preview.
+ */
+function handleCancelImport() {
+    hideImportPreview();
+    showSaveTransferMessage(t('transfer.cancelled'), 'text-yellow-500');
+}
+
+
+// --- CLOUD SYNC ---
+
+/**
+ * Shows a message in the Cloud Sync area, in the given color class.
+ */
+function showCloudSyncMessage(message, colorClass) {
+    if (!cloudSyncMessage) return;
+    cloudSyncMessage.classList.remove('text-green-400', 'text-red-400', 'text-yellow-500', 'text-slate-400');
+    cloudSyncMessage.classList.add(colorClass);
+    cloudSyncMessage.textContent = message;
+}
+
+/**
+ * Reacts to cloud sync events: status changes, conflicts and pulled saves.
+ */
+function handleCloudSyncEvent(type, detail) {
+    switch (type) {
+        case 'status': {
+            const colorClasses = { syncing: 'text-slate-400', synced: 'text-green-400', error: 'text-red-400' };
+            const message = detail.state === 'error'
+                ? t('cloud.failed', { error: translateError(detail.error) })
+                : t(`cloud.${detail.state}`);
+            showCloudSyncMessage(message, colorClasses[detail.state]);
+            break;
+        }
+        case 'conflict':
+            showCloudConflict(detail);
+            break;
+        case 'pulled':
+            showCloudSyncMessage(t('cloud.pulled'), 'text-green-400');
+            // Reload so every part of the game starts from the pulled saves
+            setTimeout(() => {
+                window.location.reload();
+            }, 1000);
+            break;
+    }
+}
+
+/**
+ * Shows both sides of a sync conflict so the player can choose which saves to keep.
+ */
+function showCloudConflict({ local, remote }) {
+    if (!cloudConflictEl || !cloudConflictDetails) return;
+
+    const describe = (label, summary) => createElement('p', 'text-sm text-slate-300', t('cloud.summary', {
+        label,
+        date: i18n.formatDate(summary.savedAt),
+        clicks: summary.totalClicksEarned
+    }));
+    cloudConflictDetails.replaceChildren(describe(t('cloud.thisBrowser'), local), describe(t('cloud.cloud'), remote));
+    cloudConflictEl.classList.remove('hidden');
+    showCloudSyncMessage(t('cloud.paused'), 'text-yellow-500');
+}
+
+/**
+ * Handles the conflict buttons: keeps this browser's saves or the cloud saves.
+ */
+async function handleCloudConflictChoice(event) {
+    const button = event.target.closest('[data-cloud-choice]');
+    if (!button) return;
+
+    cloudConflictEl?.classList.add('hidden');
+    const isResolved = await cloudSync.resolveConflict(button.dataset.cloudChoice);
+    // The conflict is still open if the choice could not be carried out, so let the player choose again
+    if (!isResolved && cloudSync.hasConflict) cloudConflictEl?.classList.remove('hidden');
+}
+
+/**
+ * Handles the endpoint Save button: stores the URL and syncs with the new server straight away.
+ */
+function handleSaveCloudEndpoint() {
+    if (!cloudEndpointInput) return;
+
+    try {
+        cloudSync.setEndpoint(cloudEndpointInput.value);
+    } catch (error) {
+        showCloudSyncMessage(translateError(error), 'text-red-400');
+        return;
+    }
+
+    cloudConflictEl?.classList.add('hidden');
+    updateCloudSyncControls();
+    if (cloudSync.endpoint) {
+        cloudSync.sync();
+    } else {
+        showCloudSyncMessage(t('cloud.off'), 'text-slate-400');
+    }
+}
+
+/**
+ * Fills in the player id and endpoint, and only enables Sync Now while a server is set.
+ */
+function updateCloudSyncControls() {
+    if (cloudPlayerIdEl) cloudPlayerIdEl.textContent = cloudSync.playerId;
+    if (cloudEndpointInput) cloudEndpointInput.value = cloudSync.endpoint;
+    if (cloudSyncButton) cloudSyncButton.disabled = !cloudSync.endpoint;
+}
+
+
+
+// --- LEADERBOARD ---
+
+/**
+ * Shows a message in the Leaderboard settings area, in the given color class.
+ */
+function showLeaderboardMessage(message, colorClass) {
+    if (!leaderboardMessage) return;
+    leaderboardMessage.classList.remove('text-green-400', 'text-red-400', 'text-yellow-500', 'text-slate-400');
+    leaderboardMessage.classList.add(colorClass);
+    leaderboardMessage.textContent = message;
+}
+
+/**
+ * Creates one row of the board: rank, name, total clicks earned, peak CPS and prestiges.
+ */
+function createLeaderboardRow(entry) {
+    const row = createElement('div', `flex items-center p-2 rounded-lg ${entry.isYou ? 'bg-slate-800 border border-amber-400' : 'bg-slate-800'}`);
+    row.append(
+        createElement('span', 'w-10 font-mono text-amber-400', `#${formatNumber(entry.rank)}`),
+        createElement('span', 'flex-grow font-bold text-slate-200 truncate', entry.name),
+        createElement('span', 'w-32 text-right font-mono text-green-400', formatNumber(entry.totalClicksEarned)),
+        createElement('span', 'w-28 text-right font-mono text-sm text-slate-400', t('leaderboard.cps', { cps: entry.peakCps })),
+        createElement('span', 'w-16 text-right font-mono text-sm text-purple-400', t('leaderboard.prestiges', { count: entry.prestigeResets }))
+    );
+    return row;
+}
+
+/**
+ * Shows the board and this player's own rank. Admin-modified saves are listed as not ranked.
+ */
+function renderLeaderboard({ entries, player, playerCount }) {
+    if (leaderboardRowsEl) {
+        leaderboardRowsEl.replaceChildren(...(entries.length > 0
+            ? entries.map(createLeaderboardRow)
+            : [createElement('p', 'text-sm text-slate-400 italic', t('leaderboard.empty'))]));
+    }
+    if (!leaderboardOwnRankEl) return;
+
+    if (!player) {
+        leaderboardOwnRankEl.textContent = t('leaderboard.notListed');
+    } else if (player.rank === null) {
+        leaderboardOwnRankEl.textContent = t('leaderboard.notRanked');
+    } else {
+        leaderboardOwnRankEl.textContent = t('leaderboard.ownRank', { rank: player.rank, players: playerCount, clicks: player.totalClicksEarned });
+    }
+}
+
+/**
+ * Submits this mode's score and loads the board for it. Called when the tab opens and by Refresh.
+ */
+async function refreshLeaderboard() {
+    if (leaderboardModeEl) leaderboardModeEl.textContent = translateEntry(i18n, 'modes', game.config, 'name');
+    if (!leaderboard.isConfigured()) {
+        leaderboardRowsEl?.replaceChildren();
+        if (leaderboardOwnRankEl) leaderboardOwnRankEl.textContent = '';
+        showLeaderboardMessage(t('leaderboard.notConfigured'), 'text-slate-400');
+        return;
+    }
+
+    if (leaderboardRefreshButton) leaderboardRefreshButton.disabled = true;
+    showLeaderboardMessage(t('leaderboard.loading'), 'text-slate-400');
+    try {
+        await leaderboard.submit();
+        renderLeaderboard(await leaderboard.fetchBoard());
+        if (game.isModified()) {
+            showLeaderboardMessage(t('leaderboard.modified'), 'text-yellow-500');
+        } else {
+            showLeaderboardMessage('', 'text-slate-400');
+        }
+    } catch (error) {
+        console.error("[Leaderboard] Could not load the leaderboard:", error);
+        showLeaderboardMessage(t('leaderboard.unreachable', { error: translateError(error) }), 'text-red-400');
+    } finally {
+        if (leaderboardRefreshButton) leaderboardRefreshButton.disabled = false;
+    }
+}
+
+/**
+ * Handles the leaderboard Save button: stores the name and URL, then loads the board.
+ */
+function handleSaveLeaderboardSettings() {
+    if (!leaderboardNameInput || !leaderboardEndpointInput) return;
+
+    try {
+        leaderboard.setSettings({ endpoint: leaderboardEndpointInput.value, playerName: leaderboardNameInput.value });
+    } catch (error) {
+        showLeaderboardMessage(translateError(error), 'text-red-400');
+        return;
+    }
+
+    updateLeaderboardControls();
+    refreshLeaderboard();
+}
+
+/**
+ * Fills in the stored name and endpoint.
+ */
+function updateLeaderboardControls() {
+    if (leaderboardNameInput) leaderboardNameInput.value = leaderboard.playerName;
+    if (leaderboardEndpointInput) leaderboardEndpointInput.value = leaderboard.endpoint;
+}
+
+
+// --- ADMIN HANDLER FUNCTIONS (Unchanged from previous version) ---
+function validateAdminInput(inputEl, msgEl) {
+    if (!inputEl || !msgEl) return null;
+    msgEl.textContent = ''; 
+    msgEl.classList.remove('text-red-400', 'text-green-400');
+    
+    // Clicks/CPC/CPS are text inputs so they accept huge values such as "1.5e400"
+    const rawValue = inputEl.value.trim();
+    const minValue = parseFloat(inputEl.getAttribute('min') ?? inputEl.dataset.min);
+    const isLevel = inputEl.id.includes('level'); // Check if it's a level input
+
+    // Check for NaN
+    if (!BigNumber.isValid(rawValue)) {
+        showAdminError(msgEl, t('admin.invalidNumber'));
+        return null;
+    }
+    const value = BigNumber.from(rawValue);
+
+    // Check for minimum value
+    if (value.lt(minValue)) {
+        showAdminError(msgEl, t('admin.tooSmall', { min: minValue }));
+        return null;
+    }
+
+    // If it's a level input, it must be a plain integer
+    if (isLevel) {
+        const level = value.toNumber();
+        if (!Number.isSafeInteger(level)) {
+            showAdminError(msgEl, t('admin.notWholeNumber'));
+            return null;
+        }
+        return level;
+    }
+
+    return value; // Return the validated BigNumber
+}
+
+
+/**
+ * Confirms an admin change with a toast and clears the field's earlier validation error.
+ */
+function showAdminSuccess(msgEl, message) {
+    if (msgEl) msgEl.textContent = '';
+    notifications.notify(message, 'success');
+}
+
+function handleAdminSetClicks() {
+    const value = validateAdminInput(adminInputClicks, adminMsgClicks);
+    if (value !== null) {
+        game.setClicks(value);
+        showAdminSuccess(adminMsgClicks, t('admin.clicksSet', { value }));
+        renderUI();
+        game.save();
+    }
+}
+
+function handleAdminSetCPC() {
+    const value = validateAdminInput(adminInputCpc, adminMsgCpc);
+    if (value !== null) {
+        game.setCpc(value); // Activates the override
+        showAdminSuccess(adminMsgCpc, t('admin.cpcSet', { value }));
+        renderUI();
+        game.save();
+    }
+}
+
+function handleAdminSetCPS() {
+    const value = validateAdminInput(adminInputCps, adminMsgCps);
+    if (value !== null) {
+        game.setCps(value); // Activates the override
+        showAdminSuccess(adminMsgCps, t('admin.cpsSet', { value }));
+        renderUI();
+        game.save();
+    }
+}
+
+function handleAdminSetUpgradeLevel(upgradeId) {
+    const upgrade = game.getUpgradeConfig(upgradeId);
+    const elements = adminLevelElements[upgradeId];
+    if (!upgrade || !elements) return;
+
+    const value = validateAdminInput(elements.input, elements.message);
+    if (value !== null) {
+        game.setUpgradeLevel(upgradeId, value); // Also recalculates stats
+        showAdminSuccess(elements.message, t('admin.levelSet', { name: translateUpgrade(upgrade, 'name'), level: value }));
+        renderUI();
+        game.save();
+    }
+}
+
+/**
+ * Shows the admin tools while the panel is unlocked, otherwise the passphrase form
+ * (or, if no passphrase is configured, a note that the panel cannot be unlocked).
+ */
+function renderAdminAccess() {
+    const isUnlocked = game.state.isAdminUnlocked;
+    adminToolsEl?.classList.toggle('hidden', !isUnlocked);
+    adminToolsEl?.classList.toggle('flex', isUnlocked);
+    adminLockEl?.classList.toggle('hidden', isUnlocked);
+    adminPassphraseMissingEl?.classList.toggle('hidden', game.hasAdminPassphrase());
+    adminPassphraseUnlockEl?.classList.toggle('hidden', !game.hasAdminPassphrase());
+}
+
+/**
+ * Clears the passphrase field, so a typed passphrase does not stay on the page.
+ */
+function clearPassphraseInput() {
+    const input = document.getElementById('admin-input-passphrase');
+    if (input) input.value = '';
+}
+
+/**
+ * Opens the unlocked admin panel: shows the tools and fills them in.
+ */
+function showUnlockedAdmin() {
+    clearPassphraseInput();
+    renderAdminAccess();
+    renderAdminHistory();
+    renderAdminLog();
+    renderSnapshots();
+    refreshStateEditor();
+    renderUI();
+    game.save();
+}
+
+function handleAdminUnlock() {
+    adminMsgLock.textContent = '';
+    if (!game.unlockAdmin(document.getElementById('admin-input-passphrase')?.value || '')) {
+        showAdminError(adminMsgLock, t('admin.wrongPassphrase'));
+        return;
+    }
+    showAdminSuccess(adminMsgLock, t('admin.unlocked'));
+    showUnlockedAdmin();
+}
+
+function handleAdminLock() {
+    game.lockAdmin();
+    clearPassphraseInput();
+    renderAdminAccess();
+    notifications.notify(t('admin.locked'), 'info');
+    game.save();
+}
+
+/**
+ * Lists the newest audit log entries: time, action and the changed field with its old and new value.
+ */
+function renderAdminLog() {
+    if (!adminAuditLogEl) return;
+
+    const log = game.getAdminLog();
+    if (log.length === 0) {
+        adminAuditLogEl.replaceChildren(createElement('p', 'text-slate-500 italic', t('admin.noLog')));
+        return;
+    }
+
+    adminAuditLogEl.replaceChildren(...log.slice(0, ADMIN_LOG_DISPLAY_LIMIT).map(entry => {
+        const row = createElement('p', 'text-slate-300');
+        row.append(createElement('span', 'text-slate-500 mr-2', i18n.formatDate(entry.at)), entry.action);
+        if (entry.field) {
+            row.append(createElement('span', 'text-slate-400 ml-2', `${entry.field}: ${JSON.stringify(entry.oldValue)} → ${JSON.stringify(entry.newValue)}`));
+        }
+        return row;
+    }));
+}
+
+/**
+ * Shows an admin tool error below its field.
+ */
+function showAdminError(msgEl, message) {
+    if (!msgEl) return;
+    msgEl.textContent = t('common.error', { message });
+    msgEl.classList.remove('text-green-400');
+    msgEl.classList.add('text-red-400');
+}
+
+/**
+ * Lists the undoable and redoable admin changes and enables the Undo/Redo buttons.
+ */
+function renderAdminHistory() {
+    const { undo, redo } = game.getAdminHistory();
+    if (adminUndoButton) adminUndoButton.disabled = undo.length === 0;
+    if (adminRedoButton) adminRedoButton.disabled = redo.length === 0;
+    if (!adminHistoryEl) return;
+
+    if (undo.length === 0 && redo.length === 0) {
+        adminHistoryEl.replaceChildren(createElement('p', 'text-sm text-slate-500 italic', t('admin.noHistory')));
+        return;
+    }
+
+    // Undone changes are listed above the applied ones, struck through, until they are redone
+    adminHistoryEl.replaceChildren(
+        ...redo.slice().reverse().map(label => createElement('p', 'text-sm text-slate-500 line-through', label)),
+        ...undo.map(label => createElement('p', 'text-sm text-slate-300', label))
+    );
+}
+
+function handleAdminUndo() {
+    const label = game.undoAdminChange();
+    if (label) {
+        notifications.notify(t('admin.undid', { label }), 'info');
+        renderUI();
+        game.save();
+    }
+}
+
+function handleAdminRedo() {
+    const label = game.redoAdminChange();
+    if (label) {
+        notifications.notify(t('admin.redid', { label }), 'info');
+        renderUI();
+        game.save();
+    }
+}
+
+function handleAdminTimeSkip() {
+    if (!adminInputTimeSkip || !adminTimeSkipUnit) return;
+    adminMsgTimeSkip.textContent = '';
+
+    const amount = Number(adminInputTimeSkip.value.trim());
+    if (!adminInputTimeSkip.value.trim() || !Number.isFinite(amount)) {
+        showAdminError(adminMsgTimeSkip, t('admin.enterNumber'));
+        return;
+    }
+
+    try {
+        const { seconds, clicksEarned } = game.simulateTime(amount * Number(adminTimeSkipUnit.value));
+        showAdminSuccess(adminMsgTimeSkip, t('admin.simulated', { duration: formatDuration(seconds), count: clicksEarned }));
+    } catch (error) {
+        showAdminError(adminMsgTimeSkip, translateError(error));
+        return;
+    }
+    renderUI();
+    game.save();
+}
+
+/**
+ * Lists the stored snapshots with Load and Delete buttons. Snapshots of other modes are listed but cannot be loaded here.
+ */
+function renderSnapshots() {
+    if (!adminSnapshotListEl) return;
+
+    const snapshots = game.getSnapshots();
+    if (snapshots.length === 0) {
+        adminSnapshotListEl.replaceChildren(createElement('p', 'text-sm text-slate-500 italic', t('admin.noSnapshots')));
+        return;
+    }
+
+    adminSnapshotListEl.replaceChildren(...snapshots.map(snapshot => {
+        const row = createElement('div', 'flex items-center justify-between p-2 rounded bg-slate-800');
+        const info = createElement('p', 'text-sm text-slate-300');
+        const modeName = GAME_MODES[snapshot.mode] ? translateEntry(i18n, 'modes', GAME_MODES[snapshot.mode], 'name') : snapshot.mode;
+        info.append(
+            createElement('span', 'font-bold mr-2', snapshot.name),
+            createElement('span', 'text-xs text-slate-500', t('admin.snapshotInfo', { mode: modeName, date: i18n.formatDate(snapshot.savedAt) }))
+        );
+
+        const actions = createElement('div', 'flex space-x-2');
+        const loadButton = createElement('button', 'bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-3 rounded transition text-sm disabled:opacity-50 disabled:cursor-not-allowed', t('admin.load'));
+        loadButton.dataset.snapshotAction = 'load';
+        loadButton.dataset.snapshotName = snapshot.name;
+        loadButton.disabled = snapshot.mode !== game.mode;
+        const deleteButton = createElement('button', 'bg-slate-600 hover:bg-slate-500 text-white font-bold py-1 px-3 rounded transition text-sm', t('admin.delete'));
+        deleteButton.dataset.snapshotAction = 'delete';
+        deleteButton.dataset.snapshotName = snapshot.name;
+        actions.append(loadButton, deleteButton);
+
+        row.append(info, actions);
+        return row;
+    }));
+}
+
+function handleAdminSaveSnapshot() {
+    if (!adminInputSnapshotName) return;
+    adminMsgSnapshot.textContent = '';
+
+    const name = adminInputSnapshotName.value.trim();
+    try {
+        game.saveSnapshot(name);
+    } catch (error) {
+        showAdminError(adminMsgSnapshot, translateError(error));
+        return;
+    }
+    adminInputSnapshotName.value = '';
+    showAdminSuccess(adminMsgSnapshot, t('admin.snapshotSaved', { name }));
+    renderSnapshots();
+}
+
+/**
+ * Handles the Load and Delete buttons of a snapshot row.
+ */
+function handleAdminSnapshotAction(action, name) {
+    adminMsgSnapshot.textContent = '';
+
+    if (action === 'delete') {
+        try {
+            if (game.deleteSnapshot(name)) showAdminSuccess(adminMsgSnapshot, t('admin.snapshotDeleted', { name }));
+        } catch (error) {
+            showAdminError(adminMsgSnapshot, translateError(error));
+        }
+        renderSnapshots();
+        return;
+    }
+
+    try {
+        game.loadSnapshot(name);
+    } catch (error) {
+        showAdminError(adminMsgSnapshot, translateError(error));
+        return;
+    }
+    showAdminSuccess(adminMsgSnapshot, t('admin.snapshotLoaded', { name }));
+    renderUI();
+    game.save();
+}
+
+/**
+ * Fills the state editor with the current game state.
+ */
+function refreshStateEditor() {
+    if (!adminStateEditor) return;
+    adminStateEditor.value = JSON.stringify(game.getAdminState(), null, 2);
+    handleStateEditorInput();
+}
+
+/**
+ * Parses the state editor's text. Returns the state, or null after showing why it cannot be applied.
+ */
+function readStateEditor() {
+    adminMsgState.classList.remove('text-red-400', 'text-green-400');
+    try {
+        let data;
+        try {
+            data = JSON.parse(adminStateEditor.value);
+        } catch (e) {
+            throw new Error(t('admin.invalidJson', { error: e.message }));
+        }
+        validateStateEdit(data, game.mode);
+        return data;
+    } catch (error) {
+        showAdminError(adminMsgState, translateError(error));
+        return null;
+    }
+}
+
+/**
+ * Checks the state editor as it is typed in and only enables Apply for valid state.
+ */
+function handleStateEditorInput() {
+    if (!adminStateEditor || !adminMsgState) return;
+
+    const isValid = readStateEditor() !== null;
+    if (isValid) {
+        adminMsgState.textContent = t('admin.stateValid');
+        adminMsgState.classList.add('text-green-400');
+    }
+    if (adminApplyStateButton) adminApplyStateButton.disabled = !isValid;
+}
+
+function handleAdminApplyState() {
+    if (!adminStateEditor || !adminMsgState) return;
+
+    const data = readStateEditor();
+    if (data === null) return;
+    game.setAdminState(data);
+    showAdminSuccess(adminMsgState, t('admin.stateUpdated'));
+    refreshStateEditor();
+    renderUI();
+    game.save();
+}
+
+// --- INITIALIZATION ---
+
+/**
+ * Assigns DOM elements to global variables.
  */
 function assignDOMElements() {
     gameTitleEl = document.getElementById('game-title');
     clicksDisplay = document.getElementById('clicks-display');
     cpcDisplay = document.getElementById('cpc-display');
+    cpsDisplay = document.getElementById('cps-display');
+    statBreakdownTooltip = document.getElementById('stat-breakdown-tooltip');
+    randomEventTarget = document.getElementById('random-event-target');
+    activeBuffsEl = document.getElementById('active-buffs');
+    offlineEarningsDisplay = document.getElementById('offline-earnings-display');
+    saveWarningDisplay = document.getElementById('save-warning-display');
+    clickerArea = document.getElementById('clicker-area');
     clickerButton = document.getElementById('clicker-button');
     clickerButtonText = document.getElementById('clicker-button-text'); // NEW
     clickerButtonImage = document.getElementById('clicker-button-image'); // NEW
@@ -787,45 +2379,96 @@ function assignDOMElements() {
     // Mode Switch Area
     modeSwitchArea = document.getElementById('mode-switch-area');
     currentModeDisplay = document.getElementById('current-mode-display');
-    switchToCryptoButton = document.getElementById('switch-to-crypto-button');
-
-    // Upgrade panel references (elements used for dynamic updates)
-    upgrade1DetailsEl = document.getElementById('upgrade-1-details');
-    upgrade2DetailsEl = document.getElementById('upgrade-2-details');
-    upgradeLevel1El = document.getElementById('upgrade-level-1');
-    upgradeLevel2El = document.getElementById('upgrade-level-2');
-    upgradeCost1El = document.getElementById('upgrade-cost-1');
-    upgradeCost2El = document.getElementById('upgrade-cost-2');
-    buyUpgrade1Button = document.getElementById('buy-upgrade-1');
-    buyUpgrade2Button = document.getElementById('buy-upgrade-2');
+    modeSelect = document.getElementById('mode-select');
+
+    // Upgrade panel container (cards are generated from the upgrade registry)
+    upgradeListEl = document.getElementById('upgrade-list');
+    buyQuantityButtons = Array.from(document.querySelectorAll('.buy-quantity-button'));
 
     // Panel references
     statsTotalClicks = document.getElementById('stats-total-clicks');
+    statsModifiedBadge = document.getElementById('stats-modified-badge');
     statsCpc = document.getElementById('stats-cpc');
     statsCps = document.getElementById('stats-cps');
     statsTotalUpgrades = document.getElementById('stats-total-upgrades');
+    statsUpgradeLevels = document.getElementById('stats-upgrade-levels');
+    statsSessionTime = document.getElementById('stats-session-time');
+    statsSessionClicks = document.getElementById('stats-session-clicks');
+    statsSessionPeak = document.getElementById('stats-session-peak');
+    statsSessionUpgrades = document.getElementById('stats-session-upgrades');
+    statsHistoryWindowsEl = document.getElementById('stats-history-windows');
+    statsHistoryChartsEl = document.getElementById('stats-history-charts');
+    achievementSummaryEl = document.getElementById('achievement-summary');
+    achievementGridEl = document.getElementById('achievement-grid');
+    prestigePointsEl = document.getElementById('prestige-points');
+    prestigeTotalEl = document.getElementById('prestige-total');
+    prestigeResetsEl = document.getElementById('prestige-resets');
+    prestigeBonusEl = document.getElementById('prestige-bonus');
+    prestigeGainEl = document.getElementById('prestige-gain');
+    prestigeButton = document.getElementById('prestige-button');
+    prestigeUpgradeListEl = document.getElementById('prestige-upgrade-list');
     userIdDisplay = document.getElementById('user-id-display');
     codeInput = document.getElementById('code-input');
     redeemCodeButton = document.getElementById('redeem-code-button');
-    codeMessageDisplay = document.getElementById('code-message');
-    resetMessageDisplay = document.getElementById('reset-message'); 
+    notificationHistoryEl = document.getElementById('notification-history');
+    codeHistoryEl = document.getElementById('code-history');
+    notationSelect = document.getElementById('notation-select');
+    languageSelect = document.getElementById('language-select');
+    autosaveSelect = document.getElementById('autosave-select');
+    themeSelect = document.getElementById('theme-select');
+    soundVolumeValue = document.getElementById('sound-volume-value');
+    settingsFileInput = document.getElementById('settings-file');
+    settingsMessage = document.getElementById('settings-message');
+    saveTransferText = document.getElementById('save-transfer-text');
+    saveTransferFileInput = document.getElementById('save-transfer-file');
+    saveTransferMessage = document.getElementById('save-transfer-message');
+    cloudPlayerIdEl = document.getElementById('cloud-player-id');
+    cloudEndpointInput = document.getElementById('cloud-endpoint-input');
+    cloudSyncButton = document.getElementById('cloud-sync-button');
+    cloudConflictEl = document.getElementById('cloud-conflict');
+    cloudConflictDetails = document.getElementById('cloud-conflict-details');
+    cloudSyncMessage = document.getElementById('cloud-sync-message');
+    leaderboardNameInput = document.getElementById('leaderboard-name-input');
+    leaderboardEndpointInput = document.getElementById('leaderboard-endpoint-input');
+    leaderboardMessage = document.getElementById('leaderboard-message');
+    leaderboardModeEl = document.getElementById('leaderboard-mode');
+    leaderboardRefreshButton = document.getElementById('leaderboard-refresh-button');
+    leaderboardRowsEl = document.getElementById('leaderboard-rows');
+    leaderboardOwnRankEl = document.getElementById('leaderboard-own-rank');
+    importPreviewEl = document.getElementById('import-preview');
+    importPreviewDetails = document.getElementById('import-preview-details');
+    tabLockOverlay = document.getElementById('tab-lock-overlay');
+    tabTakeoverButton = document.getElementById('tab-takeover-button');
     
     // Admin Panel Display/Message/Input References (unchanged)
     adminCurrentClicks = document.getElementById('admin-current-clicks');
     adminCurrentCpc = document.getElementById('admin-current-cpc');
     adminCurrentCps = document.getElementById('admin-current-cps');
-    adminCurrentCpuLevel = document.getElementById('admin-current-cpu-level');
-    adminCurrentGpuLevel = document.getElementById('admin-current-gpu-level');
     adminMsgClicks = document.getElementById('admin-msg-clicks');
     adminMsgCpc = document.getElementById('admin-msg-cpc');
     adminMsgCps = document.getElementById('admin-msg-cps');
-    adminMsgCpuLevel = document.getElementById('admin-msg-cpu-level');
-    adminMsgGpuLevel = document.getElementById('admin-msg-gpu-level');
     adminInputClicks = document.getElementById('admin-input-clicks');
     adminInputCpc = document.getElementById('admin-input-cpc');
     adminInputCps = document.getElementById('admin-input-cps');
-    adminInputCpuLevel = document.getElementById('admin-input-cpu-level');
-    adminInputGpuLevel = document.getElementById('admin-input-gpu-level');
+    adminLevelEditorsEl = document.getElementById('admin-level-editors');
+    adminHistoryEl = document.getElementById('admin-history');
+    adminUndoButton = document.getElementById('admin-btn-undo');
+    adminRedoButton = document.getElementById('admin-btn-redo');
+    adminInputTimeSkip = document.getElementById('admin-input-time-skip');
+    adminTimeSkipUnit = document.getElementById('admin-time-skip-unit');
+    adminMsgTimeSkip = document.getElementById('admin-msg-time-skip');
+    adminInputSnapshotName = document.getElementById('admin-input-snapshot-name');
+    adminMsgSnapshot = document.getElementById('admin-msg-snapshot');
+    adminSnapshotListEl = document.getElementById('admin-snapshot-list');
+    adminStateEditor = document.getElementById('admin-state-editor');
+    adminApplyStateButton = document.getElementById('admin-btn-apply-state');
+    adminMsgState = document.getElementById('admin-msg-state');
+    adminLockEl = document.getElementById('admin-lock');
+    adminToolsEl = document.getElementById('admin-tools');
+    adminPassphraseMissingEl = document.getElementById('admin-passphrase-missing');
+    adminPassphraseUnlockEl = document.getElementById('admin-passphrase-unlock');
+    adminMsgLock = document.getElementById('admin-msg-lock');
+    adminAuditLogEl = document.getElementById('admin-audit-log');
 }
 
 /**
@@ -833,10 +2476,31 @@ function assignDOMElements() {
  */
 function setupEventListeners() {
     if (clickerButton) clickerButton.addEventListener('click', handleGameClick);
+
+    // Random event targets
+    randomEventTarget?.addEventListener('click', handleClaimRandomEvent);
+
+    // CP/CPS breakdown tooltips (on hover and keyboard focus)
+    [cpcDisplay, cpsDisplay].forEach(display => {
+        display?.addEventListener('mouseenter', () => showStatBreakdown(display));
+        display?.addEventListener('focus', () => showStatBreakdown(display));
+        display?.addEventListener('mouseleave', hideStatBreakdown);
+        display?.addEventListener('blur', hideStatBreakdown);
+    });
+
+    // Dismiss the offline earnings summary when it is clicked
+    offlineEarningsDisplay?.addEventListener('click', () => offlineEarningsDisplay.classList.add('hidden'));
+    saveWarningDisplay?.addEventListener('click', () => saveWarningDisplay.classList.add('hidden'));
     
-    // Upgrade listeners
-    buyUpgrade1Button?.addEventListener('click', () => handleBuyUpgrade('1')); // Use '1' for ID
-    buyUpgrade2Button?.addEventListener('click', () => handleBuyUpgrade('2')); // Use '2' for ID
+    buyQuantityButtons.forEach(button => {
+        button.addEventListener('click', () => handleSelectBuyQuantity(button.dataset.quantity));
+    });
+
+    // Upgrade listener (delegated, since the cards are regenerated on mode switch)
+    upgradeListEl?.addEventListener('click', (e) => {
+        const button = e.target.closest('.buy-upgrade-button');
+        if (button) handleBuyUpgrade(button.dataset.upgradeId);
+    });
     
     // Tab switching listeners
     document.querySelectorAll('.tab-button').forEach(button => {
@@ -849,42 +2513,130 @@ function setupEventListeners() {
     // Code and Reset
     redeemCodeButton?.addEventListener('click', handleRedeemCode);
     document.getElementById('reset-data-button')?.addEventListener('click', handleResetGame);
+    document.getElementById('hard-reset-button')?.addEventListener('click', handleHardReset);
+
+    // Prestige
+    prestigeButton?.addEventListener('click', handlePrestige);
+    prestigeUpgradeListEl?.addEventListener('click', (e) => {
+        const button = e.target.closest('.buy-prestige-button');
+        if (button) handleBuyPrestigeUpgrade(button.dataset.upgradeId);
+    });
+
+    // Stats History Windows
+    statsHistoryWindowsEl?.addEventListener('click', handleSelectHistoryWindow);
+
+    // Notification History
+    document.getElementById('clear-notifications-button')?.addEventListener('click', () => notifications.clearHistory());
+
+    // Settings (delegated to every data-setting control, including language and number notation)
+    document.getElementById('panel-options')?.addEventListener('change', handleSettingControlChange);
+    document.getElementById('sound-volume-input')?.addEventListener('input', (e) => {
+        if (soundVolumeValue) soundVolumeValue.textContent = t('settings.volumePercent', { volume: e.target.value });
+    });
+    document.getElementById('export-settings-button')?.addEventListener('click', handleExportSettings);
+    document.getElementById('restore-settings-button')?.addEventListener('click', handleRestoreSettings);
+    settingsFileInput?.addEventListener('change', handleImportSettingsFile);
+
+    // Cloud Sync
+    document.getElementById('cloud-endpoint-button')?.addEventListener('click', handleSaveCloudEndpoint);
+    cloudSyncButton?.addEventListener('click', () => cloudSync.sync());
+    cloudConflictEl?.addEventListener('click', handleCloudConflictChoice);
+
+    // Leaderboard
+    document.getElementById('leaderboard-save-button')?.addEventListener('click', handleSaveLeaderboardSettings);
+    leaderboardRefreshButton?.addEventListener('click', refreshLeaderboard);
+
+    // Save Export / Import
+    document.getElementById('export-save-button')?.addEventListener('click', handleExportSave);
+    document.getElementById('download-save-button')?.addEventListener('click', handleDownloadSave);
+    document.getElementById('import-save-button')?.addEventListener('click', handlePreviewImport);
+    document.getElementById('confirm-import-button')?.addEventListener('click', handleConfirmImport);
+    document.getElementById('cancel-import-button')?.addEventListener('click', handleCancelImport);
+    saveTransferFileInput?.addEventListener('change', handleImportFile);
     
     // NEW: Mode Switch Listener
-    switchToCryptoButton?.addEventListener('click', handleSwitchToCrypto);
+    modeSelect?.addEventListener('change', handleSelectMode);
+
+    // Multi-Tab Lock
+    tabTakeoverButton?.addEventListener('click', handleTabTakeover);
 
     // Admin listeners (unchanged)
     document.getElementById('admin-btn-set-clicks')?.addEventListener('click', handleAdminSetClicks);
     document.getElementById('admin-btn-set-cpc')?.addEventListener('click', handleAdminSetCPC);
     document.getElementById('admin-btn-set-cps')?.addEventListener('click', handleAdminSetCPS);
-    document.getElementById('admin-btn-set-cpu-level')?.addEventListener('click', handleAdminSetCpuLevel);
-    document.getElementById('admin-btn-set-gpu-level')?.addEventListener('click', handleAdminSetGpuLevel);
+    adminLevelEditorsEl?.addEventListener('click', (e) => {
+        const button = e.target.closest('.admin-set-level-button');
+        if (button) handleAdminSetUpgradeLevel(button.dataset.upgradeId);
+    });
+    adminUndoButton?.addEventListener('click', handleAdminUndo);
+    adminRedoButton?.addEventListener('click', handleAdminRedo);
+    document.getElementById('admin-btn-time-skip')?.addEventListener('click', handleAdminTimeSkip);
+    document.getElementById('admin-btn-save-snapshot')?.addEventListener('click', handleAdminSaveSnapshot);
+    adminSnapshotListEl?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-snapshot-action]');
+        if (button) handleAdminSnapshotAction(button.dataset.snapshotAction, button.dataset.snapshotName);
+    });
+    document.getElementById('admin-btn-refresh-state')?.addEventListener('click', refreshStateEditor);
+    document.getElementById('admin-btn-apply-state')?.addEventListener('click', handleAdminApplyState);
+    adminStateEditor?.addEventListener('input', handleStateEditorInput);
+    document.getElementById('admin-btn-unlock')?.addEventListener('click', handleAdminUnlock);
+    document.getElementById('admin-btn-lock')?.addEventListener('click', handleAdminLock);
 }
 
 
 /**
- * Initializes the game: loads save data and sets up listeners.
+ * Initializes the game: creates the game core, loads save data and sets up listeners.
  */
 export function initializeGame() {
-    // 1. Find all DOM elements first
+    // 1. Find all DOM elements first, and set up the toasts so even startup problems can be reported
     assignDOMElements();
+    notifications = createNotifications();
+    mountToasts(document.getElementById('toast-stack'), notifications, { getDismissLabel: () => t('common.dismiss') });
+    notifications.subscribe(handleNotificationsChange);
     
-    // 2. Load mode-specific save data (defaults to crypto mode if not saved)
-    loadGame();
+    // 2. Claim the tab lock, then create the game core on top of the browser's storage and clock.
+    // The core only saves while this tab holds the lock, so two open tabs never overwrite each other.
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_CHANNEL_NAME) : null;
+    tabLock = createTabLock({ storage: localStorage, clock: Date, channel });
+    tabLock.check();
+    game = createGame({ storage: localStorage, clock: Date, canSave: tabLock.holdsLock, translator: i18n });
+    cloudSync = createCloudSync({ storage: localStorage, game, canSync: tabLock.holdsLock });
+    cloudSync.subscribe(handleCloudSyncEvent);
+    leaderboard = createLeaderboard({ storage: localStorage, game, canSubmit: tabLock.holdsLock });
+
+    // Secret codes are looked up in a registry file; until it has loaded, redeeming reports that codes are unavailable
+    const knownBuffs = RANDOM_EVENTS.filter(event => event.reward.type === 'buff').map(event => event.id);
+    loadCodeRegistry({ knownBuffs })
+        .then(entries => {
+            game.setCodes(entries);
+            if (game.state.activeTab === 'options') renderCodeHistory();
+        })
+        .catch(error => console.error("[Codes] Could not load the code registry:", error));
     
-    // 3. Update the dynamic UI parts (upgrade names, title)
-    updateUpgradeDisplay();
-
-    // 4. Set up the game when the page is fully loaded
+    // 3. Translate the page, then build the mode-independent UI parts (achievement badges, prestige upgrades,
+    // language and notation options, stats history charts)
+    reportMissingTranslations();
+    translatePage();
+    buildLanguageOptions();
+    buildNotationOptions();
+    buildAchievementGrid();
+    buildPrestigePanel();
+    buildStatsHistory();
+
+    // 4. Set up the game when the page is fully loaded, and apply settings as they change
     setupEventListeners();
-
-    // 5. Initial calculations and render
-    applyTheme();
-    checkAdminStatus();
-    updateCPS();
-    switchTab(gameState.activeTab); 
-    renderUI();
-    
-    // 6. Start the game loop
-    setInterval(gameLoop, 1000); 
+    settings.subscribe(handleSettingsChange);
+
+    // 5. Load mode-specific save data (defaults to crypto mode if not saved).
+    // The 'load' event builds the mode-specific UI and renders it.
+    game.subscribe(handleGameEvent);
+    game.load();
+    tabLock.subscribe(handleTabLockEvent);
+    updateTabLockOverlay();
+
+    // 6. Pull the cloud saves (if sync is on), then start the game loop
+    updateCloudSyncControls();
+    updateLeaderboardControls();
+    cloudSync.sync();
+    startGameLoop();
 }
@@ -0,0 +1,115 @@
+// --- REFERENCE CLOUD SAVE SERVER ---
+// A minimal self-hostable endpoint for cloud save sync (see cloud-sync.js). It keeps one JSON
+// file per player in a data directory and has no dependencies beyond Node itself:
+//   node server/cloud-save-server.js   (PORT and DATA_DIR can be set in the environment)
+// It does not authenticate players: anyone who knows a player id can read and replace that
+// player's save, so only run it where you trust everyone who can reach it.
+
+import http from 'node:http';
+import path from 'node:path';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { sendJson, readJsonBody, handleErrors, isMainModule } from './http-helpers.js';
+
+export const CLOUD_SERVER_CONFIG = {
+    port: 8787,
+    dataDir: './cloud-saves',
+    maxBodyBytes: 5 * 1024 * 1024 // Larger uploads are refused
+};
+
+// Player ids become file names, so only plain ids (such as crypto.randomUUID()) are accepted
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Creates the cloud save HTTP server (not yet listening).
+ *   dataDir      - directory the saves are stored in; created on first write
+ *   maxBodyBytes - largest accepted upload
+ */
+export function createCloudSaveServer({ dataDir = CLOUD_SERVER_CONFIG.dataDir, maxBodyBytes = CLOUD_SERVER_CONFIG.maxBodyBytes, logger = console } = {}) {
+    // Pending writes per player id, so two uploads cannot both pass the check before either is stored
+    const playerQueues = new Map();
+
+    /**
+     * Runs a task after every earlier task for the same player has finished.
+     */
+    function queueForPlayer(playerId, task) {
+        const result = (playerQueues.get(playerId) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {});
+        playerQueues.set(playerId, settled);
+        settled.then(() => {
+            if (playerQueues.get(playerId) === settled) playerQueues.delete(playerId);
+        });
+        return result;
+    }
+
+    /**
+     * Reads a player's stored bundle, or null if there is none.
+     */
+    async function readSave(playerId) {
+        try {
+            return JSON.parse(await readFile(path.join(dataDir, `${playerId}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Stores a player's bundle. Written to a temporary file first, so a crash cannot leave half a save.
+     */
+    async function writeSave(playerId, bundle) {
+        await mkdir(dataDir, { recursive: true });
+        const file = path.join(dataDir, `${playerId}.json`);
+        await writeFile(`${file}.tmp`, JSON.stringify(bundle));
+        await rename(`${file}.tmp`, file);
+    }
+
+    /**
+     * Handles one request: GET or PUT /saves/<playerId>.
+     */
+    async function handleRequest(request, response) {
+        if (request.method === 'OPTIONS') return sendJson(response, 204);
+
+        const match = new URL(request.url, 'http://localhost').pathname.match(/^\/saves\/([^/]+)$/);
+        if (!match) return sendJson(response, 404, { error: 'Not found.' });
+        const playerId = match[1];
+        if (!PLAYER_ID_PATTERN.test(playerId)) return sendJson(response, 400, { error: 'Invalid player id.' });
+
+        if (request.method === 'GET') {
+            const stored = await readSave(playerId);
+            return stored ? sendJson(response, 200, stored) : sendJson(response, 404, { error: 'No save for this player.' });
+        }
+
+        if (request.method === 'PUT') {
+            const { baseSavedAt = null, bundle } = await readJsonBody(request, maxBodyBytes);
+            if (!bundle || !Number.isFinite(bundle.savedAt) || !bundle.saves) {
+                return sendJson(response, 400, { error: 'The save bundle is incomplete.' });
+            }
+
+            // Only replace the save the client last saw, so one device cannot silently overwrite another
+            const stored = await queueForPlayer(playerId, async () => {
+                const current = await readSave(playerId);
+                if (!current || current.savedAt === baseSavedAt) await writeSave(playerId, bundle);
+                return current;
+            });
+            if (stored && stored.savedAt !== baseSavedAt) {
+                return sendJson(response, 409, { error: 'The save changed on another device.', savedAt: stored.savedAt });
+            }
+
+            logger.log(`[CloudServer] Stored save for ${playerId}.`);
+            return sendJson(response, 200, { savedAt: bundle.savedAt });
+        }
+
+        return sendJson(response, 405, { error: 'Method not allowed.' });
+    }
+
+    return http.createServer(handleErrors(handleRequest, logger));
+}
+
+// Run the server when this file is started directly
+if (isMainModule(import.meta.url)) {
+    const port = Number(process.env.PORT) || CLOUD_SERVER_CONFIG.port;
+    const dataDir = process.env.DATA_DIR || CLOUD_SERVER_CONFIG.dataDir;
+    createCloudSaveServer({ dataDir }).listen(port, () => {
+        console.log(`[CloudServer] Listening on http://localhost:${port}, saving to ${path.resolve(dataDir)}.`);
+    });
+}
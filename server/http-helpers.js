@@ -0,0 +1,55 @@
+// --- REFERENCE SERVER HELPERS ---
+// Request and response helpers shared by the reference servers in this directory.
+
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Sends a JSON response, with the CORS headers the game page needs to call the server.
+ */
+export function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON. Throws an Error with a status if it is too large or not JSON.
+ */
+export async function readJsonBody(request, maxBodyBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > maxBodyBytes) throw Object.assign(new Error('Request body is too large.'), { status: 413 });
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+        throw Object.assign(new Error('Body is not valid JSON.'), { status: 400 });
+    }
+}
+
+/**
+ * Wraps an async request handler, answering with its Error's status (or 500) when it throws.
+ */
+export function handleErrors(handler, logger = console) {
+    return (request, response) => {
+        handler(request, response).catch(error => {
+            if (!error.status) logger.error("[Server] Request failed:", error);
+            sendJson(response, error.status || 500, { error: error.status ? error.message : 'Server error.' });
+        });
+    };
+}
+
+/**
+ * Checks whether a module was started directly with node, rather than imported.
+ */
+export function isMainModule(moduleUrl) {
+    return !!process.argv[1] && moduleUrl === pathToFileURL(process.argv[1]).href;
+}
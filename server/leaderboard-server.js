@@ -0,0 +1,184 @@
+// --- REFERENCE LEADERBOARD SERVER ---
+// A minimal leaderboard endpoint (see leaderboard.js) that needs nothing but Node, so it also
+// works on a LAN without internet access:
+//   node server/leaderboard-server.js   (PORT, HOST and DATA_FILE can be set in the environment)
+// Scores are kept per game mode in one JSON file:
+//   POST /leaderboard/<mode> - body { playerId, name, totalClicksEarned, peakCps, prestigeResets,
+//                              prestigePoints, isModified }; replaces the player's entry
+//   GET  /leaderboard/<mode>?top=10&playerId=<id> - { entries, player, playerCount }
+// Players are ranked by total clicks earned, then peak CPS. Entries from admin-modified saves
+// are stored with their flag but never ranked. Player ids are never sent back out, since they
+// also identify the player's cloud save.
+
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { BigNumber } from '../big-number.js';
+import { sendJson, readJsonBody, handleErrors, isMainModule } from './http-helpers.js';
+
+export const LEADERBOARD_SERVER_CONFIG = {
+    port: 8788,
+    host: '0.0.0.0', // Reachable from other machines on the network
+    dataFile: './leaderboard.json',
+    maxBodyBytes: 16 * 1024,
+    maxTop: 100,         // Most entries one request can ask for
+    maxNameLength: 24
+};
+
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+const MODE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Checks a submitted score and returns the entry to store. Throws an Error with status 400 for bad input.
+ */
+function parseSubmission(body) {
+    const fail = message => { throw Object.assign(new Error(message), { status: 400 }); };
+    const isCount = value => BigNumber.isValid(value) && !BigNumber.from(value).isNegative();
+
+    if (!body || !PLAYER_ID_PATTERN.test(body.playerId)) fail('Invalid player id.');
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > LEADERBOARD_SERVER_CONFIG.maxNameLength) {
+        fail(`Names must be 1 to ${LEADERBOARD_SERVER_CONFIG.maxNameLength} characters.`);
+    }
+    if (!isCount(body.totalClicksEarned) || !isCount(body.peakCps)) fail('Invalid click counts.');
+    if (!Number.isInteger(body.prestigeResets) || body.prestigeResets < 0 ||
+        !Number.isInteger(body.prestigePoints) || body.prestigePoints < 0) {
+        fail('Invalid prestige data.');
+    }
+
+    return {
+        name,
+        totalClicksEarned: BigNumber.from(body.totalClicksEarned).toString(),
+        peakCps: BigNumber.from(body.peakCps).toString(),
+        prestigeResets: body.prestigeResets,
+        prestigePoints: body.prestigePoints,
+        isModified: body.isModified === true
+    };
+}
+
+/**
+ * Sorts the ranked (unmodified) entries of a mode, best first.
+ */
+function rankEntries(modeEntries) {
+    return Object.entries(modeEntries)
+        .filter(([, entry]) => !entry.isModified)
+        .sort(([, a], [, b]) => BigNumber.from(b.totalClicksEarned).cmp(a.totalClicksEarned) ||
+            BigNumber.from(b.peakCps).cmp(a.peakCps) ||
+            a.updatedAt - b.updatedAt);
+}
+
+/**
+ * Creates the leaderboard HTTP server (not yet listening).
+ *   dataFile - JSON file the scores are kept in; created on the first submission
+ */
+export function createLeaderboardServer({ dataFile = LEADERBOARD_SERVER_CONFIG.dataFile, clock = Date, logger = console } = {}) {
+    let boardLoad = null; // Promise of the scores: mode -> player id -> entry
+    // Pending board updates, so two submissions cannot both start from the board before either is stored
+    let updateQueue = Promise.resolve();
+
+    /**
+     * Reads the scores from disk once; later calls share the same copy.
+     */
+    function getBoard() {
+        boardLoad ??= readFile(dataFile, 'utf8')
+            .then(text => JSON.parse(text))
+            .catch(error => {
+                if (error.code !== 'ENOENT') logger.error("[LeaderboardServer] Could not read the scores, starting empty:", error);
+                return {};
+            });
+        return boardLoad;
+    }
+
+    /**
+     * Changes the scores after every earlier change has finished, then writes them to disk
+     * through a temporary file. Rejects if they could not be written; the scores are then read
+     * from disk again, so the change that was not stored is not served either.
+     */
+    function updateBoard(change) {
+        const result = updateQueue.then(async () => {
+            const board = await getBoard();
+            change(board);
+            try {
+                await writeFile(`${dataFile}.tmp`, JSON.stringify(board));
+                await rename(`${dataFile}.tmp`, dataFile);
+            } catch (error) {
+                boardLoad = null;
+                throw error;
+            }
+        });
+        updateQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Handles one request: GET or POST /leaderboard/<mode>.
+     */
+    async function handleRequest(request, response) {
+        if (request.method === 'OPTIONS') return sendJson(response, 204);
+
+        const url = new URL(request.url, 'http://localhost');
+        const match = url.pathname.match(/^\/leaderboard\/([^/]+)$/);
+        if (!match) return sendJson(response, 404, { error: 'Not found.' });
+        const mode = match[1];
+        if (!MODE_PATTERN.test(mode)) return sendJson(response, 400, { error: 'Invalid game mode.' });
+
+        if (request.method === 'POST') {
+            const body = await readJsonBody(request, LEADERBOARD_SERVER_CONFIG.maxBodyBytes);
+            const entry = parseSubmission(body);
+            await updateBoard(board => {
+                board[mode] = { ...board[mode], [body.playerId]: { ...entry, updatedAt: clock.now() } };
+            });
+            return sendJson(response, 200, { ok: true });
+        }
+
+        if (request.method === 'GET') {
+            const modeEntries = (await getBoard())[mode] || {};
+            const top = Math.min(Math.max(Number.parseInt(url.searchParams.get('top'), 10) || 10, 1), LEADERBOARD_SERVER_CONFIG.maxTop);
+            const playerId = url.searchParams.get('playerId');
+            const ranked = rankEntries(modeEntries);
+            const publicEntry = ([id, entry], index) => ({
+                rank: index + 1,
+                name: entry.name,
+                totalClicksEarned: entry.totalClicksEarned,
+                peakCps: entry.peakCps,
+                prestigeResets: entry.prestigeResets,
+                prestigePoints: entry.prestigePoints,
+                isYou: id === playerId
+            });
+
+            // The player's own entry: ranked, or flagged if the save is admin-modified
+            let player = null;
+            if (playerId && modeEntries[playerId]) {
+                const index = ranked.findIndex(([id]) => id === playerId);
+                player = index >= 0
+                    ? publicEntry(ranked[index], index)
+                    : { ...publicEntry([playerId, modeEntries[playerId]], -1), rank: null, isModified: true };
+            }
+
+            return sendJson(response, 200, {
+                entries: ranked.slice(0, top).map(publicEntry),
+                player,
+                playerCount: ranked.length
+            });
+        }
+
+        return sendJson(response, 405, { error: 'Method not allowed.' });
+    }
+
+    return http.createServer(handleErrors(handleRequest, logger));
+}
+
+// Run the server when this file is started directly
+if (isMainModule(import.meta.url)) {
+    const port = Number(process.env.PORT) || LEADERBOARD_SERVER_CONFIG.port;
+    const host = process.env.HOST || LEADERBOARD_SERVER_CONFIG.host;
+    const dataFile = process.env.DATA_FILE || LEADERBOARD_SERVER_CONFIG.dataFile;
+    createLeaderboardServer({ dataFile }).listen(port, host, () => {
+        // List the addresses other players on the network can use
+        const addresses = Object.values(os.networkInterfaces()).flat()
+            .filter(address => address && address.family === 'IPv4')
+            .map(address => `http://${address.address}:${port}`);
+        console.log(`[LeaderboardServer] Listening on ${addresses.join(', ')}, saving to ${path.resolve(dataFile)}.`);
+    });
+}
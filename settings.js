@@ -0,0 +1,181 @@
+// --- SETTINGS ---
+// The player's preferences: autosave interval, number notation, language, motion and sound,
+// purchase confirmation and theme. They are stored apart from the per-mode saves, so switching
+// modes, resetting progress or importing a save keeps them. Like the game cores it has no DOM
+// access; the UI subscribes to changes and applies each setting as it changes.
+
+import { NUMBER_NOTATIONS } from './big-number.js';
+import { createEventBus } from './event-bus.js';
+import { GAME_MODES } from './game-modes.js';
+import { LOCALES, createCodedError } from './i18n.js';
+
+// Storage key of the settings, shared by all modes: { [settingId]: value }
+export const SETTINGS_KEY = 'clickerSettings';
+
+// Keys the notation and language were stored under before there was a settings store
+const LEGACY_KEYS = { notation: 'clickerNumberNotation', locale: 'clickerLocale' };
+
+// Marks a settings export, so other JSON files are not mistaken for one
+const SETTINGS_EXPORT_FORMAT = 'clicker-settings';
+
+/**
+ * The settings and their defaults. Each one is
+ *   'choice'  - one of options (a list, or a getter for registries that can grow)
+ *   'boolean' - true or false
+ *   'number'  - a whole number from min to max
+ */
+export const SETTINGS = {
+    autosaveSeconds: { type: 'choice', options: [5, 15, 30, 60, 300], defaultValue: 15 },
+    notation: { type: 'choice', get options() { return Object.keys(NUMBER_NOTATIONS); }, defaultValue: 'full' },
+    locale: { type: 'choice', get options() { return ['', ...Object.keys(LOCALES)]; }, defaultValue: '' }, // '' = the browser's language
+    reducedMotion: { type: 'boolean', defaultValue: false },
+    clickEffects: { type: 'boolean', defaultValue: true },
+    soundVolume: { type: 'number', min: 0, max: 100, defaultValue: 50 },
+    confirmPurchases: { type: 'boolean', defaultValue: false },
+    theme: { type: 'choice', get options() { return ['', ...Object.keys(GAME_MODES)]; }, defaultValue: '' } // '' = the mode's own theme
+};
+
+/**
+ * Checks whether a value is allowed for a setting.
+ */
+export function isValidSetting(id, value) {
+    const setting = SETTINGS[id];
+    if (!setting) return false;
+
+    switch (setting.type) {
+        case 'choice':
+            return setting.options.includes(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'number':
+            return Number.isInteger(value) && value >= setting.min && value <= setting.max;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Returns every setting's default value, keyed by setting id.
+ */
+export function getDefaultSettings() {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([id, setting]) => [id, setting.defaultValue]));
+}
+
+/**
+ * Creates the settings store.
+ *   storage - localStorage-like object holding the settings
+ * Listeners added with subscribe() are called with the ids of the settings that changed.
+ */
+export function createSettings({ storage, logger = console }) {
+    const events = createEventBus({ logger });
+    let values = readSettings();
+
+    /**
+     * Reads the stored settings. Missing or invalid values are their defaults; the notation and
+     * language stored under their old keys are moved into the settings.
+     */
+    function readSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(storage.getItem(SETTINGS_KEY)) || {};
+        } catch (e) {
+            logger.warn("[Settings] Stored settings are unreadable, using the defaults.");
+        }
+
+        let isMigrated = false;
+        Object.entries(LEGACY_KEYS).forEach(([id, key]) => {
+            const legacyValue = storage.getItem(key);
+            if (legacyValue === null) return;
+            if (!(id in stored)) stored[id] = legacyValue;
+            storage.removeItem(key);
+            isMigrated = true;
+        });
+
+        const settings = getDefaultSettings();
+        Object.keys(SETTINGS).forEach(id => {
+            if (isValidSetting(id, stored[id])) settings[id] = stored[id];
+        });
+        if (isMigrated) storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return settings;
+    }
+
+    /**
+     * Stores the given values and tells the listeners which settings changed.
+     */
+    function update(changes) {
+        const changedIds = Object.keys(changes).filter(id => values[id] !== changes[id]);
+        if (changedIds.length === 0) return changedIds;
+
+        values = { ...values, ...changes };
+        storage.setItem(SETTINGS_KEY, JSON.stringify(values));
+        events.emit('change', changedIds);
+        return changedIds;
+    }
+
+    /**
+     * Returns a setting's current value.
+     */
+    function get(id) {
+        return values[id];
+    }
+
+    /**
+     * Changes a setting. Throws an Error for an unknown setting or a value it does not allow.
+     */
+    function set(id, value) {
+        if (!SETTINGS[id]) throw new Error(`Unknown setting: ${id}`);
+        if (!isValidSetting(id, value)) throw new Error(`Invalid value for ${id}: ${JSON.stringify(value)}`);
+        update({ [id]: value });
+    }
+
+    /**
+     * Restores every setting to its default. Returns the ids of the settings that changed.
+     */
+    function reset() {
+        return update(getDefaultSettings());
+    }
+
+    /**
+     * Returns the settings as a JSON text that applyExport() can read back.
+     */
+    function createExport() {
+        return JSON.stringify({ format: SETTINGS_EXPORT_FORMAT, settings: values }, null, 2);
+    }
+
+    /**
+     * Applies settings from a createExport() text. Unknown settings and values that are not
+     * allowed (e.g. a language this version does not have) are skipped. Returns the ids of the
+     * settings that changed; throws a coded error if the text is not a settings export.
+     */
+    function applyExport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw createCodedError('errors.notSettingsFile');
+        }
+        if (!data || data.format !== SETTINGS_EXPORT_FORMAT || typeof data.settings !== 'object' || !data.settings) {
+            throw createCodedError('errors.notSettingsFile');
+        }
+
+        const changes = {};
+        Object.entries(data.settings).forEach(([id, value]) => {
+            if (isValidSetting(id, value)) {
+                changes[id] = value;
+            } else {
+                logger.warn(`[Settings] Skipped imported setting ${id}: ${JSON.stringify(value)}`);
+            }
+        });
+        return update(changes);
+    }
+
+    return {
+        get values() { return { ...values }; },
+        get,
+        set,
+        reset,
+        createExport,
+        applyExport,
+        subscribe: listener => events.on('change', listener)
+    };
+}
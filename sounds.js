@@ -0,0 +1,57 @@
+// --- SOUNDS ---
+// Short sound effects, synthesized with the Web Audio API so the game needs no sound files.
+// The audio context is created on the first sound, which always follows a click, since
+// browsers only allow audio after the player has interacted with the page.
+
+/**
+ * The sound effects. Each one is a single tone:
+ *   wave       - oscillator type ('sine', 'square', 'triangle' or 'sawtooth')
+ *   frequency  - start pitch in Hz; slideTo (optional) is the pitch it glides to
+ *   durationMs - length of the tone, fading out towards the end
+ *   gain       - loudness at full volume (0-1)
+ */
+export const SOUNDS = {
+    click: { wave: 'triangle', frequency: 520, slideTo: 380, durationMs: 60, gain: 0.3 },
+    purchase: { wave: 'square', frequency: 660, slideTo: 990, durationMs: 120, gain: 0.15 },
+    achievement: { wave: 'sine', frequency: 523, slideTo: 1047, durationMs: 400, gain: 0.4 }
+};
+
+/**
+ * Creates a sound player.
+ *   getVolume - returns the current volume (0-1); nothing is played at 0
+ */
+export function createSoundPlayer({ getVolume, logger = console }) {
+    let audioContext = null;
+
+    /**
+     * Plays one of SOUNDS at the current volume.
+     */
+    function play(soundId) {
+        const sound = SOUNDS[soundId];
+        const volume = getVolume();
+        if (!sound || volume <= 0 || typeof AudioContext === 'undefined') return; // No Web Audio, no sound
+
+        try {
+            audioContext ??= new AudioContext();
+            const startAt = audioContext.currentTime;
+            const endAt = startAt + sound.durationMs / 1000;
+
+            const oscillator = audioContext.createOscillator();
+            oscillator.type = sound.wave;
+            oscillator.frequency.setValueAtTime(sound.frequency, startAt);
+            if (sound.slideTo) oscillator.frequency.exponentialRampToValueAtTime(sound.slideTo, endAt);
+
+            const gain = audioContext.createGain();
+            gain.gain.setValueAtTime(sound.gain * volume, startAt);
+            gain.gain.exponentialRampToValueAtTime(0.0001, endAt);
+
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(startAt);
+            oscillator.stop(endAt);
+        } catch (error) {
+            logger.warn("[Sounds] Could not play a sound:", error);
+        }
+    }
+
+    return { play };
+}
@@ -0,0 +1,153 @@
+// --- MULTI-TAB LOCK ---
+// Only one browser tab may run and save the game at a time, otherwise the last tab to save
+// would overwrite the other's progress. Tabs share a lock record in storage: the holder (the
+// active tab) refreshes its heartbeat, and every other tab stays read-only until the lock is
+// released, goes stale or is handed over to it through the broadcast channel.
+
+// Storage key of the shared lock record: { tabId, heartbeat }
+export const TAB_LOCK_KEY = 'clickerTabLock';
+
+// Name of the BroadcastChannel the tabs use to hand the lock over
+export const TAB_CHANNEL_NAME = 'clicker-tabs';
+
+export const TAB_LOCK_CONFIG = {
+    heartbeatMs: 2000, // How often the active tab refreshes the lock and the other tabs check it
+    timeoutMs: 10000   // A lock not refreshed for this long belongs to a closed or frozen tab
+};
+
+/**
+ * Creates the lock for this tab.
+ *   storage - localStorage-like object shared by all tabs
+ *   clock   - object whose now() returns the current time in ms
+ *   channel - optional BroadcastChannel-like object; without one the lock cannot be handed over
+ * Listeners added with subscribe() are called with 'acquired', 'lost' or 'handover'. 'handover'
+ * is sent just before the lock passes to another tab, while this tab may still save.
+ */
+export function createTabLock({ storage, clock = Date, channel = null, tabId = crypto.randomUUID(), logger = console }) {
+    let isLeader = false;
+    const listeners = new Set();
+
+    /**
+     * Calls every subscribed listener with an event.
+     */
+    function emit(type) {
+        listeners.forEach(listener => listener(type));
+    }
+
+    /**
+     * Adds a listener for lock events. Returns a function that removes it again.
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Reads the shared lock record, treating unreadable data as no lock.
+     */
+    function readLock() {
+        try {
+            return JSON.parse(storage.getItem(TAB_LOCK_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes the lock record for the given owner with a fresh heartbeat.
+     */
+    function writeLock(ownerId) {
+        storage.setItem(TAB_LOCK_KEY, JSON.stringify({ tabId: ownerId, heartbeat: clock.now() }));
+    }
+
+    /**
+     * Checks whether the stored lock belongs to this tab. Saving is only safe while it does.
+     */
+    function holdsLock() {
+        const lock = readLock();
+        return !!lock && lock.tabId === tabId;
+    }
+
+    /**
+     * Updates this tab's role and tells the listeners when it changes.
+     */
+    function setLeader(value) {
+        if (isLeader === value) return;
+        isLeader = value;
+        logger.log(`[TabLock] This tab is now ${value ? 'the active game' : 'read-only'}.`);
+        emit(value ? 'acquired' : 'lost');
+    }
+
+    /**
+     * Refreshes the lock if this tab holds it, takes it if it is free or stale, and otherwise
+     * marks this tab read-only. Call it on a timer and whenever the lock record changes.
+     */
+    function check() {
+        const lock = readLock();
+        const isFree = !lock || !lock.tabId || clock.now() - lock.heartbeat > TAB_LOCK_CONFIG.timeoutMs;
+
+        if (isFree || lock.tabId === tabId) {
+            writeLock(tabId);
+            setLeader(true);
+        } else {
+            setLeader(false);
+        }
+        return isLeader;
+    }
+
+    /**
+     * Gives up the lock, e.g. when the page is closed, so another tab can take over at once.
+     */
+    function release() {
+        if (!holdsLock()) return;
+        storage.removeItem(TAB_LOCK_KEY);
+        isLeader = false;
+        channel?.postMessage({ type: 'released' });
+    }
+
+    /**
+     * Asks the active tab to hand the lock over to this one. Returns false if tabs cannot message each other.
+     */
+    function requestTakeover() {
+        if (!channel) return false;
+        channel.postMessage({ type: 'takeover', tabId });
+        return true;
+    }
+
+    /**
+     * Handles a message from another tab.
+     */
+    function handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'released':
+                check();
+                break;
+            case 'takeover':
+                if (!isLeader || message.tabId === tabId) return;
+                emit('handover'); // Last chance to save before the other tab loads
+                writeLock(message.tabId);
+                setLeader(false);
+                channel?.postMessage({ type: 'handover', tabId: message.tabId });
+                break;
+            case 'handover':
+                if (message.tabId === tabId) check();
+                break;
+        }
+    }
+
+    if (channel) channel.onmessage = event => handleMessage(event.data);
+
+    return {
+        get isLeader() { return isLeader; },
+        get canHandOver() { return !!channel; },
+        tabId,
+        subscribe,
+        check,
+        holdsLock,
+        release,
+        requestTakeover,
+        handleMessage
+    };
+}
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BigNumber, formatBigNumber } from '../big-number.js';
+
+describe('BigNumber arithmetic', () => {
+    test('small values stay exact', () => {
+        const value = BigNumber.from(123456789).add(1).mul(2);
+        assert.equal(value.isExact(), true);
+        assert.equal(value.toNumber(), 246913580);
+        assert.equal(BigNumber.from(0.1).add(0.2).toNumber(), 0.1 + 0.2);
+    });
+
+    test('values grow past the largest JS number', () => {
+        const value = BigNumber.from('1e308').mul(1000);
+        assert.equal(value.toString(), '1e311');
+        assert.equal(value.toNumber(), Infinity);
+        assert.ok(value.gt('9.9e310'));
+        assert.equal(value.div('1e300').toNumber(), 1e11);
+    });
+
+    test('adding a tiny value to a huge one changes nothing', () => {
+        const value = BigNumber.from('1.5e400');
+        assert.ok(value.add(1).eq(value));
+        assert.equal(value.sub(value).isZero(), true);
+    });
+
+    test('strings, numbers and invalid input', () => {
+        assert.equal(BigNumber.isValid('1.5e400'), true);
+        assert.equal(BigNumber.isValid('abc'), false);
+        assert.equal(BigNumber.from('abc').isZero(), true);
+        assert.equal(JSON.stringify({ clicks: BigNumber.from('2.5e20') }), '{"clicks":"2.5e20"}');
+    });
+
+    test('pow and log10', () => {
+        assert.equal(BigNumber.from(2).pow(10).toNumber(), 1024);
+        assert.ok(Math.abs(BigNumber.from(1.5).pow(2000).log10() - 2000 * Math.log10(1.5)) < 1e-6);
+    });
+});
+
+describe('formatBigNumber', () => {
+    test('full notation uses thousands separators', () => {
+        assert.equal(formatBigNumber(1234567, 'full', 'en-US'), '1,234,567');
+        assert.equal(formatBigNumber(2.5, 'full', 'en-US'), '2.5');
+    });
+
+    test('short notation uses suffixes', () => {
+        assert.equal(formatBigNumber(1234, 'short', 'en-US'), '1.23K');
+        assert.equal(formatBigNumber(4560000, 'short', 'en-US'), '4.56M');
+        assert.equal(formatBigNumber('2.5e15', 'short', 'en-US'), '2.5aa');
+    });
+
+    test('scientific and engineering notation start at one million', () => {
+        assert.equal(formatBigNumber(999999, 'scientific', 'en-US'), '999,999');
+        assert.equal(formatBigNumber(1234567, 'scientific', 'en-US'), '1.23e6');
+        assert.equal(formatBigNumber(12345678, 'engineering', 'en-US'), '12.34e6');
+    });
+});
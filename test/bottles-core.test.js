@@ -0,0 +1,168 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBottlesGame, BOTTLES_CONFIG, BOTTLES_SAVE_VERSION, RESEARCH_TREE, getResearchTier } from '../bottles-core.js';
+import { GAME_MODES } from '../game-modes.js';
+import { createMemoryStorage, createFakeClock, silentLogger } from './helpers.js';
+
+const BOTTLES_KEY = GAME_MODES.bottles.saveKey;
+
+/**
+ * Creates a loaded Bottles game on top of in-memory storage and a fake clock.
+ */
+function setupBottles(initialItems = {}) {
+    const storage = createMemoryStorage(initialItems);
+    const clock = createFakeClock();
+    const game = createBottlesGame({ storage, clock, logger: silentLogger });
+    game.load();
+    return { game, storage, clock };
+}
+
+/**
+ * Gathers water by hand the given number of times.
+ */
+function gather(game, gallons) {
+    for (let i = 0; i < gallons; i++) game.gatherWater();
+}
+
+describe('bottles economy', () => {
+    test('siphons cost more and draw water faster with every purchase', () => {
+        const { game } = setupBottles();
+        assert.equal(game.getSiphonCost(), 15);
+        assert.equal(game.buySiphon(), true);
+        assert.equal(game.state.money, 0);
+        assert.equal(game.getSiphonCost(), 19);
+        assert.equal(game.getSiphonIntervalMs(), 1600);
+        assert.equal(game.buySiphon(), false);
+    });
+
+    test('siphons draw water in batches on the game loop', () => {
+        const { game, clock } = setupBottles();
+        game.buySiphon();
+        clock.advance(1600 * 3);
+        game.update();
+        assert.equal(game.state.water, 3); // 3 batches of floor(1 * 1.1)
+    });
+
+    test('marketing unlocks at 50 gallons and sells 3 gallons per interval', () => {
+        const { game, clock } = setupBottles();
+        gather(game, 49);
+        assert.equal(game.isMarketingUnlocked(), false);
+        assert.equal(game.upgradeMarketing(), false);
+
+        game.gatherWater();
+        assert.equal(game.upgradeMarketing(), true);
+        assert.equal(game.state.money, 5);
+
+        clock.advance(8000);
+        game.update();
+        assert.equal(game.state.water, 47);
+        assert.equal(game.state.money, 5 + 3 + 1); // Base price plus floor(1 * 1.1)
+    });
+
+    test('selling by hand converts one gallon to one money', () => {
+        const { game } = setupBottles();
+        assert.equal(game.sellWater(), false);
+        game.gatherWater();
+        assert.equal(game.sellWater(), true);
+        assert.equal(game.state.money, BOTTLES_CONFIG.startingMoney + 1);
+        assert.equal(game.state.moneyTotal, 1);
+    });
+
+    test('knowledge only grows after advanced tech is unlocked, up to its capacity', () => {
+        const { game, clock } = setupBottles();
+        gather(game, 50);
+        game.state.money = 2000;
+        clock.advance(1000);
+        game.update();
+        assert.equal(game.state.knowledge, 0);
+
+        assert.equal(game.unlockAdvancedTech(), true);
+        clock.advance(1000);
+        game.update();
+        assert.ok(Math.abs(game.state.knowledge - 20) < 1e-9);
+
+        clock.advance(100000);
+        game.update();
+        assert.equal(game.state.knowledge, game.getKnowledgeCapacity());
+        assert.equal(game.increaseStorage(), true);
+        assert.equal(game.getKnowledgeCapacity(), 2000);
+    });
+
+    test('research needs every prerequisite and applies its effects', () => {
+        const { game } = setupBottles();
+        game.state.isAdvancedTechUnlocked = true;
+        game.state.knowledge = 11500;
+
+        assert.equal(game.getResearchStatus('aquifers'), 'locked');
+        assert.equal(game.buyResearch('aquifers'), false);
+
+        assert.equal(game.buyResearch('cheapPackaging'), true);
+        assert.equal(game.state.money, BOTTLES_CONFIG.startingMoney + 500);
+        assert.equal(game.buyResearch('groundwater'), true);
+        assert.equal(game.getResearchStatus('aquifers'), 'available');
+        assert.equal(game.buyResearch('aquifers'), true);
+        assert.equal(game.getResearchStatus('aquifers'), 'researched');
+        assert.equal(game.getWaterMultiplier(), 2.5);
+        assert.equal(game.buyResearch('aquifers'), false);
+        assert.equal(game.state.knowledge, 0);
+
+        // The bottling plant needs both the aquifers and the jingle
+        assert.equal(game.getResearchStatus('bottlingPlant'), 'locked');
+    });
+
+    test('researched marketing levels make sales faster as well as pricier', () => {
+        const { game } = setupBottles();
+        game.state.isAdvancedTechUnlocked = true;
+        game.state.knowledge = 2000;
+        assert.equal(game.getSellIntervalMs(), 10000);
+
+        assert.equal(game.buyResearch('newAds'), true);
+        assert.equal(game.getMarketingLevel(), 2);
+        assert.ok(Math.abs(game.getSellIntervalMs() - 10000 * 0.8 * 0.8) < 1e-9);
+        assert.equal(game.getSalePrice(), 3 + 2);
+    });
+
+    test('storage research raises the knowledge capacity', () => {
+        const { game } = setupBottles();
+        game.state.isAdvancedTechUnlocked = true;
+        game.state.knowledge = 1400;
+        game.buyResearch('cheapPackaging');
+        game.buyResearch('knowledgeArchive');
+        assert.equal(game.getKnowledgeCapacity(), BOTTLES_CONFIG.knowledge.baseCapacity + 2000);
+    });
+
+    test('every research node has known prerequisites without loops', () => {
+        RESEARCH_TREE.forEach(node => assert.doesNotThrow(() => getResearchTier(node.id)));
+        assert.equal(getResearchTier('groundwater'), 0);
+        assert.equal(getResearchTier('bottlingPlant'), 2);
+    });
+});
+
+describe('bottles saving', () => {
+    test('progress survives a new game instance', () => {
+        const { game, storage } = setupBottles();
+        gather(game, 3);
+        game.save();
+
+        const reloaded = createBottlesGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        let loadDetail = null;
+        reloaded.subscribe((type, detail) => { if (type === 'load') loadDetail = detail; });
+        reloaded.load();
+        assert.equal(reloaded.state.water, 3);
+        assert.equal(loadDetail.isNewGame, false);
+    });
+
+    test('version 1 research chain stages are migrated to tree nodes', () => {
+        const save = { version: 1, water: 0, money: 0, siphons: 0, marketingLevel: 0, knowledge: 0, research: { water: 2, budget: 1 } };
+        const { game } = setupBottles({ [BOTTLES_KEY]: JSON.stringify(save) });
+        assert.equal(game.state.version, BOTTLES_SAVE_VERSION);
+        assert.deepEqual(game.state.research, { groundwater: true, aquifers: true, cheapPackaging: true });
+    });
+
+    test('an invalid save is quarantined and a new game is started', () => {
+        const { game, storage } = setupBottles({ [BOTTLES_KEY]: JSON.stringify({ version: BOTTLES_SAVE_VERSION, water: -5 }) });
+        assert.equal(game.state.water, 0);
+        assert.ok(storage.getItem(`${BOTTLES_KEY}Quarantine`));
+    });
+});
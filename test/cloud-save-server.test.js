@@ -0,0 +1,65 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { createCloudSaveServer } from '../server/cloud-save-server.js';
+import { silentLogger } from './helpers.js';
+
+describe('reference cloud save server', () => {
+    let server;
+    let dataDir;
+    let baseUrl;
+
+    before(async () => {
+        dataDir = await mkdtemp(path.join(os.tmpdir(), 'cloud-saves-'));
+        server = createCloudSaveServer({ dataDir, logger: silentLogger });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Uploads a bundle for a player over the save with the given timestamp.
+     */
+    function put(playerId, baseSavedAt, bundle) {
+        return fetch(`${baseUrl}/saves/${playerId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ baseSavedAt, bundle })
+        });
+    }
+
+    test('stores a save and returns it', async () => {
+        assert.equal((await fetch(`${baseUrl}/saves/player-1`)).status, 404);
+
+        const bundle = { savedAt: 100, mode: 'crypto', saves: { crypto: { clicks: '5' } } };
+        assert.equal((await put('player-1', null, bundle)).status, 200);
+
+        const response = await fetch(`${baseUrl}/saves/player-1`);
+        assert.equal(response.headers.get('access-control-allow-origin'), '*');
+        assert.deepEqual(await response.json(), bundle);
+    });
+
+    test('refuses to overwrite a save the client has not seen', async () => {
+        const first = { savedAt: 100, mode: 'crypto', saves: {} };
+        const second = { savedAt: 200, mode: 'crypto', saves: {} };
+        assert.equal((await put('player-2', null, first)).status, 200);
+
+        const conflict = await put('player-2', 50, second);
+        assert.equal(conflict.status, 409);
+        assert.equal((await conflict.json()).savedAt, 100);
+
+        assert.equal((await put('player-2', 100, second)).status, 200);
+    });
+
+    test('rejects unsafe player ids and incomplete bundles', async () => {
+        assert.equal((await fetch(`${baseUrl}/saves/..%2Fescape`)).status, 400);
+        assert.equal((await put('player-3', null, { mode: 'crypto' })).status, 400);
+    });
+});
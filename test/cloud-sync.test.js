@@ -0,0 +1,170 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { createGame } from '../game-core.js';
+import { createCloudSync, resolveSync, summarizeSaveBundle, fingerprintSaves, getPlayerId, PLAYER_ID_KEY, CLOUD_SYNC_CONFIG } from '../cloud-sync.js';
+import { createCloudSaveServer } from '../server/cloud-save-server.js';
+import { createMemoryStorage, createFakeClock, silentLogger, TEST_ADMIN_PASSPHRASE, TEST_ADMIN_PASSPHRASE_HASH } from './helpers.js';
+
+describe('sync decisions', () => {
+    const summary = (savedAt, totalClicksEarned, fingerprint = `saves-${totalClicksEarned}`) => ({ savedAt, totalClicksEarned: String(totalClicksEarned), fingerprint });
+
+    test('one-sided changes are pushed or pulled', () => {
+        const lastSync = summary(100, 50);
+        assert.equal(resolveSync(summary(300, 80), null, null), 'push');
+        assert.equal(resolveSync(summary(300, 80), summary(100, 50), lastSync), 'push');
+        assert.equal(resolveSync(summary(300, 50), summary(200, 90), lastSync), 'pull');
+        assert.equal(resolveSync(summary(300, 50), summary(100, 50), lastSync), 'none');
+    });
+
+    test('progress that earns no clicks still counts as a local change', () => {
+        const lastSync = summary(100, 50);
+        assert.equal(resolveSync(summary(300, 50, 'upgraded'), summary(100, 50), lastSync), 'push');
+        assert.equal(resolveSync(summary(300, 50, 'upgraded'), summary(200, 90), lastSync), 'conflict');
+    });
+
+    test('saves that both changed since the last sync are a conflict, unless this device has no progress', () => {
+        assert.equal(resolveSync(summary(300, 80), summary(200, 90), summary(100, 50)), 'conflict');
+        assert.equal(resolveSync(summary(300, 80), summary(200, 90), null), 'conflict');
+        assert.equal(resolveSync(summary(300, 0), summary(200, 90), null), 'pull');
+    });
+
+    test('summaries add up the clicks earned in every clicker mode', () => {
+        const bundle = { savedAt: 5, mode: 'crypto', saves: { crypto: { totalClicksEarned: '10' }, pencil: { totalClicksEarned: '32' }, bottles: { water: 3 } } };
+        assert.deepEqual(summarizeSaveBundle(bundle), { savedAt: 5, mode: 'crypto', totalClicksEarned: '42', fingerprint: fingerprintSaves(bundle.saves) });
+    });
+
+    test('the fingerprint follows progress, not timestamps or key order', () => {
+        const saves = { crypto: { clicks: '10', upgrades: { gpuMiner: { level: 1 } }, lastSaved: 100, stats: { timePlayed: 5 } }, bottles: { water: 3, lastSaved: 100 } };
+        const idle = { bottles: { lastSaved: 900, water: 3 }, crypto: { stats: { timePlayed: 85 }, upgrades: { gpuMiner: { level: 1 } }, clicks: '10', lastSaved: 900 } };
+        const upgraded = structuredClone(saves);
+        upgraded.crypto.upgrades.gpuMiner.level = 2;
+        const bottled = structuredClone(saves);
+        bottled.bottles.water = 4;
+
+        assert.equal(fingerprintSaves(idle), fingerprintSaves(saves));
+        assert.notEqual(fingerprintSaves(upgraded), fingerprintSaves(saves));
+        assert.notEqual(fingerprintSaves(bottled), fingerprintSaves(saves));
+    });
+
+    test('a sync gives up after a few pushes that another device beat', async () => {
+        const storage = createMemoryStorage();
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        game.load();
+        let uploads = 0;
+        const fetch = async (url, { method }) => {
+            if (method === 'PUT') uploads++;
+            return new Response(null, { status: method === 'PUT' ? 409 : 404 });
+        };
+        const cloudSync = createCloudSync({ storage, game, fetch, logger: silentLogger });
+        cloudSync.setEndpoint('http://sync.example');
+        const statuses = [];
+        cloudSync.subscribe((type, detail) => { if (type === 'status') statuses.push(detail); });
+
+        assert.equal(await cloudSync.sync(), 'error');
+        assert.equal(uploads, CLOUD_SYNC_CONFIG.maxPushRetries + 1);
+        // The UI words the status itself, translating the coded error
+        const failure = statuses[statuses.length - 1];
+        assert.deepEqual(Object.keys(failure), ['state', 'error']);
+        assert.equal(failure.error.code, 'errors.cloudSaveKeptChanging');
+    });
+
+    test('the player id is created once and kept', () => {
+        const storage = createMemoryStorage();
+        const playerId = getPlayerId(storage);
+        assert.equal(storage.getItem(PLAYER_ID_KEY), playerId);
+        assert.equal(getPlayerId(storage), playerId);
+    });
+});
+
+describe('syncing with the reference server', () => {
+    let server;
+    let dataDir;
+    let endpoint;
+
+    before(async () => {
+        dataDir = await mkdtemp(path.join(os.tmpdir(), 'cloud-sync-'));
+        server = createCloudSaveServer({ dataDir, logger: silentLogger });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Creates a loaded game with its admin panel unlocked, so the tests can set its clicks.
+     */
+    function createAdminGame(storage, clock) {
+        const game = createGame({ storage, clock, logger: silentLogger, adminPassphraseHash: TEST_ADMIN_PASSPHRASE_HASH });
+        game.load();
+        game.unlockAdmin(TEST_ADMIN_PASSPHRASE);
+        return game;
+    }
+
+    /**
+     * Creates a device: a loaded game with cloud sync on, for the given player.
+     */
+    function setupDevice(playerId, clock) {
+        const storage = createMemoryStorage({ [PLAYER_ID_KEY]: playerId });
+        const game = createAdminGame(storage, clock);
+        const cloudSync = createCloudSync({ storage, game, logger: silentLogger });
+        cloudSync.setEndpoint(`${endpoint}/`);
+        return { storage, game, cloudSync };
+    }
+
+    test('a new device pulls the progress another device pushed', async () => {
+        const clock = createFakeClock();
+        const first = setupDevice('sync-player-1', clock);
+        first.game.setClicks(500);
+        assert.equal(await first.cloudSync.sync(), 'push');
+
+        clock.advance(1000);
+        const second = setupDevice('sync-player-1', clock);
+        assert.equal(await second.cloudSync.sync(), 'pull');
+
+        const reloaded = createGame({ storage: second.storage, clock, logger: silentLogger });
+        reloaded.load();
+        assert.equal(reloaded.state.clicks.toNumber(), 500);
+    });
+
+    test('progress on two devices is reported as a conflict and settled by the player', async () => {
+        const clock = createFakeClock();
+        const first = setupDevice('sync-player-2', clock);
+        first.game.setClicks(100);
+        await first.cloudSync.sync();
+
+        const second = setupDevice('sync-player-2', clock);
+        await second.cloudSync.sync(); // Pulls, so both devices start from the same save
+        const secondGame = createAdminGame(second.storage, clock);
+        const secondSync = createCloudSync({ storage: second.storage, game: secondGame, logger: silentLogger });
+
+        clock.advance(1000);
+        first.game.setClicks(300);
+        assert.equal(await first.cloudSync.push(), true);
+
+        clock.advance(1000);
+        secondGame.setClicks(200);
+        let conflict = null;
+        secondSync.subscribe((type, detail) => { if (type === 'conflict') conflict = detail; });
+        assert.equal(await secondSync.push(), false); // Refused by the server, then compared
+        assert.equal(secondSync.hasConflict, true);
+        assert.equal(conflict.local.totalClicksEarned, '200');
+        assert.equal(conflict.remote.totalClicksEarned, '300');
+
+        assert.equal(await secondSync.resolveConflict('local'), true);
+        assert.equal(await first.cloudSync.sync(), 'pull');
+    });
+
+    test('only http and https endpoints are accepted', () => {
+        const { cloudSync } = setupDevice('sync-player-3', createFakeClock());
+        assert.throws(() => cloudSync.setEndpoint('ftp://example.com'), /http/);
+        cloudSync.setEndpoint('');
+        assert.equal(cloudSync.endpoint, '');
+    });
+});
@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEventBus } from '../event-bus.js';
+import { silentLogger } from './helpers.js';
+
+describe('event bus', () => {
+    test('subscribers get every event and on() only its type', () => {
+        const bus = createEventBus({ logger: silentLogger });
+        const all = [];
+        const purchases = [];
+        bus.subscribe((type, detail) => all.push([type, detail]));
+        const stop = bus.on('purchase', detail => purchases.push(detail));
+
+        bus.emit('click', { clicksGained: 1 });
+        bus.emit('purchase', { id: 'a' });
+        stop();
+        bus.emit('purchase', { id: 'b' });
+
+        assert.deepEqual(all.map(([type]) => type), ['click', 'purchase', 'purchase']);
+        assert.deepEqual(purchases, [{ id: 'a' }]);
+    });
+
+    test('a failing listener does not stop the others', () => {
+        const errors = [];
+        const bus = createEventBus({ logger: { ...silentLogger, error: (...args) => errors.push(args) } });
+        let received = false;
+        bus.subscribe(() => { throw new Error('broken view'); });
+        bus.subscribe(() => { received = true; });
+
+        bus.emit('change');
+        assert.equal(received, true);
+        assert.equal(errors.length, 1);
+    });
+});
@@ -0,0 +1,968 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BigNumber } from '../big-number.js';
+import {
+    createGame,
+    calculateCost,
+    calculateBulkCost,
+    calculateMaxAffordable,
+    parseSaveExport,
+    GAME_MODE_KEY,
+    UNLOCKED_MODES_KEY,
+    SAVE_VERSION,
+    OFFLINE_PROGRESS_CONFIG,
+    STATS_HISTORY_CONFIG,
+    MODIFIER_ORDER,
+    RANDOM_EVENT_CONFIG,
+    ADMIN_CONFIG,
+    ADMIN_SNAPSHOTS_KEY,
+    hashAdminPassphrase,
+    diffStates
+} from '../game-core.js';
+import { GAME_MODES } from '../game-modes.js';
+import { createRandom } from '../random.js';
+import { hashCode } from '../redeem-codes.js';
+import { createMemoryStorage, createFakeClock, silentLogger, loadCodeEntries, TEST_ADMIN_PASSPHRASE, TEST_ADMIN_PASSPHRASE_HASH } from './helpers.js';
+
+const CRYPTO_KEY = GAME_MODES.crypto.saveKey;
+const PENCIL_KEY = GAME_MODES.pencil.saveKey;
+
+/**
+ * Creates a loaded game on top of in-memory storage and a fake clock.
+ */
+function setupGame(initialItems = {}) {
+    const storage = createMemoryStorage(initialItems);
+    const clock = createFakeClock();
+    const game = createGame({ storage, clock, logger: silentLogger, codes: loadCodeEntries(), adminPassphraseHash: TEST_ADMIN_PASSPHRASE_HASH });
+    game.load();
+    return { game, storage, clock };
+}
+
+/**
+ * Creates a loaded game like setupGame() with its admin panel unlocked.
+ */
+function setupAdminGame(initialItems = {}) {
+    const setup = setupGame(initialItems);
+    setup.game.unlockAdmin(TEST_ADMIN_PASSPHRASE);
+    return setup;
+}
+
+describe('cost formulas', () => {
+    test('calculateCost grows geometrically and rounds down', () => {
+        assert.equal(calculateCost(10, 1.5, 0).toNumber(), 10);
+        assert.equal(calculateCost(10, 1.5, 1).toNumber(), 15);
+        assert.equal(calculateCost(10, 1.5, 2).toNumber(), 22);
+    });
+
+    test('calculateBulkCost costs exactly as much as buying one level at a time', () => {
+        [[10, 1.5, 0, 10], [100, 1.6, 3, 20], [15, 1.15, 7, 100]].forEach(([baseCost, multiplier, level, quantity]) => {
+            let total = 0;
+            for (let i = level; i < level + quantity; i++) {
+                const cost = calculateBulkCost(baseCost, multiplier, i, 1).toNumber();
+                assert.ok(Math.abs(cost - calculateCost(baseCost, multiplier, i).toNumber()) <= 1);
+                total += cost;
+            }
+            assert.equal(calculateBulkCost(baseCost, multiplier, level, quantity).toNumber(), total);
+        });
+        assert.equal(calculateBulkCost(10, 1.5, 0, 10).toNumber(), 1133);
+        assert.equal(calculateBulkCost(100, 1.6, 3, 0).toNumber(), 0);
+    });
+
+    test('calculateMaxAffordable finds the largest affordable quantity', () => {
+        [[10, 1.5, 0], [15, 1.15, 40], [100, 1.6, 3]].forEach(([baseCost, multiplier, level]) => {
+            [9, 5000, 123456789, 3e15, '1e40', '5e300'].forEach(budget => {
+                const quantity = calculateMaxAffordable(baseCost, multiplier, level, budget);
+                assert.ok(calculateBulkCost(baseCost, multiplier, level, quantity).lte(budget), `${baseCost} ${level} ${budget}`);
+                assert.ok(calculateBulkCost(baseCost, multiplier, level, quantity + 1).gt(budget), `${baseCost} ${level} ${budget}`);
+            });
+        });
+        assert.equal(calculateMaxAffordable(10, 1.5, 0, 9), 0);
+    });
+});
+
+describe('clicking and buying', () => {
+    test('a click earns the current Click Power', () => {
+        const { game } = setupGame();
+        game.click();
+        game.click();
+        assert.equal(game.state.clicks.toNumber(), 2);
+        assert.equal(game.state.totalClicksEarned.toNumber(), 2);
+    });
+
+    test('buying an upgrade spends clicks and recalculates CP/CPS', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(200);
+
+        assert.equal(game.buyUpgrade('cpuOverclock'), true);
+        assert.equal(game.state.clicks.toNumber(), 190);
+        assert.equal(game.getUpgradeLevel('cpuOverclock'), 1);
+        assert.equal(game.state.cpc.toNumber(), 2);
+
+        assert.equal(game.buyUpgrade('gpuMiner'), true);
+        assert.equal(game.state.cps.toNumber(), 5);
+    });
+
+    test('buying fails without enough clicks or for an unknown upgrade', () => {
+        const { game } = setupGame();
+        assert.equal(game.buyUpgrade('cpuOverclock'), false);
+        assert.equal(game.buyUpgrade('doesNotExist'), false);
+        assert.equal(game.getUpgradeLevel('cpuOverclock'), 0);
+    });
+
+    test('bulk and max quantities buy several levels at once', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(1000);
+
+        game.setBuyQuantity('10');
+        const { quantity, cost } = game.getUpgradePurchase(game.getUpgradeConfig('cpuOverclock'));
+        assert.equal(quantity, 10);
+        assert.equal(cost.toNumber(), calculateBulkCost(10, 1.5, 0, 10).toNumber());
+
+        game.setBuyQuantity('max');
+        game.buyUpgrade('cpuOverclock');
+        assert.equal(game.getUpgradeLevel('cpuOverclock'), calculateMaxAffordable(10, 1.5, 0, 1000));
+        assert.equal(game.setBuyQuantity('7'), false);
+    });
+
+    test('buying an upgrade ends the admin override of the stat it affects', () => {
+        const { game } = setupAdminGame();
+        game.setCps(1000);
+        game.setClicks(100);
+        assert.equal(game.state.adminOverrides.cps, '1000');
+
+        game.buyUpgrade('gpuMiner');
+        assert.equal(game.state.adminOverrides.cps, undefined);
+        assert.equal(game.state.cps.toNumber(), 5);
+    });
+});
+
+describe('code redemption', () => {
+    /**
+     * Creates a registry entry for a test code, with the same defaults parseCodeRegistry() fills in.
+     */
+    function createCodeEntry(code, fields) {
+        return { id: code.toLowerCase(), label: code, hash: hashCode(code), maxRedemptions: 1, startsAt: null, expiresAt: null, modes: null, ...fields };
+    }
+
+    test('BORNTOCODE grants 5,000 clicks once per save', () => {
+        const { game } = setupGame();
+        const result = game.redeemCode(' borntocode ');
+        assert.equal(result.status, 'success');
+        assert.equal(result.reward, 'clicks');
+        assert.equal(result.message, 'Code REDEEMED! You gained 5,000 clicks!');
+        assert.equal(game.state.clicks.toNumber(), 5000);
+        assert.equal(game.state.stats.codesRedeemed, 1);
+
+        assert.equal(game.redeemCode('BORNTOCODE').message, 'You have already redeemed this code.');
+        assert.equal(game.state.clicks.toNumber(), 5000);
+    });
+
+    test('used codes stay used after a save, a reload and a progress reset', () => {
+        const { game, storage, clock } = setupGame();
+        game.redeemCode('BORNTOCODE');
+        game.resetProgress();
+
+        const reloaded = createGame({ storage, clock, logger: silentLogger, codes: loadCodeEntries() });
+        reloaded.load();
+        assert.equal(reloaded.state.clicks.toNumber(), 0);
+        assert.equal(reloaded.redeemCode('BORNTOCODE').status, 'error');
+    });
+
+    test('ADMIN shows the Admin tab once', () => {
+        const { game } = setupGame();
+        assert.equal(game.redeemCode('admin').status, 'success');
+        assert.equal(game.state.hasAdminAccess, true);
+        assert.equal(game.redeemCode('admin').status, 'error');
+    });
+
+    test('KAITLYNCLARK switches to pencil mode', () => {
+        const { game } = setupGame();
+        assert.equal(game.redeemCode('kaitlynclark').status, 'success');
+        assert.equal(game.mode, 'pencil');
+        assert.equal(game.redeemCode('kaitlynclark').status, 'error');
+    });
+
+    test('unknown and empty codes are rejected', () => {
+        const { game } = setupGame();
+        assert.equal(game.redeemCode('nope').status, 'error');
+        assert.equal(game.redeemCode('   ').status, 'warning');
+        assert.equal(game.state.stats.codesRedeemed, 0);
+    });
+
+    test('codes are unavailable until the registry is loaded', () => {
+        const game = createGame({ storage: createMemoryStorage(), clock: createFakeClock(), logger: silentLogger });
+        game.load();
+        assert.match(game.redeemCode('BORNTOCODE').message, /not available/);
+
+        game.setCodes(loadCodeEntries());
+        assert.equal(game.redeemCode('BORNTOCODE').status, 'success');
+    });
+
+    test('codes honor their start and expiry dates and mode restrictions', () => {
+        const { game, clock } = setupGame();
+        game.setCodes([
+            createCodeEntry('WINTER', { reward: { type: 'buff', buff: 'clickFrenzy' }, startsAt: clock.now() + 1000, expiresAt: clock.now() + 2000 }),
+            createCodeEntry('PENCILONLY', { reward: { type: 'clicks', amount: '10' }, modes: ['pencil'] })
+        ]);
+
+        assert.equal(game.redeemCode('winter').message, 'This code is not active yet.');
+        clock.advance(1000);
+        assert.equal(game.redeemCode('winter').status, 'success');
+        assert.deepEqual(game.getActiveBuffs().map(buff => buff.id), ['clickFrenzy']);
+        clock.advance(1000);
+        assert.equal(game.redeemCode('winter').message, 'This code has expired.');
+
+        assert.equal(game.redeemCode('pencilonly').message, 'This code only works in Titus Clicker.');
+    });
+
+    test('codes without a redemption limit can be redeemed again', () => {
+        const { game } = setupGame();
+        game.setCodes([createCodeEntry('REFILL', { reward: { type: 'clicks', amount: '1' }, maxRedemptions: null })]);
+        assert.equal(game.redeemCode('refill').message, 'Code REDEEMED! You gained 1 click!');
+        assert.equal(game.redeemCode('refill').status, 'success');
+        assert.equal(game.state.clicks.toNumber(), 2);
+    });
+
+    test('the redemption history lists the newest code first', () => {
+        const { game, clock } = setupGame();
+        game.redeemCode('BORNTOCODE');
+        clock.advance(5000);
+        game.redeemCode('ADMIN');
+
+        const history = game.getCodeRedemptions();
+        assert.deepEqual(history.map(item => item.id), ['admin-panel', 'born-to-code']);
+        assert.equal(history[0].label, 'Unlocked the Admin tab');
+        assert.equal(history[0].redeemedAt, clock.now());
+    });
+});
+
+describe('game events', () => {
+    /**
+     * Records every event a game emits as [type, detail].
+     */
+    function recordEvents(game) {
+        const events = [];
+        game.subscribe((type, detail) => {
+            if (type !== 'change') events.push([type, detail]);
+        });
+        return events;
+    }
+
+    test('clicks, purchases and failed purchases are announced', () => {
+        const { game } = setupAdminGame();
+        const events = recordEvents(game);
+        game.buyUpgrade('cpuOverclock');
+        game.setClicks(10);
+        game.click();
+        game.buyUpgrade('cpuOverclock');
+
+        const announced = events.filter(([type]) => type !== 'achievement' && type !== 'admin-history');
+        assert.deepEqual(announced.map(([type]) => type), ['purchase-failed', 'click', 'purchase']);
+        assert.equal(announced[0][1].reason, 'Not enough clicks.');
+        assert.equal(announced[2][1].id, 'cpuOverclock');
+        assert.equal(announced[2][1].cost.toNumber(), 10);
+    });
+
+    test('code results, mode switches and resets are announced', () => {
+        const { game } = setupGame();
+        const codes = [];
+        game.on('code-redeemed', detail => codes.push(detail.status));
+        const events = recordEvents(game);
+
+        game.redeemCode('nope');
+        game.redeemCode('kaitlynclark');
+        game.resetProgress();
+
+        assert.deepEqual(codes, ['error', 'success']);
+        const switched = events.find(([type]) => type === 'mode-switched');
+        assert.deepEqual(switched[1], { mode: 'pencil', previousMode: 'crypto' });
+        assert.deepEqual(events.at(-1), ['reset', { isHard: false }]);
+    });
+
+    test('a save that cannot be written is announced instead of thrown', () => {
+        const storage = createMemoryStorage();
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        game.load();
+        const events = recordEvents(game);
+        storage.setItem = () => { throw new Error('Quota exceeded'); };
+
+        game.save();
+        assert.deepEqual(events.map(([type]) => type), ['save-failed']);
+        assert.equal(events[0][1].error.message, 'Quota exceeded');
+    });
+});
+
+describe('mode switching', () => {
+    test('locked modes cannot be switched to', () => {
+        const { game } = setupGame();
+        assert.equal(game.isModeUnlocked('pencil'), false);
+        assert.deepEqual(game.getUnlockedModes().map(mode => mode.id), ['crypto', 'bottles']);
+        assert.equal(game.switchMode('pencil'), false);
+        assert.equal(game.switchMode('missing'), false);
+    });
+
+    test('modes with their own page are not run by the clicker core', () => {
+        const { game } = setupGame({ [GAME_MODE_KEY]: 'bottles' });
+        assert.equal(game.mode, 'crypto');
+        assert.equal(game.isModeUnlocked('bottles'), true);
+        assert.equal(game.switchMode('bottles'), false);
+    });
+
+    test('redeeming an unlock code stores the unlock', () => {
+        const { game, storage } = setupGame();
+        game.redeemCode('KAITLYNCLARK');
+        assert.deepEqual(JSON.parse(storage.getItem(UNLOCKED_MODES_KEY)), ['pencil']);
+        assert.deepEqual(game.getUnlockedModes().map(mode => mode.id), ['crypto', 'pencil', 'bottles']);
+
+        game.hardReset();
+        assert.equal(storage.getItem(UNLOCKED_MODES_KEY), null);
+    });
+
+    test('an existing save counts as unlocked', () => {
+        const { game } = setupGame({ [PENCIL_KEY]: JSON.stringify({ version: SAVE_VERSION, clicks: '3', upgrades: {} }) });
+        assert.equal(game.isModeUnlocked('pencil'), true);
+    });
+
+    test('each mode keeps its own save', () => {
+        const { game, storage } = setupGame({ [UNLOCKED_MODES_KEY]: '["pencil"]' });
+        game.click();
+        game.switchMode('pencil');
+
+        assert.equal(storage.getItem(GAME_MODE_KEY), 'pencil');
+        assert.equal(game.state.clicks.toNumber(), 0);
+        assert.ok(game.getUpgradeConfig('sharpenDih'));
+        assert.equal(JSON.parse(storage.getItem(CRYPTO_KEY)).clicks, '1');
+
+        game.switchMode('crypto');
+        assert.equal(game.state.clicks.toNumber(), 1);
+        assert.equal(game.state.stats.modeSwitches, 1);
+    });
+
+    test('the saved mode is restored by a new game instance', () => {
+        const { storage } = setupGame({ [GAME_MODE_KEY]: 'pencil' });
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        assert.equal(game.mode, 'pencil');
+        assert.equal(game.switchMode('pencil'), false);
+    });
+});
+
+describe('saving and loading', () => {
+    test('serialize stores big numbers as strings and round-trips', () => {
+        const { game, storage, clock } = setupAdminGame();
+        game.setClicks(BigNumber.from('1.5e400'));
+        game.save();
+
+        const saved = JSON.parse(storage.getItem(CRYPTO_KEY));
+        assert.equal(saved.clicks, '1.5e400');
+        assert.equal(saved.version, SAVE_VERSION);
+        assert.equal(saved.totalUpgrades, undefined);
+        assert.equal(saved.lastSaved, clock.now());
+
+        const reloaded = createGame({ storage, clock, logger: silentLogger });
+        reloaded.load();
+        assert.equal(reloaded.state.clicks.toString(), '1.5e400');
+    });
+
+    test('legacy pencil saves are migrated to registry ids', () => {
+        const legacySave = JSON.stringify({ clicks: 50, upgrades: { cpuOverclock: { level: 2, cost: 22 } } });
+        const { game } = setupGame({ [GAME_MODE_KEY]: 'pencil', [PENCIL_KEY]: legacySave });
+        assert.equal(game.getUpgradeLevel('sharpenDih'), 2);
+        assert.equal(game.state.cpc.toNumber(), 3);
+        assert.equal(game.state.clicks.toNumber(), 50);
+    });
+
+    test('version 4 admin override flags are migrated to override modifiers', () => {
+        const save = JSON.stringify({ version: 4, clicks: '0', cpc: '250', cps: '7', isCpcOverridden: true, isCpsOverridden: false, upgrades: {} });
+        const { game } = setupGame({ [CRYPTO_KEY]: save });
+        assert.deepEqual(game.state.adminOverrides, { cpc: '250' });
+        assert.equal(game.state.cpc.toNumber(), 250);
+        assert.equal(game.state.cps.toNumber(), 0);
+        assert.equal(game.state.isCpcOverridden, undefined);
+    });
+
+    test('version 5 saves with the admin panel unlocked keep admin access but are locked and marked modified', () => {
+        const save = JSON.stringify({ version: 5, clicks: '0', upgrades: {}, isAdminUnlocked: true, lastSaved: 1000 });
+        const { game } = setupGame({ [CRYPTO_KEY]: save });
+        assert.equal(game.state.hasAdminAccess, true);
+        assert.equal(game.state.isAdminUnlocked, false);
+        assert.equal(game.getAdminLog()[0].at, 1000);
+        assert.equal(game.isModified(), true);
+    });
+
+    test('invalid saves are quarantined and reported', () => {
+        const events = [];
+        const storage = createMemoryStorage({ [CRYPTO_KEY]: '{broken' });
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        game.subscribe((type, detail) => events.push({ type, detail }));
+        game.load();
+
+        const loadEvent = events.find(event => event.type === 'load');
+        assert.match(loadEvent.detail.saveWarning, /not valid JSON/);
+        assert.equal(JSON.parse(storage.getItem(`${CRYPTO_KEY}Quarantine`)).data, '{broken');
+        assert.equal(game.state.clicks.toNumber(), 0);
+    });
+
+    test('saves from a newer version are not loaded', () => {
+        const { game, storage } = setupGame({ [CRYPTO_KEY]: JSON.stringify({ version: SAVE_VERSION + 1, clicks: '5', upgrades: {} }) });
+        assert.equal(game.state.clicks.toNumber(), 0);
+        assert.ok(storage.getItem(`${CRYPTO_KEY}Quarantine`));
+    });
+
+    test('offline progress is credited at reduced efficiency and capped', () => {
+        const clock = createFakeClock();
+        const awaySeconds = OFFLINE_PROGRESS_CONFIG.maxSeconds * 2;
+        const save = JSON.stringify({
+            version: SAVE_VERSION,
+            clicks: '0',
+            upgrades: { gpuMiner: { level: 2 } },
+            lastSaved: clock.now() - awaySeconds * 1000
+        });
+        const game = createGame({ storage: createMemoryStorage({ [CRYPTO_KEY]: save }), clock, logger: silentLogger });
+        let report = null;
+        game.subscribe((type, detail) => { if (type === 'load') report = detail.offlineReport; });
+        game.load();
+
+        const expected = 10 * OFFLINE_PROGRESS_CONFIG.maxSeconds * OFFLINE_PROGRESS_CONFIG.efficiency;
+        assert.equal(game.state.clicks.toNumber(), expected);
+        assert.equal(report.isCapped, true);
+    });
+
+    test('save exports round-trip through parseSaveExport', () => {
+        const { game } = setupGame();
+        game.click();
+        const saveString = game.createSaveExport();
+
+        const data = parseSaveExport(saveString, silentLogger);
+        assert.equal(data.mode, 'crypto');
+        assert.equal(data.saves.crypto.clicks, '1');
+        assert.equal(data.saves.pencil, null);
+
+        const damaged = saveString.slice(0, -1) + (saveString.endsWith('0') ? '1' : '0');
+        assert.throws(() => parseSaveExport(damaged, silentLogger), /Checksum mismatch/);
+    });
+
+    test('nothing is written while canSave() refuses', () => {
+        const storage = createMemoryStorage();
+        let isAllowed = false;
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger, canSave: () => isAllowed });
+        game.load();
+        game.click();
+        game.save();
+        assert.equal(game.switchMode('pencil'), false);
+        assert.deepEqual(storage.keys(), []);
+
+        isAllowed = true;
+        game.save();
+        assert.equal(JSON.parse(storage.getItem(CRYPTO_KEY)).clicks, '1');
+    });
+
+    test('a read-only instance cannot reset, hard reset or import over the saves', () => {
+        const { game: owner, storage } = setupGame();
+        owner.click();
+        owner.save();
+        const exported = parseSaveExport(owner.createSaveExport(), silentLogger);
+        const before = storage.getItem(CRYPTO_KEY);
+        const keysBefore = storage.keys();
+
+        const readOnly = createGame({ storage, clock: createFakeClock(), logger: silentLogger, canSave: () => false });
+        readOnly.load();
+        assert.equal(readOnly.resetProgress(), false);
+        assert.equal(readOnly.hardReset(), false);
+        assert.equal(readOnly.applySaveImport({ ...exported, saves: {} }), false);
+        assert.equal(storage.getItem(CRYPTO_KEY), before);
+        assert.deepEqual(storage.keys(), keysBefore);
+    });
+
+    test('a reset keeps prestige data and stops further saving', () => {
+        const { game, storage } = setupGame();
+        game.state.prestige.points = 3;
+        game.resetProgress();
+
+        assert.deepEqual(JSON.parse(storage.getItem(CRYPTO_KEY)).prestige.points, 3);
+        game.click();
+        game.save();
+        assert.equal(JSON.parse(storage.getItem(CRYPTO_KEY)).clicks, 0);
+    });
+});
+
+describe('stat modifiers', () => {
+    test('modifiers run in order: additions, then multipliers', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(100);
+        game.buyUpgrade('gpuMiner');
+
+        game.addModifier({ id: 'double', stat: 'cps', type: 'multiply', value: 2, order: MODIFIER_ORDER.buffs });
+        game.addModifier({ id: 'flat', stat: 'cps', type: 'add', value: 3, order: MODIFIER_ORDER.upgrades + 1 });
+        assert.equal(game.state.cps.toNumber(), (5 + 3) * 2);
+
+        assert.equal(game.removeModifier('double'), true);
+        assert.equal(game.removeModifier('double'), false);
+        assert.equal(game.state.cps.toNumber(), 8);
+    });
+
+    test('invalid modifiers are rejected', () => {
+        const { game } = setupGame();
+        assert.throws(() => game.addModifier({ id: 'bad', stat: 'luck', type: 'add', value: 1 }), /unknown stat/);
+        assert.throws(() => game.addModifier({ id: 'bad', stat: 'cpc', type: 'divide', value: 1 }), /unknown type/);
+        assert.throws(() => game.addModifier({ id: 'bad', stat: 'cpc', type: 'add', value: 'lots' }), /invalid value/);
+    });
+
+    test('a modifier with an expiry time is removed by the game loop', () => {
+        const { game, clock } = setupGame();
+        game.addModifier({ id: 'frenzy', stat: 'cpc', type: 'multiply', value: 7, expiresAt: clock.now() + 1000 });
+        assert.equal(game.state.cpc.toNumber(), 7);
+
+        clock.advance(1000);
+        game.update();
+        assert.equal(game.state.cpc.toNumber(), 1);
+        assert.equal(game.getModifiers('cpc').length, 0);
+    });
+
+    test('the breakdown lists every source, ending with an admin override', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(100);
+        game.buyUpgrade('cpuOverclock');
+        game.addModifier({ id: 'buff', stat: 'cpc', type: 'multiply', value: 3, order: MODIFIER_ORDER.buffs, source: "Lucky Streak" });
+        game.setCpc(1000);
+
+        const breakdown = game.getStatBreakdown('cpc');
+        assert.equal(breakdown.base.toNumber(), 1);
+        assert.deepEqual(breakdown.steps.map(step => step.modifier.source), ["CPU Overclock (Lv 1)", "Lucky Streak", "Admin Override"]);
+        assert.deepEqual(breakdown.steps.map(step => step.result.toNumber()), [2, 6, 1000]);
+        assert.equal(breakdown.value.toNumber(), 1000);
+    });
+});
+
+describe('random events and buffs', () => {
+    /**
+     * Creates a loaded game whose events are drawn from a seeded generator.
+     */
+    function setupEventGame(seed, initialItems = {}) {
+        const storage = createMemoryStorage(initialItems);
+        const clock = createFakeClock();
+        const game = createGame({ storage, clock, logger: silentLogger, random: createRandom(seed) });
+        game.load();
+        return { game, storage, clock };
+    }
+
+    /**
+     * Runs the game loop until a target of the wanted event appears, then returns it.
+     */
+    function waitForEvent(game, clock, eventId) {
+        for (let i = 0; i < 100; i++) {
+            clock.advance(RANDOM_EVENT_CONFIG.maxDelaySeconds * 1000);
+            game.update();
+            const target = game.getRandomEventTarget();
+            if (target?.eventId === eventId) return target;
+            if (target) game.claimRandomEvent(target.id);
+        }
+        throw new Error(`No ${eventId} event appeared.`);
+    }
+
+    test('the same seed spawns the same targets', () => {
+        const first = setupEventGame(1234);
+        const second = setupEventGame(1234);
+        first.clock.advance(RANDOM_EVENT_CONFIG.maxDelaySeconds * 1000);
+        first.game.update();
+        second.clock.advance(RANDOM_EVENT_CONFIG.maxDelaySeconds * 1000);
+        second.game.update();
+
+        assert.ok(first.game.getRandomEventTarget());
+        assert.deepEqual(first.game.getRandomEventTarget(), second.game.getRandomEventTarget());
+    });
+
+    test('an unclaimed target disappears after its lifetime', () => {
+        const { game, clock } = setupEventGame(5);
+        const events = [];
+        game.subscribe(type => events.push(type));
+        clock.advance(RANDOM_EVENT_CONFIG.maxDelaySeconds * 1000);
+        game.update();
+        const target = game.getRandomEventTarget();
+        assert.ok(events.includes('randomEvent'));
+
+        clock.advance(RANDOM_EVENT_CONFIG.lifetimeSeconds * 1000);
+        game.update();
+        assert.equal(game.getRandomEventTarget(), null);
+        assert.equal(game.claimRandomEvent(target.id), null);
+    });
+
+    test('a lump sum pays the larger of its CPS and CP amounts', () => {
+        const { game, clock } = setupEventGame(99);
+        const target = waitForEvent(game, clock, 'luckyFind');
+        const before = game.state.clicks;
+        const result = game.claimRandomEvent(target.id);
+        assert.equal(result.clicksGained.toNumber(), 50); // No CPS yet, so 50 clicks' worth of CP
+        assert.equal(game.state.clicks.sub(before).toNumber(), 50);
+    });
+
+    test('buffs multiply their stat until they expire and survive a reload', () => {
+        const { game, storage, clock } = setupEventGame(7);
+        const target = waitForEvent(game, clock, 'clickFrenzy');
+        game.claimRandomEvent(target.id);
+        assert.equal(game.state.cpc.toNumber(), 10);
+        assert.equal(game.getActiveBuffs()[0].remainingSeconds, 15);
+
+        clock.advance(5000);
+        game.update();
+        game.save();
+        const reloaded = createGame({ storage, clock, logger: silentLogger, random: createRandom(7) });
+        reloaded.load();
+        assert.equal(reloaded.state.cpc.toNumber(), 10);
+        assert.equal(reloaded.getActiveBuffs()[0].remainingSeconds, 10);
+
+        clock.advance(10000);
+        reloaded.update();
+        assert.equal(reloaded.state.cpc.toNumber(), 1);
+        assert.deepEqual(reloaded.getActiveBuffs(), []);
+        assert.deepEqual(reloaded.state.buffs, {});
+    });
+
+    test('a buff stops paying when it expires during a long backlog', () => {
+        const { game, clock } = setupEventGame(11);
+        game.addModifier({ id: 'test:base', stat: 'cps', type: 'add', value: 10 });
+        const target = waitForEvent(game, clock, 'overdrive');
+        game.claimRandomEvent(target.id);
+        const before = game.state.totalClicksEarned;
+
+        clock.advance(60 * 60 * 1000);
+        game.update();
+        // 60 seconds at x7, then 3540 seconds at the base 10 CPS
+        assert.ok(Math.abs(game.state.totalClicksEarned.sub(before).toNumber() - 39600) < 1e-6);
+        assert.deepEqual(game.getActiveBuffs(), []);
+    });
+});
+
+describe('game loop', () => {
+    test('update runs fixed steps for the elapsed time and keeps fractional CPS', () => {
+        const { game, clock } = setupAdminGame();
+        game.setCps(0.4);
+
+        clock.advance(2500);
+        game.update();
+        assert.ok(Math.abs(game.state.clicks.toNumber() - 1) < 1e-9);
+        assert.ok(Math.abs(game.state.stats.timePlayed - 2.5) < 1e-9);
+    });
+
+    test('a long backlog is applied in large steps', () => {
+        const { game, clock } = setupAdminGame();
+        game.setCps(10);
+
+        clock.advance(60 * 1000);
+        game.update();
+        assert.ok(Math.abs(game.state.clicks.toNumber() - 600) < 1e-6);
+    });
+});
+
+describe('stats history and session metrics', () => {
+    test('the game loop samples stats at a fixed interval and the samples are saved', () => {
+        const { game, storage, clock } = setupAdminGame();
+        game.setCps(2);
+
+        for (let i = 0; i < 3; i++) {
+            clock.advance(STATS_HISTORY_CONFIG.sampleIntervalSeconds * 1000);
+            game.update();
+        }
+        assert.equal(game.state.history.length, 3);
+        assert.equal(game.state.history[2].clicks, String(2 * 3 * STATS_HISTORY_CONFIG.sampleIntervalSeconds));
+
+        game.save();
+        assert.equal(JSON.parse(storage.getItem(CRYPTO_KEY)).history.length, 3);
+    });
+
+    test('a full history thins out its older half instead of growing', () => {
+        const { game, clock } = setupGame();
+        for (let i = 0; i < STATS_HISTORY_CONFIG.maxSamples + 10; i++) {
+            clock.advance(STATS_HISTORY_CONFIG.sampleIntervalSeconds * 1000);
+            game.update();
+        }
+        assert.ok(game.state.history.length <= STATS_HISTORY_CONFIG.maxSamples);
+        const times = game.state.history.map(sample => sample.t);
+        assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    });
+
+    test('history windows filter old samples and end with the current state', () => {
+        const clock = createFakeClock();
+        const storage = createMemoryStorage({
+            [CRYPTO_KEY]: JSON.stringify({ version: SAVE_VERSION, clicks: '5', upgrades: {}, history: [
+                { t: clock.now() - 2 * 24 * 60 * 60 * 1000, clicks: '1', cps: '0', totalClicksEarned: '1', totalClicksSpent: '0' },
+                { t: clock.now() - 60 * 1000, clicks: '5', cps: '0', totalClicksEarned: '5', totalClicksSpent: '0' },
+                { t: 'broken' }
+            ] })
+        });
+        const game = createGame({ storage, clock, logger: silentLogger });
+        game.load();
+
+        assert.equal(game.state.history.length, 2);
+        assert.equal(game.getStatsHistory('all').length, 3);
+        assert.equal(game.getStatsHistory('day').length, 2);
+        assert.equal(game.getStatsHistory('session').length, 1);
+    });
+
+    test('session metrics count manual clicks, the peak click rate and upgrade spending', () => {
+        const { game, clock } = setupGame();
+        for (let i = 0; i < 12; i++) game.click();
+        clock.advance(1500);
+        game.update();
+        game.click();
+
+        assert.equal(game.buyUpgrade('cpuOverclock'), true);
+        assert.equal(game.state.totalClicksSpent.toNumber(), 10);
+
+        const sessionStats = game.getSessionStats();
+        assert.equal(sessionStats.manualClicks, 13);
+        assert.equal(sessionStats.peakClicksPerSecond, 12);
+        assert.equal(sessionStats.upgrades.cpuOverclock.spent.toNumber(), 10);
+        assert.deepEqual(sessionStats.upgrades.cpuOverclock.levels, [{ level: 1, seconds: sessionStats.playTime }]);
+    });
+
+    test('leaderboard stats keep the peak CPS and flag admin changes', () => {
+        const { game, storage } = setupAdminGame();
+        game.setCps(50);
+        game.setCps(20);
+
+        const stats = game.getLeaderboardStats();
+        assert.equal(stats.mode, 'crypto');
+        assert.equal(stats.peakCps, '50');
+        assert.equal(stats.isModified, true);
+
+        game.save();
+        const reloaded = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        reloaded.load();
+        assert.equal(reloaded.state.peakCps.toNumber(), 50);
+        assert.equal(setupGame().game.getLeaderboardStats().isModified, false);
+    });
+});
+
+describe('achievements and prestige', () => {
+    test('achievements unlock once, emit an event and apply their bonus', () => {
+        const { game } = setupAdminGame();
+        const unlocked = [];
+        game.subscribe((type, detail) => { if (type === 'achievement') unlocked.push(detail.achievement.id); });
+
+        game.setClicks(999);
+        game.click();
+        assert.deepEqual(unlocked, ['firstClick', 'clicks1k']);
+        assert.equal(game.state.cpc.toNumber(), 1.01);
+
+        game.click();
+        assert.equal(unlocked.length, 2);
+    });
+
+    test('prestige awards points and resets the mode', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(4e6);
+        game.setClicks(0);
+        game.setClicks(100);
+        game.buyUpgrade('cpuOverclock');
+
+        assert.equal(game.getPrestigePointsAvailable(), 2);
+        assert.equal(game.performPrestige(), 2);
+        assert.equal(game.state.clicks.toNumber(), 0);
+        assert.equal(game.getUpgradeLevel('cpuOverclock'), 0);
+        assert.equal(game.getPrestigePointsAvailable(), 0);
+
+        assert.equal(game.buyPrestigeUpgrade('clickMastery'), true);
+        assert.equal(game.state.prestige.points, 1);
+        assert.equal(game.getPrestigeBonus().cpcPercent, 10);
+    });
+});
+
+describe('admin tools', () => {
+    test('admin changes can be undone and redone', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(500);
+        game.setUpgradeLevel('gpuMiner', 3);
+        assert.deepEqual(game.getAdminHistory().undo, ['Set GPU Miner to level 3', 'Set clicks to 500']);
+
+        assert.equal(game.undoAdminChange(), 'Set GPU Miner to level 3');
+        assert.equal(game.getUpgradeLevel('gpuMiner'), 0);
+        assert.equal(game.state.cps.toNumber(), 0);
+        assert.equal(game.undoAdminChange(), 'Set clicks to 500');
+        assert.equal(game.state.clicks.toNumber(), 0);
+        assert.equal(game.undoAdminChange(), null);
+
+        assert.equal(game.redoAdminChange(), 'Set clicks to 500');
+        assert.equal(game.state.clicks.toNumber(), 500);
+        assert.deepEqual(game.getAdminHistory(), { undo: ['Set clicks to 500'], redo: ['Set GPU Miner to level 3'] });
+
+        game.setCps(7);
+        assert.deepEqual(game.getAdminHistory().redo, []);
+    });
+
+    test('undo only reverts what the admin change touched', () => {
+        const { game } = setupAdminGame();
+        game.setCps(10);
+        game.click();
+        game.undoAdminChange();
+        assert.equal(game.state.adminOverrides.cps, undefined);
+        assert.equal(game.state.clicks.toNumber(), 1);
+    });
+
+    test('the history is limited and cleared when another save is loaded', () => {
+        const { game } = setupAdminGame();
+        for (let i = 1; i <= ADMIN_CONFIG.historyLimit + 5; i++) game.setClicks(i);
+        assert.equal(game.getAdminHistory().undo.length, ADMIN_CONFIG.historyLimit);
+
+        game.load();
+        assert.deepEqual(game.getAdminHistory(), { undo: [], redo: [] });
+    });
+
+    test('diffStates lists changed paths', () => {
+        const changes = diffStates({ a: 1, b: { c: 2, d: [1] } }, { a: 1, b: { c: 3, e: true, d: [1] } });
+        assert.deepEqual(changes, [
+            { path: ['b', 'c'], before: 2, after: 3 },
+            { path: ['b', 'e'], before: undefined, after: true }
+        ]);
+    });
+
+    test('the state editor rejects invalid state and applies valid state as one change', () => {
+        const { game } = setupAdminGame();
+        const state = game.getAdminState();
+        assert.equal(state.lastSaved, undefined);
+
+        assert.throws(() => game.setAdminState([]), /JSON object/);
+        assert.throws(() => game.setAdminState({ ...state, version: 1 }), /"version" must stay/);
+        assert.throws(() => game.setAdminState({ ...state, clicks: 'lots' }), /Clicks are missing or invalid/);
+        assert.throws(() => game.setAdminState({ ...state, cps: 'fast' }), /"cps" must be a number/);
+        assert.throws(() => game.setAdminState({ ...state, stats: { ...state.stats, modeSwitches: '2' } }), /"stats.modeSwitches" must be a number/);
+        assert.throws(() => game.setAdminState({ ...state, history: {} }), /"history" must be a list/);
+        assert.throws(() => game.setAdminState({ ...state, upgrades: { ...state.upgrades, shovel: { level: 1 } } }), /not an upgrade of Crypto Clicker/);
+        assert.deepEqual(game.getAdminHistory().undo, []);
+
+        game.setAdminState({ ...state, clicks: '1e400', upgrades: { ...state.upgrades, cpuOverclock: { level: 4 } } });
+        assert.equal(game.state.clicks.toString(), '1e400');
+        assert.equal(game.state.cpc.toNumber(), 5);
+        assert.deepEqual(game.getAdminHistory().undo, ['Edited the game state']);
+
+        game.undoAdminChange();
+        assert.equal(game.state.clicks.toNumber(), 0);
+        assert.equal(game.state.cpc.toNumber(), 1);
+    });
+
+    test('a time-skip runs the economy forward and expires timers', () => {
+        const { game, clock } = setupAdminGame();
+        game.setCps(2);
+        game.addModifier({ id: 'test:boost', stat: 'cps', type: 'add', value: 8, order: MODIFIER_ORDER.admin + 1, source: "Test", expiresAt: clock.now() + 60 * 1000 });
+        assert.equal(game.state.cps.toNumber(), 10);
+
+        const { clicksEarned } = game.simulateTime(10 * 60);
+        assert.equal(clicksEarned.toNumber(), 60 * 10 + 540 * 2);
+        assert.equal(game.state.cps.toNumber(), 2);
+        assert.equal(game.state.stats.timePlayed, 600);
+        assert.equal(game.state.history.length, 600 / 30);
+        assert.equal(game.getAdminHistory().undo[0], 'Skipped 10 minutes');
+
+        assert.throws(() => game.simulateTime(0), /time to skip/);
+        assert.throws(() => game.simulateTime(ADMIN_CONFIG.maxTimeSkipSeconds + 1), /time to skip/);
+    });
+
+    test('named snapshots are saved and loaded back as an undoable change', () => {
+        const { game, storage } = setupAdminGame();
+        game.setClicks(1234);
+        game.saveSnapshot(' rich start ');
+        game.setClicks(1);
+
+        assert.deepEqual(game.getSnapshots().map(snapshot => snapshot.name), ['rich start']);
+        game.loadSnapshot('rich start');
+        assert.equal(game.state.clicks.toNumber(), 1234);
+        assert.equal(game.getAdminHistory().undo[0], 'Loaded snapshot "rich start"');
+
+        assert.throws(() => game.loadSnapshot('missing'), /no snapshot named/);
+        assert.throws(() => game.saveSnapshot('  '), /snapshot name/);
+
+        // Snapshots survive a hard reset and are only loaded in their own mode
+        game.hardReset();
+        const other = createGame({ storage, clock: createFakeClock(), logger: silentLogger, adminPassphraseHash: TEST_ADMIN_PASSPHRASE_HASH });
+        storage.setItem(UNLOCKED_MODES_KEY, '["pencil"]');
+        other.load();
+        other.switchMode('pencil');
+        other.unlockAdmin(TEST_ADMIN_PASSPHRASE);
+        assert.throws(() => other.loadSnapshot('rich start'), /Crypto Clicker snapshot/);
+
+        assert.equal(other.deleteSnapshot('rich start'), true);
+        assert.deepEqual(JSON.parse(storage.getItem(ADMIN_SNAPSHOTS_KEY)), {});
+    });
+});
+
+describe('admin access and audit log', () => {
+    test('the panel is unlocked with the configured passphrase and can be locked again', () => {
+        const { game } = setupGame();
+        assert.equal(game.hasAdminPassphrase(), true);
+        assert.equal(game.unlockAdmin('wrong horse'), false);
+        assert.equal(game.state.isAdminUnlocked, false);
+        assert.equal(game.unlockAdmin(TEST_ADMIN_PASSPHRASE), true);
+        assert.equal(game.state.isAdminUnlocked, true);
+
+        game.lockAdmin();
+        assert.equal(game.state.isAdminUnlocked, false);
+        assert.deepEqual(game.getAdminLog().map(entry => entry.action), ["Locked the admin panel", "Unlocked the admin panel"]);
+    });
+
+    test('without a configured passphrase the panel cannot be unlocked', () => {
+        const game = createGame({ storage: createMemoryStorage(), clock: createFakeClock(), logger: silentLogger });
+        game.load();
+        assert.equal(game.hasAdminPassphrase(), false);
+        assert.equal(game.unlockAdmin(''), false);
+        assert.equal(game.unlockAdmin(TEST_ADMIN_PASSPHRASE), false);
+        assert.equal(hashAdminPassphrase(TEST_ADMIN_PASSPHRASE), TEST_ADMIN_PASSPHRASE_HASH);
+    });
+
+    test('admin changes are refused while the panel is locked', () => {
+        const { game } = setupAdminGame();
+        game.setClicks(10);
+        game.saveSnapshot('start');
+        game.lockAdmin();
+        const state = game.getAdminState();
+
+        assert.throws(() => game.setClicks(500), /Unlock the admin panel first/);
+        assert.throws(() => game.setCpc(500), /Unlock the admin panel first/);
+        assert.throws(() => game.setCps(500), /Unlock the admin panel first/);
+        assert.throws(() => game.setUpgradeLevel('gpuMiner', 3), /Unlock the admin panel first/);
+        assert.throws(() => game.setAdminState({ ...state, clicks: '500' }), /Unlock the admin panel first/);
+        assert.throws(() => game.simulateTime(60), /Unlock the admin panel first/);
+        assert.throws(() => game.loadSnapshot('start'), /Unlock the admin panel first/);
+        assert.throws(() => game.undoAdminChange(), /Unlock the admin panel first/);
+        assert.throws(() => game.saveSnapshot('other'), /Unlock the admin panel first/);
+        assert.throws(() => game.deleteSnapshot('start'), /Unlock the admin panel first/);
+        assert.deepEqual(game.getAdminState(), state);
+        assert.deepEqual(game.getSnapshots().map(snapshot => snapshot.name), ['start']);
+    });
+
+    test('admin changes are logged field by field, including undo', () => {
+        const { game, clock } = setupGame();
+        assert.equal(game.isModified(), false);
+        game.unlockAdmin(TEST_ADMIN_PASSPHRASE);
+
+        game.setClicks(250);
+        clock.advance(1000);
+        game.undoAdminChange();
+
+        const log = game.getAdminLog();
+        assert.deepEqual(log.map(({ action, field, oldValue, newValue }) => [action, field, oldValue, newValue]), [
+            ['Undid: Set clicks to 250', 'totalClicksEarned', '250', '0'],
+            ['Undid: Set clicks to 250', 'clicks', '250', '0'],
+            ['Set clicks to 250', 'totalClicksEarned', '0', '250'],
+            ['Set clicks to 250', 'clicks', '0', '250'],
+            ['Unlocked the admin panel', 'isAdminUnlocked', false, true]
+        ]);
+        assert.equal(log[0].at, clock.now());
+        assert.equal(game.isModified(), true);
+    });
+
+    test('the audit log cannot be edited away and survives a progress reset', () => {
+        const { game, storage, clock } = setupAdminGame();
+        game.setClicks(5);
+        const state = game.getAdminState();
+        assert.equal(state.adminLog, undefined);
+
+        game.setAdminState({ ...state, adminLog: [] });
+        assert.equal(game.getAdminLog().length, 3);
+
+        game.resetProgress();
+        const reloaded = createGame({ storage, clock, logger: silentLogger });
+        reloaded.load();
+        assert.equal(reloaded.getAdminLog().length, 3);
+        assert.equal(reloaded.isModified(), true);
+    });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGame } from '../game-core.js';
+import { GAME_MODES, registerGameMode } from '../game-modes.js';
+import { hashCode } from '../redeem-codes.js';
+import { createMemoryStorage, createFakeClock, silentLogger } from './helpers.js';
+
+const SEASONAL_MODE = {
+    id: 'seasonal',
+    name: "Snow Clicker",
+    title: "SNOW CLICKER",
+    saveKey: 'snowClickerSave',
+    theme: { className: 'snow-mode' },
+    isLocked: true,
+    upgrades: [
+        { id: 'shovel', name: "Shovel", description: "Adds 1 CP.", baseCost: 10, costMultiplier: 1.5, cpcBonus: 1, cpsBonus: 0, unlockAt: 0 }
+    ]
+};
+
+describe('game mode registry', () => {
+    test('the built-in modes are registered in order', () => {
+        assert.deepEqual(Object.keys(GAME_MODES).slice(0, 3), ['crypto', 'pencil', 'bottles']);
+        assert.equal(GAME_MODES.bottles.page, './bottles.html');
+        assert.equal(GAME_MODES.pencil.isLocked, true);
+        assert.equal(GAME_MODES.crypto.isLocked, false);
+    });
+
+    test('registration fills in defaults and rejects incomplete or duplicate modes', () => {
+        const mode = registerGameMode(SEASONAL_MODE);
+        assert.equal(mode.clickerImage, null);
+        assert.equal(mode.theme.className, 'snow-mode');
+        assert.equal(mode.theme.clickerShape, 'clicker-button-round');
+
+        assert.throws(() => registerGameMode(SEASONAL_MODE), /already registered/);
+        assert.throws(() => registerGameMode({ ...SEASONAL_MODE, id: 'other' }), /save key/);
+        assert.throws(() => registerGameMode({ id: 'broken' }), /needs an id/);
+    });
+
+    test('a registered mode is playable, saved and reset like the built-in ones', () => {
+        const storage = createMemoryStorage();
+        const codes = [{
+            id: 'snow', label: "Snow", hash: hashCode('LETITSNOW'), reward: { type: 'mode', mode: 'seasonal' },
+            maxRedemptions: null, startsAt: null, expiresAt: null, modes: null, message: null
+        }];
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger, codes });
+        game.load();
+
+        assert.equal(game.isModeUnlocked('seasonal'), false);
+        assert.equal(game.redeemCode('letitsnow').status, 'success');
+        assert.equal(game.mode, 'seasonal');
+        assert.equal(game.config.title, "SNOW CLICKER");
+        game.click();
+        game.save();
+        assert.equal(JSON.parse(storage.getItem('snowClickerSave')).clicks, '1');
+
+        game.hardReset();
+        assert.equal(storage.getItem('snowClickerSave'), null);
+    });
+});
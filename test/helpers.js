@@ -0,0 +1,46 @@
+// Shared fakes for the game core tests.
+
+import { readFileSync } from 'node:fs';
+
+import { parseCodeRegistry } from '../redeem-codes.js';
+import { RANDOM_EVENTS, hashAdminPassphrase } from '../game-core.js';
+
+/**
+ * Creates an in-memory stand-in for localStorage.
+ */
+export function createMemoryStorage(initialItems = {}) {
+    const items = new Map(Object.entries(initialItems));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        keys: () => [...items.keys()]
+    };
+}
+
+/**
+ * Creates a clock whose time only moves when advance() is called.
+ */
+export function createFakeClock(startMs = 1700000000000) {
+    let nowMs = startMs;
+    return {
+        now: () => nowMs,
+        advance: ms => { nowMs += ms; }
+    };
+}
+
+// Logger that drops the game's [Tag] log lines
+export const silentLogger = { log() {}, warn() {}, error() {} };
+
+// Admin passphrase of test games created with adminPassphraseHash: TEST_ADMIN_PASSPHRASE_HASH
+export const TEST_ADMIN_PASSPHRASE = 'correct horse';
+export const TEST_ADMIN_PASSPHRASE_HASH = hashAdminPassphrase(TEST_ADMIN_PASSPHRASE);
+
+/**
+ * Parses the shipped code registry (codes.json), as the page does once it has loaded it.
+ */
+export function loadCodeEntries() {
+    const data = JSON.parse(readFileSync(new URL('../codes.json', import.meta.url), 'utf8'));
+    const knownBuffs = RANDOM_EVENTS.filter(event => event.reward.type === 'buff').map(event => event.id);
+    return parseCodeRegistry(data, { knownBuffs, logger: silentLogger });
+}
@@ -0,0 +1,150 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BigNumber } from '../big-number.js';
+import { createTranslator, createCodedError, registerLocale, matchLocale, findMissingMessages, LOCALES } from '../i18n.js';
+import { createGame, getRegistryTexts, translateEntry, parseSaveExport, encodeSaveExport, ACHIEVEMENTS } from '../game-core.js';
+import { checkCodeAvailability } from '../redeem-codes.js';
+import { normalizeEndpoint } from '../cloud-sync.js';
+import { createMemoryStorage, createFakeClock, silentLogger, loadCodeEntries } from './helpers.js';
+
+registerLocale({
+    id: 'xx',
+    name: "Test",
+    messages: {
+        'items': { one: "{count} Ding", other: "{count} Dinger" }
+    }
+});
+
+describe('translator', () => {
+    test('placeholders are filled in; numbers are formatted in the locale and notation', () => {
+        const i18n = createTranslator({ locale: 'de' });
+        assert.equal(i18n.t('codes.wrongMode', { modes: 'Titus Clicker' }), 'Dieser Code funktioniert nur in Titus Clicker.');
+        assert.equal(i18n.t('clicker.perSecond', { cps: 1234567.5 }), '+1.234.567,5/s');
+
+        i18n.setNotation('short');
+        assert.equal(i18n.t('clicker.perSecond', { cps: BigNumber.from('1234567') }), '+1,23M/s');
+        assert.equal(i18n.t('admin.setClicksHeading'), 'Klicks festlegen (Aktuell: {current})'); // Left for the UI to fill
+    });
+
+    test('plural messages pick their form by count', () => {
+        const en = createTranslator();
+        assert.equal(en.t('codes.clicks', { count: 1 }), 'Code REDEEMED! You gained 1 click!');
+        assert.equal(en.t('codes.clicks', { count: BigNumber.from(5000) }), 'Code REDEEMED! You gained 5,000 clicks!');
+        assert.equal(createTranslator({ locale: 'xx' }).t('items', { count: 0 }), '0 Dinger');
+    });
+
+    test('missing texts fall back to English and are reported once', () => {
+        const missing = [];
+        const i18n = createTranslator({ locale: 'xx', onMissing: (key, locale) => missing.push(`${locale}:${key}`) });
+        assert.equal(i18n.t('purchase.notEnoughClicks'), 'Not enough clicks.');
+        assert.equal(i18n.t('purchase.notEnoughClicks'), 'Not enough clicks.');
+        assert.equal(i18n.t('achievements.firstClick.name', {}, 'Hello World'), 'Hello World');
+        assert.equal(i18n.t('no.such.key'), 'no.such.key');
+        assert.deepEqual(missing, ['xx:purchase.notEnoughClicks', 'xx:achievements.firstClick.name', 'xx:no.such.key']);
+    });
+
+    test('English only reports keys without any text', () => {
+        const missing = [];
+        const i18n = createTranslator({ onMissing: key => missing.push(key) });
+        i18n.t('achievements.firstClick.name', {}, 'Hello World');
+        i18n.t('no.such.key');
+        assert.deepEqual(missing, ['no.such.key']);
+    });
+
+    test('durations and lists follow the locale', () => {
+        const i18n = createTranslator({ locale: 'de' });
+        assert.equal(i18n.formatDuration(8130), '2 Std. 15 Min.');
+        assert.equal(i18n.formatDuration(42), '42 Sek.');
+        assert.equal(i18n.formatOrList(['A', 'B']), 'A oder B');
+
+        assert.equal(i18n.setLocale('fr'), false);
+        assert.equal(i18n.setLocale('en'), true);
+        assert.equal(i18n.formatDuration(8130), '2h 15m');
+    });
+
+    test('the preferred browser languages pick the locale', () => {
+        assert.equal(matchLocale(['de-AT', 'en']), 'de');
+        assert.equal(matchLocale(['fr-FR', 'en-US']), 'en');
+        assert.equal(matchLocale(['fr']), 'en');
+        assert.equal(createTranslator({ locale: 'fr' }).locale, 'en');
+    });
+
+    test('locales need a catalog and a unique id', () => {
+        assert.throws(() => registerLocale({ id: 'yy', name: "Test" }), /catalog/);
+        assert.throws(() => registerLocale({ id: 'de', name: "Deutsch", messages: {} }), /already registered/);
+    });
+});
+
+describe('catalogs', () => {
+    test('German translates every text, including the registry texts', () => {
+        assert.deepEqual(findMissingMessages('de', getRegistryTexts()), []);
+    });
+
+    test('translations keep the placeholders of the English text', () => {
+        const placeholders = message => [...new Set(Object.values(typeof message === 'object' ? message : { message })
+            .join(' ').match(/\{\w+\}/g))].sort();
+        Object.entries(LOCALES.en.messages).forEach(([key, message]) => {
+            assert.deepEqual(placeholders(LOCALES.de.messages[key]), placeholders(message), key);
+        });
+    });
+
+    test('registry entries keep their English text as the default', () => {
+        const [achievement] = ACHIEVEMENTS;
+        assert.equal(translateEntry(createTranslator(), 'achievements', achievement, 'name'), achievement.name);
+        assert.equal(translateEntry(createTranslator({ locale: 'de' }), 'achievements', achievement, 'name'), 'Hallo Welt');
+    });
+});
+
+describe('translated game messages', () => {
+    test('the core reports in the translator locale and follows a locale switch', () => {
+        const translator = createTranslator({ locale: 'de' });
+        const game = createGame({ storage: createMemoryStorage(), clock: createFakeClock(), logger: silentLogger, codes: loadCodeEntries(), translator });
+        game.load();
+
+        assert.equal(game.redeemCode('BORNTOCODE').message, 'Code EINGELÖST! Du hast 5.000 Klicks erhalten!');
+        assert.equal(game.redeemCode('').message, 'Bitte gib einen Code ein.');
+
+        game.buyUpgrade('cpuOverclock');
+        assert.equal(game.getModifiers('cpc').find(modifier => modifier.id.startsWith('upgrade:')).source, 'CPU übertakten (St. 1)');
+
+        translator.setLocale('en');
+        game.updateCPS();
+        assert.equal(game.getModifiers('cpc').find(modifier => modifier.id.startsWith('upgrade:')).source, 'CPU Overclock (Lv 1)');
+        assert.equal(game.redeemCode('BORNTOCODE').message, 'You have already redeemed this code.');
+    });
+
+    test('code availability errors name the modes in the locale', () => {
+        const entry = { modes: ['pencil', 'crypto'], maxRedemptions: 1, startsAt: null, expiresAt: null };
+        const message = checkCodeAvailability(entry, { now: 0, mode: 'bottles', timesRedeemed: 0, translator: createTranslator({ locale: 'de' }) });
+        assert.equal(message, 'Dieser Code funktioniert nur in Titus Clicker oder Crypto Clicker.');
+    });
+
+    test('coded errors read English and are translated by the UI, including nested reasons', () => {
+        const captureError = run => {
+            try {
+                run();
+            } catch (error) {
+                return error;
+            }
+            throw new Error('Nothing was thrown.');
+        };
+        const german = createTranslator({ locale: 'de' });
+        const broken = encodeSaveExport({ mode: 'crypto', saves: { crypto: { version: 6, clicks: 'lots', upgrades: {} } } });
+        const error = captureError(() => parseSaveExport(broken, silentLogger));
+        assert.equal(error.message, 'The crypto save is invalid: Clicks are missing or invalid.');
+        assert.equal(german.translateError(error), 'Der Spielstand von crypto ist ungültig: Die Klicks fehlen oder sind ungültig.');
+
+        assert.equal(german.translateError(captureError(() => normalizeEndpoint('ftp://example.com'))), 'Die Server-URL muss mit http:// oder https:// beginnen.');
+        assert.equal(german.translateError(createCodedError('errors.syncServerStatus', { status: 503 })), 'Der Sync-Server antwortete mit 503.');
+        assert.equal(german.translateError(new Error('Failed to fetch')), 'Failed to fetch');
+
+        // Thrown while the game was in German, shown after switching back to English
+        const translator = createTranslator({ locale: 'de' });
+        const game = createGame({ storage: createMemoryStorage(), clock: createFakeClock(), logger: silentLogger, translator });
+        game.load();
+        const adminError = captureError(() => game.setClicks(500));
+        translator.setLocale('en');
+        assert.equal(translator.translateError(adminError), 'Unlock the admin panel first.');
+    });
+});
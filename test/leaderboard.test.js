@@ -0,0 +1,190 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { createGame } from '../game-core.js';
+import { PLAYER_ID_KEY } from '../cloud-sync.js';
+import { createLeaderboard, LEADERBOARD_KEY } from '../leaderboard.js';
+import { createLeaderboardServer } from '../server/leaderboard-server.js';
+import { createMemoryStorage, createFakeClock, silentLogger, TEST_ADMIN_PASSPHRASE, TEST_ADMIN_PASSPHRASE_HASH } from './helpers.js';
+
+describe('reference leaderboard server', () => {
+    let server;
+    let dataDir;
+    let baseUrl;
+
+    before(async () => {
+        dataDir = await mkdtemp(path.join(os.tmpdir(), 'leaderboard-'));
+        server = createLeaderboardServer({ dataFile: path.join(dataDir, 'leaderboard.json'), logger: silentLogger });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Submits a score for a player to a mode's board.
+     */
+    function submit(mode, playerId, score) {
+        return fetch(`${baseUrl}/leaderboard/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                playerId, name: playerId, peakCps: '0', prestigeResets: 0, prestigePoints: 0, isModified: false, ...score
+            })
+        });
+    }
+
+    test('ranks players by total clicks earned without revealing their ids', async () => {
+        await submit('crypto', 'alice', { totalClicksEarned: '500' });
+        await submit('crypto', 'bob', { totalClicksEarned: '1e30' });
+        await submit('crypto', 'carol', { totalClicksEarned: '900' });
+        await submit('pencil', 'dave', { totalClicksEarned: '1e40' });
+
+        const board = await (await fetch(`${baseUrl}/leaderboard/crypto?top=2&playerId=alice`)).json();
+        assert.deepEqual(board.entries.map(entry => [entry.rank, entry.name]), [[1, 'bob'], [2, 'carol']]);
+        assert.equal(board.playerCount, 3);
+        assert.equal(board.player.rank, 3);
+        assert.equal(board.player.isYou, true);
+        assert.ok(!JSON.stringify(board).includes('playerId'));
+    });
+
+    test('keeps admin-modified saves off the rankings but tells their owner', async () => {
+        await submit('modified', 'honest', { totalClicksEarned: '10' });
+        await submit('modified', 'cheater', { totalClicksEarned: '1e300', isModified: true });
+
+        const board = await (await fetch(`${baseUrl}/leaderboard/modified?playerId=cheater`)).json();
+        assert.deepEqual(board.entries.map(entry => entry.name), ['honest']);
+        assert.equal(board.player.rank, null);
+        assert.equal(board.player.isModified, true);
+    });
+
+    test('rejects invalid submissions', async () => {
+        assert.equal((await submit('crypto', 'erin', { totalClicksEarned: '-5' })).status, 400);
+        assert.equal((await submit('crypto', 'erin', { totalClicksEarned: '5', name: '' })).status, 400);
+        assert.equal((await submit('crypto', '../erin', { totalClicksEarned: '5' })).status, 400);
+        assert.equal((await submit('bad%20mode', 'erin', { totalClicksEarned: '5' })).status, 400);
+    });
+
+    test('keeps every one of several submissions that arrive at once', async () => {
+        const players = ['ann', 'ben', 'cat', 'dan', 'eve', 'fay'];
+        // Every request is opened and half sent before any of them is finished
+        const requests = players.map((playerId, index) => {
+            const body = JSON.stringify({
+                playerId, name: playerId, totalClicksEarned: String(index + 1), peakCps: '0', prestigeResets: 0, prestigePoints: 0
+            });
+            const request = http.request(`${baseUrl}/leaderboard/rush`, { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+            const status = new Promise((resolve, reject) => {
+                request.on('response', response => { response.resume(); resolve(response.statusCode); });
+                request.on('error', reject);
+            });
+            request.write(body.slice(0, 10));
+            return { request, rest: body.slice(10), status };
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        requests.forEach(({ request, rest }) => request.end(rest));
+        assert.deepEqual(await Promise.all(requests.map(({ status }) => status)), players.map(() => 200));
+
+        const board = await (await fetch(`${baseUrl}/leaderboard/rush?top=10`)).json();
+        assert.deepEqual(board.entries.map(entry => entry.name), [...players].reverse());
+    });
+
+    test('answers a server error when the scores cannot be written', async () => {
+        const broken = createLeaderboardServer({ dataFile: path.join(dataDir, 'missing', 'leaderboard.json'), logger: silentLogger });
+        await new Promise(resolve => broken.listen(0, '127.0.0.1', resolve));
+        try {
+            const brokenUrl = `http://127.0.0.1:${broken.address().port}/leaderboard/crypto`;
+            const response = await fetch(brokenUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ playerId: 'gus', name: 'gus', totalClicksEarned: '5', peakCps: '0', prestigeResets: 0, prestigePoints: 0 })
+            });
+            assert.equal(response.status, 500);
+            assert.equal((await (await fetch(brokenUrl)).json()).playerCount, 0);
+        } finally {
+            await new Promise(resolve => broken.close(resolve));
+        }
+    });
+
+    test('keeps the scores across restarts', async () => {
+        const restarted = createLeaderboardServer({ dataFile: path.join(dataDir, 'leaderboard.json'), logger: silentLogger });
+        await new Promise(resolve => restarted.listen(0, '127.0.0.1', resolve));
+        try {
+            const board = await (await fetch(`http://127.0.0.1:${restarted.address().port}/leaderboard/crypto`)).json();
+            assert.equal(board.entries[0].name, 'bob');
+        } finally {
+            await new Promise(resolve => restarted.close(resolve));
+        }
+    });
+});
+
+describe('leaderboard client', () => {
+    let server;
+    let dataDir;
+    let endpoint;
+
+    before(async () => {
+        dataDir = await mkdtemp(path.join(os.tmpdir(), 'leaderboard-client-'));
+        server = createLeaderboardServer({ dataFile: path.join(dataDir, 'leaderboard.json'), logger: silentLogger });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dataDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Creates a loaded game with a leaderboard client for the given player.
+     */
+    function setupPlayer(playerId) {
+        const storage = createMemoryStorage({ [PLAYER_ID_KEY]: playerId });
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger, adminPassphraseHash: TEST_ADMIN_PASSPHRASE_HASH });
+        game.load();
+        const leaderboard = createLeaderboard({ storage, game, logger: silentLogger });
+        return { storage, game, leaderboard };
+    }
+
+    test('submits nothing until a name and server are set', async () => {
+        const { leaderboard } = setupPlayer('client-1');
+        assert.equal(leaderboard.isConfigured(), false);
+        assert.equal(await leaderboard.submit(), false);
+
+        assert.throws(() => leaderboard.setSettings({ endpoint: 'ftp://example.com', playerName: 'Ann' }), /http/);
+        assert.throws(() => leaderboard.setSettings({ endpoint, playerName: 'x'.repeat(40) }), /at most/);
+    });
+
+    test('submits the current mode and finds the player on the board', async () => {
+        const { storage, game, leaderboard } = setupPlayer('client-2');
+        leaderboard.setSettings({ endpoint: `${endpoint}/`, playerName: '  Ann  ' });
+        assert.deepEqual(JSON.parse(storage.getItem(LEADERBOARD_KEY)), { endpoint, playerName: 'Ann' });
+
+        for (let i = 0; i < 250; i++) game.click();
+        assert.equal(await leaderboard.submit(), true);
+
+        const board = await leaderboard.fetchBoard();
+        assert.equal(board.player.rank, 1);
+        assert.equal(board.player.name, 'Ann');
+        assert.equal(board.entries[0].totalClicksEarned, '250');
+    });
+
+    test('admin-modified saves are flagged and not ranked', async () => {
+        const { game, leaderboard } = setupPlayer('client-3');
+        leaderboard.setSettings({ endpoint, playerName: 'Mallory' });
+        game.unlockAdmin(TEST_ADMIN_PASSPHRASE);
+        game.setCps(1e9); // Overrides the stat, which marks the save as modified
+        assert.equal(game.isModified(), true);
+
+        await leaderboard.submit();
+        const board = await leaderboard.fetchBoard();
+        assert.equal(board.player.rank, null);
+        assert.ok(board.entries.every(entry => entry.name !== 'Mallory'));
+    });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createNotifications, NOTIFICATION_CONFIG, NOTIFICATION_LEVELS } from '../notifications.js';
+import { createFakeClock, silentLogger } from './helpers.js';
+
+/**
+ * Creates timers that only fire when run() is called with the elapsed time.
+ */
+function createFakeTimers(clock) {
+    const pending = new Map();
+    let nextId = 1;
+    return {
+        setTimeout(callback, ms) {
+            pending.set(nextId, { callback, dueAt: clock.now() + ms });
+            return nextId++;
+        },
+        clearTimeout(id) {
+            pending.delete(id);
+        },
+        run(ms) {
+            clock.advance(ms);
+            [...pending].filter(([, timer]) => timer.dueAt <= clock.now()).forEach(([id, timer]) => {
+                pending.delete(id);
+                timer.callback();
+            });
+        }
+    };
+}
+
+/**
+ * Creates a notification queue on a fake clock and fake timers.
+ */
+function setupNotifications() {
+    const clock = createFakeClock();
+    const timers = createFakeTimers(clock);
+    const notifications = createNotifications({ clock, timers, logger: silentLogger });
+    return { notifications, timers };
+}
+
+describe('notifications', () => {
+    test('toasts dismiss themselves after their level\'s duration', () => {
+        const { notifications, timers } = setupNotifications();
+        notifications.notify('Saved.', 'success');
+        notifications.notify('Disk full.', 'error');
+
+        timers.run(NOTIFICATION_LEVELS.success.durationMs);
+        assert.deepEqual(notifications.visible.map(toast => toast.message), ['Disk full.']);
+        timers.run(NOTIFICATION_LEVELS.error.durationMs);
+        assert.deepEqual(notifications.visible, []);
+        assert.equal(notifications.history.length, 2);
+    });
+
+    test('extra toasts wait for room on screen', () => {
+        const { notifications } = setupNotifications();
+        for (let i = 0; i <= NOTIFICATION_CONFIG.maxVisible; i++) notifications.notify(`Message ${i}`);
+        assert.equal(notifications.visible.length, NOTIFICATION_CONFIG.maxVisible);
+        assert.equal(notifications.waitingCount, 1);
+
+        notifications.dismiss(notifications.visible[0].id);
+        assert.equal(notifications.visible.at(-1).message, `Message ${NOTIFICATION_CONFIG.maxVisible}`);
+        assert.equal(notifications.waitingCount, 0);
+    });
+
+    test('repeated messages are counted instead of stacked', () => {
+        const { notifications, timers } = setupNotifications();
+        notifications.notify('Not enough clicks.', 'warning');
+        timers.run(NOTIFICATION_LEVELS.warning.durationMs - 1000);
+        notifications.notify('Not enough clicks.', 'warning');
+
+        // The repeat restarted the timer
+        timers.run(2000);
+        assert.equal(notifications.visible.length, 1);
+        assert.equal(notifications.visible[0].count, 2);
+        assert.equal(notifications.history.length, 1);
+    });
+
+    test('unknown levels are shown as info and the history can be cleared', () => {
+        const { notifications } = setupNotifications();
+        const changes = [];
+        notifications.subscribe(type => changes.push(type));
+
+        assert.equal(notifications.notify('Hello', 'shouting').level, 'info');
+        notifications.clearHistory();
+        assert.deepEqual(notifications.history, []);
+        assert.equal(notifications.visible.length, 1);
+        assert.deepEqual(changes, ['change', 'change']);
+    });
+});
@@ -0,0 +1,39 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom } from '../random.js';
+
+/**
+ * Draws the given number of values from a generator.
+ */
+function draw(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+describe('seedable random numbers', () => {
+    test('the same seed produces the same sequence', () => {
+        assert.deepEqual(draw(createRandom(42), 5), draw(createRandom(42), 5));
+        assert.notDeepEqual(draw(createRandom(42), 5), draw(createRandom(43), 5));
+        assert.equal(createRandom(42).seed, 42);
+    });
+
+    test('values stay within their range', () => {
+        const random = createRandom(7);
+        draw(random, 1000).forEach(value => assert.ok(value >= 0 && value < 1));
+        for (let i = 0; i < 1000; i++) {
+            const value = random.between(5, 10);
+            assert.ok(value >= 5 && value < 10);
+        }
+    });
+
+    test('weighted picks follow the weights and skip zero-weight items', () => {
+        const random = createRandom(1);
+        const items = [{ id: 'common', weight: 3 }, { id: 'never', weight: 0 }, { id: 'rare', weight: 1 }];
+        const counts = { common: 0, never: 0, rare: 0 };
+        for (let i = 0; i < 4000; i++) counts[random.pickWeighted(items).id] += 1;
+
+        assert.equal(counts.never, 0);
+        assert.ok(counts.common > counts.rare * 2);
+        assert.ok(counts.rare > 0);
+    });
+});
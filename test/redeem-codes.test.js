@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sha256Hex, hashCode, normalizeCode, parseCodeRegistry, loadCodeRegistry, checkCodeAvailability } from '../redeem-codes.js';
+import { silentLogger, loadCodeEntries } from './helpers.js';
+
+const VALID_ENTRY = { id: 'gift', hash: hashCode('GIFT'), reward: { type: 'clicks', amount: '100' } };
+
+describe('code hashing', () => {
+    test('sha256Hex matches the standard test vectors', () => {
+        assert.equal(sha256Hex(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        assert.equal(sha256Hex('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        assert.equal(
+            sha256Hex('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+            '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+        );
+    });
+
+    test('codes are hashed regardless of case and surrounding spaces', () => {
+        assert.equal(normalizeCode('  borntocode '), 'BORNTOCODE');
+        assert.equal(hashCode(' borntocode '), hashCode('BORNTOCODE'));
+        assert.notEqual(hashCode('BORNTOCODE'), sha256Hex('BORNTOCODE'));
+    });
+
+    test('the shipped registry lists hashes, not the codes themselves', () => {
+        const entries = loadCodeEntries();
+        assert.deepEqual(entries.map(entry => entry.id), ['pencil-mode', 'admin-panel', 'born-to-code']);
+        assert.ok(entries.every(entry => !JSON.stringify(entry).includes('BORNTOCODE')));
+    });
+});
+
+describe('code registry', () => {
+    test('parsing fills in the defaults', () => {
+        const [entry] = parseCodeRegistry({ codes: [VALID_ENTRY] });
+        assert.equal(entry.label, 'gift');
+        assert.equal(entry.maxRedemptions, 1);
+        assert.equal(entry.startsAt, null);
+        assert.equal(entry.modes, null);
+    });
+
+    test('invalid entries are skipped with a warning', () => {
+        const warnings = [];
+        const logger = { ...silentLogger, warn: message => warnings.push(message) };
+        const entries = parseCodeRegistry({
+            codes: [
+                VALID_ENTRY,
+                { ...VALID_ENTRY },
+                { ...VALID_ENTRY, id: 'plain', hash: 'GIFT' },
+                { ...VALID_ENTRY, id: 'free', reward: { type: 'clicks', amount: '-5' } },
+                { ...VALID_ENTRY, id: 'buff', reward: { type: 'buff', buff: 'missing' } },
+                { ...VALID_ENTRY, id: 'mode', reward: { type: 'mode', mode: 'missing' } },
+                { ...VALID_ENTRY, id: 'date', expiresAt: 'someday' },
+                { ...VALID_ENTRY, id: 'limit', maxRedemptions: 0 },
+                { ...VALID_ENTRY, id: 'where', modes: ['missing'] }
+            ]
+        }, { logger });
+
+        assert.deepEqual(entries.map(entry => entry.id), ['gift']);
+        assert.equal(warnings.length, 8);
+        assert.match(warnings[0], /used twice/);
+        assert.throws(() => parseCodeRegistry({}), /no list of codes/);
+    });
+
+    test('the registry is loaded from a URL', async () => {
+        const requested = [];
+        const fetch = async url => {
+            requested.push(url);
+            return { ok: true, json: async () => ({ codes: [VALID_ENTRY] }) };
+        };
+        const entries = await loadCodeRegistry({ url: 'https://codes.example/codes', fetch, logger: silentLogger });
+        assert.deepEqual(requested, ['https://codes.example/codes']);
+        assert.equal(entries[0].id, 'gift');
+
+        const failingFetch = async () => ({ ok: false, status: 404 });
+        await assert.rejects(loadCodeRegistry({ fetch: failingFetch }), /answered 404/);
+    });
+
+    test('availability checks dates, modes and the redemption limit', () => {
+        const [entry] = parseCodeRegistry({
+            codes: [{ ...VALID_ENTRY, startsAt: '2025-12-01T00:00:00Z', expiresAt: '2026-01-01T00:00:00Z', modes: ['crypto'], maxRedemptions: 2 }]
+        });
+        const during = Date.parse('2025-12-24T00:00:00Z');
+
+        assert.equal(checkCodeAvailability(entry, { now: during, mode: 'crypto', timesRedeemed: 1 }), null);
+        assert.match(checkCodeAvailability(entry, { now: Date.parse('2025-11-30T00:00:00Z'), mode: 'crypto', timesRedeemed: 0 }), /not active yet/);
+        assert.match(checkCodeAvailability(entry, { now: Date.parse('2026-01-01T00:00:00Z'), mode: 'crypto', timesRedeemed: 0 }), /expired/);
+        assert.match(checkCodeAvailability(entry, { now: during, mode: 'pencil', timesRedeemed: 0 }), /only works in Crypto Clicker/);
+        assert.match(checkCodeAvailability(entry, { now: during, mode: 'crypto', timesRedeemed: 2 }), /as often as it allows/);
+    });
+});
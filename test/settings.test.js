@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGame } from '../game-core.js';
+import { GAME_MODES } from '../game-modes.js';
+import { createSettings, getDefaultSettings, SETTINGS_KEY } from '../settings.js';
+import { createMemoryStorage, createFakeClock, silentLogger } from './helpers.js';
+
+describe('settings', () => {
+    test('missing, unreadable and invalid stored settings are their defaults', () => {
+        assert.deepEqual(createSettings({ storage: createMemoryStorage(), logger: silentLogger }).values, getDefaultSettings());
+        assert.deepEqual(createSettings({ storage: createMemoryStorage({ [SETTINGS_KEY]: '{oops' }), logger: silentLogger }).values, getDefaultSettings());
+
+        const storage = createMemoryStorage({ [SETTINGS_KEY]: JSON.stringify({ soundVolume: 250, notation: 'short', theme: 'nope' }) });
+        const settings = createSettings({ storage, logger: silentLogger });
+        assert.equal(settings.get('soundVolume'), 50);
+        assert.equal(settings.get('notation'), 'short');
+        assert.equal(settings.get('theme'), '');
+    });
+
+    test('changes are validated, stored and announced', () => {
+        const storage = createMemoryStorage();
+        const settings = createSettings({ storage, logger: silentLogger });
+        const changes = [];
+        settings.subscribe(changedIds => changes.push(changedIds));
+
+        settings.set('autosaveSeconds', 60);
+        settings.set('reducedMotion', true);
+        settings.set('reducedMotion', true); // Unchanged, not announced
+        assert.throws(() => settings.set('autosaveSeconds', 7), /Invalid value/);
+        assert.throws(() => settings.set('soundVolume', '80'), /Invalid value/);
+        assert.throws(() => settings.set('fontSize', 12), /Unknown setting/);
+
+        assert.deepEqual(changes, [['autosaveSeconds'], ['reducedMotion']]);
+        assert.equal(createSettings({ storage, logger: silentLogger }).get('autosaveSeconds'), 60);
+    });
+
+    test('restoring the defaults announces only the settings that changed', () => {
+        const settings = createSettings({ storage: createMemoryStorage(), logger: silentLogger });
+        settings.set('theme', 'pencil');
+        settings.set('confirmPurchases', true);
+
+        assert.deepEqual(settings.reset(), ['confirmPurchases', 'theme']);
+        assert.deepEqual(settings.values, getDefaultSettings());
+        assert.deepEqual(settings.reset(), []);
+    });
+
+    test('an export is applied in another browser, skipping values it does not allow', () => {
+        const settings = createSettings({ storage: createMemoryStorage(), logger: silentLogger });
+        settings.set('locale', 'de');
+        settings.set('soundVolume', 0);
+        const data = JSON.parse(settings.createExport());
+        data.settings.theme = 'unknownMode';
+        data.settings.fontSize = 12;
+
+        const other = createSettings({ storage: createMemoryStorage(), logger: silentLogger });
+        assert.deepEqual(other.applyExport(JSON.stringify(data)).sort(), ['locale', 'soundVolume']);
+        assert.equal(other.get('locale'), 'de');
+        assert.equal(other.get('theme'), '');
+
+        assert.throws(() => other.applyExport('CCSAVE1:abc:123'), /not a settings file/);
+        assert.throws(() => other.applyExport(JSON.stringify({ notation: 'short' })), /not a settings file/);
+    });
+
+    test('the notation and language stored before the settings existed are moved into them', () => {
+        const storage = createMemoryStorage({ clickerNumberNotation: 'scientific', clickerLocale: 'de' });
+        const settings = createSettings({ storage, logger: silentLogger });
+
+        assert.equal(settings.get('notation'), 'scientific');
+        assert.equal(settings.get('locale'), 'de');
+        assert.equal(storage.getItem('clickerNumberNotation'), null);
+        assert.equal(JSON.parse(storage.getItem(SETTINGS_KEY)).notation, 'scientific');
+    });
+
+    test('settings survive a hard reset', () => {
+        const storage = createMemoryStorage();
+        const settings = createSettings({ storage, logger: silentLogger });
+        settings.set('clickEffects', false);
+
+        const game = createGame({ storage, clock: createFakeClock(), logger: silentLogger });
+        game.load();
+        game.click();
+        game.save();
+        assert.ok(storage.getItem(GAME_MODES.crypto.saveKey));
+        game.hardReset();
+
+        assert.equal(createSettings({ storage, logger: silentLogger }).get('clickEffects'), false);
+    });
+});
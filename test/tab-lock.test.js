@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTabLock, TAB_LOCK_KEY, TAB_LOCK_CONFIG } from '../tab-lock.js';
+import { createMemoryStorage, createFakeClock, silentLogger } from './helpers.js';
+
+/**
+ * Creates a fake BroadcastChannel hub. Messages are delivered synchronously to every other member.
+ */
+function createChannelHub() {
+    const members = [];
+    return {
+        join() {
+            const channel = {
+                onmessage: null,
+                postMessage(data) {
+                    members.filter(member => member !== channel).forEach(member => member.onmessage?.({ data }));
+                }
+            };
+            members.push(channel);
+            return channel;
+        }
+    };
+}
+
+/**
+ * Creates two tabs sharing one storage, clock and channel hub.
+ */
+function setupTabs() {
+    const storage = createMemoryStorage();
+    const clock = createFakeClock();
+    const hub = createChannelHub();
+    const createTab = tabId => createTabLock({ storage, clock, channel: hub.join(), tabId, logger: silentLogger });
+    return { storage, clock, first: createTab('first'), second: createTab('second') };
+}
+
+describe('tab lock', () => {
+    test('the first tab to check becomes the active tab', () => {
+        const { first, second } = setupTabs();
+        assert.equal(first.check(), true);
+        assert.equal(second.check(), false);
+        assert.equal(first.holdsLock(), true);
+        assert.equal(second.holdsLock(), false);
+    });
+
+    test('a released lock passes to the waiting tab', () => {
+        const { first, second } = setupTabs();
+        first.check();
+        second.check();
+
+        first.release();
+        assert.equal(second.isLeader, true);
+        assert.equal(first.isLeader, false);
+    });
+
+    test('a stale lock is taken over and the old tab finds out', () => {
+        const { clock, first, second } = setupTabs();
+        const events = [];
+        first.subscribe(type => events.push(type));
+        first.check();
+        second.check();
+
+        clock.advance(TAB_LOCK_CONFIG.timeoutMs + 1);
+        assert.equal(second.check(), true);
+        assert.equal(first.check(), false);
+        assert.deepEqual(events, ['acquired', 'lost']);
+    });
+
+    test('a takeover lets the active tab save before handing over', () => {
+        const { first, second } = setupTabs();
+        const events = [];
+        first.subscribe(type => events.push(`first:${type}:${first.holdsLock()}`));
+        second.subscribe(type => events.push(`second:${type}`));
+        first.check();
+        second.check();
+
+        assert.equal(second.requestTakeover(), true);
+        assert.deepEqual(events, ['first:acquired:true', 'first:handover:true', 'first:lost:false', 'second:acquired']);
+        assert.equal(second.isLeader, true);
+    });
+
+    test('without a channel the lock cannot be handed over', () => {
+        const storage = createMemoryStorage();
+        const lock = createTabLock({ storage, clock: createFakeClock(), tabId: 'solo', logger: silentLogger });
+        assert.equal(lock.requestTakeover(), false);
+        assert.equal(lock.check(), true);
+        assert.equal(JSON.parse(storage.getItem(TAB_LOCK_KEY)).tabId, 'solo');
+    });
+});
@@ -0,0 +1,49 @@
+// --- TOAST VIEW ---
+// Draws the visible notifications (see notifications.js) as a stack of toasts in a page corner.
+// Shared by the clicker page (script.js) and the Bottles page (bottles.js).
+
+// Tailwind classes of each severity level
+export const TOAST_STYLES = {
+    info: 'border-sky-400 text-sky-200',
+    success: 'border-green-400 text-green-300',
+    warning: 'border-yellow-400 text-yellow-300',
+    error: 'border-red-400 text-red-300'
+};
+
+/**
+ * Creates the element of one toast: its message, a repeat count and a close button.
+ */
+function createToastElement(toast, dismissLabel) {
+    const element = document.createElement('div');
+    element.className = `toast flex items-start p-3 rounded-lg bg-slate-800 border-l-4 shadow-lg text-sm font-bold pointer-events-auto ${TOAST_STYLES[toast.level]}`;
+    element.setAttribute('role', toast.level === 'error' ? 'alert' : 'status');
+
+    const message = document.createElement('span');
+    message.className = 'flex-grow';
+    message.textContent = toast.count > 1 ? `${toast.message} (x${toast.count})` : toast.message;
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'ml-3 text-slate-400 hover:text-white';
+    closeButton.dataset.toastId = String(toast.id);
+    closeButton.setAttribute('aria-label', dismissLabel);
+    closeButton.textContent = '×';
+
+    element.append(message, closeButton);
+    return element;
+}
+
+/**
+ * Keeps a container element in sync with the visible notifications and wires its close buttons.
+ *   getDismissLabel - returns the accessible label of the close buttons, e.g. in the player's language
+ */
+export function mountToasts(container, notifications, { getDismissLabel = () => 'Dismiss' } = {}) {
+    if (!container) return;
+
+    const render = () => container.replaceChildren(...notifications.visible.map(toast => createToastElement(toast, getDismissLabel())));
+    notifications.subscribe(render);
+    container.addEventListener('click', event => {
+        const button = event.target.closest('[data-toast-id]');
+        if (button) notifications.dismiss(Number(button.dataset.toastId));
+    });
+    render();
+}